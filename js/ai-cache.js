@@ -0,0 +1,114 @@
+// AI Response Cache for UiPath Sales Cycle Guide
+// Identical AI requests (same provider, model, temperature and rendered prompt) are answered from
+// IndexedDB instead of paying for the same call again. Entries expire and the oldest are evicted.
+
+const AI_CACHE_DB = 'uipathSalesGuideAICache';
+const AI_CACHE_STORE = 'responses';
+const AI_CACHE_TTL_DAYS = 7;
+const AI_CACHE_MAX_ENTRIES = 200;
+
+const aiCacheExpired = entry => Date.now() - entry.createdAt > AI_CACHE_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+let aiCacheDb = null;
+
+// Resolves to the database, or null where IndexedDB is unavailable (then nothing is cached)
+function openAICache() {
+  if (!aiCacheDb) {
+    aiCacheDb = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') return resolve(null);
+      const request = indexedDB.open(AI_CACHE_DB, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(AI_CACHE_STORE, { keyPath: 'key' }).createIndex('createdAt', 'createdAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('AI response cache unavailable:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return aiCacheDb;
+}
+
+// Run `work(store)` in a transaction, resolving to the result of the request it returns once committed
+async function aiCacheTransaction(mode, work) {
+  const db = await openAICache();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(AI_CACHE_STORE, mode);
+    const request = work(transaction.objectStore(AI_CACHE_STORE));
+    transaction.oncomplete = () => resolve(request?.result ?? null);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// SHA-256 of everything that changes the answer, or null when Web Crypto is unavailable
+async function aiCacheKey({ provider, model, temperature, prompt }) {
+  if (!globalThis.crypto?.subtle) return null;
+  const bytes = new TextEncoder().encode(JSON.stringify([provider, model, temperature, prompt]));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// The cached entry ({ response, createdAt, provider, model }) for a key, or null if missing or expired.
+// Cache errors never fail the AI request; they are logged and treated as a miss.
+async function getCachedAIResponse(key) {
+  try {
+    const entry = await aiCacheTransaction('readonly', store => store.get(key));
+    if (!entry) return null;
+    if (aiCacheExpired(entry)) {
+      await aiCacheTransaction('readwrite', store => store.delete(key));
+      return null;
+    }
+    return entry;
+  } catch (error) {
+    console.warn('Error reading the AI response cache:', error);
+    return null;
+  }
+}
+
+async function putCachedAIResponse(key, response, { provider, model } = {}) {
+  try {
+    await aiCacheTransaction('readwrite', store => store.put({ key, response, provider, model, createdAt: Date.now() }));
+    await pruneAICache();
+  } catch (error) {
+    console.warn('Error saving to the AI response cache:', error);
+  }
+}
+
+// Drop expired entries, then the oldest ones beyond AI_CACHE_MAX_ENTRIES
+function pruneAICache() {
+  return aiCacheTransaction('readwrite', store => {
+    const countRequest = store.count();
+    countRequest.onsuccess = () => {
+      let excess = countRequest.result - AI_CACHE_MAX_ENTRIES;
+      store.index('createdAt').openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor || (excess <= 0 && !aiCacheExpired(cursor.value))) return;
+        cursor.delete();
+        excess -= 1;
+        cursor.continue();
+      };
+    };
+  });
+}
+
+function countAICache() {
+  return aiCacheTransaction('readonly', store => store.count()).catch(() => 0);
+}
+
+function clearAICache() {
+  return aiCacheTransaction('readwrite', store => store.clear());
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    aiCacheKey,
+    getCachedAIResponse,
+    putCachedAIResponse,
+    countAICache,
+    clearAICache
+  };
+}
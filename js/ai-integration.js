@@ -1,82 +1,193 @@
 // AI Integration Module for UiPath Sales Cycle Guide
-// Supports Claude (Anthropic)
+// Supports Claude (Anthropic), directly or through the optional local proxy (server/ai-proxy.mjs),
+// any OpenAI-compatible chat completions endpoint (OpenAI, Azure OpenAI, vLLM) and local Ollama models,
+// plus a deterministic mock provider for offline demos and tests
+
+const AI_PROXY_BASE = '/api/ai';
+const AI_CLIENT_ID_KEY = 'uipathSalesGuideClientId';
+
+// Provider catalogue for the Settings picker. `models` are suggestions; any model name can be entered.
+const AI_PROVIDERS = {
+  claude: {
+    label: 'Claude (Anthropic)',
+    models: ['claude-3-haiku-20240307', 'claude-3-5-haiku-20241022', 'claude-3-5-sonnet-20241022', 'claude-sonnet-4-20250514'],
+    needsApiKey: true
+  },
+  openai: {
+    label: 'OpenAI-compatible (OpenAI, Azure, vLLM)',
+    models: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini', 'gpt-4.1'],
+    endpoint: 'https://api.openai.com/v1/chat/completions',
+    needsApiKey: false
+  },
+  ollama: {
+    label: 'Local model (Ollama)',
+    models: ['llama3.1', 'llama3.2', 'mistral', 'qwen2.5', 'phi3'],
+    endpoint: 'http://localhost:11434/api/chat',
+    needsApiKey: false
+  },
+  mock: {
+    label: 'Mock (offline demos and tests)',
+    models: ['mock'],
+    needsApiKey: false
+  }
+};
+
+// Mock provider defaults: delay before the first token (ms), an injected error ('', '401', '429', '500',
+// 'network', or 'invalid' for output that fails its schema) and how many requests fail with it before
+// the rest succeed (0 = every request)
+const AI_MOCK_DEFAULTS = { latency: 800, error: '', failures: 0 };
+
+// Random per-browser ID the proxy uses to apply its per-user rate limit
+function aiClientId() {
+  let id = localStorage.getItem(AI_CLIENT_ID_KEY);
+  if (!id) {
+    id = `guide-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    localStorage.setItem(AI_CLIENT_ID_KEY, id);
+  }
+  return id;
+}
 
 class AIIntegration {
   constructor() {
-    // Configuration with API key from environment or user input
+    this.providers = {
+      claude: new ClaudeProvider(),
+      openai: new OpenAICompatibleProvider(),
+      ollama: new OllamaProvider(),
+      mock: new MockProvider()
+    };
+
+    // Provider, model and endpoint choices are saved; API keys come from the encrypted key vault
+    const saved = this.loadConfig();
     this.config = {
-      selectedProvider: 'claude',
+      selectedProvider: this.providers[saved.selectedProvider] ? saved.selectedProvider : 'claude',
       apiKeys: {
-        claude: this.getApiKey()
+        claude: this.getApiKey(),
+        openai: this.getApiKey('openai')
       },
       models: {
-        claude: 'claude-3-haiku-20240307'
+        ...Object.fromEntries(Object.entries(AI_PROVIDERS).map(([id, info]) => [id, info.models[0]])),
+        ...saved.models
       },
-      temperature: 0.7,
-      maxTokens: 1000
-    };
-    this.providers = {
-      claude: new ClaudeProvider()
+      endpoints: {
+        openai: AI_PROVIDERS.openai.endpoint,
+        ollama: AI_PROVIDERS.ollama.endpoint,
+        ...saved.endpoints
+      },
+      mock: { ...AI_MOCK_DEFAULTS, ...saved.mock },
+      temperature: saved.temperature ?? 0.7,
+      maxTokens: saved.maxTokens ?? 1000
     };
-    this.currentProvider = this.providers.claude;
+    this.applyUrlFlags();
+    this.currentProvider = this.providers[this.config.selectedProvider];
+
+    // Keys become available when the vault is unlocked and disappear when it locks
+    if (typeof onKeyVaultChange === 'function') {
+      onKeyVaultChange(({ apiKeys }) => {
+        this.config.apiKeys = { claude: apiKeys.claude || null, openai: apiKeys.openai || null };
+      });
+    }
+
+    // When the app is served by the local proxy, requests go there and the key stays on the server
+    this.proxy = null;
+    this.proxyReady = this.detectProxy().then(proxy => {
+      this.proxy = proxy;
+      return proxy;
+    });
+  }
+
+  // `?ai=mock` selects the mock provider for this visit only, e.g. for a training session:
+  // ?ai=mock&mockLatency=0&mockError=429&mockFailures=2
+  applyUrlFlags() {
+    if (typeof location === 'undefined') return;
+    const params = new URLSearchParams(location.search);
+    if (params.get('ai') !== 'mock') return;
+
+    this.config.selectedProvider = 'mock';
+    const latency = Number(params.get('mockLatency'));
+    const failures = Number(params.get('mockFailures'));
+    if (params.has('mockLatency') && latency >= 0) this.config.mock.latency = latency;
+    if (params.has('mockError')) this.config.mock.error = params.get('mockError');
+    if (params.has('mockFailures') && failures >= 0) this.config.mock.failures = failures;
   }
 
-  // Get API key from various sources
-  getApiKey() {
-    // Use the secure getStoredApiKey function from app.js
-    if (typeof getStoredApiKey === 'function') {
-      const apiKey = getStoredApiKey();
-      if (apiKey) return apiKey;
+  // Look for the proxy's health endpoint next to the page; resolves to its status or null
+  async detectProxy() {
+    if (typeof location === 'undefined' || !/^https?:$/.test(location.protocol)) return null;
+    try {
+      const response = await fetch(`${AI_PROXY_BASE}/health`, {
+        cache: 'no-store',
+        signal: typeof AbortSignal.timeout === 'function' ? AbortSignal.timeout(3000) : undefined
+      });
+      if (!response.ok) return null;
+      const health = await response.json();
+      return health?.ok ? health : null;
+    } catch (e) {
+      return null;
     }
-    
-    // Fallback: check for legacy stored key
-    const stored = localStorage.getItem('claude_api_key');
-    if (stored) {
-      try {
-        // Try to decode if it's base64 encoded
-        return atob(stored);
-      } catch (e) {
-        // If decoding fails, return as-is (legacy format)
-        return stored;
+  }
+
+  // Where and how the selected provider should send a request
+  async requestOptions(provider = this.config.selectedProvider) {
+    if (provider === 'mock') return { mock: this.config.mock };
+    if (provider !== 'claude') {
+      const endpoint = this.config.endpoints[provider];
+      if (!endpoint) {
+        throw aiRequestError(`No endpoint configured for ${AI_PROVIDERS[provider].label}. Set one in Settings.`, { retryable: false });
       }
+      return { endpoint, apiKey: await this.resolveApiKey(provider) };
+    }
+
+    await this.proxyReady;
+    if (this.proxy) {
+      return { endpoint: `${AI_PROXY_BASE}/messages`, clientId: aiClientId() };
+    }
+    const apiKey = await this.resolveApiKey(provider);
+    if (!apiKey) {
+      throw aiRequestError(`No API key available. Please add your Claude API key in Settings.`, { retryable: false });
     }
-    
-    return null;
+    return { apiKey };
+  }
+
+  // Decrypted API key from the key vault (null while it is locked)
+  getApiKey(provider = 'claude') {
+    return typeof getUnlockedApiKey === 'function' ? getUnlockedApiKey(provider) : null;
+  }
+
+  // A saved key that is still locked is unlocked on first use, once per session
+  async resolveApiKey(provider) {
+    if (!this.config.apiKeys[provider] && typeof hasStoredApiKey === 'function' && hasStoredApiKey(provider)) {
+      await requestKeyVaultUnlock(`${AI_PROVIDERS[provider].label} needs your saved API key.`);
+    }
+    return this.config.apiKeys[provider] || null;
   }
 
   // Load configuration from localStorage
   loadConfig() {
-    const saved = localStorage.getItem('aiConfig');
-    return saved ? JSON.parse(saved) : {
-      selectedProvider: 'claude',
-      apiKeys: {},
-      models: {
-        claude: 'claude-3-haiku-20240307'
-      },
-      temperature: 0.7,
-      maxTokens: 1000
-    };
+    try {
+      return JSON.parse(localStorage.getItem('aiConfig')) || {};
+    } catch (e) {
+      console.error('Error reading AI settings:', e);
+      return {};
+    }
   }
 
-  // Save configuration to localStorage
+  // Save configuration to localStorage (API keys are kept out of it)
   saveConfig() {
-    localStorage.setItem('aiConfig', JSON.stringify(this.config));
+    const { apiKeys, ...config } = this.config;
+    localStorage.setItem('aiConfig', JSON.stringify(config));
   }
 
-  // Set API key for a provider
-  setApiKey(provider, apiKey) {
+  // Encrypt and save an API key, asking for the vault passphrase if needed
+  async setApiKey(provider, apiKey) {
+    await requestKeyVaultUnlock();
+    await storeApiKey(provider, apiKey);
     this.config.apiKeys[provider] = apiKey;
-    if (provider === 'claude') {
-      localStorage.setItem('claude_api_key', apiKey);
-    }
-    this.saveConfig();
   }
 
-  // Reset API key (will prompt for new one next time)
-  resetApiKey() {
-    localStorage.removeItem('claude_api_key');
-    this.config.apiKeys.claude = null;
-    console.log('API key cleared. Reload the page to enter a new one.');
+  // Forget a provider's saved API key
+  resetApiKey(provider = 'claude') {
+    removeApiKey(provider);
+    this.config.apiKeys[provider] = null;
   }
 
   // Switch AI provider
@@ -90,30 +201,114 @@ class AIIntegration {
     return false;
   }
 
-  // Main method for generating AI responses
-  async generateResponse(prompt, context = {}) {
-    const apiKey = this.config.apiKeys[this.config.selectedProvider];
-    if (!apiKey) {
-      throw new Error(`No API key available. Please refresh the page and enter your Claude API key when prompted.`);
+  // Update a provider's model and endpoint (or, for the mock provider, its latency and injected error)
+  configureProvider(provider, { model, endpoint, mock } = {}) {
+    if (!this.providers[provider]) return false;
+    if (model !== undefined) this.config.models[provider] = model || AI_PROVIDERS[provider].models[0];
+    if (endpoint !== undefined && AI_PROVIDERS[provider].endpoint) this.config.endpoints[provider] = endpoint;
+    if (mock && provider === 'mock') {
+      this.config.mock = { ...this.config.mock, ...mock };
+      this.providers.mock.failed = 0;
+    }
+    this.saveConfig();
+    return true;
+  }
+
+  // Main method for generating AI responses.
+  // Pass `onToken(delta, textSoFar)` to stream the response, and `signal` to be able to stop it.
+  // Identical requests are answered from the response cache (js/ai-cache.js) unless `regenerate` is set;
+  // `onCacheStatus(cachedAt)` hears when a cached answer was first generated, or null for a fresh one,
+  // and `shouldCache(output)` can keep unusable output out of the cache.
+  // For a conversation, pass the `messages` history instead of a prompt, with an optional `system` prompt.
+  // Each call is checked against the monthly budget and logged with its token usage (js/ai-usage.js).
+  async generateResponse(prompt, context = {}, { onToken, signal, regenerate = false, onCacheStatus, shouldCache, messages, system } = {}) {
+    const provider = this.config.selectedProvider;
+    const model = this.config.models[provider];
+    const input = messages ? [system, ...messages.map(m => m.content)].filter(Boolean).join('\n\n') : prompt;
+
+    // The mock provider is never cached, so its latency and injected errors apply to every request
+    const cacheKey = provider === 'mock' ? null : await aiCacheKey({
+      provider,
+      model,
+      temperature: this.config.temperature,
+      prompt: messages ? JSON.stringify({ system, messages }) : prompt
+    });
+    const cached = cacheKey && !regenerate && await getCachedAIResponse(cacheKey);
+    if (cached) {
+      onCacheStatus?.(cached.createdAt);
+      if (typeof onToken === 'function') onToken(cached.response, cached.response);
+      return cached.response;
     }
 
+    checkAIBudget();
+    const options = await this.requestOptions();
+
+    // Providers report the usage their API returns; otherwise it is estimated from the text
+    let usage = null;
+    let streamed = '';
+    const started = Date.now();
+    const record = (success, output, error) => recordAIUsage({
+      type: context.type,
+      stage: context.stage,
+      provider,
+      model,
+      inputTokens: usage?.inputTokens ?? (success || streamed ? estimateTokens(input) : 0),
+      outputTokens: usage?.outputTokens ?? estimateTokens(output),
+      estimated: !usage,
+      latencyMs: Date.now() - started,
+      success,
+      error: error?.message
+    });
+
     try {
       const response = await this.currentProvider.generate({
         prompt,
+        messages,
+        system,
         context,
-        model: this.config.models[this.config.selectedProvider],
+        model,
         temperature: this.config.temperature,
         maxTokens: this.config.maxTokens,
-        apiKey
+        ...options,
+        onToken: typeof onToken === 'function' ? (delta, text) => {
+          streamed = text;
+          onToken(delta, text);
+        } : undefined,
+        onUsage: reported => { usage = { ...usage, ...reported }; },
+        signal
       });
 
+      record(true, response);
+      if (cacheKey && response && (shouldCache?.(response) ?? true)) await putCachedAIResponse(cacheKey, response, { provider, model });
+      onCacheStatus?.(null);
       return response;
     } catch (error) {
-      console.error('AI Generation Error:', error);
+      record(false, streamed, error);
+      if (!error.aborted) console.error('AI Generation Error:', error);
       throw error;
     }
   }
 
+  // Generate a response for a feature with an output schema (js/ai-output.js), resolving to the parsed data.
+  // Output that does not match gets one automatic repair request before the request fails.
+  // Only output that matches is cached, so trying again really asks the AI again.
+  async generateStructured(prompt, context = {}, options = {}) {
+    if (!AI_OUTPUT_SCHEMAS[context.type]) return this.generateResponse(prompt, context, options);
+
+    options = { ...options, shouldCache: output => !parseStructuredOutput(context.type, output).errors.length };
+    const fullPrompt = `${prompt}\n\n${schemaInstructions(context.type)}`;
+    const output = await this.generateResponse(fullPrompt, context, options);
+    const first = parseStructuredOutput(context.type, output);
+    if (!first.errors.length) return first.data;
+
+    console.warn('AI response did not match its schema, asking for a repair:', first.errors);
+    const repaired = await this.generateResponse(repairPrompt(context.type, fullPrompt, output, first.errors), { ...context, repair: true }, options);
+    const second = parseStructuredOutput(context.type, repaired);
+    if (!second.errors.length) return second.data;
+
+    throw aiRequestError(`The AI response did not match the expected format (${second.errors.slice(0, 2).join('; ')})`, { retryable: false });
+  }
+
   // Generate follow-up questions for a stage
   async generateFollowUpQuestions(stageId, existingQuestions, customerNotes = '') {
     const stage = SALES_CYCLE_DATA.stages.find(s => s.id === stageId);
@@ -126,8 +321,7 @@ class AIIntegration {
       industry: SALES_CYCLE_DATA.industry
     };
 
-    const response = await this.generateResponse(prompt, context);
-    return this.parseFollowUpQuestions(response);
+    return this.generateStructured(prompt, context);
   }
 
   // Generate objection responses
@@ -139,139 +333,62 @@ class AIIntegration {
       ...context
     };
 
-    const response = await this.generateResponse(prompt, contextData);
-    return response;
+    return this.generateStructured(prompt, contextData);
   }
 
-  // Generate contextual insights
-  async generateInsights(customerData, stageId) {
-    const stage = SALES_CYCLE_DATA.stages.find(s => s.id === stageId);
-    const prompt = this.buildInsightsPrompt(customerData, stage);
-    const context = {
-      type: 'customer_insights',
-      stage: stageId,
-      industry: SALES_CYCLE_DATA.industry
-    };
-
-    const response = await this.generateResponse(prompt, context);
-    return response;
+  // Continue a conversation. `messages` is the history ({ role: 'user' | 'assistant', content }) ending
+  // with the rep's latest message; `system` sets the assistant up for the deal.
+  async generateChat(messages, system, context = {}, options = {}) {
+    return this.generateResponse(null, { type: 'deal_coach', ...context }, { ...options, messages, system });
   }
 
-  // Build prompts for different use cases
+  // Build prompts from the editable templates in js/prompt-templates.js
   buildFollowUpPrompt(stage, existingQuestions, customerNotes) {
-    return `You are an expert UiPath sales consultant. Generate 3-5 insightful follow-up questions for the ${stage.title} stage.
-
-Current stage context:
-${stage.title}
-
-Existing questions in this category:
-${Object.entries(existingQuestions).map(([category, questions]) => 
-  `${category}:\n${questions.map(q => `- ${q}`).join('\n')}`
-).join('\n\n')}
-
-Customer notes/context:
-${customerNotes || 'No additional context provided'}
-
-Industry: ${SALES_CYCLE_DATA.industry}
-
-Generate follow-up questions that:
-1. Are specific to ${SALES_CYCLE_DATA.industry} industry
-2. Build on the existing questions without repeating them
-3. Help uncover deeper insights about the customer's situation
-4. Are practical and actionable for a sales conversation
-5. Focus on UiPath's automation capabilities
-
-Format your response as a JSON array of question objects:
-[
-  {
-    "category": "Category Name",
-    "question": "The question text?",
-    "purpose": "Why this question helps in the sales process"
-  }
-]`;
+    return renderPrompt('followup_questions', promptVariables(stage, {
+      existingQuestions: formatExistingQuestions(existingQuestions),
+      notes: customerNotes
+    }));
   }
 
-  buildObjectionPrompt(objection, context) {
-    const stageContext = context.stage ? SALES_CYCLE_DATA.stages.find(s => s.id === context.stage) : null;
-    
-    return `You are an expert UiPath sales consultant. Provide a compelling response to this customer objection.
-
-Objection: "${objection}"
-
-Context:
-- Industry: ${SALES_CYCLE_DATA.industry}
-- Sales Stage: ${stageContext ? stageContext.title : 'Not specified'}
-- Customer Notes: ${context.customerNotes || 'None provided'}
-
-Your response should:
-1. Acknowledge the customer's concern
-2. Provide specific UiPath value propositions
-3. Include relevant ${SALES_CYCLE_DATA.industry} industry examples
-4. Be conversational and consultative, not pushy
-5. Offer next steps or questions to continue the dialogue
+  buildQuestionPrompt(question, context = {}) {
+    const stage = SALES_CYCLE_DATA.stages.find(s => s.id === context.stage);
+    return renderPrompt('question_response', promptVariables(stage, {
+      question,
+      notes: context.customerNotes
+    }));
+  }
 
-Keep the response concise but comprehensive (2-3 paragraphs maximum).`;
+  buildObjectionPrompt(objection, context = {}) {
+    const stage = SALES_CYCLE_DATA.stages.find(s => s.id === context.stage);
+    return renderPrompt('objection_response', promptVariables(stage, {
+      objection,
+      notes: context.customerNotes
+    }));
   }
 
   buildInsightsPrompt(customerData, stage) {
-    return `You are an expert UiPath sales consultant. Analyze this customer data and provide strategic insights for the ${stage.title} stage.
-
-Customer Data:
-${JSON.stringify(customerData, null, 2)}
-
-Current Stage: ${stage.title}
-Industry: ${SALES_CYCLE_DATA.industry}
+    return renderPrompt('customer_insights', promptVariables(stage, {
+      customerData: JSON.stringify(customerData, null, 2)
+    }));
+  }
 
-Provide insights on:
-1. Key opportunities based on their current situation
-2. Potential risks or challenges to address
-3. Recommended next steps for this stage
-4. Specific UiPath solutions that align with their needs
-5. Stakeholders who should be engaged
+  buildCallNotesPrompt(stage, { stageItems, transcript }) {
+    return renderPrompt('call_notes_import', promptVariables(stage, { stageItems, transcript }));
+  }
 
-Format as clear, actionable bullet points.`;
+  buildCoachSystemPrompt(stage, { persona, notes } = {}) {
+    return renderPrompt('deal_coach', promptVariables(stage, { persona, notes }));
   }
 
+  // Follow-up questions from a response, or [] when it does not match the schema
   parseFollowUpQuestions(response) {
-    try {
-      // Try to parse as JSON first
-      const parsed = JSON.parse(response.replace(/```json\n?|\n?```/g, ''));
-      if (Array.isArray(parsed)) {
-        return parsed;
-      }
-    } catch (e) {
-      // If JSON parsing fails, extract questions from text
-      const questions = [];
-      const lines = response.split('\n').filter(line => line.trim());
-      
-      let currentCategory = '';
-      lines.forEach(line => {
-        if (line.includes(':') && !line.startsWith('-') && !line.startsWith('•')) {
-          currentCategory = line.split(':')[0].trim();
-        } else if (line.match(/^[-•]\s+.+\?/)) {
-          const questionText = line.replace(/^[-•]\s+/, '').trim();
-          questions.push({
-            category: currentCategory || 'Follow-up Questions',
-            question: questionText,
-            purpose: 'Uncover deeper insights'
-          });
-        }
-      });
-      
-      return questions;
-    }
-    
-    return [];
+    const { data, errors } = parseStructuredOutput('followup_questions', response);
+    return errors.length ? [] : data;
   }
 
   // Test connection to AI provider
   async testConnection(provider = null) {
     const testProvider = provider || this.config.selectedProvider;
-    const apiKey = this.config.apiKeys[testProvider];
-    
-    if (!apiKey) {
-      return { success: false, error: 'No API key configured' };
-    }
 
     try {
       const testPrompt = 'Respond with "Connection successful" if you receive this message.';
@@ -280,7 +397,7 @@ Format as clear, actionable bullet points.`;
         model: this.config.models[testProvider],
         temperature: 0.1,
         maxTokens: 50,
-        apiKey
+        ...await this.requestOptions(testProvider)
       });
 
       return { 
@@ -298,56 +415,426 @@ Format as clear, actionable bullet points.`;
   }
 }
 
+// Stopping a request rejects fetch with an AbortError; providers report it as `aborted`
+function stoppedError() {
+  const stopped = new Error('Response stopped');
+  stopped.aborted = true;
+  stopped.retryable = false;
+  return stopped;
+}
+
+// Read an HTTP error response, preferring the message in its JSON body
+async function responseError(response, prefix) {
+  let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
+  try {
+    const body = await response.json();
+    errorMessage = body.error?.message || (typeof body.error === 'string' ? body.error : '') || errorMessage;
+  } catch (e) {
+    // If response is not JSON, use the status text
+  }
+  return aiRequestError(`${prefix}: ${errorMessage}`, {
+    status: response.status,
+    retryAfter: parseFloat(response.headers?.get('retry-after')) * 1000
+  });
+}
+
+
+// Read a server-sent event stream, calling onEvent with each event's parsed JSON data
+async function readServerSentEvents(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    const data = block.split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trim())
+      .join('\n');
+    if (data && data !== '[DONE]') onEvent(JSON.parse(data));
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(dispatch);
+  }
+  if (buffer.trim()) dispatch(buffer);
+}
+
+// Read a newline-delimited JSON stream (as Ollama sends), calling onLine with each parsed line
+async function readJsonLines(body, onLine) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.filter(line => line.trim()).forEach(line => onLine(JSON.parse(line)));
+  }
+  if (buffer.trim()) onLine(JSON.parse(buffer));
+}
+
+// A single prompt is sent as one user message; a conversation sends its whole history
+const providerMessages = ({ prompt, messages }) => messages || [{ role: 'user', content: prompt }];
+
+// Errors carry `status` and `retryable` so the request queue can decide whether to try again
+function aiRequestError(message, { status, retryable, retryAfter } = {}) {
+  const error = new Error(message);
+  if (status !== undefined) error.status = status;
+  error.retryable = retryable ?? (status === 0 || [408, 429].includes(status) || status >= 500);
+  if (retryAfter > 0) error.retryAfter = retryAfter;
+  return error;
+}
 
 // Claude (Anthropic) Provider
 class ClaudeProvider {
-  async generate({ prompt, context, model, temperature, maxTokens, apiKey }) {
+  // With `onToken`, the response is streamed and onToken(delta, textSoFar) is called as text arrives.
+  // `signal` aborts the request; the error then has `aborted: true`.
+  // With `endpoint` (the local proxy), no API key is sent from the browser.
+  // `onUsage({ inputTokens, outputTokens })` receives the token usage the API reports.
+  // `messages` (a conversation history) replaces `prompt`, and `system` is sent as the system prompt.
+  async generate({ prompt, messages, system, context, model, temperature, maxTokens, apiKey, endpoint, clientId, onToken, onUsage, signal }) {
+    const stream = typeof onToken === 'function';
+
+    // Without the local proxy, the browser calls Anthropic directly, which it allows with the browser-access header
+    const url = endpoint || 'https://api.anthropic.com/v1/messages';
+    const headers = endpoint
+      ? { 'Content-Type': 'application/json', 'X-Guide-User': clientId }
+      : { 'Content-Type': 'application/json', 'x-api-key': apiKey, 'anthropic-version': '2023-06-01', 'anthropic-dangerous-direct-browser-access': 'true' };
+
     try {
-      // Add CORS proxy for browser requests - this is a workaround for CORS issues
-      const proxyUrl = 'https://corsproxy.io/?';
-      const targetUrl = 'https://api.anthropic.com/v1/messages';
-      
-      const response = await fetch(proxyUrl + encodeURIComponent(targetUrl), {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: model || 'claude-3-haiku-20240307',
-          max_tokens: maxTokens || 1000,
-          temperature: temperature || 0.7,
-          messages: [
-            {
-              role: 'user',
-              content: prompt
-            }
-          ]
-        })
-      });
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({
+            model: model || 'claude-3-haiku-20240307',
+            max_tokens: maxTokens || 1000,
+            temperature: temperature || 0.7,
+            stream,
+            ...(system && { system }),
+            messages: providerMessages({ prompt, messages })
+          }),
+          signal
+        });
+      } catch (fetchError) {
+        if (fetchError.name === 'AbortError') throw fetchError;
+        // Provide more helpful error messages
+        throw aiRequestError(endpoint
+          ? 'Network error: Unable to reach the local AI proxy.'
+          : 'Network error: Unable to reach Claude API. Check your connection, or run the local proxy (server/ai-proxy.mjs).', { status: 0 });
+      }
 
       if (!response.ok) {
-        let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-        try {
-          const error = await response.json();
-          errorMessage = error.error?.message || errorMessage;
-        } catch (e) {
-          // If response is not JSON, use the status text
-        }
-        throw new Error(`Claude API Error: ${errorMessage}`);
+        throw await responseError(response, 'Claude API Error');
+      }
+
+      if (stream && response.body?.getReader) {
+        return await this.readStream(response.body, onToken, onUsage);
       }
 
       const data = await response.json();
-      return data.content[0].text;
-      
-    } catch (fetchError) {
-      // Provide more helpful error messages
-      if (fetchError.message.includes('Failed to fetch') || fetchError.message.includes('network')) {
-        throw new Error('Network error: Unable to reach Claude API. This may be due to CORS restrictions or network connectivity issues. Consider setting up a backend proxy server.');
+      const text = data.content[0].text;
+      if (data.usage) onUsage?.({ inputTokens: data.usage.input_tokens || 0, outputTokens: data.usage.output_tokens || 0 });
+      if (stream) onToken(text, text);
+      return text;
+    } catch (error) {
+      if (error.name === 'AbortError') throw stoppedError();
+      throw error;
+    }
+  }
+
+  // Collect text deltas from the Messages API event stream. Input tokens arrive with
+  // message_start and the output total with message_delta.
+  async readStream(body, onToken, onUsage) {
+    let text = '';
+    await readServerSentEvents(body, (event) => {
+      if (event.type === 'message_start' && event.message?.usage) {
+        onUsage?.({ inputTokens: event.message.usage.input_tokens || 0 });
+      } else if (event.type === 'message_delta' && event.usage) {
+        onUsage?.({ outputTokens: event.usage.output_tokens || 0 });
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        text += event.delta.text;
+        onToken(event.delta.text, text);
+      } else if (event.type === 'error') {
+        // Overloaded and rate-limit errors can arrive mid-stream
+        const type = event.error?.type;
+        throw aiRequestError(`Claude API Error: ${event.error?.message || type}`, {
+          retryable: ['overloaded_error', 'rate_limit_error', 'api_error'].includes(type)
+        });
+      }
+    });
+    return text;
+  }
+}
+
+// OpenAI-compatible chat completions provider: OpenAI, Azure OpenAI and self-hosted servers such as vLLM.
+// `endpoint` is the full chat completions URL; `apiKey` is optional for servers that do not need one.
+class OpenAICompatibleProvider {
+  async generate({ prompt, messages, system, model, temperature, maxTokens, apiKey, endpoint, onToken, onUsage, signal }) {
+    const stream = typeof onToken === 'function';
+    const reportUsage = usage => usage && onUsage?.({ inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 });
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      // Azure OpenAI takes the key in its own header
+      if (/\.openai\.azure\.com\//i.test(endpoint)) headers['api-key'] = apiKey;
+      else headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    try {
+      let response;
+      try {
+        response = await fetch(endpoint, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({
+            model,
+            max_tokens: maxTokens || 1000,
+            temperature: temperature ?? 0.7,
+            stream,
+            messages: [...(system ? [{ role: 'system', content: system }] : []), ...providerMessages({ prompt, messages })]
+          }),
+          signal
+        });
+      } catch (fetchError) {
+        if (fetchError.name === 'AbortError') throw fetchError;
+        throw aiRequestError(`Network error: Unable to reach ${endpoint}. Check the endpoint and that it allows requests from this page (CORS).`, { status: 0 });
+      }
+
+      if (!response.ok) {
+        throw await responseError(response, 'OpenAI API Error');
       }
-      throw fetchError;
+
+      if (stream && response.body?.getReader) {
+        let text = '';
+        await readServerSentEvents(response.body, (event) => {
+          if (event.error) {
+            throw aiRequestError(`OpenAI API Error: ${event.error.message || event.error}`, { retryable: false });
+          }
+          // Only some servers include usage in a stream (in the last event)
+          reportUsage(event.usage);
+          const delta = event.choices?.[0]?.delta?.content;
+          if (delta) {
+            text += delta;
+            onToken(delta, text);
+          }
+        });
+        return text;
+      }
+
+      const data = await response.json();
+      const text = data.choices?.[0]?.message?.content || '';
+      reportUsage(data.usage);
+      if (stream) onToken(text, text);
+      return text;
+    } catch (error) {
+      if (error.name === 'AbortError') throw stoppedError();
+      throw error;
+    }
+  }
+}
+
+// Local models served by Ollama (`/api/chat`). Nothing leaves the machine, so no key is needed.
+// The page's origin must be allowed by Ollama, e.g. OLLAMA_ORIGINS=http://localhost:8080.
+class OllamaProvider {
+  async generate({ prompt, messages, system, model, temperature, maxTokens, endpoint, onToken, onUsage, signal }) {
+    const stream = typeof onToken === 'function';
+    // The final message carries the token counts
+    const reportUsage = data => data.done && onUsage?.({ inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 });
+
+    try {
+      let response;
+      try {
+        response = await fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            model,
+            stream,
+            messages: [...(system ? [{ role: 'system', content: system }] : []), ...providerMessages({ prompt, messages })],
+            options: { temperature: temperature ?? 0.7, num_predict: maxTokens || 1000 }
+          }),
+          signal
+        });
+      } catch (fetchError) {
+        if (fetchError.name === 'AbortError') throw fetchError;
+        throw aiRequestError(`Network error: Unable to reach Ollama at ${endpoint}. Check that it is running and that OLLAMA_ORIGINS allows this page.`, { status: 0 });
+      }
+
+      if (!response.ok) {
+        throw await responseError(response, 'Ollama Error');
+      }
+
+      if (stream && response.body?.getReader) {
+        let text = '';
+        await readJsonLines(response.body, (line) => {
+          if (line.error) throw aiRequestError(`Ollama Error: ${line.error}`, { retryable: false });
+          reportUsage(line);
+          const delta = line.message?.content;
+          if (delta) {
+            text += delta;
+            onToken(delta, text);
+          }
+        });
+        return text;
+      }
+
+      const data = await response.json();
+      const text = data.message?.content || '';
+      reportUsage(data);
+      if (stream) onToken(text, text);
+      return text;
+    } catch (error) {
+      if (error.name === 'AbortError') throw stoppedError();
+      throw error;
+    }
+  }
+}
+
+
+// Canned responses by request type. They depend only on the request, so demos and tests are repeatable,
+// and each one matches its output schema in js/ai-output.js.
+const mockStageTitle = stageId => String(SALES_CYCLE_DATA.stages.find(s => s.id === stageId)?.title || 'this')
+  .replace(/<[^>]*>/g, '');
+
+const MOCK_AI_RESPONSES = {
+  followup_questions: ({ stage, industry }) => [
+    {
+      category: 'Process Landscape',
+      question: `Which ${industryLabel(industry)} processes take the most manual effort in your team today?`,
+      purpose: `Finds the first automation candidates for the ${mockStageTitle(stage)} stage`
+    },
+    {
+      category: 'Business Impact',
+      question: 'How do you measure the cost of those processes, and who reports on it?',
+      purpose: 'Ties automation to metrics the economic buyer already tracks'
+    },
+    {
+      category: 'Decision Process',
+      question: 'Who else needs to be involved before a project like this is approved?',
+      purpose: 'Maps stakeholders and the approval path early'
+    }
+  ],
+
+  question_response: ({ question, customerNotes }) => ({
+    acknowledge: customerNotes
+      ? `Thanks for sharing that: "${customerNotes}" is a clear signal of where automation can help.`
+      : 'That is a helpful starting point for understanding where automation can help.',
+    insight: 'UiPath combines robots, AI and process mining, so teams usually start with one well-understood process and expand from there.',
+    followUpQuestions: [
+      `Going deeper on "${question}": which steps still depend on manual hand-offs?`,
+      'How often do exceptions happen, and who handles them?',
+      'What would success look like in six months?'
+    ]
+  }),
+
+  objection_response: ({ objection, industry }) => ({
+    acknowledge: `I understand the concern about "${objection}", and it is one we hear often from ${industryLabel(industry)} teams.`,
+    reframe: 'Automation is usually what frees the capacity for other priorities, rather than competing with them.',
+    proof: 'Customers in a similar position typically start with a focused pilot that proves value within weeks, with governance and security built in from day one.',
+    nextStep: 'Would it help to review a comparable case study together and agree on the success criteria for a pilot?'
+  }),
+
+  customer_insights: ({ stage }) => ({
+    opportunities: [`Repetitive, rules-based work suited to automation in the ${mockStageTitle(stage)} stage`],
+    risks: ['No executive sponsor is confirmed yet'],
+    nextSteps: ['Agree a pilot process and success metrics with the champion'],
+    solutions: ['UiPath Automation Cloud with Document Understanding'],
+    stakeholders: ['IT security', 'Process owners', 'Finance']
+  }),
+
+  // The stage's first question and objection, one new objection and its first exit criterion
+  call_notes_import: ({ stage: stageId }) => {
+    const stage = SALES_CYCLE_DATA.stages.find(s => s.id === stageId);
+    const question = Object.values(stage?.questions || {}).flat()[0];
+    const objection = stage?.objections?.[0];
+    const outcome = stage?.outcomes?.[0];
+    return {
+      answers: question ? [{ questionId: question.id, notes: 'Invoices are matched by hand across three ERPs, and month-end close takes 9 days.' }] : [],
+      objections: [
+        ...(objection ? [{ objectionId: objection.id, objection: String(objection.q).replace(/<[^>]*>/g, ''), customerResponse: 'The team is busy with other projects until Q3.' }] : []),
+        { objection: 'Security review', customerResponse: 'IT wants to know where the robots run before going further.' }
+      ],
+      outcomes: outcome ? [{ outcomeId: outcome.id, evidence: 'The CFO agreed that close time is the priority this year.' }] : []
+    };
+  },
+
+  // Plain text, not JSON: the chat has no output schema
+  deal_coach: ({ stage, messages = [] }) => {
+    const asked = messages.filter(m => m.role === 'user');
+    return [
+      `On "${asked[asked.length - 1]?.content || ''}" for the ${mockStageTitle(stage)} stage:`,
+      '',
+      '- Lead with the business outcome the customer cares about, then the automation that gets them there.',
+      '- Ask who else is affected, and what it costs them today.',
+      asked.length > 1 ? `- This builds on the ${asked.length - 1} earlier question${asked.length > 2 ? 's' : ''} in this conversation.` : '- Ask me to shorten this or tailor it to another persona.'
+    ].join('\n');
+  }
+};
+MOCK_AI_RESPONSES.objection_handling = MOCK_AI_RESPONSES.objection_response;
+
+// Injected errors look like the real ones, so queue retries and error states can be exercised.
+// 'invalid' answers with text that fails schema validation, to exercise the repair request.
+const MOCK_INVALID_OUTPUT = 'Sure! Here are a few thoughts, though not in the format you asked for.';
+const MOCK_AI_ERRORS = {
+  401: () => aiRequestError('Mock API Error: Invalid API key (simulated 401)', { status: 401 }),
+  429: () => aiRequestError('Mock API Error: Rate limit exceeded (simulated 429)', { status: 429, retryAfter: 1000 }),
+  500: () => aiRequestError('Mock API Error: Internal server error (simulated 500)', { status: 500 }),
+  network: () => aiRequestError('Network error: Unable to reach the mock AI provider (simulated).', { status: 0 })
+};
+
+const MOCK_TOKEN_DELAY = 15;
+
+// Resolves after `ms`, or rejects as stopped when the signal aborts first
+function mockDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(stoppedError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(stoppedError());
+    }, { once: true });
+  });
+}
+
+// Mock provider: answers from MOCK_AI_RESPONSES by `context.type` without any network or key
+class MockProvider {
+  constructor() {
+    this.failed = 0;
+  }
+
+  async generate({ context = {}, messages, mock = AI_MOCK_DEFAULTS, onToken, signal }) {
+    const { latency = 0, error, failures = 0 } = mock;
+    await mockDelay(latency, signal);
+
+    const failing = (MOCK_AI_ERRORS[error] || error === 'invalid') && (!failures || this.failed < failures);
+    if (failing) this.failed += 1;
+    if (failing && error !== 'invalid') throw MOCK_AI_ERRORS[error]();
+
+    const respond = MOCK_AI_RESPONSES[context.type];
+    const answer = respond?.({ ...context, messages });
+    const text = failing ? MOCK_INVALID_OUTPUT
+      : typeof answer === 'string' ? answer
+      : answer ? JSON.stringify(answer, null, 2) : 'Connection successful';
+    if (typeof onToken !== 'function') return text;
+
+    // Stream word by word, like the real providers
+    let sent = '';
+    for (const token of text.match(/\S+\s*|\s+/g) || []) {
+      if (latency) await mockDelay(MOCK_TOKEN_DELAY, signal);
+      else if (signal?.aborted) throw stoppedError();
+      sent += token;
+      onToken(token, sent);
     }
+    return text;
   }
 }
 
@@ -363,5 +850,14 @@ function initializeAI() {
 
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { AIIntegration, ClaudeProvider };
+  module.exports = {
+    AIIntegration,
+    AI_PROVIDERS,
+    ClaudeProvider,
+    OpenAICompatibleProvider,
+    OllamaProvider,
+    MockProvider,
+    readServerSentEvents,
+    readJsonLines
+  };
 }
\ No newline at end of file
@@ -0,0 +1,296 @@
+// Structured AI Output for UiPath Sales Cycle Guide
+// Each AI feature declares an output schema; responses are validated against it and rendered section by section
+
+const stringField = { type: 'string', minLength: 1 };
+const stringList = (minItems, maxItems) => ({ type: 'array', minItems, maxItems, items: stringField });
+
+// A small JSON Schema subset: type, required, properties, items, minItems, maxItems and minLength
+const AI_OUTPUT_SCHEMAS = {
+  followup_questions: {
+    type: 'array',
+    minItems: 1,
+    maxItems: 8,
+    items: {
+      type: 'object',
+      required: ['category', 'question', 'purpose'],
+      properties: { category: stringField, question: stringField, purpose: stringField }
+    }
+  },
+  question_response: {
+    type: 'object',
+    required: ['acknowledge', 'insight', 'followUpQuestions'],
+    properties: { acknowledge: stringField, insight: stringField, followUpQuestions: stringList(1, 4) }
+  },
+  objection_response: {
+    type: 'object',
+    required: ['acknowledge', 'reframe', 'proof', 'nextStep'],
+    properties: { acknowledge: stringField, reframe: stringField, proof: stringField, nextStep: stringField }
+  },
+  customer_insights: {
+    type: 'object',
+    required: ['opportunities', 'risks', 'nextSteps', 'solutions', 'stakeholders'],
+    properties: {
+      opportunities: stringList(1, 6),
+      risks: stringList(1, 6),
+      nextSteps: stringList(1, 6),
+      solutions: stringList(1, 6),
+      stakeholders: stringList(1, 6)
+    }
+  },
+  // Suggestions from a call transcript, by the IDs listed in the prompt. Any list may be empty.
+  call_notes_import: {
+    type: 'object',
+    required: ['answers', 'objections', 'outcomes'],
+    properties: {
+      answers: {
+        type: 'array',
+        maxItems: 40,
+        items: { type: 'object', required: ['questionId', 'notes'], properties: { questionId: stringField, notes: stringField } }
+      },
+      objections: {
+        type: 'array',
+        maxItems: 10,
+        items: {
+          type: 'object',
+          required: ['objection', 'customerResponse'],
+          properties: { objectionId: { type: 'string' }, objection: stringField, customerResponse: stringField }
+        }
+      },
+      outcomes: {
+        type: 'array',
+        maxItems: 20,
+        items: { type: 'object', required: ['outcomeId', 'evidence'], properties: { outcomeId: stringField, evidence: stringField } }
+      }
+    }
+  }
+};
+AI_OUTPUT_SCHEMAS.objection_handling = AI_OUTPUT_SCHEMAS.objection_response;
+
+// Shown to the model with the schema, since an example is what smaller models follow best
+const AI_OUTPUT_EXAMPLES = {
+  followup_questions: [
+    { category: 'Pain & Impact', question: 'Which step in this process causes the most rework today?', purpose: 'Locates the costliest manual step' }
+  ],
+  question_response: {
+    acknowledge: 'It sounds like month-end close is stretched by manual reconciliation.',
+    insight: 'UiPath robots can match invoices across ERPs and route only the exceptions to your team.',
+    followUpQuestions: ['How many invoices need manual matching each month?', 'Who owns the exceptions today?']
+  },
+  objection_response: {
+    acknowledge: 'That is a fair concern, and timing matters with so much already in flight.',
+    reframe: 'Automation can free capacity for those projects rather than compete with them.',
+    proof: 'A regional bank automated account opening in six weeks and redeployed four FTEs to its core migration.',
+    nextStep: 'Could we pick one process and size the effort together next week?'
+  },
+  customer_insights: {
+    opportunities: ['Invoice matching is manual across three ERPs'],
+    risks: ['No executive sponsor identified yet'],
+    nextSteps: ['Agree success metrics for a pilot'],
+    solutions: ['UiPath Document Understanding'],
+    stakeholders: ['Finance operations lead']
+  },
+  call_notes_import: {
+    answers: [{ questionId: 'discovery-q1', notes: 'Invoice matching is manual across three ERPs; month-end close takes 9 days.' }],
+    objections: [
+      { objectionId: 'discovery-obj1', objection: 'We are focused on another GenAI tool', customerResponse: 'Their Copilot rollout takes priority until Q3.' },
+      { objection: 'Security review', customerResponse: 'IT wants to know where the robots run before going further.' }
+    ],
+    outcomes: [{ outcomeId: 'discovery-o1', evidence: 'The CFO agreed that close time is the priority this year.' }]
+  }
+};
+AI_OUTPUT_EXAMPLES.objection_handling = AI_OUTPUT_EXAMPLES.objection_response;
+
+// Section labels, in display order
+const AI_OUTPUT_SECTIONS = {
+  question_response: [['acknowledge', 'Acknowledge'], ['insight', 'UiPath Insight'], ['followUpQuestions', 'Follow-up Questions']],
+  objection_response: [['acknowledge', 'Acknowledge'], ['reframe', 'Reframe'], ['proof', 'Proof Point'], ['nextStep', 'Next Step']],
+  customer_insights: [
+    ['opportunities', 'Opportunities'], ['risks', 'Risks'], ['nextSteps', 'Next Steps'],
+    ['solutions', 'UiPath Solutions'], ['stakeholders', 'Stakeholders']
+  ]
+};
+AI_OUTPUT_SECTIONS.objection_handling = AI_OUTPUT_SECTIONS.objection_response;
+
+// ---------- VALIDATION ----------
+const jsonTypeOf = value => Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+// Returns a list of problems, empty when the value matches
+function validateAgainstSchema(value, schema, path = 'response') {
+  if (jsonTypeOf(value) !== schema.type) {
+    return [`${path} should be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+  }
+
+  const errors = [];
+  if (schema.type === 'string' && value.trim().length < (schema.minLength || 0)) {
+    errors.push(`${path} should not be empty`);
+  }
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${path} should have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems && value.length > schema.maxItems) errors.push(`${path} should have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+  }
+  if (schema.type === 'object') {
+    (schema.required || []).filter(key => !(key in value)).forEach(key => errors.push(`${path}.${key} is missing`));
+    Object.entries(schema.properties || {})
+      .filter(([key]) => key in value)
+      .forEach(([key, propertySchema]) => errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`)));
+  }
+  return errors;
+}
+
+// Index of the bracket that closes the one at `start`, skipping brackets inside strings; -1 if it never closes
+function closingBracketIndex(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i += 1;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '[' || char === '{') {
+      depth += 1;
+    } else if ((char === ']' || char === '}') && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Pull the JSON out of a response, preferring a fenced block and ignoring any text around it.
+// The text may hold brackets of its own ("Sure [note]: {...}"), so each opening bracket is tried in turn.
+function extractJson(text) {
+  const raw = String(text || '');
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  let parseError = null;
+  for (const candidate of fenced ? [fenced[1], raw] : [raw]) {
+    for (const { index: start } of candidate.matchAll(/[[{]/g)) {
+      const end = closingBracketIndex(candidate, start);
+      if (end === -1) {
+        parseError = parseError || new Error('response ends before its JSON is complete');
+        continue;
+      }
+      try {
+        return JSON.parse(candidate.slice(start, end + 1));
+      } catch (e) {
+        parseError = parseError || e;
+      }
+    }
+  }
+  throw parseError || new Error('response contains no JSON');
+}
+
+// Parse and validate a response. Returns { data, errors }; `data` is only usable when errors is empty.
+function parseStructuredOutput(type, text) {
+  const schema = AI_OUTPUT_SCHEMAS[type];
+  let data;
+  try {
+    data = extractJson(text);
+  } catch (e) {
+    return { data: null, errors: [`Invalid JSON: ${e.message}`] };
+  }
+
+  // Models often wrap a list in an object such as { "questions": [...] }
+  if (schema.type === 'array' && jsonTypeOf(data) === 'object') {
+    const lists = Object.values(data).filter(Array.isArray);
+    if (lists.length === 1) data = lists[0];
+  }
+  return { data, errors: validateAgainstSchema(data, schema) };
+}
+
+// ---------- PROMPTS ----------
+// Appended to every prompt for a feature with a schema, so templates only describe the task and tone
+function schemaInstructions(type) {
+  return `Respond with only valid JSON (no code fences, no commentary) matching this JSON Schema:
+${JSON.stringify(AI_OUTPUT_SCHEMAS[type])}
+
+Example response (showing the shape only; write your own content):
+${JSON.stringify(AI_OUTPUT_EXAMPLES[type], null, 2)}`;
+}
+
+function repairPrompt(type, prompt, output, errors) {
+  return `${prompt}
+
+---
+Your previous response did not match the required format.
+
+Problems:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+Previous response:
+${output}
+
+Rewrite it as corrected JSON, keeping its content where possible.
+
+${schemaInstructions(type)}`;
+}
+
+// ---------- STREAMING ----------
+// JSON string contents, tolerating a value that has not been closed yet
+function decodeJsonString(raw) {
+  const complete = raw.replace(/\\(u[0-9a-fA-F]{0,3})?$/, '');
+  try {
+    return JSON.parse(`"${complete}"`);
+  } catch (e) {
+    return complete;
+  }
+}
+
+// The fields of an object response that have arrived so far (string fields may still be growing)
+function partialStructuredOutput(type, text) {
+  const schema = AI_OUTPUT_SCHEMAS[type];
+  const partial = {};
+  if (schema?.type !== 'object') return partial;
+
+  Object.entries(schema.properties).forEach(([key, property]) => {
+    if (property.type === 'string') {
+      const match = text.match(new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`));
+      if (match) partial[key] = decodeJsonString(match[1]);
+    } else if (property.type === 'array') {
+      const match = text.match(new RegExp(`"${key}"\\s*:\\s*\\[([^\\]]*)`));
+      if (match) partial[key] = [...match[1].matchAll(/"((?:[^"\\]|\\.)*)"/g)].map(m => decodeJsonString(m[1]));
+    }
+  });
+  return partial;
+}
+
+// ---------- RENDERING ----------
+function structuredOutputHtml(type, data) {
+  return `
+    <div class="ai-structured space-y-3">${(AI_OUTPUT_SECTIONS[type] || [])
+      .filter(([key]) => data[key] !== undefined && data[key] !== '')
+      .map(([key, label]) => `
+      <div class="ai-structured-section" data-section="${key}">
+        <p class="text-xs font-semibold uppercase tracking-wide text-gray-500">${label}</p>
+        ${Array.isArray(data[key])
+          ? `<ul class="list-disc ml-5 space-y-1">${data[key].map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+          : `<p>${escapeHtml(data[key])}</p>`}
+      </div>`).join('')}
+    </div>`;
+}
+
+// Plain text version, used for exports and copied notes
+function structuredOutputText(type, data) {
+  return (AI_OUTPUT_SECTIONS[type] || [])
+    .filter(([key]) => data[key] !== undefined && data[key] !== '')
+    .map(([key, label]) => Array.isArray(data[key])
+      ? `${label}:\n${data[key].map(item => `- ${item}`).join('\n')}`
+      : `${label}: ${data[key]}`)
+    .join('\n\n');
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AI_OUTPUT_SCHEMAS,
+    validateAgainstSchema,
+    extractJson,
+    parseStructuredOutput,
+    schemaInstructions,
+    repairPrompt,
+    partialStructuredOutput,
+    structuredOutputHtml,
+    structuredOutputText
+  };
+}
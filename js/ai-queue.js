@@ -0,0 +1,266 @@
+// AI Request Queue for UiPath Sales Cycle Guide
+// Persists AI requests and retries them with exponential backoff, so answers still arrive on flaky connections
+
+const AI_QUEUE_KEY = 'uipathSalesGuideAIQueue';
+const AI_QUEUE_CONCURRENCY = 2;
+const AI_QUEUE_MAX_ATTEMPTS = 6;
+const AI_QUEUE_BASE_DELAY = 2000;
+const AI_QUEUE_MAX_DELAY = 60000;
+
+// Network failures, timeouts, rate limits and server errors are worth retrying; bad keys and bad requests are not
+function isRetryableAIError(error) {
+  if (typeof error?.retryable === 'boolean') return error.retryable;
+  const status = error?.status;
+  return status === 0 || status === 408 || status === 429 || status >= 500;
+}
+
+// Exponential backoff with a little jitter, never sooner than the server's Retry-After
+function aiRetryDelay(attempts, retryAfter = 0) {
+  const exponential = Math.min(AI_QUEUE_MAX_DELAY, AI_QUEUE_BASE_DELAY * 2 ** Math.max(0, attempts - 1));
+  return Math.max(retryAfter, Math.round(exponential * (1 + Math.random() * 0.2)));
+}
+
+const isBrowserOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+// Jobs are plain data (prompt, context and the slot the answer belongs to) so they survive reloads.
+// `execute(job, { signal, onToken })` performs the request. Listeners hear 'update', 'token' (with the
+// text so far), 'complete', 'failed', 'cancel' and 'stopped' (with any text received before the stop).
+class AIRequestQueue {
+  constructor({ execute, storage = localStorage, concurrency = AI_QUEUE_CONCURRENCY, maxAttempts = AI_QUEUE_MAX_ATTEMPTS } = {}) {
+    this.execute = execute;
+    this.storage = storage;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.listeners = [];
+    this.running = new Set();
+    this.controllers = new Map();
+    this.timer = null;
+
+    // Requests that were in flight when the page closed start again
+    this.jobs = this.load().map(job => job.status === 'running' ? { ...job, status: 'pending' } : job);
+    this.save();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(this.storage.getItem(AI_QUEUE_KEY));
+      if (Array.isArray(saved)) return saved;
+    } catch (e) {
+      console.error('Error reading AI request queue:', e);
+    }
+    return [];
+  }
+
+  save() {
+    if (this.jobs.length) this.storage.setItem(AI_QUEUE_KEY, JSON.stringify(this.jobs));
+    else this.storage.removeItem(AI_QUEUE_KEY);
+  }
+
+  subscribe(listener) {
+    this.listeners.push(listener);
+  }
+
+  emit(event, job, result) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, job, result);
+      } catch (e) {
+        console.error('AI queue listener error:', e);
+      }
+    });
+  }
+
+  // One request per slot: a new request replaces one still waiting for the same slot
+  enqueue(request) {
+    const inFlight = this.jobs.find(j => j.slot === request.slot && this.running.has(j.id));
+    if (inFlight) return inFlight;
+
+    const job = {
+      ...request,
+      id: `ai-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: 0,
+      error: null,
+      createdAt: new Date().toISOString()
+    };
+    this.jobs = [...this.jobs.filter(j => j.slot !== request.slot), job];
+    this.save();
+    this.emit('update', job);
+    this.pump();
+    return job;
+  }
+
+  retry(jobId) {
+    const job = this.jobs.find(j => j.id === jobId);
+    if (!job || this.running.has(jobId)) return;
+    Object.assign(job, { status: 'pending', attempts: 0, nextAttemptAt: 0, error: null });
+    this.save();
+    this.emit('update', job);
+    this.pump();
+  }
+
+  cancel(jobId) {
+    const job = this.jobs.find(j => j.id === jobId);
+    if (!job || this.running.has(jobId)) return;
+    this.jobs = this.jobs.filter(j => j.id !== jobId);
+    this.save();
+    this.emit('cancel', job);
+  }
+
+  // Abort a request that is in flight
+  stop(jobId) {
+    this.controllers.get(jobId)?.abort();
+  }
+
+  // Start due jobs up to the concurrency limit and wake up again when the next backoff ends
+  pump() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!isBrowserOnline()) return;
+
+    const now = Date.now();
+    const waiting = this.jobs.filter(j => j.status === 'pending' && !this.running.has(j.id));
+    waiting
+      .filter(j => j.nextAttemptAt <= now)
+      .slice(0, Math.max(0, this.concurrency - this.running.size))
+      .forEach(job => this.run(job));
+
+    const later = waiting.filter(j => j.nextAttemptAt > now).map(j => j.nextAttemptAt);
+    if (later.length) this.timer = setTimeout(() => this.pump(), Math.min(...later) - now);
+  }
+
+  async run(job) {
+    const controller = new AbortController();
+    let partial = '';
+    this.running.add(job.id);
+    this.controllers.set(job.id, controller);
+    job.status = 'running';
+    job.attempts += 1;
+    this.save();
+    this.emit('update', job);
+
+    try {
+      const result = await this.execute(job, {
+        signal: controller.signal,
+        onToken: (delta, text) => {
+          partial = text;
+          this.emit('token', job, text);
+        }
+      });
+      this.jobs = this.jobs.filter(j => j.id !== job.id);
+      this.save();
+      this.emit('complete', job, result);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        this.jobs = this.jobs.filter(j => j.id !== job.id);
+        this.save();
+        this.emit('stopped', job, partial);
+        return;
+      }
+      job.error = error.message;
+      if (isRetryableAIError(error) && job.attempts < this.maxAttempts) {
+        job.status = 'pending';
+        job.nextAttemptAt = Date.now() + aiRetryDelay(job.attempts, error.retryAfter);
+      } else {
+        job.status = 'failed';
+      }
+      this.save();
+      this.emit(job.status === 'failed' ? 'failed' : 'update', job);
+    } finally {
+      this.running.delete(job.id);
+      this.controllers.delete(job.id);
+      this.pump();
+    }
+  }
+}
+
+// ---------- QUEUE INDICATOR ----------
+let aiQueue = null;
+
+function aiJobStatusText(job) {
+  if (job.status === 'running') return 'Generating…';
+  if (job.status === 'failed') return `Failed: ${escapeHtml(job.error)}`;
+  if (!isBrowserOnline()) return 'Waiting for a connection';
+  if (job.nextAttemptAt > Date.now()) {
+    return `Retrying at ${new Date(job.nextAttemptAt).toLocaleTimeString()} (attempt ${job.attempts + 1} of ${AI_QUEUE_MAX_ATTEMPTS})`;
+  }
+  return 'Queued';
+}
+
+function renderAIQueueIndicator(event) {
+  if (event === 'token') return;
+  const wrapper = $('#ai-queue');
+  const indicator = $('#ai-queue-indicator');
+  const panel = $('#ai-queue-panel');
+  if (!wrapper || !indicator || !panel || !aiQueue) return;
+
+  const jobs = aiQueue.jobs;
+  const failed = jobs.filter(j => j.status === 'failed').length;
+  const waiting = jobs.length - failed;
+
+  wrapper.classList.toggle('hidden', !jobs.length);
+  if (!jobs.length) panel.classList.add('hidden');
+
+  const parts = [];
+  if (!isBrowserOnline()) parts.push('📴 Offline');
+  if (waiting) parts.push(`⏳ ${waiting} AI request${waiting === 1 ? '' : 's'} queued`);
+  if (failed) parts.push(`⚠️ ${failed} failed`);
+  indicator.textContent = parts.join(' · ');
+
+  panel.innerHTML = jobs.map(job => `
+    <div class="px-3 py-2 border-b last:border-b-0 text-sm" data-ai-job-id="${job.id}">
+      <p class="font-medium text-gray-800 truncate">${escapeHtml(job.label)}</p>
+      <p class="text-xs ${job.status === 'failed' ? 'text-red-600' : 'text-gray-500'}">${aiJobStatusText(job)}</p>
+      ${job.status === 'running' ? `
+      <div class="flex gap-2 mt-1">
+        <button type="button" class="text-xs text-red-700 hover:underline" data-ai-queue-stop="${job.id}">■ Stop</button>
+      </div>` : `
+      <div class="flex gap-2 mt-1">
+        <button type="button" class="text-xs text-blue-700 hover:underline" data-ai-queue-retry="${job.id}">Retry now</button>
+        <button type="button" class="text-xs text-gray-500 hover:text-red-600" data-ai-queue-cancel="${job.id}">Cancel</button>
+      </div>`}
+    </div>`).join('');
+}
+
+function initAIQueue(execute, listener) {
+  aiQueue = new AIRequestQueue({ execute });
+  aiQueue.subscribe(listener);
+  aiQueue.subscribe(renderAIQueueIndicator);
+
+  $('#ai-queue-indicator')?.addEventListener('click', () => {
+    const panel = $('#ai-queue-panel');
+    const isHidden = panel.classList.toggle('hidden');
+    $('#ai-queue-indicator').setAttribute('aria-expanded', String(!isHidden));
+  });
+
+  document.addEventListener('click', (e) => {
+    const retry = e.target.closest('[data-ai-queue-retry]');
+    const cancel = e.target.closest('[data-ai-queue-cancel]');
+    const stop = e.target.closest('[data-ai-queue-stop]');
+    if (retry) aiQueue.retry(retry.dataset.aiQueueRetry);
+    else if (stop) aiQueue.stop(stop.dataset.aiQueueStop);
+    else if (cancel) aiQueue.cancel(cancel.dataset.aiQueueCancel);
+    else if (!e.target.closest('#ai-queue')) $('#ai-queue-panel')?.classList.add('hidden');
+  });
+
+  // Pick up where we left off as soon as the connection returns
+  window.addEventListener('online', () => {
+    renderAIQueueIndicator();
+    aiQueue.pump();
+  });
+  window.addEventListener('offline', renderAIQueueIndicator);
+
+  renderAIQueueIndicator();
+  aiQueue.pump();
+  return aiQueue;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AIRequestQueue,
+    isRetryableAIError,
+    aiRetryDelay
+  };
+}
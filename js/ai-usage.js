@@ -0,0 +1,341 @@
+// AI Usage and Cost Tracking for UiPath Sales Cycle Guide
+// Logs every AI call locally (feature, stage, model, tokens, latency, outcome), totals it per day and
+// per feature with an estimated cost, and enforces an optional monthly budget
+
+const AI_USAGE_KEY = 'uipathSalesGuideAIUsage';
+const AI_PRICES_KEY = 'uipathSalesGuideAIPrices';
+const AI_BUDGET_KEY = 'uipathSalesGuideAIBudget';
+const MAX_AI_USAGE_ENTRIES = 2000;
+const AI_USAGE_DAYS_SHOWN = 14;
+
+// List prices in USD per million tokens. Edit them in Settings when prices or contracts change.
+const DEFAULT_AI_PRICES = {
+  'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 }
+};
+
+// Providers that run locally cost nothing, whatever the model
+const FREE_AI_PROVIDERS = ['ollama', 'mock'];
+
+const AI_USAGE_FEATURES = {
+  question_response: 'Question responses',
+  objection_response: 'Objection responses',
+  objection_handling: 'Objection responses',
+  followup_questions: 'Follow-up questions',
+  customer_insights: 'Customer insights',
+  deal_coach: 'Deal coach chat',
+  call_notes_import: 'Call notes import'
+};
+
+const AI_BUDGET_MODES = {
+  warn: 'Warn when reached',
+  block: 'Block further calls'
+};
+
+function readAIUsageSetting(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch (e) {
+    console.error(`Error reading ${key}:`, e);
+    return fallback;
+  }
+}
+
+// Rough token count for providers that do not report usage (about four characters per token)
+const estimateTokens = text => Math.ceil(String(text ?? '').length / 4);
+
+// ---------- USAGE LOG ----------
+function loadAIUsage() {
+  const log = readAIUsageSetting(AI_USAGE_KEY, []);
+  return Array.isArray(log) ? log : [];
+}
+
+// Drop the oldest entries beyond MAX_AI_USAGE_ENTRIES, but never from the current month: its spend
+// is what the budget is checked against
+function pruneAIUsage(log, month = aiUsageMonth()) {
+  const current = log.filter(entry => aiUsageDay(entry).startsWith(month));
+  const older = log.filter(entry => !aiUsageDay(entry).startsWith(month));
+  const room = Math.max(0, MAX_AI_USAGE_ENTRIES - current.length);
+  return [...(room ? older.slice(-room) : []), ...current];
+}
+
+// Record one AI call
+function recordAIUsage({ type, stage, provider, model, inputTokens = 0, outputTokens = 0, estimated = false, latencyMs = 0, success = true, error = '' }) {
+  const entry = {
+    at: new Date().toISOString(),
+    type: type || 'other',
+    stage: stage || '',
+    provider,
+    model: model || '',
+    inputTokens,
+    outputTokens,
+    estimated,
+    latencyMs,
+    success
+  };
+  if (!success) entry.error = error;
+
+  const log = pruneAIUsage([...loadAIUsage(), entry]);
+  try {
+    localStorage.setItem(AI_USAGE_KEY, JSON.stringify(log));
+  } catch (e) {
+    console.error('Error saving AI usage:', e);
+  }
+  renderAIUsagePanel();
+  return entry;
+}
+
+function clearAIUsage() {
+  localStorage.removeItem(AI_USAGE_KEY);
+}
+
+// ---------- PRICES ----------
+function getAIPrices() {
+  return { ...DEFAULT_AI_PRICES, ...readAIUsageSetting(AI_PRICES_KEY, {}) };
+}
+
+// Save prices for the models given, as { model: { input, output } } in USD per million tokens
+function saveAIPrices(prices) {
+  const saved = readAIUsageSetting(AI_PRICES_KEY, {});
+  Object.entries(prices).forEach(([model, { input, output }]) => {
+    if (!model || !(input >= 0) || !(output >= 0)) throw new Error(`Invalid price for ${model || 'a model'}`);
+    saved[model] = { input: Number(input), output: Number(output) };
+  });
+  localStorage.setItem(AI_PRICES_KEY, JSON.stringify(saved));
+}
+
+function resetAIPrices() {
+  localStorage.removeItem(AI_PRICES_KEY);
+}
+
+// Estimated cost of one logged call in USD, or null when its model has no price
+function aiUsageCost(entry, prices = getAIPrices()) {
+  if (FREE_AI_PROVIDERS.includes(entry.provider)) return 0;
+  const price = prices[entry.model];
+  if (!price) return null;
+  return (entry.inputTokens * price.input + entry.outputTokens * price.output) / 1e6;
+}
+
+// ---------- TOTALS ----------
+// Days and months follow the user's local calendar, not UTC
+const localDateKey = date => [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+  .map(part => String(part).padStart(2, '0'))
+  .join('-');
+const aiUsageDay = entry => localDateKey(new Date(entry.at));
+const aiUsageMonth = (date = new Date()) => localDateKey(date).slice(0, 7);
+
+// Totals of calls, failures, tokens and cost, grouped by `keyOf(entry)` (newest group first)
+function summarizeAIUsage(entries, keyOf, prices = getAIPrices()) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = keyOf(entry);
+    const total = groups.get(key) || { key, calls: 0, failures: 0, inputTokens: 0, outputTokens: 0, estimated: false, cost: 0, unpriced: 0 };
+    const cost = aiUsageCost(entry, prices);
+    total.calls += 1;
+    if (!entry.success) total.failures += 1;
+    total.inputTokens += entry.inputTokens;
+    total.outputTokens += entry.outputTokens;
+    total.estimated = total.estimated || entry.estimated;
+    if (cost === null) total.unpriced += 1;
+    else total.cost += cost;
+    groups.set(key, total);
+  });
+  return [...groups.values()].sort((a, b) => b.key.localeCompare(a.key));
+}
+
+const aiUsageByDay = (entries = loadAIUsage()) => summarizeAIUsage(entries, aiUsageDay);
+const aiUsageByFeature = (entries = loadAIUsage()) => summarizeAIUsage(entries, entry => AI_USAGE_FEATURES[entry.type] || entry.type)
+  .sort((a, b) => b.calls - a.calls);
+
+function aiUsageThisMonth(entries = loadAIUsage()) {
+  const month = aiUsageMonth();
+  return entries.filter(entry => aiUsageDay(entry).startsWith(month));
+}
+
+// Estimated spend so far this month
+const aiMonthToDateCost = () => summarizeAIUsage(aiUsageThisMonth(), () => 'month')[0]?.cost || 0;
+
+// ---------- BUDGET ----------
+// `limit` is a monthly cap in USD (0 = no cap); `mode` is 'warn' or 'block'
+function getAIBudget() {
+  const budget = readAIUsageSetting(AI_BUDGET_KEY, {});
+  return {
+    limit: budget.limit > 0 ? Number(budget.limit) : 0,
+    mode: AI_BUDGET_MODES[budget.mode] ? budget.mode : 'warn'
+  };
+}
+
+function saveAIBudget({ limit, mode }) {
+  if (!(limit >= 0)) throw new Error('The monthly budget must be zero or a positive amount');
+  localStorage.setItem(AI_BUDGET_KEY, JSON.stringify({ limit: Number(limit), mode: AI_BUDGET_MODES[mode] ? mode : 'warn' }));
+}
+
+let aiBudgetWarnedMonth = '';
+
+// Called before every AI call. Over budget, 'block' throws a non-retryable error and 'warn' shows
+// a warning once per month (per page load).
+function checkAIBudget() {
+  const { limit, mode } = getAIBudget();
+  if (!limit) return;
+  const spent = aiMonthToDateCost();
+  if (spent < limit) return;
+
+  const message = `Monthly AI budget of ${formatAICost(limit)} reached (${formatAICost(spent)} spent this month)`;
+  if (mode === 'block') {
+    throw aiRequestError(`${message}. Raise the budget in Settings to continue.`, { retryable: false });
+  }
+  if (aiBudgetWarnedMonth !== aiUsageMonth()) {
+    aiBudgetWarnedMonth = aiUsageMonth();
+    if (typeof showMessage === 'function') showMessage(`⚠️ ${message}`, 'error');
+  }
+}
+
+// ---------- SETTINGS PANEL ----------
+const formatAICost = cost => `$${cost > 0 && cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+const formatAITokens = count => count.toLocaleString();
+
+function aiUsageTotalCells(total) {
+  const cost = total.unpriced === total.calls ? '—' : formatAICost(total.cost) + (total.unpriced ? '*' : '');
+  return `
+        <td class="py-1 px-2 text-right">${total.calls}${total.failures ? ` <span class="text-red-600">(${total.failures} failed)</span>` : ''}</td>
+        <td class="py-1 px-2 text-right">${total.estimated ? '~' : ''}${formatAITokens(total.inputTokens)}</td>
+        <td class="py-1 px-2 text-right">${total.estimated ? '~' : ''}${formatAITokens(total.outputTokens)}</td>
+        <td class="py-1 px-2 text-right">${cost}</td>`;
+}
+
+function aiUsageTableHtml(label, totals) {
+  if (!totals.length) return '<p class="text-sm text-gray-500">No AI calls recorded yet.</p>';
+  return `
+    <table class="w-full text-sm">
+      <thead>
+        <tr class="text-left text-gray-600 border-b">
+          <th class="py-1 px-2">${label}</th>
+          <th class="py-1 px-2 text-right">Calls</th>
+          <th class="py-1 px-2 text-right">Input tokens</th>
+          <th class="py-1 px-2 text-right">Output tokens</th>
+          <th class="py-1 px-2 text-right">Est. cost</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${totals.map(total => `
+        <tr class="border-b border-gray-100">
+          <td class="py-1 px-2">${escapeHtml(total.key)}</td>${aiUsageTotalCells(total)}
+        </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+function renderAIUsagePanel() {
+  const panel = typeof document !== 'undefined' && document.getElementById('ai-usage-panel');
+  if (!panel) return;
+
+  const log = loadAIUsage();
+  const month = aiUsageThisMonth(log);
+  const spent = aiMonthToDateCost();
+  const { limit, mode } = getAIBudget();
+
+  $('#ai-usage-month').innerHTML = `
+    <span class="font-semibold">${month.length}</span> call${month.length === 1 ? '' : 's'} this month ·
+    <span class="font-semibold">${formatAICost(spent)}</span> estimated${limit ? ` of ${formatAICost(limit)} budget` : ''}`;
+  $('#ai-usage-month').className = `text-sm mb-3 ${limit && spent >= limit ? 'text-red-700' : 'text-gray-700'}`;
+  $('#ai-usage-by-day').innerHTML = aiUsageTableHtml('Day', aiUsageByDay(log).slice(0, AI_USAGE_DAYS_SHOWN));
+  $('#ai-usage-by-feature').innerHTML = aiUsageTableHtml('Feature', aiUsageByFeature(month));
+
+  // Every suggested and used model that is not free, so a price can be entered for it
+  const prices = getAIPrices();
+  const models = new Set([
+    ...Object.keys(prices),
+    ...Object.entries(AI_PROVIDERS).filter(([id]) => !FREE_AI_PROVIDERS.includes(id)).flatMap(([, info]) => info.models),
+    ...log.filter(entry => !FREE_AI_PROVIDERS.includes(entry.provider) && entry.model).map(entry => entry.model)
+  ]);
+  $('#ai-price-table').innerHTML = [...models].map(model => `
+    <tr class="border-b border-gray-100" data-ai-price-model="${escapeHtml(model)}">
+      <td class="py-1 px-2 font-mono text-xs">${escapeHtml(model)}</td>
+      <td class="py-1 px-2"><input type="number" min="0" step="0.01" class="w-24 p-1 border rounded text-right" data-ai-price="input" value="${prices[model]?.input ?? ''}" aria-label="Input price for ${escapeHtml(model)}"></td>
+      <td class="py-1 px-2"><input type="number" min="0" step="0.01" class="w-24 p-1 border rounded text-right" data-ai-price="output" value="${prices[model]?.output ?? ''}" aria-label="Output price for ${escapeHtml(model)}"></td>
+    </tr>`).join('');
+
+  $('#ai-budget-limit').value = limit || '';
+  $('#ai-budget-mode').value = mode;
+}
+
+function initAIUsage() {
+  const panel = $('#ai-usage-panel');
+  if (!panel) return;
+
+  $('#ai-budget-mode').innerHTML = Object.entries(AI_BUDGET_MODES)
+    .map(([mode, label]) => `<option value="${mode}">${label}</option>`).join('');
+
+  $('#ai-budget-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    try {
+      saveAIBudget({ limit: Number($('#ai-budget-limit').value) || 0, mode: $('#ai-budget-mode').value });
+      renderAIUsagePanel();
+      const { limit } = getAIBudget();
+      showMessage(limit ? `Monthly AI budget set to ${formatAICost(limit)}` : 'Monthly AI budget removed', 'success');
+    } catch (error) {
+      showMessage(error.message, 'error');
+    }
+  });
+
+  $('#ai-prices-save').addEventListener('click', () => {
+    const prices = {};
+    $$('#ai-price-table [data-ai-price-model]').forEach(row => {
+      const [input, output] = ['input', 'output'].map(field => row.querySelector(`[data-ai-price="${field}"]`).value.trim());
+      if (input !== '' || output !== '') prices[row.dataset.aiPriceModel] = { input: Number(input) || 0, output: Number(output) || 0 };
+    });
+    try {
+      saveAIPrices(prices);
+      renderAIUsagePanel();
+      showMessage('AI prices saved', 'success');
+    } catch (error) {
+      showMessage(error.message, 'error');
+    }
+  });
+
+  $('#ai-prices-reset').addEventListener('click', () => {
+    if (!confirm('Reset all model prices to the built-in list prices?')) return;
+    resetAIPrices();
+    renderAIUsagePanel();
+    showMessage('AI prices reset', 'success');
+  });
+
+  $('#ai-usage-clear').addEventListener('click', () => {
+    if (!confirm('Clear the AI usage log? Month-to-date spend for the budget starts again from zero.')) return;
+    clearAIUsage();
+    renderAIUsagePanel();
+    showMessage('AI usage log cleared', 'success');
+  });
+
+  renderAIUsagePanel();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_AI_PRICES,
+    estimateTokens,
+    loadAIUsage,
+    recordAIUsage,
+    clearAIUsage,
+    getAIPrices,
+    saveAIPrices,
+    resetAIPrices,
+    aiUsageCost,
+    summarizeAIUsage,
+    pruneAIUsage,
+    aiUsageDay,
+    aiUsageByDay,
+    aiUsageByFeature,
+    aiMonthToDateCost,
+    getAIBudget,
+    saveAIBudget,
+    checkAIBudget
+  };
+}
@@ -5,15 +5,13 @@
 const APP_STATE = SALES_CYCLE_DATA;
 
 // ---------- LOCALSTORAGE PERSISTENCE ----------
-// MODIFIED: Now handles a single state object for checklists and notes
+// Checklists and notes are read and written through the active opportunity
 function loadFullState() {
-  const savedState = localStorage.getItem('uipathSalesGuideState');
-  const defaultState = { checklists: {}, notes: {} };
-  return savedState ? JSON.parse(savedState) : defaultState;
+  return getActiveOpportunity().state;
 }
 
 function saveFullState(state) {
-  localStorage.setItem('uipathSalesGuideState', JSON.stringify(state));
+  saveActiveDealState(state);
 }
 
 // ---------- DOM UTILITIES ----------
@@ -22,10 +20,14 @@ const $$ = (s, r=document) => Array.from(r.querySelectorAll(s));
 
 // ---------- RENDERING FUNCTIONS ----------
 function renderPersonas(){
-  ['banking','insurance'].forEach(ind =>{
-    const host = ind==='banking' ? $('#personas-banking') : $('#personas-insurance');
-    host.innerHTML = '';
-    APP_STATE.personas[ind].forEach((p,i)=>{
+  const grids = $('#persona-grids');
+  if(!grids) return;
+  grids.innerHTML = getIndustries().map(ind=>
+    `<div id="personas-${ind.id}" data-industry="${ind.id}" class="grid grid-cols-1 gap-4${ind.id===APP_STATE.industry ? '' : ' hidden'}"></div>`
+  ).join('');
+  getIndustries().forEach(({ id: ind }) =>{
+    const host = document.getElementById(`personas-${ind}`);
+    (APP_STATE.personas[ind] || []).forEach((p,i)=>{
       host.innerHTML += `
         <div class="persona-card editable-card" id="persona-${ind}-${i}">
           <h3 class="flex justify-between items-center cursor-pointer persona-toggle" onclick="togglePersonaDetails('persona-${ind}-${i}')">
@@ -75,11 +77,18 @@ function stageCard(stage){
       <svg class="toggle-icon w-6 h-6 transition-transform" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7" /></svg>
     </h2>
     <div class="collapsible-content hidden pt-4">
-      <div class="w-full progress-bar-bg rounded-full h-2.5 mb-6"><div class="progress-bar h-2.5 rounded-full" style="width:0%"></div></div>
+      <div class="w-full progress-bar-bg rounded-full h-2.5 mb-2"><div class="progress-bar h-2.5 rounded-full" style="width:0%"></div></div>
+      <div class="flex justify-between items-center mb-4">
+        <div class="flex flex-wrap gap-2">
+          <button type="button" class="text-sm bg-orange-100 text-orange-700 px-3 py-1 rounded hover:bg-orange-200" data-prepare-meeting="${stage.id}">📋 Prepare meeting</button>
+          <button type="button" class="text-sm bg-orange-100 text-orange-700 px-3 py-1 rounded hover:bg-orange-200" data-import-call-notes="${stage.id}">📥 Import call notes</button>
+        </div>
+        <div class="stage-gate"></div>
+      </div>
       <div class="grid lg:grid-cols-2 gap-6">
         <div id="${stage.id}-outcomes" class="editable-card bg-gray-50 p-6 rounded-lg shadow">
           <h3 class="text-xl font-semibold mb-3 uipath-robotic-orange flex justify-between items-center"><span>Verifiable Outcomes / Exit Criteria</span><svg class="edit-icon w-5 h-5 text-gray-500 hover:text-orange-600" data-target="${stage.id}-outcomes" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.5L15.232 5.232z"/></svg></h3>
-          <div class="editable-content">${listHtml(stage.outcomes,true, stage.id)}</div>
+          <div class="editable-content">${listHtml(stage.outcomes, true)}</div>
         </div>
         <div id="${stage.id}-initial-personas" class="editable-card bg-gray-50 p-6 rounded-lg shadow">
           <h3 class="text-xl font-semibold mb-3 uipath-robotic-orange flex justify-between items-center"><span>Initial Personas to Engage</span><svg class="edit-icon w-5 h-5 text-gray-500 hover:text-orange-600" data-target="${stage.id}-initial-personas" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.5L15.232 5.232z"/></svg></h3>
@@ -91,8 +100,7 @@ function stageCard(stage){
         </div>` : ''}
         <div id="${stage.id}-resources" class="editable-card bg-gray-50 p-6 rounded-lg shadow mt-3">
           <h3 class="text-xl font-semibold mb-3 uipath-robotic-orange flex justify-between items-center">
-            <span data-industry="banking">Key Content & Resources (Banking)</span>
-            <span data-industry="insurance" class="hidden">Key Content & Resources (Insurance)</span>
+            ${getIndustries().map(ind=>`<span data-industry="${ind.id}"${ind.id===APP_STATE.industry ? '' : ' class="hidden"'}>Key Content & Resources (${ind.label})</span>`).join('')}
             <svg class="edit-icon w-5 h-5 text-gray-500 hover:text-orange-600" data-target="${stage.id}-resources" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.5L15.232 5.232z"/></svg>
           </h3>
           <div class="editable-content">
@@ -112,7 +120,8 @@ function stageCard(stage){
         </div>
         <div class="collapsible-content hidden p-6 pt-0">
           <div class="editable-content">${questionsHtml(stage.questions)}</div>
-          <div class="flex justify-center mt-4">
+          <div class="flex justify-center flex-wrap gap-2 mt-4">
+            <button type="button" class="px-4 py-2 bg-blue-100 text-blue-700 rounded-md font-semibold hover:bg-blue-200" data-generate-followups="${stage.id}">✨ AI: Generate Follow-up Questions</button>
             <button class="export-notes-btn px-4 py-2 text-white rounded-md font-semibold flex items-center" style="background-color: #FA4616; hover:background-color: #E03E0F;" onmouseover="this.style.backgroundColor='#E03E0F'" onmouseout="this.style.backgroundColor='#FA4616'">
               <svg class="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7v8a2 2 0 002 2h4a2 2 0 002-2V7m-6 4h6m-6-4h6m-3-4h.01M3 3h18a2 2 0 012 2v14a2 2 0 01-2 2H3a2 2 0 01-2-2V5a2 2 0 012-2z"></path>
@@ -120,6 +129,7 @@ function stageCard(stage){
               Copy Notes
             </button>
           </div>
+          <div id="${stage.id}-generated" class="mt-4"></div>
         </div>
       </div>
       <div id="${stage.id}-objections" class="editable-card bg-gray-50 rounded-lg shadow mt-3 collapsible-section">
@@ -136,144 +146,171 @@ function stageCard(stage){
           <div class="editable-content">${objectionsHtml(stage.objections)}</div>
         </div>
       </div>
+      <div id="${stage.id}-insights" class="bg-gray-50 rounded-lg shadow mt-3 collapsible-section">
+        <div class="collapsible-header p-4 cursor-pointer flex justify-between items-center hover:bg-gray-100 transition-colors" onclick="toggleCollapsibleSection('${stage.id}-insights')">
+          <div class="flex items-center space-x-3">
+            <svg class="chevron-icon w-4 h-4 text-gray-600 transition-transform transform" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"/>
+            </svg>
+            <h3 class="text-lg font-semibold text-gray-800">🧭 Deal Insights</h3>
+          </div>
+        </div>
+        <div class="collapsible-content hidden p-6 pt-0">
+          <div class="deal-insights-panel"></div>
+        </div>
+      </div>
     </div>`;
 }
 
-const listHtml = (arr, checklist=false, stageId = '')=>{
-  return `<ul class="space-y-3">${arr.map((x, i)=>{
+// Checklist items are { id, text } outcomes; checkbox state is keyed by the outcome ID
+const listHtml = (arr, checklist=false)=>{
+  return `<ul class="space-y-3">${arr.map(x=>{
     if(checklist){
-      const checkboxId = `${stageId}-${i}`;
-      return `<li><label class="flex items-center text-gray-700 cursor-pointer"><input type="checkbox" class="form-checkbox h-5 w-5 rounded border-gray-300 focus:ring-orange-500" data-id="${checkboxId}"><span class="ml-3">${x}</span></label></li>`
+      return `<li><label class="flex items-center text-gray-700 cursor-pointer"><input type="checkbox" class="form-checkbox h-5 w-5 rounded border-gray-300 focus:ring-orange-500" data-id="${x.id}"><span class="ml-3">${x.text}${x.optional ? ' <span class="text-xs text-gray-400">(optional)</span>' : ''}</span></label></li>`
     }
     return `<li>${x}</li>`
   }).join('')}</ul>`
 }
 
-// MODIFIED: questionsHtml now adds AI response button for each question
-const questionsHtml = (map)=>{
-  let questionIndex = 0;
-  return Object.entries(map).map(([k,qs])=>{
-    const categoryHtml = qs.map(q=>{
-      // Create a unique ID for each note textarea
-      const noteId = `discovery-q-${k.replace(/\s+/g, '-')}-${questionIndex++}`;
-      return `
-      <details class="mb-3 bg-white p-3 rounded-md border">
+// Flatten a stage's question map into entries; notes are keyed by the question ID
+const questionEntries = (map)=>{
+  return Object.entries(map).flatMap(([category, qs])=> qs.map(question=>({
+    category,
+    question: question.text,
+    noteId: question.id
+  })));
+}
+
+const aiButtonIcon = `<svg class="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"></path>
+              </svg>`
+
+const removeCustomButton = (kind, recordId)=>
+  `<button type="button" class="remove-custom-record-btn text-xs text-gray-500 hover:text-red-600" data-record-kind="${kind}" data-record-id="${recordId}" title="Remove">✕ Remove</button>`
+
+// One question card with notes and an AI button; custom (call-added) questions can be removed
+const questionCardHtml = ({ question: q, noteId, custom = false })=>`
+      <details class="mb-3 bg-white p-3 rounded-md border"${custom ? ' data-custom-question' : ''}>
         <summary class="font-semibold text-gray-700">${q}</summary>
         <div class="mt-3 space-y-3">
           <div>
             <label class="block text-sm font-medium text-gray-600 mb-1">Your Notes & Customer Response:</label>
             <textarea data-note-id="${noteId}" class="note-textarea w-full p-2 border rounded-md focus:ring-orange-500 focus:border-orange-500" rows="3" placeholder="Capture customer responses and your notes here..."></textarea>
           </div>
-          <div class="flex justify-end">
+          <div class="flex ${custom ? 'justify-between' : 'justify-end'} items-center">
+            ${custom ? removeCustomButton('customQuestions', noteId) : ''}
             <button class="ai-question-response-btn px-3 py-1.5 text-white rounded-md font-medium text-sm flex items-center" style="background-color: #FA4616;" onmouseover="this.style.backgroundColor='#E03E0F'" onmouseout="this.style.backgroundColor='#FA4616'" data-question="${encodeURIComponent(q)}" data-note-id="${noteId}">
-              <svg class="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"></path>
-              </svg>
+              ${aiButtonIcon}
               AI Response
             </button>
           </div>
-          <div class="ai-question-response-content hidden bg-blue-50 p-3 rounded-md border-l-4 border-blue-400">
+          <div class="ai-question-response-content hidden bg-blue-50 p-3 rounded-md border-l-4 border-blue-400" data-response-key="${noteId}">
             <p class="text-blue-700 font-medium text-sm mb-2">🤖 AI-Generated Response:</p>
             <div class="ai-response-text text-gray-700 text-sm"></div>
           </div>
         </div>
       </details>`
-    }).join('');
+
+// MODIFIED: questionsHtml now adds AI response button for each question
+const questionsHtml = (map)=>{
+  const entries = questionEntries(map);
+  return Object.keys(map).map(k=>{
+    const categoryHtml = entries.filter(e=>e.category===k).map(questionCardHtml).join('');
     return `<div class="mb-4"><h4 class="text-lg font-bold text-gray-800 mb-2">${k}</h4>${categoryHtml}</div>`
   }).join('') + `
-  <!-- Additional Question Section -->
+  <!-- Additional Question Section: questions added here are saved with the opportunity -->
   <div class="mb-4 bg-gray-50 p-4 rounded-lg border-2 border-dashed border-gray-300">
     <h4 class="text-lg font-bold text-gray-800 mb-3">💬 Additional Questions</h4>
+    <div class="custom-question-cards"></div>
     <div class="space-y-3">
       <div>
         <label class="block text-sm font-medium text-gray-600 mb-1">Your Custom Question:</label>
         <input type="text" class="additional-question-input w-full p-2 border rounded-md focus:ring-orange-500 focus:border-orange-500" placeholder="Enter your own discovery question here...">
       </div>
-      <div class="additional-question-notes hidden">
-        <label class="block text-sm font-medium text-gray-600 mb-1">Customer Response & Notes:</label>
-        <textarea class="additional-question-textarea w-full p-2 border rounded-md focus:ring-orange-500 focus:border-orange-500" rows="3" placeholder="Capture customer response and your notes..."></textarea>
-      </div>
-      <div class="flex justify-between">
-        <button class="add-question-btn px-3 py-1.5 bg-gray-600 text-white rounded-md font-medium text-sm hover:bg-gray-700">
+      <div class="flex justify-start">
+        <button class="add-custom-question-btn px-3 py-1.5 bg-gray-600 text-white rounded-md font-medium text-sm hover:bg-gray-700">
           ➕ Add Question
         </button>
-        <button class="ai-additional-question-btn hidden px-3 py-1.5 text-white rounded-md font-medium text-sm" style="background-color: #FA4616;" onmouseover="this.style.backgroundColor='#E03E0F'" onmouseout="this.style.backgroundColor='#FA4616'">
-          <svg class="w-4 h-4 mr-1 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"></path>
-          </svg>
-          AI Response
-        </button>
-      </div>
-      <div class="ai-additional-question-response hidden bg-blue-50 p-3 rounded-md border-l-4 border-blue-400">
-        <p class="text-blue-700 font-medium text-sm mb-2">🤖 AI-Generated Response:</p>
-        <div class="ai-additional-response-text text-gray-700 text-sm"></div>
       </div>
     </div>
   </div>`
 }
 
-const objectionsHtml = (items)=>{
-  return items.map((it, index)=>`
-    <details class="mb-3 bg-white p-3 rounded-md border">
-      <summary class="font-semibold text-gray-700">${it.q}</summary>
+// One objection card; notes and AI responses are keyed by the objection (or record) ID
+const objectionCardHtml = ({ q, a, key, custom = false })=>`
+    <details class="mb-3 bg-white p-3 rounded-md border"${custom ? ' data-custom-objection' : ''}>
+      <summary class="font-semibold text-gray-700">${q}</summary>
       <div class="mt-3 space-y-3">
-        <div class="bg-gray-50 p-3 rounded-md">
+        ${custom ? '' : `<div class="bg-gray-50 p-3 rounded-md">
           <p class="text-sm font-medium text-gray-600 mb-1">Standard Response:</p>
-          <p class="text-gray-700 text-sm">${it.a}</p>
-        </div>
+          <p class="text-gray-700 text-sm">${a}</p>
+        </div>`}
         <div>
           <label class="block text-sm font-medium text-gray-600 mb-1">Customer's Specific Response & Context:</label>
-          <textarea class="objection-notes-textarea w-full p-2 border rounded-md focus:ring-orange-500 focus:border-orange-500" rows="3" placeholder="What did the customer specifically say? Any additional context or concerns they raised?" data-objection-index="${index}"></textarea>
+          <textarea class="objection-notes-textarea w-full p-2 border rounded-md focus:ring-orange-500 focus:border-orange-500" rows="3" placeholder="What did the customer specifically say? Any additional context or concerns they raised?" data-objection-key="${key}"></textarea>
         </div>
-        <div class="flex justify-end">
-          <button class="ai-objection-response-btn px-3 py-1.5 text-white rounded-md font-medium text-sm flex items-center" style="background-color: #FA4616;" onmouseover="this.style.backgroundColor='#E03E0F'" onmouseout="this.style.backgroundColor='#FA4616'" data-objection="${encodeURIComponent(it.q)}" data-objection-index="${index}">
-            <svg class="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"></path>
-            </svg>
+        <div class="flex justify-between items-center">
+          <div class="flex items-center gap-4">
+            <label class="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+              <input type="checkbox" class="objection-resolved-checkbox rounded" data-objection-key="${key}">
+              Resolved
+            </label>
+            ${custom ? removeCustomButton('customObjections', key) : ''}
+          </div>
+          <button class="ai-objection-response-btn px-3 py-1.5 text-white rounded-md font-medium text-sm flex items-center" style="background-color: #FA4616;" onmouseover="this.style.backgroundColor='#E03E0F'" onmouseout="this.style.backgroundColor='#FA4616'" data-objection="${encodeURIComponent(q)}" data-objection-key="${key}">
+            ${aiButtonIcon}
             AI Response
           </button>
         </div>
-        <div class="ai-objection-response-content hidden bg-purple-50 p-3 rounded-md border-l-4 border-purple-400">
+        <div class="ai-objection-response-content hidden bg-purple-50 p-3 rounded-md border-l-4 border-purple-400" data-response-key="objection-${key}">
           <p class="text-purple-700 font-medium text-sm mb-2">🤖 AI-Generated Tailored Response:</p>
           <div class="ai-objection-response-text text-gray-700 text-sm"></div>
         </div>
       </div>
-    </details>`).join('') + `
-  <!-- Additional Objection Section -->
+    </details>`
+
+const objectionsHtml = (items)=>{
+  return items.map(it=> objectionCardHtml({ q: it.q, a: it.a, key: it.id })).join('') + `
+  <!-- Additional Objection Section: objections added here are saved with the opportunity -->
   <div class="mb-4 bg-gray-50 p-4 rounded-lg border-2 border-dashed border-gray-300">
     <h4 class="text-lg font-bold text-gray-800 mb-3">🛡️ Additional Objections</h4>
+    <div class="custom-objection-cards"></div>
     <div class="space-y-3">
       <div>
         <label class="block text-sm font-medium text-gray-600 mb-1">Customer's Objection:</label>
         <input type="text" class="additional-objection-input w-full p-2 border rounded-md focus:ring-orange-500 focus:border-orange-500" placeholder="What objection did the customer raise?">
       </div>
-      <div class="additional-objection-notes hidden">
-        <label class="block text-sm font-medium text-gray-600 mb-1">Full Context & Details:</label>
-        <textarea class="additional-objection-textarea w-full p-2 border rounded-md focus:ring-orange-500 focus:border-orange-500" rows="3" placeholder="Provide full context of the objection, customer's tone, specific concerns..."></textarea>
-      </div>
-      <div class="flex justify-between">
-        <button class="add-objection-btn px-3 py-1.5 bg-gray-600 text-white rounded-md font-medium text-sm hover:bg-gray-700">
+      <div class="flex justify-start">
+        <button class="add-custom-objection-btn px-3 py-1.5 bg-gray-600 text-white rounded-md font-medium text-sm hover:bg-gray-700">
           ➕ Add Objection
         </button>
-        <button class="ai-additional-objection-btn hidden px-3 py-1.5 text-white rounded-md font-medium text-sm" style="background-color: #FA4616;" onmouseover="this.style.backgroundColor='#E03E0F'" onmouseout="this.style.backgroundColor='#FA4616'">
-          <svg class="w-4 h-4 mr-1 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"></path>
-          </svg>
-          AI Response
-        </button>
-      </div>
-      <div class="ai-additional-objection-response hidden bg-purple-50 p-3 rounded-md border-l-4 border-purple-400">
-        <p class="text-purple-700 font-medium text-sm mb-2">🤖 AI-Generated Response:</p>
-        <div class="ai-additional-objection-response-text text-gray-700 text-sm"></div>
       </div>
     </div>
   </div>`
 }
 
+// Render the active opportunity's call-added questions and objections into each stage
+function renderCustomRecords(state = loadFullState()){
+  APP_STATE.stages.forEach(stage=>{
+    const section = document.getElementById(stage.id);
+    const questionHost = section?.querySelector('.custom-question-cards');
+    const objectionHost = section?.querySelector('.custom-objection-cards');
+    if (questionHost) {
+      questionHost.innerHTML = (state.customQuestions[stage.id] || [])
+        .map(r=> questionCardHtml({ question: sanitizeHtml(r.text), noteId: escapeHtml(r.id), custom: true })).join('');
+    }
+    if (objectionHost) {
+      objectionHost.innerHTML = (state.customObjections[stage.id] || [])
+        .map(r=> objectionCardHtml({ q: sanitizeHtml(r.text), key: escapeHtml(r.id), custom: true })).join('');
+    }
+  });
+}
+
 const resourcesHtml = (res)=>{
-  const b = (res.banking||[]).map(r=>`<li><a href="${r.link}" class="text-blue-600 font-semibold hover:underline">${r.name}</a></li>`).join('')
-  const i = (res.insurance||[]).map(r=>`<li><a href="${r.link}" class="text-blue-600 font-semibold hover:underline">${r.name}</a></li>`).join('')
-  return `<div data-industry="banking"><ul class="space-y-4">${b}</ul></div><div data-industry="insurance" class="hidden"><ul class="space-y-4">${i}</ul></div>`
+  return getIndustries().map(ind=>{
+    const items = ((res||{})[ind.id]||[]).map(r=>`<li><a href="${escapeHtml(safeUrl(r.link) || '#')}" class="text-blue-600 font-semibold hover:underline">${r.name}</a></li>`).join('')
+    return `<div data-industry="${ind.id}"${ind.id===APP_STATE.industry ? '' : ' class="hidden"'}><ul class="space-y-4">${items}</ul></div>`
+  }).join('')
 }
 
 function renderStages(){
@@ -285,6 +322,17 @@ function renderStages(){
   reinitializeCollapsibleSections();
 }
 
+// Re-render all content and re-attach the active opportunity's state
+function refreshRenderedContent(){
+  renderIndustrySelectors();
+  renderPersonas();
+  renderStages();
+  initChecklists();
+  initNotes();
+  updateIndustryContent(APP_STATE.industry);
+  renderDealHealth();
+}
+
 // ---------- INITIALIZATION FUNCTIONS ----------
 function initCollapsibleSections() {
   $$('.section-toggle').forEach(toggle => {
@@ -312,10 +360,8 @@ function initChecklists(){
     }
     checks.forEach(ch=>{
       const checkboxId = ch.dataset.id;
-      if (fullState.checklists[checkboxId]) {
-        ch.checked = true;
-        ch.closest('label')?.classList.add('checked-item');
-      }
+      ch.checked = !!fullState.checklists[checkboxId];
+      ch.closest('label')?.classList.toggle('checked-item', ch.checked);
       if(ch.dataset.bound) return; ch.dataset.bound='1';
       ch.addEventListener('change',e=>{
         e.target.closest('label')?.classList.toggle('checked-item', e.target.checked);
@@ -332,18 +378,63 @@ function initChecklists(){
 // NEW: Initialize and handle notes persistence
 function initNotes() {
     const fullState = loadFullState();
+    renderCustomRecords(fullState);
+
     $$('.note-textarea').forEach(textarea => {
         const noteId = textarea.dataset.noteId;
-        if (noteId && fullState.notes[noteId]) {
-            textarea.value = fullState.notes[noteId];
-        }
+        textarea.value = (noteId && fullState.notes[noteId]) || '';
 
+        if (textarea.dataset.bound) return;
+        textarea.dataset.bound = '1';
         textarea.addEventListener('input', () => {
             const currentState = loadFullState();
             currentState.notes[textarea.dataset.noteId] = textarea.value;
             saveFullState(currentState);
         });
     });
+
+    // Objection notes are kept per stage, keyed by objection ID (or record ID for custom objections)
+    $$('.objection-notes-textarea').forEach(textarea => {
+        const stageId = textarea.closest('.content-section')?.id;
+        const key = textarea.dataset.objectionKey;
+        if (!stageId) return;
+        textarea.value = fullState.objectionNotes[stageId]?.[key] || '';
+
+        if (textarea.dataset.bound) return;
+        textarea.dataset.bound = '1';
+        textarea.addEventListener('input', () => {
+            const currentState = loadFullState();
+            currentState.objectionNotes[stageId] = currentState.objectionNotes[stageId] || {};
+            currentState.objectionNotes[stageId][key] = textarea.value;
+            saveFullState(currentState);
+        });
+    });
+
+    // Restore saved AI responses into their cards
+    $$('[data-response-key]').forEach(container => {
+        const stageId = container.closest('.content-section')?.id;
+        const responseKey = container.dataset.responseKey;
+        const saved = stageId && fullState.aiResponses[stageId]?.[responseKey];
+        const text = container.querySelector('.ai-response-text, .ai-objection-response-text');
+        if (text) text.innerHTML = saved ? savedAiResponseHtml(saved, aiResponseType(responseKey)) : '';
+        container.classList.toggle('hidden', !saved);
+    });
+
+    // Restore the last generated follow-up questions for each stage
+    SALES_CYCLE_DATA.stages.forEach(stage => {
+        const container = $(`#${stage.id}-generated`);
+        const saved = fullState.followUps[stage.id];
+        if (container) container.innerHTML = saved ? followUpQuestionsHtml(saved.questions, saved.cachedAt) : '';
+    });
+
+    // Deal insights and the action list belong to the opportunity too
+    renderDealInsights();
+    renderDealActions();
+    renderDealCoach();
+    renderQualification();
+
+    // Requests still in the AI queue show their progress instead
+    renderQueuedAiJobs();
 }
 
 function initNavigation() {
@@ -375,47 +466,198 @@ function initScrollSpy() {
   })
 }
 
+function updateIndustryContent(selected){
+  if (!getIndustry(selected)) selected = getIndustries()[0]?.id;
+  APP_STATE.industry = selected;
+  $$('.industry-selector button').forEach(b=>{
+    b.classList.toggle('active', b.dataset.industryOption===selected);
+    b.setAttribute('aria-selected', String(b.dataset.industryOption===selected));
+  });
+  $$('[data-industry]').forEach(div=> div.classList.toggle('hidden', div.dataset.industry!==selected));
+}
+
+// Render the header industry buttons and industry pickers from SALES_CYCLE_DATA.industries
+function renderIndustrySelectors(){
+  const buttons = (extraClass)=> getIndustries().map(ind=>
+    `<button class="${extraClass}px-3 py-1 text-sm font-semibold rounded-md" role="tab" data-industry-option="${ind.id}" aria-selected="false">${ind.label}</button>`
+  ).join('');
+  const desktop = $('#industry-selector');
+  const mobile = $('#industry-selector-mobile');
+  if (desktop) desktop.innerHTML = buttons('');
+  if (mobile) mobile.innerHTML = buttons('flex-1 ');
+
+  const picker = $('#opportunity-industry');
+  if (picker) picker.innerHTML = getIndustries().map(ind=> `<option value="${ind.id}">${ind.label}</option>`).join('');
+}
+
 function initIndustryToggle() {
-  function updateIndustryContent(selected){
-    APP_STATE.industry = selected;
-    $$('.industry-selector button').forEach(b=> b.classList.toggle('active', b.id.replace('-mobile','')===selected));
-    $$('[data-industry]').forEach(div=> div.classList.toggle('hidden', div.dataset.industry!==selected));
-  }
-  
-  ['banking','insurance'].forEach(id=>{
-    ['','-mobile'].forEach(suf=>{
-      const btn = document.getElementById(id+suf); 
-      if(btn){ 
-        btn.addEventListener('click',()=> updateIndustryContent(id)) 
-      }
-    })
-  })
-  updateIndustryContent('banking');
+  renderIndustrySelectors();
+  document.addEventListener('click', (e)=>{
+    const btn = e.target.closest('[data-industry-option]');
+    if (!btn) return;
+    const id = btn.dataset.industryOption;
+    updateIndustryContent(id);
+    // The industry view follows the account being worked
+    const active = getActiveOpportunity();
+    if (active.industry !== id) updateOpportunity(active.id, { industry: id });
+  });
+  updateIndustryContent(getActiveOpportunity().industry || APP_STATE.industry);
 }
 
 function initMobileMenu() {
   $('#mobile-menu-button')?.addEventListener('click',()=> $('#mobile-menu')?.classList.toggle('hidden'))
 }
 
+// ---------- OPPORTUNITY WORKSPACES ----------
+function renderOpportunitySwitcher() {
+  const select = $('#opportunity-select');
+  if (!select) return;
+
+  const store = loadOpportunityStore();
+  const showArchived = $('#opportunity-show-archived')?.checked;
+  const optionHtml = o => `<option value="${escapeHtml(o.id)}"${o.id === store.activeId ? ' selected' : ''}>${escapeHtml(o.name)}</option>`;
+  const open = store.opportunities.filter(o => !o.archived);
+  const archived = store.opportunities.filter(o => o.archived);
+
+  select.innerHTML = open.map(optionHtml).join('') +
+    (showArchived && archived.length ? `<optgroup label="Archived">${archived.map(optionHtml).join('')}</optgroup>` : '');
+}
+
+// Re-apply the active opportunity's industry, checklists and notes to the page
+function applyActiveOpportunity() {
+  const active = getActiveOpportunity();
+  updateIndustryContent(active.industry || APP_STATE.industry);
+  initChecklists();
+  initNotes();
+  renderOpportunitySwitcher();
+  renderDealHealth();
+}
+
+function openOpportunityModal(opportunity = null) {
+  const modal = $('#opportunity-modal');
+  if (!modal) return;
+
+  $('#opportunity-modal-title').textContent = opportunity ? 'Edit Opportunity' : 'New Opportunity';
+  $('#opportunity-name').value = opportunity?.name || '';
+  $('#opportunity-industry').value = opportunity?.industry || APP_STATE.industry;
+  $('#opportunity-owner').value = opportunity?.owner || '';
+  $('#opportunity-close-date').value = opportunity?.closeDate || '';
+  modal.setAttribute('data-opportunity-id', opportunity?.id || '');
+  modal.classList.remove('hidden');
+  $('#opportunity-name').focus();
+}
+
+function initOpportunitySwitcher() {
+  const select = $('#opportunity-select');
+  const menuBtn = $('#opportunity-menu-btn');
+  const menu = $('#opportunity-menu');
+  const modal = $('#opportunity-modal');
+  const form = $('#opportunity-form');
+
+  const closeMenu = () => {
+    menu?.classList.add('hidden');
+    menuBtn?.setAttribute('aria-expanded', 'false');
+  };
+  const closeModal = () => modal?.classList.add('hidden');
+
+  renderOpportunitySwitcher();
+
+  select?.addEventListener('change', () => {
+    const opportunity = setActiveOpportunity(select.value);
+    applyActiveOpportunity();
+    if (opportunity) showMessage(`Switched to ${opportunity.name}`, 'success');
+  });
+
+  menuBtn?.addEventListener('click', () => {
+    const isHidden = menu.classList.toggle('hidden');
+    menuBtn.setAttribute('aria-expanded', String(!isHidden));
+  });
+
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest('#opportunity-switcher')) closeMenu();
+  });
+
+  $('#opportunity-show-archived')?.addEventListener('change', renderOpportunitySwitcher);
+
+  $('#opportunity-new')?.addEventListener('click', () => {
+    closeMenu();
+    openOpportunityModal();
+  });
+
+  $('#opportunity-edit')?.addEventListener('click', () => {
+    closeMenu();
+    openOpportunityModal(getActiveOpportunity());
+  });
+
+  $('#opportunity-export-markdown')?.addEventListener('click', () => {
+    closeMenu();
+    downloadDealSummary('markdown');
+  });
+
+  $('#opportunity-export-html')?.addEventListener('click', () => {
+    closeMenu();
+    downloadDealSummary('html');
+  });
+
+  $('#opportunity-print')?.addEventListener('click', () => {
+    closeMenu();
+    printDealSummary();
+  });
+
+  $('#opportunity-archive')?.addEventListener('click', () => {
+    closeMenu();
+    const active = getActiveOpportunity();
+    if (!confirm(`Archive "${active.name}"? You can restore it from "Show archived".`)) return;
+    archiveOpportunity(active.id);
+    applyActiveOpportunity();
+    showMessage(`${active.name} archived`, 'success');
+  });
+
+  $('#opportunity-delete')?.addEventListener('click', () => {
+    closeMenu();
+    const active = getActiveOpportunity();
+    if (!confirm(`Delete "${active.name}" and all of its notes? This action cannot be undone.`)) return;
+    deleteOpportunity(active.id);
+    applyActiveOpportunity();
+    showMessage(`${active.name} deleted`, 'success');
+  });
+
+  form?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const details = {
+      name: $('#opportunity-name').value,
+      industry: $('#opportunity-industry').value,
+      owner: $('#opportunity-owner').value,
+      closeDate: $('#opportunity-close-date').value
+    };
+    const existingId = modal.getAttribute('data-opportunity-id');
+
+    if (existingId) {
+      updateOpportunity(existingId, details);
+      showMessage('Opportunity updated successfully!', 'success');
+    } else {
+      createOpportunity(details);
+      showMessage('Opportunity created successfully!', 'success');
+    }
+
+    closeModal();
+    applyActiveOpportunity();
+  });
+
+  $('#opportunity-modal-cancel')?.addEventListener('click', closeModal);
+  modal?.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+}
+
 // NEW: Export Notes functionality
 function initExportNotes() {
-  const handleExport = () => {
-      let fullNotesText = "### Discovery Question Notes\n\n";
-      let discoveryNotesFound = false;
-
-      $$('.note-textarea').forEach(textarea => {
-          if (textarea.value.trim()) {
-              discoveryNotesFound = true;
-              const question = textarea.closest('details').querySelector('summary').innerHTML;
-              fullNotesText += `**Q: ${question.trim()}**\n`;
-              fullNotesText += `${textarea.value.trim()}\n\n`;
-          }
-      });
+  // Copies the stage's section of the deal summary (outcomes, notes, objections, AI responses)
+  const handleExport = (stageId) => {
+      const stage = buildDealSummary().stages.find(s => s.id === stageId);
+      if (!stage) return;
+      const fullNotesText = stageSummaryMarkdown(stage);
 
-      if (!discoveryNotesFound) {
-          fullNotesText += "No discovery notes captured.\n";
-      }
-      
       // Use modern clipboard API if available, fallback to textarea method
       if (navigator.clipboard && window.isSecureContext) {
         navigator.clipboard.writeText(fullNotesText).then(() => {
@@ -431,7 +673,7 @@ function initExportNotes() {
   // Add event listeners to all copy notes buttons
   document.addEventListener('click', (e) => {
     if (e.target.matches('.export-notes-btn') || e.target.closest('.export-notes-btn')) {
-      handleExport();
+      handleExport(e.target.closest('.content-section')?.id);
     }
   });
 }
@@ -480,85 +722,139 @@ function initAIIntegration() {
   if (typeof initializeAI === 'function') {
     aiIntegration = initializeAI();
   }
+  aiIntegration?.proxyReady.then(proxy => {
+    const status = $('#ai-proxy-status');
+    if (!status || !proxy) return;
+    status.textContent = proxy.mock
+      ? '🧪 Using the local AI proxy with its mock upstream: responses are canned and no API key is needed.'
+      : '🛡️ Using the local AI proxy: the API key is held on the server, so you do not need to enter one here.';
+    status.classList.remove('hidden');
+  });
+  if (aiIntegration && typeof initAIQueue === 'function') {
+    initAIQueue((job, options) => aiIntegration.generateStructured(job.prompt, job.context, {
+      ...options,
+      regenerate: job.regenerate,
+      onCacheStatus: cachedAt => { job.cachedAt = cachedAt; }
+    }), handleAiQueueEvent);
+    renderQueuedAiJobs();
+  }
 
+  initAIProviderSettings();
   initAIButtons();
 }
 
 
 function initAIButtons() {
   // AI question responses
-  document.addEventListener('click', async (e) => {
+  document.addEventListener('click', (e) => {
     if (e.target.matches('.ai-question-response-btn') || e.target.closest('.ai-question-response-btn')) {
       e.preventDefault();
       e.stopPropagation();
       const button = e.target.closest('.ai-question-response-btn') || e.target;
-      await generateQuestionResponse(button);
+      generateQuestionResponse(button);
     }
   });
 
   // AI objection responses
-  document.addEventListener('click', async (e) => {
+  document.addEventListener('click', (e) => {
     if (e.target.matches('.ai-objection-response-btn') || e.target.closest('.ai-objection-response-btn')) {
       e.preventDefault();
       e.stopPropagation();
       const button = e.target.closest('.ai-objection-response-btn') || e.target;
-      await generateObjectionResponse(button);
+      generateObjectionResponse(button);
     }
   });
 
-  // Additional question functionality
+  // AI follow-up questions for a stage
   document.addEventListener('click', (e) => {
-    if (e.target.matches('.add-question-btn')) {
-      e.preventDefault();
-      const container = e.target.closest('.mb-4');
-      const notesSection = container.querySelector('.additional-question-notes');
-      const aiButton = container.querySelector('.ai-additional-question-btn');
-      
-      notesSection.classList.remove('hidden');
-      aiButton.classList.remove('hidden');
-      e.target.textContent = '✅ Question Added';
-      e.target.disabled = true;
-    }
+    const button = e.target.closest('[data-generate-followups]');
+    if (!button) return;
+    e.preventDefault();
+    generateFollowUpQuestions(button.dataset.generateFollowups);
   });
 
-  // Additional objection functionality
+  // Regenerate a saved answer without the response cache
   document.addEventListener('click', (e) => {
-    if (e.target.matches('.add-objection-btn')) {
-      e.preventDefault();
-      const container = e.target.closest('.mb-4');
-      const notesSection = container.querySelector('.additional-objection-notes');
-      const aiButton = container.querySelector('.ai-additional-objection-btn');
-      
-      notesSection.classList.remove('hidden');
-      aiButton.classList.remove('hidden');
-      e.target.textContent = '✅ Objection Added';
-      e.target.disabled = true;
+    const button = e.target.closest('[data-ai-regenerate]');
+    if (!button) return;
+    e.preventDefault();
+    const stageId = button.closest('.content-section')?.id;
+    if (button.closest(`#${stageId}-generated`)) {
+      generateFollowUpQuestions(stageId, { regenerate: true });
+      return;
+    }
+    if (button.closest(`#${stageId}-insights-result`)) {
+      generateDealInsights(stageId, { regenerate: true });
+      return;
     }
+    const aiButton = button.closest('details')?.querySelector('.ai-question-response-btn, .ai-objection-response-btn');
+    if (aiButton?.matches('.ai-question-response-btn')) generateQuestionResponse(aiButton, { regenerate: true });
+    else if (aiButton) generateObjectionResponse(aiButton, { regenerate: true });
   });
 
-  // AI additional question response
-  document.addEventListener('click', async (e) => {
-    if (e.target.matches('.ai-additional-question-btn') || e.target.closest('.ai-additional-question-btn')) {
-      e.preventDefault();
-      e.stopPropagation();
-      const button = e.target.closest('.ai-additional-question-btn') || e.target;
-      await generateAdditionalQuestionResponse(button);
+  // Questions and objections added during the call become saved cards on the opportunity
+  document.addEventListener('click', (e) => {
+    const addQuestion = e.target.closest('.add-custom-question-btn');
+    const addObjection = e.target.closest('.add-custom-objection-btn');
+    if (!addQuestion && !addObjection) return;
+    e.preventDefault();
+
+    const container = e.target.closest('.mb-4');
+    const stageId = e.target.closest('.content-section')?.id;
+    const input = container.querySelector(addQuestion ? '.additional-question-input' : '.additional-objection-input');
+    const text = input.value.trim();
+    if (!stageId) return;
+    if (!text) {
+      showMessage(`Please enter ${addQuestion ? 'a question' : 'an objection'} first`, 'error');
+      return;
     }
+
+    if (addQuestion) addCustomQuestion(stageId, text);
+    else addCustomObjection(stageId, text);
+    input.value = '';
+    initNotes();
+    renderDealHealth();
+    showMessage(addQuestion ? 'Question added' : 'Objection added', 'success');
   });
 
-  // AI additional objection response
-  document.addEventListener('click', async (e) => {
-    if (e.target.matches('.ai-additional-objection-btn') || e.target.closest('.ai-additional-objection-btn')) {
-      e.preventDefault();
-      e.stopPropagation();
-      const button = e.target.closest('.ai-additional-objection-btn') || e.target;
-      await generateAdditionalObjectionResponse(button);
-    }
+  document.addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('.remove-custom-record-btn');
+    if (!removeBtn) return;
+    e.preventDefault();
+    const stageId = removeBtn.closest('.content-section')?.id;
+    if (!stageId || !confirm('Remove this item and its notes from the opportunity?')) return;
+    removeCustomRecord(removeBtn.dataset.recordKind, stageId, removeBtn.dataset.recordId);
+    initNotes();
+    renderDealHealth();
   });
 }
 
-async function generateFollowUpQuestions(stageId) {
-  if (!aiIntegration) {
+// Under a saved AI answer: whether it came from the response cache, and a Regenerate button that skips the cache
+const aiResponseMetaHtml = cachedAt => `
+  <div class="flex justify-between items-center gap-2 mt-2 text-xs text-gray-500">
+    <span>${cachedAt ? `⚡ From cache · generated ${new Date(cachedAt).toLocaleString()}` : ''}</span>
+    <button type="button" class="underline hover:text-gray-800" data-ai-regenerate title="Ask the AI again instead of reusing a cached answer">🔄 Regenerate</button>
+  </div>`;
+
+function followUpQuestionsHtml(questions, cachedAt = null) {
+  return `
+    <div class="bg-blue-50 border border-blue-200 rounded-lg p-4">
+      <h4 class="text-lg font-semibold text-blue-800 mb-3">🤖 AI-Generated Follow-up Questions</h4>
+      ${questions.map(q => `
+        <div class="mb-3 p-3 bg-white rounded border-l-4 border-blue-400">
+          <p class="font-medium text-gray-800">${escapeHtml(q.question)}</p>
+          <p class="text-sm text-gray-600 mt-1"><strong>Category:</strong> ${escapeHtml(q.category)}</p>
+          <p class="text-xs text-blue-600 mt-1">${escapeHtml(q.purpose)}</p>
+        </div>
+      `).join('')}
+      ${aiResponseMetaHtml(cachedAt)}
+    </div>
+  `;
+}
+
+// With `regenerate`, the request skips the response cache
+function generateFollowUpQuestions(stageId, { regenerate = false } = {}) {
+  if (!aiIntegration || !aiQueue) {
     showMessage('AI integration not available', 'error');
     return;
   }
@@ -566,60 +862,27 @@ async function generateFollowUpQuestions(stageId) {
   const stage = SALES_CYCLE_DATA.stages.find(s => s.id === stageId);
   if (!stage) return;
 
-  const button = $(`[data-generate-followups="${stageId}"]`);
-  const resultContainer = $(`#${stageId}-generated`);
-
-  if (button) {
-    button.disabled = true;
-    button.innerHTML = '⏳ Generating questions...';
-  }
-
-  try {
-    // Get customer notes for context
-    const notes = collectCustomerNotes(stageId);
-    
-    const questions = await aiIntegration.generateFollowUpQuestions(
-      stageId, 
-      stage.questions, 
-      notes
-    );
-
-    if (resultContainer && questions.length > 0) {
-      resultContainer.innerHTML = `
-        <div class="bg-blue-50 border border-blue-200 rounded-lg p-4">
-          <h4 class="text-lg font-semibold text-blue-800 mb-3">🤖 AI-Generated Follow-up Questions</h4>
-          ${questions.map(q => `
-            <div class="mb-3 p-3 bg-white rounded border-l-4 border-blue-400">
-              <p class="font-medium text-gray-800">${q.question}</p>
-              <p class="text-sm text-gray-600 mt-1"><strong>Category:</strong> ${q.category}</p>
-              <p class="text-xs text-blue-600 mt-1">${q.purpose}</p>
-            </div>
-          `).join('')}
-        </div>
-      `;
-    }
-
-  } catch (error) {
-    console.error('Error generating follow-up questions:', error);
-    if (resultContainer) {
-      resultContainer.innerHTML = `
-        <div class="bg-red-50 border border-red-200 rounded-lg p-4">
-          <p class="text-red-600">❌ Failed to generate questions: ${error.message}</p>
-          <p class="text-sm text-red-500 mt-1">Please check your AI configuration.</p>
-        </div>
-      `;
+  // Get customer notes for context
+  const notes = collectCustomerNotes(stageId);
+
+  queueAiRequest({
+    kind: 'followups',
+    stageId,
+    responseKey: 'followups',
+    label: `Follow-up questions: ${plainText(stage.title)}`,
+    regenerate,
+    prompt: aiIntegration.buildFollowUpPrompt(stage, stage.questions, notes),
+    context: {
+      type: 'followup_questions',
+      stage: stageId,
+      industry: SALES_CYCLE_DATA.industry
     }
-  }
-
-  if (button) {
-    button.disabled = false;
-    button.innerHTML = '✨ AI: Generate Follow-up Questions';
-  }
+  });
 }
 
 // Generate AI response for individual questions
-async function generateQuestionResponse(button) {
-  if (!aiIntegration) {
+function generateQuestionResponse(button, { regenerate = false } = {}) {
+  if (!aiIntegration || !aiQueue) {
     showMessage('AI integration not available', 'error');
     return;
   }
@@ -627,310 +890,258 @@ async function generateQuestionResponse(button) {
   const question = decodeURIComponent(button.dataset.question);
   const noteId = button.dataset.noteId;
   const notesTextarea = document.querySelector(`[data-note-id="${noteId}"]`);
-  const responseContainer = button.closest('details').querySelector('.ai-question-response-content');
-  const responseContent = responseContainer?.querySelector('.ai-response-text');
-
-  if (!responseContainer || !responseContent || !notesTextarea) return;
-
-  button.disabled = true;
-  button.innerHTML = '⏳ Generating...';
-
-  try {
-    const customerNotes = notesTextarea.value.trim();
-    const stageId = button.closest('.content-section')?.id;
-    const stageName = SALES_CYCLE_DATA.stages.find(s => s.id === stageId)?.title || 'Discovery';
-    
-    const prompt = `You are an expert enterprise software sales consultant specializing in UiPath automation solutions. You are currently in the ${stageName} stage of the sales cycle.
+  const stageId = button.closest('.content-section')?.id;
 
-CONTEXT:
-- This is an enterprise software sales call for UiPath (business process automation/RPA)
-- Industry: ${SALES_CYCLE_DATA.industry}
-- Sales Stage: ${stageName}
-- Discovery Question Asked: "${question}"
-- Customer Response/Notes: "${customerNotes || 'No specific response captured yet'}"
+  if (!notesTextarea || !stageId) return;
 
-Based on this context, provide a strategic response that:
-1. Acknowledges what the customer shared
-2. Provides helpful insights about UiPath's capabilities in this area
-3. Suggests 2-3 strategic follow-up questions to deepen the conversation
-4. Positions UiPath as the optimal solution for their ${SALES_CYCLE_DATA.industry} automation needs
-
-Keep the response conversational, consultative, and focused on their specific business outcomes. Maximum 3-4 sentences.`;
+  const customerNotes = notesTextarea.value.trim();
 
-    const response = await aiIntegration.generateResponse(prompt, {
+  queueAiRequest({
+    kind: 'question',
+    stageId,
+    responseKey: noteId,
+    label: `AI response: ${plainText(question)}`,
+    regenerate,
+    prompt: aiIntegration.buildQuestionPrompt(question, { stage: stageId, customerNotes }),
+    context: {
       type: 'question_response',
       stage: stageId,
       industry: SALES_CYCLE_DATA.industry,
       question: question,
       customerNotes: customerNotes
-    });
-
-    responseContent.innerHTML = response;
-    responseContainer.classList.remove('hidden');
-
-  } catch (error) {
-    console.error('Error generating question response:', error);
-    responseContent.innerHTML = `
-      <div class="text-red-600">
-        ❌ Failed to generate response: ${error.message}<br>
-        <span class="text-sm">Please check your AI configuration.</span>
-      </div>
-    `;
-    responseContainer.classList.remove('hidden');
-  }
-
-  button.disabled = false;
-  button.innerHTML = `
-    <svg class="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-      <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"></path>
-    </svg>
-    AI Response
-  `;
+    }
+  });
 }
 
 // Generate AI response for objections
-async function generateObjectionResponse(button) {
-  if (!aiIntegration) {
+function generateObjectionResponse(button, { regenerate = false } = {}) {
+  if (!aiIntegration || !aiQueue) {
     showMessage('AI integration not available', 'error');
     return;
   }
 
   const objection = decodeURIComponent(button.dataset.objection);
-  const objectionIndex = button.dataset.objectionIndex;
-  const notesTextarea = document.querySelector(`[data-objection-index="${objectionIndex}"]`);
-  const responseContainer = button.closest('details').querySelector('.ai-objection-response-content');
-  const responseContent = responseContainer?.querySelector('.ai-objection-response-text');
-
-  if (!responseContainer || !responseContent) return;
-
-  button.disabled = true;
-  button.innerHTML = '⏳ Generating...';
-
-  try {
-    const customerResponse = notesTextarea?.value.trim() || '';
-    const stageId = button.closest('.content-section')?.id;
-    const stageName = SALES_CYCLE_DATA.stages.find(s => s.id === stageId)?.title || 'Discovery';
-    
-    const prompt = `You are an expert enterprise software sales consultant specializing in UiPath automation solutions. You are handling a customer objection during the ${stageName} stage.
-
-CONTEXT:
-- This is an enterprise software sales call for UiPath (business process automation/RPA)
-- Industry: ${SALES_CYCLE_DATA.industry}
-- Sales Stage: ${stageName}
-- Customer Objection: "${objection}"
-- Customer's Specific Response/Context: "${customerResponse || 'Standard objection, no additional context provided'}"
-
-Provide a compelling, tailored response that:
-1. Acknowledges and empathizes with their concern
-2. Addresses the specific objection with UiPath's unique value proposition
-3. Provides relevant ${SALES_CYCLE_DATA.industry} industry examples or case studies
-4. Suggests a logical next step to move the conversation forward
-5. Maintains a consultative, non-pushy tone
-
-Keep the response professional, confident, and solution-focused. Maximum 4-5 sentences.`;
-
-    const response = await aiIntegration.generateResponse(prompt, {
+  const objectionKey = button.dataset.objectionKey;
+  const notesTextarea = button.closest('details').querySelector('.objection-notes-textarea');
+  const stageId = button.closest('.content-section')?.id;
+
+  if (!stageId) return;
+
+  const customerResponse = notesTextarea?.value.trim() || '';
+
+  queueAiRequest({
+    kind: 'objection',
+    stageId,
+    responseKey: `objection-${objectionKey}`,
+    label: `AI response: ${plainText(objection)}`,
+    regenerate,
+    prompt: aiIntegration.buildObjectionPrompt(objection, { stage: stageId, customerNotes: customerResponse }),
+    context: {
       type: 'objection_response',
       stage: stageId,
       industry: SALES_CYCLE_DATA.industry,
       objection: objection,
       customerContext: customerResponse
-    });
+    }
+  });
+}
+
+// ---------- QUEUED AI RESPONSES ----------
+// AI requests go through the persistent queue (js/ai-queue.js). Each job names the opportunity,
+// stage and response key it belongs to, so the answer lands in the right card even after a reload.
+const aiSlotButtonLabels = {
+  question: `${aiButtonIcon} AI Response`,
+  objection: `${aiButtonIcon} AI Response`,
+  followups: '✨ AI: Generate Follow-up Questions',
+  insights: '✨ AI: Generate Deal Insights'
+};
+
+// Output schema (js/ai-output.js) of the response stored under a key
+const aiResponseType = responseKey => responseKey.startsWith('objection-') ? 'objection_response' : 'question_response';
+
+// Structured responses render section by section; responses saved before schemas existed are plain text
+const savedAiResponseHtml = (saved, type) =>
+  (saved.data ? structuredOutputHtml(type, saved.data) : renderMarkdown(saved.text)) + aiResponseMetaHtml(saved.cachedAt);
+
+function queueAiRequest(request) {
+  const opportunityId = getActiveOpportunity().id;
+  aiQueue.enqueue({
+    ...request,
+    opportunityId,
+    slot: `${opportunityId}|${request.stageId}|${request.responseKey}`
+  });
+}
 
-    responseContent.innerHTML = response;
-    responseContainer.classList.remove('hidden');
+// The card elements for a job, if its opportunity is the one on screen
+function aiJobSlot(job) {
+  if (job.opportunityId !== getActiveOpportunity().id) return null;
 
-  } catch (error) {
-    console.error('Error generating objection response:', error);
-    responseContent.innerHTML = `
+  if (job.kind === 'followups') {
+    const container = $(`#${job.stageId}-generated`);
+    return container && { container, content: container, button: $(`[data-generate-followups="${job.stageId}"]`) };
+  }
+  if (job.kind === 'insights') {
+    const container = $(`#${job.stageId}-insights-result`);
+    return container && { container, content: container, button: $(`[data-generate-insights="${job.stageId}"]`) };
+  }
+
+  const container = document.querySelector(`#${job.stageId} [data-response-key="${job.responseKey}"]`);
+  return container && {
+    container,
+    content: container.querySelector('.ai-response-text, .ai-objection-response-text'),
+    button: container.closest('details')?.querySelector('.ai-question-response-btn, .ai-objection-response-btn')
+  };
+}
+
+const aiStopButton = jobId =>
+  `<button type="button" class="mt-2 text-xs text-red-700 border border-red-200 rounded px-2 py-1 hover:bg-red-50" data-ai-queue-stop="${jobId}">■ Stop</button>`
+
+function aiJobPendingHtml(job) {
+  if (job.status === 'failed') {
+    return `
       <div class="text-red-600">
-        ❌ Failed to generate response: ${error.message}<br>
-        <span class="text-sm">Please check your AI configuration.</span>
+        ❌ Failed to generate response: ${escapeHtml(job.error)}<br>
+        <button type="button" class="text-sm underline hover:text-red-800" data-ai-queue-retry="${job.id}">Try again</button>
       </div>
     `;
-    responseContainer.classList.remove('hidden');
+  }
+  if (job.status !== 'running') {
+    return `<p class="text-gray-500 italic">⏳ ${aiJobStatusText(job)}</p>`;
   }
 
-  button.disabled = false;
-  button.innerHTML = `
-    <svg class="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-      <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"></path>
-    </svg>
-    AI Response
+  // Streamed text is written into .ai-stream-text as it arrives
+  if (job.kind === 'followups') {
+    return `
+      <div class="bg-blue-50 border border-blue-200 rounded-lg p-4">
+        <h4 class="text-lg font-semibold text-blue-800 mb-3">🤖 AI-Generated Follow-up Questions</h4>
+        <p class="ai-stream-status text-gray-500 italic">⏳ Generating...</p>
+        <ul class="ai-stream-text list-disc ml-5 space-y-1 text-gray-800"></ul>
+        ${aiStopButton(job.id)}
+      </div>
+    `;
+  }
+  return `
+    <div class="ai-stream-text whitespace-pre-wrap"><span class="text-gray-500 italic">⏳ Generating...</span></div>
+    ${aiStopButton(job.id)}
   `;
 }
 
-// Generate AI response for additional questions
-async function generateAdditionalQuestionResponse(button) {
-  if (!aiIntegration) {
-    showMessage('AI integration not available', 'error');
-    return;
-  }
-
-  const container = button.closest('.mb-4');
-  const questionInput = container.querySelector('.additional-question-input');
-  const notesTextarea = container.querySelector('.additional-question-textarea');
-  const responseContainer = container.querySelector('.ai-additional-question-response');
-  const responseContent = responseContainer?.querySelector('.ai-additional-response-text');
-
-  if (!questionInput || !notesTextarea || !responseContainer || !responseContent) return;
+// Questions completed so far in a streamed follow-up response (a JSON array, or bulleted text)
+function partialFollowUpQuestions(text) {
+  const fromJson = [...text.matchAll(/"question"\s*:\s*"((?:[^"\\]|\\.)*)"/g)].map(m => JSON.parse(`"${m[1]}"`));
+  if (fromJson.length) return fromJson;
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(line => /^[-•]\s+.+\?/.test(line))
+    .map(line => line.replace(/^[-•]\s+/, ''));
+}
 
-  const customQuestion = questionInput.value.trim();
-  const customerNotes = notesTextarea.value.trim();
+function renderAiJobStream(job, text) {
+  const stream = aiJobSlot(job)?.content?.querySelector('.ai-stream-text');
+  if (!stream) return;
 
-  if (!customQuestion) {
-    showMessage('Please enter a question first', 'error');
+  if (job.kind === 'followups') {
+    const questions = partialFollowUpQuestions(text);
+    stream.replaceChildren(...questions.map(question => Object.assign(document.createElement('li'), { textContent: question })));
     return;
   }
 
-  button.disabled = true;
-  button.innerHTML = '⏳ Generating...';
-
-  try {
-    const stageId = button.closest('.content-section')?.id;
-    const stageName = SALES_CYCLE_DATA.stages.find(s => s.id === stageId)?.title || 'Discovery';
-    
-    const prompt = `You are an expert enterprise software sales consultant specializing in UiPath automation solutions. You are in the ${stageName} stage of the sales cycle.
-
-CONTEXT:
-- This is an enterprise software sales call for UiPath (business process automation/RPA)
-- Industry: ${SALES_CYCLE_DATA.industry}
-- Sales Stage: ${stageName}
-- Your Custom Question: "${customQuestion}"
-- Customer Response/Notes: "${customerNotes || 'No response captured yet'}"
-
-Based on this custom question and the customer's response, provide strategic guidance that:
-1. Interprets what the customer's response reveals about their business needs
-2. Suggests how to position UiPath's capabilities to address their specific situation
-3. Recommends 2-3 strategic follow-up questions to advance the sales process
-4. Identifies potential opportunities or risks based on their response
-
-Keep the response actionable, insightful, and focused on advancing the ${SALES_CYCLE_DATA.industry} automation sale. Maximum 4 sentences.`;
-
-    const response = await aiIntegration.generateResponse(prompt, {
-      type: 'additional_question_response',
-      stage: stageId,
-      industry: SALES_CYCLE_DATA.industry,
-      question: customQuestion,
-      customerNotes: customerNotes
-    });
+  // Show each section as soon as its field starts arriving; text that is not JSON is shown as is
+  const partial = partialStructuredOutput(job.context.type, text);
+  if (Object.keys(partial).length) stream.innerHTML = structuredOutputHtml(job.context.type, partial);
+  else if (!/^\s*(```|[[{])/.test(text)) stream.textContent = text;
+}
 
-    responseContent.innerHTML = response;
-    responseContainer.classList.remove('hidden');
+function renderAiJobSlot(job) {
+  const slot = aiJobSlot(job);
+  if (!slot) return;
 
-  } catch (error) {
-    console.error('Error generating additional question response:', error);
-    responseContent.innerHTML = `
-      <div class="text-red-600">
-        ❌ Failed to generate response: ${error.message}<br>
-        <span class="text-sm">Please check your AI configuration.</span>
-      </div>
-    `;
-    responseContainer.classList.remove('hidden');
+  const busy = job.status !== 'failed';
+  if (slot.button) {
+    slot.button.disabled = busy;
+    slot.button.innerHTML = busy ? (job.status === 'running' ? '⏳ Generating...' : '⏳ Queued...') : aiSlotButtonLabels[job.kind];
   }
+  if (slot.content) slot.content.innerHTML = aiJobPendingHtml(job);
+  slot.container.classList.remove('hidden');
+}
 
-  button.disabled = false;
-  button.innerHTML = `
-    <svg class="w-4 h-4 mr-1 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-      <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"></path>
-    </svg>
-    AI Response
-  `;
+function renderQueuedAiJobs() {
+  aiQueue?.jobs.forEach(renderAiJobSlot);
 }
 
-// Generate AI response for additional objections
-async function generateAdditionalObjectionResponse(button) {
-  if (!aiIntegration) {
-    showMessage('AI integration not available', 'error');
+function handleAiQueueEvent(event, job, result) {
+  if (event === 'token') {
+    renderAiJobStream(job, result);
     return;
   }
-
-  const container = button.closest('.mb-4');
-  const objectionInput = container.querySelector('.additional-objection-input');
-  const notesTextarea = container.querySelector('.additional-objection-textarea');
-  const responseContainer = container.querySelector('.ai-additional-objection-response');
-  const responseContent = responseContainer?.querySelector('.ai-additional-objection-response-text');
-
-  if (!objectionInput || !notesTextarea || !responseContainer || !responseContent) return;
-
-  const customObjection = objectionInput.value.trim();
-  const customerContext = notesTextarea.value.trim();
-
-  if (!customObjection) {
-    showMessage('Please enter an objection first', 'error');
+  if (!['complete', 'stopped', 'cancel'].includes(event)) {
+    renderAiJobSlot(job);
     return;
   }
 
-  button.disabled = true;
-  button.innerHTML = '⏳ Generating...';
+  const slot = aiJobSlot(job);
+  if (slot?.button) {
+    slot.button.disabled = false;
+    slot.button.innerHTML = aiSlotButtonLabels[job.kind];
+  }
 
-  try {
-    const stageId = button.closest('.content-section')?.id;
-    const stageName = SALES_CYCLE_DATA.stages.find(s => s.id === stageId)?.title || 'Discovery';
-    
-    const prompt = `You are an expert enterprise software sales consultant specializing in UiPath automation solutions. You are handling a customer objection during the ${stageName} stage.
-
-CONTEXT:
-- This is an enterprise software sales call for UiPath (business process automation/RPA)
-- Industry: ${SALES_CYCLE_DATA.industry}
-- Sales Stage: ${stageName}
-- Customer's Objection: "${customObjection}"
-- Full Context/Details: "${customerContext || 'Limited context provided'}"
-
-Craft a compelling response that:
-1. Acknowledges and validates their concern
-2. Reframes the objection as an opportunity to demonstrate UiPath's value
-3. Provides specific ${SALES_CYCLE_DATA.industry} examples or proof points
-4. Suggests concrete next steps to address their concern
-5. Maintains momentum in the sales process
-
-Be consultative, confident, and solution-oriented. Maximum 5 sentences.`;
-
-    const response = await aiIntegration.generateResponse(prompt, {
-      type: 'additional_objection_response',
-      stage: stageId,
-      industry: SALES_CYCLE_DATA.industry,
-      objection: customObjection,
-      customerContext: customerContext
-    });
+  // Cancelled, or stopped before any text arrived: put back whatever the card showed before
+  if (event === 'cancel' || (event === 'stopped' && !result.trim())) {
+    initNotes();
+    return;
+  }
 
-    responseContent.innerHTML = response;
-    responseContainer.classList.remove('hidden');
+  // A completed response is the validated data; a stopped one keeps the text that arrived before the stop
+  if (job.kind === 'followups') {
+    const questions = event === 'stopped'
+      ? partialFollowUpQuestions(result).map(question => ({ question, category: 'Follow-up Questions', purpose: '' }))
+      : result;
+    const cachedAt = event === 'complete' ? job.cachedAt : null;
+    if (questions.length) saveFollowUps(job.stageId, questions, job.opportunityId, cachedAt);
+    if (slot) slot.content.innerHTML = questions.length ? followUpQuestionsHtml(questions, cachedAt) : '';
+    return;
+  }
 
-  } catch (error) {
-    console.error('Error generating additional objection response:', error);
-    responseContent.innerHTML = `
-      <div class="text-red-600">
-        ❌ Failed to generate response: ${error.message}<br>
-        <span class="text-sm">Please check your AI configuration.</span>
-      </div>
-    `;
-    responseContainer.classList.remove('hidden');
+  if (job.kind === 'insights') {
+    const sections = event === 'stopped' ? partialStructuredOutput(job.context.type, result) : result;
+    if (Object.keys(sections).length) saveDealInsights(job.stageId, sections, job.opportunityId, event === 'complete' ? job.cachedAt : null);
+    if (slot) renderDealInsightsResult(job.stageId);
+    return;
   }
 
-  button.disabled = false;
-  button.innerHTML = `
-    <svg class="w-4 h-4 mr-1 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-      <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"></path>
-    </svg>
-    AI Response
-  `;
+  const type = aiResponseType(job.responseKey);
+  const data = event === 'stopped' ? partialStructuredOutput(type, result) : result;
+  if (!Object.keys(data).length && /^\s*(```|[[{])/.test(result)) {
+    initNotes();
+    return;
+  }
+  const response = Object.keys(data).length
+    ? { text: structuredOutputText(type, data), data }
+    : { text: result };
+  if (event === 'complete' && job.cachedAt) response.cachedAt = job.cachedAt;
+  saveAiResponse(job.stageId, job.responseKey, response, job.opportunityId);
+  if (slot?.content) {
+    slot.content.innerHTML = savedAiResponseHtml(response, type);
+    slot.container.classList.remove('hidden');
+  }
 }
 
+// Collect the active opportunity's question notes for a stage (or all stages)
 function collectCustomerNotes(stageId) {
   const notes = {};
-  const stageSection = stageId ? $(`#${stageId}`) : document;
-  
-  if (stageSection) {
-    stageSection.querySelectorAll('.note-textarea').forEach(textarea => {
-      if (textarea.value.trim()) {
-        const questionText = textarea.closest('details')?.querySelector('summary')?.textContent?.trim();
-        if (questionText) {
-          notes[questionText] = textarea.value.trim();
-        }
+  const state = loadFullState();
+  const savedNotes = state.notes;
+  const stages = stageId ? SALES_CYCLE_DATA.stages.filter(s => s.id === stageId) : SALES_CYCLE_DATA.stages;
+  
+  stages.forEach(stage => {
+    const customEntries = (state.customQuestions[stage.id] || []).map(r => ({ question: r.text, noteId: r.id }));
+    [...questionEntries(stage.questions), ...customEntries].forEach(({ question, noteId }) => {
+      const note = (savedNotes[noteId] || '').trim();
+      if (note) {
+        notes[question.replace(/<[^>]*>/g, '')] = note;
       }
     });
-  }
+  });
   
   return Object.keys(notes).length > 0 ? JSON.stringify(notes, null, 2) : '';
 }
@@ -954,6 +1165,9 @@ function showMessage(message, type = 'info') {
 
 // ---------- MAIN INITIALIZATION ----------
 document.addEventListener('DOMContentLoaded',()=>{
+  // Reapply persisted admin edits on top of the shipped defaults
+  applyContentOverlay();
+  
   // Render initial content
   renderPersonas();
   renderStages();
@@ -966,9 +1180,20 @@ document.addEventListener('DOMContentLoaded',()=>{
   initScrollSpy();
   initIndustryToggle();
   initMobileMenu();
+  initOpportunitySwitcher();
   initExportNotes();
+  initKeyVault(); // Start the idle lock for saved API keys
   initAIIntegration(); // Initialize AI functionality
   initBulkAdmin(); // Initialize bulk admin interface
+  initContentHistory(); // Initialize content revision history
+  initPromptTemplates(); // Initialize the AI prompt template editor
+  initAIUsage(); // Initialize the AI usage and cost panel
+  initDealHealth(); // Initialize deal health scoring and the stage gate
+  initQualification(); // Initialize the qualification scorecard for each deal's framework
+  initCallPlans(); // Initialize meeting prep call plans
+  initCallImport(); // Initialize call notes import
+  initDealInsights(); // Initialize per-stage deal insights and the action list
+  initDealCoach(); // Initialize the deal coach chat
   initAdminMode(); // Initialize admin mode
 });
 
@@ -1073,6 +1298,20 @@ function initEditModal() {
     modalCancel.addEventListener('click', closeModal);
   }
 
+  // Reset the edited section to the shipped default
+  const modalReset = $('#modal-reset');
+  if (modalReset) {
+    modalReset.addEventListener('click', () => {
+      const sectionKey = contentSectionKeyForTarget(modal.getAttribute('data-edit-target') || '');
+      if (!sectionKey) return;
+      if (!confirm('Reset this section to the default content? Your edits to it will be lost.')) return;
+      resetContentWithHistory([sectionKey]);
+      refreshRenderedContent();
+      closeModal();
+      showMessage('Section reset to default', 'success');
+    });
+  }
+
   // Close modal on background click
   if (modal) {
     modal.addEventListener('click', (e) => {
@@ -1081,8 +1320,8 @@ function initEditModal() {
   }
 
   function openPersonaEditModal(personaId) {
-    const [, industry, index] = personaId.split('-');
-    const persona = SALES_CYCLE_DATA.personas[industry][parseInt(index)];
+    const { industry, index } = parsePersonaTarget(personaId);
+    const persona = SALES_CYCLE_DATA.personas[industry][index];
     
     if (!persona) return;
     
@@ -1090,19 +1329,19 @@ function initEditModal() {
       <div class="space-y-4">
         <div>
           <label class="block text-sm font-medium mb-2">Title</label>
-          <input type="text" id="edit-title" value="${persona.title || ''}" class="w-full p-2 border rounded-md">
+          <input type="text" id="edit-title" value="${escapeHtml(persona.title)}" class="w-full p-2 border rounded-md">
         </div>
         <div>
           <label class="block text-sm font-medium mb-2">Their World</label>
-          <textarea id="edit-world" rows="3" class="w-full p-2 border rounded-md">${persona.world || ''}</textarea>
+          <textarea id="edit-world" rows="3" class="w-full p-2 border rounded-md">${escapeHtml(persona.world)}</textarea>
         </div>
         <div>
           <label class="block text-sm font-medium mb-2">What They Care About</label>
-          <textarea id="edit-cares" rows="3" class="w-full p-2 border rounded-md">${persona.cares || ''}</textarea>
+          <textarea id="edit-cares" rows="3" class="w-full p-2 border rounded-md">${escapeHtml(persona.cares)}</textarea>
         </div>
         <div>
           <label class="block text-sm font-medium mb-2">How UiPath Helps</label>
-          <textarea id="edit-help" rows="3" class="w-full p-2 border rounded-md">${persona.help || ''}</textarea>
+          <textarea id="edit-help" rows="3" class="w-full p-2 border rounded-md">${escapeHtml(persona.help)}</textarea>
         </div>
         <div class="mt-6 pt-4 border-t border-gray-200">
           <button type="button" id="delete-persona-btn" class="px-4 py-2 bg-red-600 text-white rounded-md text-sm font-medium hover:bg-red-700 transition-colors">
@@ -1119,6 +1358,7 @@ function initEditModal() {
       modalContent.innerHTML = content;
       modal.setAttribute('data-edit-target', personaId);
       modal.setAttribute('data-edit-type', 'persona');
+      updateModalResetButton(personaId);
       modal.classList.remove('hidden');
     }
     
@@ -1137,11 +1377,11 @@ function initEditModal() {
   }
 
   function deletePersona(personaId) {
-    const [, industry, index] = personaId.split('-');
-    const indexNum = parseInt(index);
+    const { industry, index: indexNum } = parsePersonaTarget(personaId);
     
     // Remove from data
     SALES_CYCLE_DATA.personas[industry].splice(indexNum, 1);
+    commitContentEdit('edit-modal', [`personas.${industry}`]);
     
     // Re-render personas
     renderPersonas();
@@ -1168,13 +1408,14 @@ function initEditModal() {
         const stage = SALES_CYCLE_DATA.stages.find(s => s.id === stageId);
         if (stage) {
           stage.uipathTeam = items;
+          commitContentEdit('edit-modal', [`stages.${stageId}.uipathTeam`]);
           
-          // Re-render the stage content
+          // Re-render the stage content (as sanitized when it was saved)
           const targetElement = $(`#${editTarget}`);
           if (targetElement) {
             const contentDiv = targetElement.querySelector('.editable-content');
             if (contentDiv) {
-              contentDiv.innerHTML = listHtml(items);
+              contentDiv.innerHTML = listHtml(stage.uipathTeam);
             }
           }
           showMessage('UiPath Team updated successfully!', 'success');
@@ -1184,13 +1425,14 @@ function initEditModal() {
         const stage = SALES_CYCLE_DATA.stages.find(s => s.id === stageId);
         if (stage) {
           stage.initialPersonas = items;
+          commitContentEdit('edit-modal', [`stages.${stageId}.initialPersonas`]);
           
-          // Re-render the stage content
+          // Re-render the stage content (as sanitized when it was saved)
           const targetElement = $(`#${editTarget}`);
           if (targetElement) {
             const contentDiv = targetElement.querySelector('.editable-content');
             if (contentDiv) {
-              contentDiv.innerHTML = listHtml(items);
+              contentDiv.innerHTML = listHtml(stage.initialPersonas);
             }
           }
           showMessage('Initial Personas updated successfully!', 'success');
@@ -1199,28 +1441,31 @@ function initEditModal() {
         const stageId = editTarget.replace('-outcomes', '');
         const stage = SALES_CYCLE_DATA.stages.find(s => s.id === stageId);
         if (stage) {
-          stage.outcomes = items;
+          stage.outcomes = reconcileTextItems(stage.outcomes, items, 'o');
+          commitContentEdit('edit-modal', [`stages.${stageId}.outcomes`]);
           
           // Re-render the stage content
           const targetElement = $(`#${editTarget}`);
           if (targetElement) {
             const contentDiv = targetElement.querySelector('.editable-content');
             if (contentDiv) {
-              contentDiv.innerHTML = listHtml(items, true, stageId);
+              contentDiv.innerHTML = listHtml(stage.outcomes, true);
             }
           }
+          initChecklists();
           showMessage('Outcomes updated successfully!', 'success');
         }
       }
     } else if (editType === 'persona') {
-      const [, industry, index] = editTarget.split('-');
-      const persona = SALES_CYCLE_DATA.personas[industry][parseInt(index)];
+      const { industry, index } = parsePersonaTarget(editTarget);
+      const persona = SALES_CYCLE_DATA.personas[industry][index];
       
       if (persona) {
         persona.title = $('#edit-title')?.value || '';
         persona.world = $('#edit-world')?.value || '';
         persona.cares = $('#edit-cares')?.value || '';
         persona.help = $('#edit-help')?.value || '';
+        commitContentEdit('edit-modal', [`personas.${industry}`]);
         
         // Re-render personas
         renderPersonas();
@@ -1237,9 +1482,13 @@ function openSimpleEditModal(targetId, title) {
   const contentDiv = targetElement.querySelector('.editable-content');
   if (!contentDiv) return;
   
-  // Extract current content from HTML
-  const items = Array.from(contentDiv.querySelectorAll('li')).map(li => li.innerHTML.replace(/<[^>]*>/g, ''));
-  const currentContent = items.join('\n');
+  // Text lists are filled from the content itself, so markup added when rendering (like the
+  // "(optional)" marker on outcomes) is not saved back into the items
+  const sectionKey = contentSectionKeyForTarget(targetId);
+  const items = /\.(uipathTeam|initialPersonas|outcomes)$/.test(sectionKey || '')
+    ? (getContentSection(SALES_CYCLE_DATA, sectionKey) || []).map(contentItemText)
+    : Array.from(contentDiv.querySelectorAll('li')).map(li => li.innerHTML.replace(/<[^>]*>/g, ''));
+  const currentContent = escapeHtml(items.join('\n'));
   
   const modal = $('#edit-modal');
   const modalContent = $('#modal-content-area');
@@ -1261,20 +1510,49 @@ function openSimpleEditModal(targetId, title) {
   // Store the target for saving
   modal.setAttribute('data-edit-target', targetId);
   modal.setAttribute('data-edit-type', 'simple');
+  updateModalResetButton(targetId);
   
   modal.classList.remove('hidden');
 }
 
+// Split a persona card ID ("persona-public-sector-2") into its industry and index
+function parsePersonaTarget(targetId) {
+  const match = targetId.match(/^persona-(.+)-(\d+)$/);
+  return match ? { industry: match[1], index: parseInt(match[2]) } : null;
+}
+
+// Map an edit target (e.g. "discovery-outcomes", "persona-banking-2") to its content section key
+function contentSectionKeyForTarget(targetId) {
+  const persona = parsePersonaTarget(targetId);
+  if (persona) return `personas.${persona.industry}`;
+
+  const suffixes = {
+    '-uipath-team': 'uipathTeam',
+    '-initial-personas': 'initialPersonas',
+    '-outcomes': 'outcomes',
+    '-questions': 'questions',
+    '-objections': 'objections',
+    '-resources': 'resources'
+  };
+  const suffix = Object.keys(suffixes).find(sfx => targetId.endsWith(sfx));
+  if (!suffix) return null;
+  return `stages.${targetId.slice(0, -suffix.length)}.${suffixes[suffix]}`;
+}
+
+// Only offer "Reset to Default" when the section has persisted edits
+function updateModalResetButton(targetId) {
+  const sectionKey = contentSectionKeyForTarget(targetId);
+  $('#modal-reset')?.classList.toggle('hidden', !sectionKey || !isContentSectionCustomized(sectionKey));
+}
+
 // Add new persona
 function addNewPersona() {
-  // Determine current active industry
-  const bankingContainer = $('#personas-banking');
-  const insuranceContainer = $('#personas-insurance');
-  const isInsuranceActive = insuranceContainer && !insuranceContainer.classList.contains('hidden');
-  const activeIndustry = isInsuranceActive ? 'insurance' : 'banking';
+  // Add to the industry currently in view
+  const activeIndustry = APP_STATE.industry;
   
   // Create new blank persona
   const newPersona = {
+    id: generateContentId('p'),
     title: 'New Persona',
     world: '',
     cares: '',
@@ -1283,6 +1561,7 @@ function addNewPersona() {
   
   // Add to data
   SALES_CYCLE_DATA.personas[activeIndustry].push(newPersona);
+  commitContentEdit('edit-modal', [`personas.${activeIndustry}`]);
   
   // Re-render personas
   renderPersonas();
@@ -1299,7 +1578,7 @@ function addNewPersona() {
     }
   }, 100);
   
-  showMessage(`New ${activeIndustry} persona added!`, 'success');
+  showMessage(`New ${industryLabel(activeIndustry)} persona added!`, 'success');
 }
 
 // ---------- BULK ADMIN INTERFACE ----------
@@ -1416,25 +1695,66 @@ function initBulkAdminTabs() {
       if (content) {
         content.classList.remove('hidden');
       }
+      if (tab.getAttribute('data-tab') === 'history') {
+        renderContentHistory();
+      }
+      if (tab.getAttribute('data-tab') === 'prompts') {
+        renderPromptTemplateEditor();
+      }
     });
   });
 }
 
+// Bulk editor tabs and containers use the first word of the stage ID (e.g. "business")
+function bulkStagePrefix(stageId) {
+  return stageId.split('-')[0];
+}
+
+// Reset one bulk editor tab (a stage, the personas or the qualification frameworks) to the shipped defaults
+function resetBulkSection(tab) {
+  const keys = tab === 'personas'
+    ? contentSectionKeys().filter(key => key.startsWith('personas.'))
+    : tab === 'qualification'
+    ? ['qualificationFramework', 'qualificationFrameworks']
+    : SALES_CYCLE_DATA.stages.filter(s => bulkStagePrefix(s.id) === tab).flatMap(s => stageContentKeys(s.id));
+
+  if (!keys.length) return;
+  if (!confirm('Reset this section to the default content? Saved edits to it will be lost.')) return;
+
+  resetContentWithHistory(keys);
+  loadAllContentToBulkEditor();
+  refreshRenderedContent();
+  showMessage('Section reset to default', 'success');
+}
+
+// Discard every persisted content edit
+function resetAllBulkContent() {
+  if (!confirm('Reset ALL content to the shipped defaults? Every saved edit will be lost.')) return;
+
+  resetContentWithHistory();
+  loadAllContentToBulkEditor();
+  refreshRenderedContent();
+  showMessage('All content reset to default', 'success');
+}
+
 // Load all current content into the bulk editor
 function loadAllContentToBulkEditor() {
   // Load personas
   loadPersonasToBulkEditor();
   
+  // Load qualification frameworks
+  loadQualificationFrameworksToBulkEditor();
+  
   // Load stage data
   SALES_CYCLE_DATA.stages.forEach(stage => {
-    const stagePrefix = stage.id.replace('-', '');
+    const stagePrefix = bulkStagePrefix(stage.id);
     
     // Load outcomes
     const outcomesContainer = $(`#${stagePrefix}-outcomes-container`);
     if (outcomesContainer && stage.outcomes) {
       outcomesContainer.innerHTML = '';
       stage.outcomes.forEach(outcome => {
-        addContentItem(outcomesContainer, 'outcome', outcome, stagePrefix);
+        addContentItem(outcomesContainer, 'outcome', outcome.text, stagePrefix, outcome.id, { optional: outcome.optional });
       });
     }
     
@@ -1469,23 +1789,50 @@ function loadAllContentToBulkEditor() {
 
 // Load personas into bulk editor
 function loadPersonasToBulkEditor() {
-  // Clear existing persona editors
-  const bankingEditor = $('#banking-personas-editor');
-  const insuranceEditor = $('#insurance-personas-editor');
-  
-  if (bankingEditor) {
-    bankingEditor.innerHTML = '';
-    SALES_CYCLE_DATA.personas.banking.forEach((persona, index) => {
-      addPersonaEditor('banking', persona, index);
-    });
-  }
+  // One editor section per industry
+  const editors = $('#industry-personas-editors');
+  if (!editors) return;
   
-  if (insuranceEditor) {
-    insuranceEditor.innerHTML = '';
-    SALES_CYCLE_DATA.personas.insurance.forEach((persona, index) => {
-      addPersonaEditor('insurance', persona, index);
+  editors.innerHTML = '';
+  getIndustries().forEach(industry => {
+    addIndustryPersonaSection(industry);
+    (SALES_CYCLE_DATA.personas[industry.id] || []).forEach((persona, index) => {
+      addPersonaEditor(industry.id, persona, index);
     });
+  });
+}
+
+// Add an industry's persona section to the bulk editor
+function addIndustryPersonaSection(industry) {
+  const editors = $('#industry-personas-editors');
+  if (!editors) return;
+  
+  editors.insertAdjacentHTML('beforeend', `
+    <div class="mb-8" data-industry-section="${industry.id}">
+      <div class="flex justify-between items-center mb-4">
+        <h4 class="text-lg font-semibold text-gray-800">${industry.label} Industry</h4>
+        <button type="button" class="text-sm bg-purple-100 text-purple-700 px-3 py-2 rounded hover:bg-purple-200" onclick="addPersona('${industry.id}')">+ Add ${industry.label} Persona</button>
+      </div>
+      <div id="${industry.id}-personas-editor" class="space-y-4"></div>
+    </div>
+  `);
+}
+
+// Add a new industry vertical from the bulk editor
+function addIndustryFromBulkEditor() {
+  const label = (prompt('Name of the new industry (e.g. Retail):') || '').trim();
+  if (!label) return;
+  
+  const id = industryIdFromLabel(label);
+  if (getIndustry(id)) {
+    showMessage(`${label} already exists`, 'error');
+    return;
   }
+  
+  const industry = registerIndustry({ id, label });
+  addIndustryPersonaSection(industry);
+  addPersonaEditor(industry.id);
+  showMessage(`${label} added - save to keep it`, 'success');
 }
 
 // Add persona editor
@@ -1497,16 +1844,16 @@ function addPersonaEditor(industry, persona = null, index = null) {
   const personaData = persona || { title: '', world: '', cares: '', help: '' };
   
   const editorHtml = `
-    <div class="persona-editor bg-white p-3 rounded-md border" data-industry="${industry}" data-index="${personaIndex}">
+    <div class="persona-editor bg-white p-3 rounded-md border" data-industry="${industry}" data-index="${personaIndex}" data-item-id="${personaData.id || ''}">
       <div class="flex justify-between items-center mb-2">
         <span class="text-sm font-medium text-gray-700">Persona ${personaIndex + 1}</span>
         <button type="button" onclick="removePersonaEditor(this)" class="text-red-600 hover:text-red-800 text-sm">🗑️ Remove</button>
       </div>
       <div class="space-y-2">
-        <input type="text" placeholder="Persona Title" value="${personaData.title}" class="persona-title w-full p-2 border rounded text-sm">
-        <textarea placeholder="Their world..." class="persona-world w-full p-2 border rounded text-sm h-16">${personaData.world}</textarea>
-        <textarea placeholder="What they care about..." class="persona-cares w-full p-2 border rounded text-sm h-16">${personaData.cares}</textarea>
-        <textarea placeholder="How UiPath helps..." class="persona-help w-full p-2 border rounded text-sm h-16">${personaData.help}</textarea>
+        <input type="text" placeholder="Persona Title" value="${escapeHtml(personaData.title)}" class="persona-title w-full p-2 border rounded text-sm">
+        <textarea placeholder="Their world..." class="persona-world w-full p-2 border rounded text-sm h-16">${escapeHtml(personaData.world)}</textarea>
+        <textarea placeholder="What they care about..." class="persona-cares w-full p-2 border rounded text-sm h-16">${escapeHtml(personaData.cares)}</textarea>
+        <textarea placeholder="How UiPath helps..." class="persona-help w-full p-2 border rounded text-sm h-16">${escapeHtml(personaData.help)}</textarea>
       </div>
     </div>
   `;
@@ -1530,12 +1877,15 @@ function removePersonaEditor(button) {
 // Save all bulk changes
 function saveBulkChanges() {
   try {
+    // Read the qualification frameworks first: an incomplete one stops the whole save
+    const qualification = qualificationFrameworksFromBulkEditor();
+    
     // Save personas
     savePersonasFromBulkEditor();
     
     // Save stage data
     SALES_CYCLE_DATA.stages.forEach(stage => {
-      const stagePrefix = stage.id.replace('-', '');
+      const stagePrefix = bulkStagePrefix(stage.id);
       
       // Save outcomes
       const outcomesContainer = $(`#${stagePrefix}-outcomes-container`);
@@ -1544,7 +1894,10 @@ function saveBulkChanges() {
         const outcomeInputs = outcomesContainer.querySelectorAll('.content-input');
         outcomeInputs.forEach(input => {
           const value = input.value.trim();
-          if (value) outcomes.push(value);
+          if (!value) return;
+          const outcome = { id: contentItemIdFor(input, 'o'), text: value };
+          if (input.closest('.content-item').querySelector('.outcome-optional-input')?.checked) outcome.optional = true;
+          outcomes.push(outcome);
         });
         stage.outcomes = outcomes;
       }
@@ -1589,7 +1942,7 @@ function saveBulkChanges() {
             
             questionInputs.forEach(input => {
               const value = input.value.trim();
-              if (value) categoryQuestions.push(value);
+              if (value) categoryQuestions.push({ id: contentItemIdFor(input, 'q'), text: value });
             });
             
             if (categoryQuestions.length > 0) {
@@ -1602,13 +1955,17 @@ function saveBulkChanges() {
       }
     });
     
-    // Re-render the entire application with new data
-    renderPersonas();
-    renderStages();
+    // Save qualification frameworks
+    if (qualification) {
+      SALES_CYCLE_DATA.qualificationFrameworks = qualification.frameworks;
+      SALES_CYCLE_DATA.qualificationFramework = qualification.defaultId;
+    }
     
-    // Re-initialize functionality that depends on the content
-    initChecklists();
-    initNotes();
+    // Persist the edits so they survive a reload
+    commitContentEdit('bulk-admin');
+    
+    // Re-render the entire application with new data
+    refreshRenderedContent();
     
     // Close modal
     const bulkAdminModal = $('#bulk-admin-modal');
@@ -1624,7 +1981,7 @@ function saveBulkChanges() {
 
 // Save personas from bulk editor
 function savePersonasFromBulkEditor() {
-  ['banking', 'insurance'].forEach(industry => {
+  getIndustries().map(ind => ind.id).forEach(industry => {
     const personaEditors = $$(`#${industry}-personas-editor .persona-editor`);
     const personas = [];
     
@@ -1635,7 +1992,7 @@ function savePersonasFromBulkEditor() {
       const help = editor.querySelector('.persona-help').value.trim();
       
       if (title || world || cares || help) {
-        personas.push({ title, world, cares, help });
+        personas.push({ id: editor.dataset.itemId || generateContentId('p'), title, world, cares, help });
       }
     });
     
@@ -1646,6 +2003,7 @@ function savePersonasFromBulkEditor() {
 // Export all content
 function exportAllContent() {
   const exportData = {
+    industries: SALES_CYCLE_DATA.industries,
     personas: SALES_CYCLE_DATA.personas,
     stages: SALES_CYCLE_DATA.stages.map(stage => ({
       id: stage.id,
@@ -1656,6 +2014,8 @@ function exportAllContent() {
       objections: stage.objections,
       resources: stage.resources
     })),
+    qualificationFramework: SALES_CYCLE_DATA.qualificationFramework,
+    qualificationFrameworks: SALES_CYCLE_DATA.qualificationFrameworks,
     exportDate: new Date().toISOString(),
     version: '1.0'
   };
@@ -1690,11 +2050,22 @@ function importAllContent(event) {
         throw new Error('Invalid import file format');
       }
       
-      // Update data
-      if (importData.personas) {
-        SALES_CYCLE_DATA.personas = importData.personas;
-      }
+      // Check the frameworks before changing anything, since a broken one would be saved with the rest
+      const qualification = importData.qualificationFrameworks === undefined ? null
+        : validateQualificationFrameworks(importData.qualificationFrameworks, importData.qualificationFramework);
       
+      // Imported items without IDs reuse the IDs of matching current items
+      const previousContent = JSON.parse(JSON.stringify(SALES_CYCLE_DATA));
+      
+      // Register any industries the file introduces
+      (importData.industries || []).forEach(importIndustry);
+
+      // Update data
+      Object.entries(importData.personas).forEach(([key, personas]) => {
+        const industry = importIndustry({ id: key });
+        if (industry) SALES_CYCLE_DATA.personas[industry.id] = personas;
+      });
+
       if (importData.stages) {
         importData.stages.forEach(importStage => {
           const existingStage = SALES_CYCLE_DATA.stages.find(s => s.id === importStage.id);
@@ -1704,8 +2075,16 @@ function importAllContent(event) {
         });
       }
       
-      // Reload the bulk editor with new data
+      if (qualification) {
+        SALES_CYCLE_DATA.qualificationFrameworks = qualification.frameworks;
+        SALES_CYCLE_DATA.qualificationFramework = qualification.defaultId;
+      }
+      ensureContentIds(SALES_CYCLE_DATA, previousContent);
+      
+      // Persist the imported content and reload the bulk editor with it
+      commitContentEdit('json-import');
       loadAllContentToBulkEditor();
+      refreshRenderedContent();
       
       showMessage('Content imported successfully! 📥', 'success');
       
@@ -1721,17 +2100,23 @@ function importAllContent(event) {
 
 // Helper functions for new bulk editor interface
 
-// Add content item (outcome, persona, etc.)
-function addContentItem(container, type, value = '', stagePrefix) {
+// Add content item (outcome, persona, etc.); itemId keeps an existing item's content ID
+function addContentItem(container, type, value = '', stagePrefix, itemId = '', options = {}) {
   const item = document.createElement('div');
   item.className = 'content-item';
+  if (itemId) item.dataset.itemId = itemId;
   
   const input = type === 'outcome' ? 
-    `<textarea rows="2" placeholder="Enter ${type}..." class="content-input">${value}</textarea>` :
-    `<input type="text" placeholder="Enter ${type}..." value="${value}" class="content-input">`;
+    `<textarea rows="2" placeholder="Enter ${type}..." class="content-input">${escapeHtml(value)}</textarea>` :
+    `<input type="text" placeholder="Enter ${type}..." value="${escapeHtml(value)}" class="content-input">`;
+  
+  // Outcomes are exit criteria unless marked optional
+  const optionalToggle = type === 'outcome' ?
+    `<label class="flex items-center gap-1 text-xs text-gray-600 whitespace-nowrap"><input type="checkbox" class="outcome-optional-input"${options.optional ? ' checked' : ''}> Optional</label>` : '';
   
   item.innerHTML = `
     ${input}
+    ${optionalToggle}
     <button type="button" class="remove-item-btn" onclick="removeContentItem(this)">✕</button>
   `;
   
@@ -1739,6 +2124,11 @@ function addContentItem(container, type, value = '', stagePrefix) {
   return item;
 }
 
+// Content ID of an edited item, or a new one for items added in the editor
+function contentItemIdFor(input, prefix) {
+  return input.closest('.content-item')?.dataset.itemId || generateContentId(prefix);
+}
+
 // Remove content item
 function removeContentItem(button) {
   const item = button.closest('.content-item');
@@ -1778,7 +2168,7 @@ function addQuestionCategoryToContainer(container, categoryName = '', questions
   
   categoryDiv.innerHTML = `
     <div class="question-category-header">
-      <input type="text" placeholder="Category Name (e.g., Pain Points)" value="${categoryName}" class="category-name-input">
+      <input type="text" placeholder="Category Name (e.g., Pain Points)" value="${escapeHtml(categoryName)}" class="category-name-input">
       <button type="button" class="add-question-btn" onclick="addQuestion(this)">+ Question</button>
       <button type="button" class="remove-item-btn" onclick="removeQuestionCategory(this)">✕</button>
     </div>
@@ -1790,7 +2180,7 @@ function addQuestionCategoryToContainer(container, categoryName = '', questions
   // Add existing questions
   const questionsList = categoryDiv.querySelector('.questions-list');
   questions.forEach(question => {
-    addQuestionToCategory(questionsList, question);
+    addQuestionToCategory(questionsList, question.text, question.id);
   });
   
   // Add empty question if no questions exist
@@ -1809,12 +2199,13 @@ function addQuestion(button) {
 }
 
 // Add question to category list
-function addQuestionToCategory(questionsList, questionText = '') {
+function addQuestionToCategory(questionsList, questionText = '', questionId = '') {
   const questionDiv = document.createElement('div');
   questionDiv.className = 'content-item';
+  if (questionId) questionDiv.dataset.itemId = questionId;
   
   questionDiv.innerHTML = `
-    <textarea rows="2" placeholder="Enter question..." class="content-input">${questionText}</textarea>
+    <textarea rows="2" placeholder="Enter question..." class="content-input">${escapeHtml(questionText)}</textarea>
     <button type="button" class="remove-item-btn" onclick="removeContentItem(this)">✕</button>
   `;
   
@@ -1836,6 +2227,11 @@ function exportAllContentAsCSV() {
   // Add header
   csvData.push(['Type', 'Industry/Stage', 'Category', 'Field', 'Content']);
   
+  // Export industries so verticals added in the editor round-trip
+  getIndustries().forEach(ind => {
+    csvData.push(['Industry', ind.id, '', 'Label', ind.label]);
+  });
+  
   // Export personas
   Object.entries(SALES_CYCLE_DATA.personas).forEach(([industry, personas]) => {
     personas.forEach((persona, index) => {
@@ -1851,7 +2247,7 @@ function exportAllContentAsCSV() {
     // Outcomes
     if (stage.outcomes && stage.outcomes.length > 0) {
       stage.outcomes.forEach(outcome => {
-        csvData.push(['Stage', stage.title, 'Outcomes', 'Outcome', outcome]);
+        csvData.push(['Stage', stage.title, 'Outcomes', 'Outcome', outcome.text]);
       });
     }
     
@@ -1866,10 +2262,21 @@ function exportAllContentAsCSV() {
     if (stage.questions) {
       Object.entries(stage.questions).forEach(([category, questions]) => {
         questions.forEach(question => {
-          csvData.push(['Stage', stage.title, 'Questions', category, question]);
+          csvData.push(['Stage', stage.title, 'Questions', category, question.text]);
         });
       });
     }
+    
+    // Resources, per industry
+    Object.entries(stage.resources || {}).forEach(([industry, resources]) => {
+      resources.forEach((resource, index) => {
+        const category = `${industry} Resource ${index + 1}`;
+        csvData.push(['Stage', stage.title, category, 'Name', resource.name || '']);
+        csvData.push(['Stage', stage.title, category, 'Link', resource.link || '']);
+        csvData.push(['Stage', stage.title, category, 'Overview', resource.overview || '']);
+        csvData.push(['Stage', stage.title, category, 'Why', resource.why || '']);
+      });
+    });
   });
   
   // Convert to CSV string
@@ -1912,8 +2319,11 @@ function importCSVContent(event) {
         throw new Error('Invalid CSV format. Please use the exported CSV template.');
       }
       
+      // Imported rows carry no IDs; matching current items keep theirs
+      const previousContent = JSON.parse(JSON.stringify(SALES_CYCLE_DATA));
+      
       // Parse CSV data
-      const newPersonas = { banking: [], insurance: [] };
+      const newPersonas = {};
       const stageUpdates = {};
       
       for (let i = 1; i < lines.length; i++) {
@@ -1946,25 +2356,27 @@ function importCSVContent(event) {
         if (fields.length >= 5) {
           const [type, industryOrStage, category, field, content] = fields;
           
-          if (type === 'Persona') {
-            const industry = industryOrStage.toLowerCase();
-            if (newPersonas[industry]) {
-              let persona = newPersonas[industry].find(p => p.category === category);
-              if (!persona) {
-                persona = { category, title: '', world: '', cares: '', help: '' };
-                newPersonas[industry].push(persona);
-              }
-              
-              switch (field) {
-                case 'Title': persona.title = content; break;
-                case 'World': persona.world = content; break;
-                case 'Cares About': persona.cares = content; break;
-                case 'How We Help': persona.help = content; break;
-              }
+          if (type === 'Industry') {
+            importIndustry({ id: industryOrStage, label: content });
+          } else if (type === 'Persona') {
+            const industry = importIndustry({ id: industryOrStage })?.id;
+            if (!industry) continue;
+            newPersonas[industry] = newPersonas[industry] || [];
+            let persona = newPersonas[industry].find(p => p.category === category);
+            if (!persona) {
+              persona = { category, title: '', world: '', cares: '', help: '' };
+              newPersonas[industry].push(persona);
+            }
+            
+            switch (field) {
+              case 'Title': persona.title = content; break;
+              case 'World': persona.world = content; break;
+              case 'Cares About': persona.cares = content; break;
+              case 'How We Help': persona.help = content; break;
             }
           } else if (type === 'Stage') {
             if (!stageUpdates[industryOrStage]) {
-              stageUpdates[industryOrStage] = { outcomes: [], initialPersonas: [], questions: {} };
+              stageUpdates[industryOrStage] = { outcomes: [], initialPersonas: [], questions: {}, resources: {} };
             }
             
             const stageData = stageUpdates[industryOrStage];
@@ -1978,6 +2390,23 @@ function importCSVContent(event) {
                 stageData.questions[field] = [];
               }
               stageData.questions[field].push(content);
+            } else if (/ Resource \d+$/.test(category)) {
+              const industryName = category.replace(/ Resource \d+$/, '');
+              const industry = importIndustry({ label: industryName })?.id;
+              if (!industry) continue;
+              const resources = stageData.resources[industry] = stageData.resources[industry] || [];
+              let resource = resources.find(r => r.category === category);
+              if (!resource) {
+                resource = { category, name: '', link: '', overview: '', why: '' };
+                resources.push(resource);
+              }
+              
+              switch (field) {
+                case 'Name': resource.name = content; break;
+                case 'Link': resource.link = content; break;
+                case 'Overview': resource.overview = content; break;
+                case 'Why': resource.why = content; break;
+              }
             }
           }
         }
@@ -2002,11 +2431,17 @@ function importCSVContent(event) {
           if (updates.outcomes.length > 0) stage.outcomes = updates.outcomes;
           if (updates.initialPersonas.length > 0) stage.initialPersonas = updates.initialPersonas;
           if (Object.keys(updates.questions).length > 0) stage.questions = updates.questions;
+          Object.entries(updates.resources).forEach(([industry, resources]) => {
+            stage.resources[industry] = resources.map(({ category, ...resource }) => resource);
+          });
         }
       });
+      ensureContentIds(SALES_CYCLE_DATA, previousContent);
       
-      // Reload the bulk editor with new data
+      // Persist the imported content and reload the bulk editor with it
+      commitContentEdit('csv-import');
       loadAllContentToBulkEditor();
+      refreshRenderedContent();
       
       showMessage('CSV content imported successfully! 📊', 'success');
       
@@ -2020,7 +2455,10 @@ function importCSVContent(event) {
   event.target.value = ''; // Reset file input
 }
 
-// Settings Tab Functionality
+// Settings Tab Functionality. This runs each time the bulk modal opens: it refreshes what the tab shows,
+// and adds its listeners the first time only.
+let settingsTabListening = false;
+
 function initializeSettingsTab() {
   const saveApiKeyBtn = $('#save-api-key');
   const clearApiKeyBtn = $('#clear-api-key');
@@ -2029,11 +2467,17 @@ function initializeSettingsTab() {
   const enableAutoSave = $('#enable-auto-save');
   const enableAiFeatures = $('#enable-ai-features');
   
+  const lockApiKeysBtn = $('#lock-api-keys');
+  const keyVaultIdle = $('#key-vault-idle');
+  const clearAiCacheBtn = $('#clear-ai-cache');
+  
   // Check and display current API key status
   function updateApiKeyStatus() {
-    const hasApiKey = localStorage.getItem('claude_api_key');
+    const hasApiKey = hasStoredApiKey('claude');
+    const unlocked = isKeyVaultUnlocked();
+    if (lockApiKeysBtn) lockApiKeysBtn.disabled = !unlocked;
     if (hasApiKey) {
-      apiStatusIndicator.textContent = '✅ API Key Configured';
+      apiStatusIndicator.textContent = unlocked || !hasKeyVault() ? '✅ API Key Configured' : '✅ API Key Configured · 🔒 Locked';
       apiStatusIndicator.className = 'text-sm px-2 py-1 rounded bg-green-100 text-green-800';
       if (enableAiFeatures) enableAiFeatures.checked = true;
     } else {
@@ -2043,17 +2487,43 @@ function initializeSettingsTab() {
     }
   }
   
-  // Initialize status on load
-  updateApiKeyStatus();
+  // Cached AI responses (js/ai-cache.js)
+  const updateAiCacheStatus = async () => {
+    const count = await countAICache() || 0;
+    $('#ai-cache-status').textContent = `Cached AI responses: ${count} (kept ${AI_CACHE_TTL_DAYS} days, at most ${AI_CACHE_MAX_ENTRIES})`;
+  };
   
-  // Load saved settings
+  // Show the current status and saved settings
+  updateApiKeyStatus();
+  renderAIUsagePanel();
+  if (clearAiCacheBtn) updateAiCacheStatus();
+  if (keyVaultIdle) {
+    keyVaultIdle.innerHTML = KEY_VAULT_IDLE_OPTIONS.map(minutes => `<option value="${minutes}">${minutes} minutes of inactivity</option>`).join('');
+    keyVaultIdle.value = keyVaultIdleMinutes();
+  }
   if (enableAutoSave) {
     enableAutoSave.checked = localStorage.getItem('enable_auto_save') === 'true';
   }
   
-  // Save API Key
+  if (settingsTabListening) return;
+  settingsTabListening = true;
+  
+  // Follow the key vault as it locks and unlocks
+  onKeyVaultChange(updateApiKeyStatus);
+  
+  keyVaultIdle?.addEventListener('change', () => {
+    setKeyVaultIdleMinutes(Number(keyVaultIdle.value));
+    showMessage(`Saved keys will lock after ${keyVaultIdle.value} minutes of inactivity`, 'success');
+  });
+  
+  lockApiKeysBtn?.addEventListener('click', () => {
+    lockKeyVault();
+    showMessage('Saved API keys locked 🔒', 'success');
+  });
+  
+  // Save API Key (encrypted with the key vault passphrase)
   if (saveApiKeyBtn && apiKeyInput) {
-    saveApiKeyBtn.addEventListener('click', () => {
+    saveApiKeyBtn.addEventListener('click', async () => {
       const apiKey = apiKeyInput.value.trim();
       
       if (!apiKey) {
@@ -2066,26 +2536,36 @@ function initializeSettingsTab() {
         return;
       }
       
-      // Basic encryption (base64 encoding for simple obfuscation)
-      const encodedKey = btoa(apiKey);
-      localStorage.setItem('claude_api_key', encodedKey);
+      try {
+        await aiIntegration.setApiKey('claude', apiKey);
+      } catch (error) {
+        showMessage(`API key not saved: ${error.message}`, 'error');
+        return;
+      }
       
       apiKeyInput.value = '';
       updateApiKeyStatus();
-      showMessage('API key saved securely! 🔐', 'success');
+      showMessage('API key encrypted and saved! 🔐', 'success');
     });
   }
   
   // Clear API Key
   if (clearApiKeyBtn) {
     clearApiKeyBtn.addEventListener('click', () => {
-      localStorage.removeItem('claude_api_key');
+      aiIntegration?.resetApiKey('claude');
       if (apiKeyInput) apiKeyInput.value = '';
       updateApiKeyStatus();
       showMessage('API key cleared successfully', 'success');
     });
   }
   
+  // Clear cached AI responses
+  clearAiCacheBtn?.addEventListener('click', async () => {
+    await clearAICache();
+    await updateAiCacheStatus();
+    showMessage('Cached AI responses cleared', 'success');
+  });
+  
   // Auto-save setting
   if (enableAutoSave) {
     enableAutoSave.addEventListener('change', () => {
@@ -2097,7 +2577,9 @@ function initializeSettingsTab() {
   // AI Features setting
   if (enableAiFeatures) {
     enableAiFeatures.addEventListener('change', () => {
-      if (enableAiFeatures.checked && !localStorage.getItem('claude_api_key')) {
+      // Only Claude needs a key here; other providers are configured in the AI Provider section
+      const needsClaudeKey = (aiIntegration?.config.selectedProvider || 'claude') === 'claude';
+      if (enableAiFeatures.checked && needsClaudeKey && !hasStoredApiKey('claude')) {
         showMessage('Please configure your API key first to enable AI features', 'error');
         enableAiFeatures.checked = false;
         return;
@@ -2108,18 +2590,97 @@ function initializeSettingsTab() {
   }
 }
 
-// Update the existing AI integration to use the stored API key
-function getStoredApiKey() {
-  const encodedKey = localStorage.getItem('claude_api_key');
-  if (encodedKey) {
-    try {
-      return atob(encodedKey);
-    } catch (e) {
-      console.error('Error decoding API key');
-      return null;
+// AI provider picker in the Settings tab
+const AI_ENDPOINT_HINTS = {
+  openai: '(full chat completions URL: OpenAI, an Azure deployment or a vLLM server)',
+  ollama: '(Ollama chat API; start Ollama with OLLAMA_ORIGINS set to this page\'s origin)'
+};
+const AI_ENDPOINT_PLACEHOLDERS = {
+  openai: 'https://{resource}.openai.azure.com/openai/deployments/{deployment}/chat/completions?api-version=2024-06-01',
+  ollama: 'http://localhost:11434/api/chat'
+};
+
+function renderAIProviderFields(provider) {
+  const info = AI_PROVIDERS[provider];
+  const config = aiIntegration.config;
+
+  $('#ai-model-options').innerHTML = info.models.map(model => `<option value="${model}"></option>`).join('');
+  $('#ai-model').value = config.models[provider] || '';
+  $('#ai-model').placeholder = info.models[0];
+
+  // Claude's key has its own section below and its endpoint is fixed (or the local proxy)
+  $('#ai-endpoint-field').classList.toggle('hidden', !info.endpoint);
+  $('#ai-endpoint').value = config.endpoints[provider] || '';
+  $('#ai-endpoint').placeholder = AI_ENDPOINT_PLACEHOLDERS[provider] || '';
+  $('#ai-endpoint-hint').textContent = AI_ENDPOINT_HINTS[provider] || '';
+  $('#ai-provider-key-field').classList.toggle('hidden', provider !== 'openai');
+  $('#ai-provider-api-key').value = '';
+  $('#ai-provider-api-key').placeholder = hasStoredApiKey(provider) ? '•••••••• (saved; leave blank to keep)' : 'sk-...';
+  $('#ai-mock-fields').classList.toggle('hidden', provider !== 'mock');
+  $('#ai-mock-latency').value = config.mock.latency;
+  $('#ai-mock-error').value = config.mock.error;
+  $('#ai-mock-failures').value = config.mock.failures;
+  $('#ai-provider-test-result').textContent = '';
+}
+
+function initAIProviderSettings() {
+  const form = $('#ai-provider-form');
+  const select = $('#ai-provider');
+  if (!form || !select || !aiIntegration) return;
+
+  select.innerHTML = Object.entries(AI_PROVIDERS)
+    .map(([id, info]) => `<option value="${id}">${info.label}</option>`)
+    .join('');
+  select.value = aiIntegration.config.selectedProvider;
+  renderAIProviderFields(select.value);
+
+  select.addEventListener('change', () => renderAIProviderFields(select.value));
+
+  const saveProvider = async () => {
+    const provider = select.value;
+    const endpoint = $('#ai-endpoint').value.trim();
+    if (AI_PROVIDERS[provider].endpoint && !/^https?:\/\//i.test(endpoint)) {
+      showMessage('Please enter the endpoint URL, starting with http:// or https://', 'error');
+      return false;
     }
-  }
-  return null;
+
+    const apiKey = $('#ai-provider-api-key').value.trim();
+    if (provider === 'openai' && apiKey) {
+      try {
+        await aiIntegration.setApiKey('openai', apiKey);
+      } catch (error) {
+        showMessage(`API key not saved: ${error.message}`, 'error');
+        return false;
+      }
+    }
+    aiIntegration.configureProvider(provider, {
+      model: $('#ai-model').value.trim(),
+      endpoint,
+      mock: {
+        latency: Math.max(0, Number($('#ai-mock-latency').value) || 0),
+        error: $('#ai-mock-error').value,
+        failures: Math.max(0, Math.floor(Number($('#ai-mock-failures').value) || 0))
+      }
+    });
+    aiIntegration.switchProvider(provider);
+    renderAIProviderFields(provider);
+    return true;
+  };
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (await saveProvider()) showMessage(`AI provider set to ${AI_PROVIDERS[select.value].label}`, 'success');
+  });
+
+  $('#test-ai-provider')?.addEventListener('click', async () => {
+    if (!(await saveProvider())) return;
+    const result = $('#ai-provider-test-result');
+    result.className = 'text-sm text-gray-500';
+    result.textContent = 'Testing…';
+    const test = await aiIntegration.testConnection();
+    result.className = `text-sm ${test.success ? 'text-green-700' : 'text-red-600'}`;
+    result.textContent = test.success ? '✅ Connected' : `❌ ${test.error}`;
+  });
 }
 
 // Collapsible sections functionality
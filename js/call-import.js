@@ -0,0 +1,356 @@
+// Call Notes Import for UiPath Sales Cycle Guide
+// Turns a pasted or uploaded call transcript into suggested question notes, objections and met exit
+// criteria for a stage. Nothing is written to the opportunity until the rep accepts it on the review screen.
+
+// Longer transcripts are cut, to keep the request within the model's context
+const CALL_IMPORT_MAX_CHARS = 50000;
+
+// The suggestions on the review screen: { stageId, answers, objections, outcomes }
+let callImportReview = null;
+let callImportController = null;
+
+// ---------- FILE READING ----------
+// WebVTT captions as plain text, one cue per line, with voice tags as "Speaker: text"
+function vttToText(vtt) {
+  return String(vtt || '').replace(/\r/g, '').split(/\n{2,}/)
+    .map(block => {
+      const lines = block.split('\n');
+      const timing = lines.findIndex(line => line.includes('-->'));
+      // Blocks without a cue timing are the header, NOTE, STYLE and REGION blocks
+      if (timing === -1) return '';
+      return lines.slice(timing + 1).join(' ')
+        .replace(/<v(?:\.[^\s>]*)?\s+([^>]+)>/g, '$1: ')
+        .replace(/<[^>]+>/g, '')
+        .trim();
+    })
+    .filter(Boolean)
+    .map(decodeEntities)
+    .join('\n');
+}
+
+// Paragraph text from a Word document's word/document.xml
+const wordXmlToText = xml => decodeEntities(xml
+  .replace(/<w:tab\/>/g, '\t')
+  .replace(/<w:br\/>|<\/w:p>/g, '\n')
+  .replace(/<[^>]+>/g, ''))
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot read .docx files; paste the text instead');
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// A .docx file is a zip archive; find word/document.xml through the zip's central directory
+async function docxToText(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder();
+
+  // The end of central directory record, searching back past any archive comment
+  let end = bytes.length - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end -= 1;
+  if (end < 0) throw new Error('This .docx file could not be read');
+
+  let offset = view.getUint32(end + 16, true);
+  for (let entry = view.getUint16(end + 10, true); entry > 0; entry -= 1) {
+    if (view.getUint32(offset, true) !== 0x02014b50) break;
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    if (name === 'word/document.xml') {
+      const header = view.getUint32(offset + 42, true);
+      const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+      const data = bytes.subarray(start, start + size);
+      return wordXmlToText(decoder.decode(method === 0 ? data : await inflateRaw(data)));
+    }
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+  throw new Error('This .docx file has no document text');
+}
+
+async function readCallNotesFile(file) {
+  const extension = file.name.toLowerCase().split('.').pop();
+  if (extension === 'docx') return docxToText(await file.arrayBuffer());
+  const text = await file.text();
+  return extension === 'vtt' || text.startsWith('WEBVTT') ? vttToText(text) : text;
+}
+
+// ---------- PROMPT ----------
+// Everything the transcript can be mapped to: the stage's questions and objections (including ones
+// added on calls) and the exit criteria not met yet
+function callImportTargets(stage, state) {
+  return {
+    questions: [
+      ...Object.values(stage.questions || {}).flat().map(q => ({ id: q.id, text: plainText(q.text) })),
+      ...(state.customQuestions[stage.id] || []).map(r => ({ id: r.id, text: r.text }))
+    ],
+    objections: [
+      ...(stage.objections || []).map(o => ({ id: o.id, text: plainText(o.q) })),
+      ...(state.customObjections[stage.id] || []).map(r => ({ id: r.id, text: r.text }))
+    ],
+    outcomes: (stage.outcomes || []).filter(o => !state.checklists[o.id]).map(o => ({ id: o.id, text: plainText(o.text) }))
+  };
+}
+
+function callImportStageItems(stage, state) {
+  const targets = callImportTargets(stage, state);
+  const list = items => items.map(item => `- [${item.id}] ${item.text}`).join('\n') || '- None';
+  return `Questions:\n${list(targets.questions)}\n\nObjections:\n${list(targets.objections)}\n\nOpen exit criteria:\n${list(targets.outcomes)}`;
+}
+
+// ---------- SUGGESTIONS ----------
+// Match the AI's answer against the stage. Unknown question and outcome IDs are dropped, answers to
+// the same question are combined, and objections with an unknown ID become new objections.
+// Entries without their text are dropped too, so a malformed answer yields fewer suggestions, not an error.
+function callImportSuggestions(data, stage, state) {
+  const targets = callImportTargets(stage, state);
+  const byId = (items, id) => items.find(item => item.id === id);
+  const entries = (list, field) => (Array.isArray(list) ? list : [])
+    .filter(entry => typeof entry?.[field] === 'string' && entry[field].trim());
+
+  const answers = [];
+  entries(data?.answers, 'notes').forEach(({ questionId, notes }) => {
+    const question = byId(targets.questions, questionId);
+    if (!question) return;
+    const existing = answers.find(a => a.questionId === questionId);
+    if (existing) existing.notes += `\n${notes.trim()}`;
+    else answers.push({ questionId, question: question.text, notes: notes.trim(), current: (state.notes[questionId] || '').trim() });
+  });
+
+  const objections = entries(data?.objections, 'customerResponse').map(({ objectionId, objection, customerResponse }) => {
+    const known = byId(targets.objections, objectionId);
+    if (!known && !String(objection || '').trim()) return null;
+    return {
+      objectionId: known?.id || null,
+      objection: known ? known.text : String(objection).trim(),
+      customerResponse: customerResponse.trim(),
+      current: known ? (state.objectionNotes[stage.id]?.[known.id] || '').trim() : ''
+    };
+  }).filter(Boolean);
+
+  const outcomes = [...new Map(entries(data?.outcomes, 'evidence')
+    .filter(o => byId(targets.outcomes, o.outcomeId))
+    .map(o => [o.outcomeId, { outcomeId: o.outcomeId, outcome: byId(targets.outcomes, o.outcomeId).text, evidence: o.evidence.trim() }])).values()];
+
+  return { stageId: stage.id, answers, objections, outcomes };
+}
+
+const appendNote = (current, addition) => [String(current || '').trim(), addition.trim()].filter(Boolean).join('\n\n');
+
+// Write the accepted suggestions into the active opportunity. Notes are appended to what is already
+// there, new objections are added as call-added objections, and met outcomes are ticked.
+function applyCallImport({ stageId, answers = [], objections = [], outcomes = [] }) {
+  // Call-added objections are saved first so their notes can be keyed by the new record ID
+  const keyed = objections.map(o => ({ ...o, key: o.objectionId || addCustomObjection(stageId, o.objection).id }));
+
+  const state = getActiveOpportunity().state;
+  answers.forEach(a => { state.notes[a.questionId] = appendNote(state.notes[a.questionId], a.notes); });
+  if (keyed.length) {
+    state.objectionNotes[stageId] = state.objectionNotes[stageId] || {};
+    keyed.forEach(o => { state.objectionNotes[stageId][o.key] = appendNote(state.objectionNotes[stageId][o.key], o.customerResponse); });
+  }
+  outcomes.forEach(o => { state.checklists[o.outcomeId] = true; });
+  saveActiveDealState(state);
+
+  return answers.length + keyed.length + outcomes.length;
+}
+
+// ---------- AI REQUEST ----------
+async function analyzeCallNotes(stageId, text) {
+  if (!aiIntegration) throw new Error('AI integration not available');
+  const stage = SALES_CYCLE_DATA.stages.find(s => s.id === stageId);
+  const transcript = String(text || '').trim();
+  if (!stage) throw new Error('Choose a stage first');
+  if (!transcript) throw new Error('Paste the call notes or choose a file first');
+
+  const { state } = getActiveOpportunity();
+  callImportController = new AbortController();
+  try {
+    const prompt = aiIntegration.buildCallNotesPrompt(stage, {
+      stageItems: callImportStageItems(stage, state),
+      transcript: transcript.slice(0, CALL_IMPORT_MAX_CHARS)
+    });
+    const data = await aiIntegration.generateStructured(prompt, {
+      type: 'call_notes_import',
+      stage: stageId,
+      industry: SALES_CYCLE_DATA.industry
+    }, { signal: callImportController.signal });
+    return callImportSuggestions(data, stage, state);
+  } finally {
+    callImportController = null;
+  }
+}
+
+// ---------- RENDERING ----------
+const callImportCheckbox = (list, index) =>
+  `<input type="checkbox" class="call-import-accept mt-1 rounded" data-list="${list}" data-index="${index}" checked aria-label="Accept">`;
+
+const callImportCurrentHtml = current => current
+  ? `<p class="text-xs text-gray-500 mt-1 whitespace-pre-wrap">Already in your notes: ${escapeHtml(current)}</p>`
+  : '';
+
+function callImportReviewHtml(review) {
+  const { answers, objections, outcomes } = review;
+  if (!answers.length && !objections.length && !outcomes.length) {
+    return '<p class="text-gray-600">Nothing in these notes matched the stage\'s questions, objections or exit criteria.</p>';
+  }
+
+  const section = (title, items, render) => items.length ? `
+    <div>
+      <h4 class="font-semibold text-gray-800 mb-2">${title} <span class="text-sm font-normal text-gray-500">(${items.length})</span></h4>
+      <ul class="space-y-2">${items.map(render).join('')}</ul>
+    </div>` : '';
+
+  return `
+    <p class="text-sm text-gray-600">Untick anything you don't want, and edit the text before applying. Notes are added below what you already have.</p>
+    ${section('📝 Question Notes', answers, (a, i) => `
+      <li class="flex gap-3 bg-gray-50 border rounded-md p-3">
+        ${callImportCheckbox('answers', i)}
+        <div class="flex-1">
+          <p class="font-medium text-gray-800">${escapeHtml(a.question)}</p>
+          <textarea class="call-import-text w-full mt-1 p-2 border rounded-md text-sm" rows="2" data-list="answers" data-index="${i}" data-field="notes">${escapeHtml(a.notes)}</textarea>
+          ${callImportCurrentHtml(a.current)}
+        </div>
+      </li>`)}
+    ${section('🛡️ Objections Raised', objections, (o, i) => `
+      <li class="flex gap-3 bg-gray-50 border rounded-md p-3">
+        ${callImportCheckbox('objections', i)}
+        <div class="flex-1">
+          <p class="font-medium text-gray-800">${escapeHtml(o.objection)}${o.objectionId ? '' : ' <span class="text-xs font-normal bg-orange-100 text-orange-700 px-1.5 py-0.5 rounded">New objection</span>'}</p>
+          <textarea class="call-import-text w-full mt-1 p-2 border rounded-md text-sm" rows="2" data-list="objections" data-index="${i}" data-field="customerResponse">${escapeHtml(o.customerResponse)}</textarea>
+          ${callImportCurrentHtml(o.current)}
+        </div>
+      </li>`)}
+    ${section('✅ Exit Criteria Met', outcomes, (o, i) => `
+      <li class="flex gap-3 bg-gray-50 border rounded-md p-3">
+        ${callImportCheckbox('outcomes', i)}
+        <div class="flex-1">
+          <p class="font-medium text-gray-800">${escapeHtml(o.outcome)}</p>
+          <p class="text-sm text-gray-600 mt-1">${escapeHtml(o.evidence)}</p>
+        </div>
+      </li>`)}`;
+}
+
+// The reviewed suggestions the rep kept, with their edits
+function acceptedCallImport(review = callImportReview) {
+  const accepted = { stageId: review.stageId, answers: [], objections: [], outcomes: [] };
+  $$('#call-import-suggestions .call-import-accept:checked').forEach(box => {
+    const item = { ...review[box.dataset.list][box.dataset.index] };
+    $$(`#call-import-suggestions .call-import-text[data-list="${box.dataset.list}"][data-index="${box.dataset.index}"]`).forEach(field => {
+      item[field.dataset.field] = field.value.trim();
+    });
+    // Notes emptied during review have nothing left to add
+    if ((item.notes ?? item.customerResponse) !== '') accepted[box.dataset.list].push(item);
+  });
+  return accepted;
+}
+
+function showCallImportStep(review) {
+  callImportReview = review;
+  $('#call-import-form').classList.toggle('hidden', !!review);
+  $('#call-import-review').classList.toggle('hidden', !review);
+  if (review) {
+    $('#call-import-suggestions').innerHTML = callImportReviewHtml(review);
+    $('#call-import-apply').disabled = !$$('#call-import-suggestions .call-import-accept').length;
+  }
+}
+
+function openCallImportModal(stageId) {
+  const modal = $('#call-import-modal');
+  if (!modal) return;
+
+  $('#call-import-stage').innerHTML = SALES_CYCLE_DATA.stages
+    .map(s => `<option value="${s.id}"${s.id === stageId ? ' selected' : ''}>${plainText(s.title)}</option>`).join('');
+  $('#call-import-text').value = '';
+  $('#call-import-file').value = '';
+  showCallImportStep(null);
+  modal.classList.remove('hidden');
+  $('#call-import-text').focus();
+}
+
+function initCallImport() {
+  const modal = $('#call-import-modal');
+  const form = $('#call-import-form');
+  if (!modal || !form) return;
+
+  const analyzeButton = $('#call-import-analyze');
+  const close = () => {
+    callImportController?.abort();
+    modal.classList.add('hidden');
+  };
+
+  document.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-import-call-notes]');
+    if (!button) return;
+    e.preventDefault();
+    e.stopPropagation();
+    openCallImportModal(button.dataset.importCallNotes);
+  });
+
+  $('#call-import-cancel').addEventListener('click', close);
+  $('#call-import-close').addEventListener('click', close);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) close();
+  });
+
+  $('#call-import-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      $('#call-import-text').value = await readCallNotesFile(file);
+    } catch (error) {
+      showMessage(`Error reading ${file.name}: ${error.message}`, 'error');
+    }
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const text = $('#call-import-text').value;
+    analyzeButton.disabled = true;
+    analyzeButton.textContent = '⏳ Analyzing...';
+    try {
+      const review = await analyzeCallNotes($('#call-import-stage').value, text);
+      if (text.trim().length > CALL_IMPORT_MAX_CHARS) {
+        showMessage(`Only the first ${CALL_IMPORT_MAX_CHARS.toLocaleString()} characters were analyzed`, 'info');
+      }
+      if (!modal.classList.contains('hidden')) showCallImportStep(review);
+    } catch (error) {
+      if (!error.aborted) showMessage(error.message, 'error');
+    } finally {
+      analyzeButton.disabled = false;
+      analyzeButton.textContent = '✨ Analyze Call Notes';
+    }
+  });
+
+  $('#call-import-back').addEventListener('click', () => showCallImportStep(null));
+
+  $('#call-import-apply').addEventListener('click', () => {
+    if (!callImportReview) return;
+    const applied = applyCallImport(acceptedCallImport());
+    if (!applied) {
+      showMessage('Tick at least one suggestion to apply', 'error');
+      return;
+    }
+    initChecklists();
+    initNotes();
+    renderDealHealth();
+    close();
+    showMessage(`Applied ${applied} suggestion${applied === 1 ? '' : 's'} from the call notes`, 'success');
+  });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CALL_IMPORT_MAX_CHARS,
+    vttToText,
+    docxToText,
+    callImportStageItems,
+    callImportSuggestions,
+    applyCallImport
+  };
+}
@@ -0,0 +1,339 @@
+// Call Plans for UiPath Sales Cycle Guide
+// Builds a meeting agenda from a stage's content and a target persona, saved on the opportunity
+
+// Meeting lengths offered, in minutes
+const MEETING_LENGTHS = [15, 30, 45, 60, 90];
+const DEFAULT_MEETING_LENGTH = 30;
+const MINUTES_PER_QUESTION = 4;
+
+// Split "what they care about" into talking points, one per sentence
+function personaTalkingPoints(persona) {
+  return String(persona?.cares || '')
+    .split(/(?<=[.!?])\s+/)
+    .map(point => point.trim())
+    .filter(Boolean);
+}
+
+// Stage questions plus the ones added during calls, with whether notes exist yet
+function callPlanQuestionOptions(stage, state) {
+  return [
+    ...Object.entries(stage.questions || {}).flatMap(([category, qs]) => qs.map(q => ({ id: q.id, text: q.text, category }))),
+    ...(state.customQuestions[stage.id] || []).map(r => ({ id: r.id, text: r.text, category: 'Additional Questions' }))
+  ].map(q => ({ ...q, answered: !!(state.notes[q.id] || '').trim() }));
+}
+
+// Pick enough questions to fill the discovery block, unanswered ones first
+function suggestCallPlanQuestions(options, minutes) {
+  const count = Math.max(2, Math.floor((minutes * 0.5) / MINUTES_PER_QUESTION));
+  return [...options.filter(q => !q.answered), ...options.filter(q => q.answered)]
+    .slice(0, count)
+    .map(q => q.id);
+}
+
+// Objections to prepare for: unresolved ones raised on this deal first, then the standard list
+function likelyObjections(stage, state) {
+  const resolved = state.resolvedObjections[stage.id] || {};
+  const notes = state.objectionNotes[stage.id] || {};
+  const standard = (stage.objections || []).map(o => ({ id: o.id, q: o.q, a: o.a, raised: !!(notes[o.id] || '').trim() }));
+  const custom = (state.customObjections[stage.id] || []).map(r => ({ id: r.id, q: r.text, a: '', raised: true }));
+
+  return [...custom, ...standard]
+    .filter(o => !resolved[o.id])
+    .sort((a, b) => Number(b.raised) - Number(a.raised));
+}
+
+// Split the meeting into timed agenda blocks
+function buildAgenda(minutes, { persona, questions, talkingPoints, objections, openCriteria }) {
+  const intro = Math.max(2, Math.round(minutes * 0.1));
+  const close = Math.max(3, Math.round(minutes * 0.1));
+  const value = talkingPoints.length ? Math.max(3, Math.round(minutes * 0.2)) : 0;
+  const objectionTime = objections.length ? Math.max(2, Math.round(minutes * 0.1)) : 0;
+  const discovery = Math.max(0, minutes - intro - close - value - objectionTime);
+
+  let start = 0;
+  return [
+    { title: 'Introductions & objectives', minutes: intro, items: [`Confirm what the ${persona.title} wants from this meeting`] },
+    { title: 'Discovery questions', minutes: discovery, items: questions.map(q => q.text) },
+    { title: `What the ${persona.title} cares about`, minutes: value, items: talkingPoints },
+    { title: 'Anticipated objections', minutes: objectionTime, items: objections.map(o => o.q) },
+    {
+      title: 'Next steps',
+      minutes: close,
+      items: ['Agree owners and dates for follow-ups', ...openCriteria.map(o => `Work towards: ${o.text}`)]
+    }
+  ]
+    .filter(block => block.minutes > 0 && block.items.length)
+    .map(block => {
+      const timed = { ...block, start };
+      start += block.minutes;
+      return timed;
+    });
+}
+
+// Snapshot everything the plan needs so it reads the same after content edits
+function buildCallPlan({ stageId, personaId, minutes, questionIds }, opportunity = getActiveOpportunity()) {
+  const stage = SALES_CYCLE_DATA.stages.find(s => s.id === stageId);
+  if (!stage) throw new Error('Choose a stage for the meeting');
+
+  const industry = opportunity.industry || SALES_CYCLE_DATA.industry;
+  const persona = (SALES_CYCLE_DATA.personas[industry] || []).find(p => p.id === personaId);
+  if (!persona) throw new Error('Choose a persona to meet');
+
+  const state = opportunity.state;
+  const selected = new Set(questionIds);
+  const questions = callPlanQuestionOptions(stage, state)
+    .filter(q => selected.has(q.id))
+    .map(({ id, text, category }) => ({ id, text, category }));
+  const talkingPoints = personaTalkingPoints(persona);
+  const objections = likelyObjections(stage, state).map(({ id, q, a }) => ({ id, q, a }));
+  const openCriteria = missingExitCriteria(stage, state).map(({ id, text }) => ({ id, text }));
+
+  return {
+    id: `plan-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    createdAt: new Date().toISOString(),
+    opportunityName: opportunity.name,
+    stageId,
+    stageTitle: stage.title,
+    industry,
+    persona: { id: persona.id, title: persona.title, world: persona.world, help: persona.help },
+    minutes,
+    agenda: buildAgenda(minutes, { persona, questions, talkingPoints, objections, openCriteria }),
+    questions,
+    talkingPoints,
+    objections,
+    resources: (stage.resources?.[industry] || []).map(({ name, link, overview, why }) => ({ name, link, overview, why }))
+  };
+}
+
+function saveCallPlan(plan) {
+  const state = getActiveOpportunity().state;
+  state.callPlans = [...(state.callPlans || []).filter(p => p.id !== plan.id), plan];
+  saveActiveDealState(state);
+}
+
+function deleteCallPlan(planId) {
+  const state = getActiveOpportunity().state;
+  state.callPlans = (state.callPlans || []).filter(p => p.id !== planId);
+  saveActiveDealState(state);
+}
+
+function getCallPlans() {
+  return getActiveOpportunity().state.callPlans || [];
+}
+
+// ---------- RENDERING ----------
+const formatAgendaTime = minutes => `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Saved plans are snapshots kept with the opportunity (and may come from an import), so the whole
+// plan is sanitized rather than trusting each field
+function callPlanHtml(plan) {
+  const list = items => `<ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>`;
+  return sanitizeHtml(`
+    <article class="call-plan">
+      <header>
+        <h2>${plan.opportunityName}: ${plainText(plan.stageTitle)}</h2>
+        <p class="call-plan-meta">Meeting with ${plan.persona.title} (${industryLabel(plan.industry)}) · ${plan.minutes} minutes · prepared ${new Date(plan.createdAt).toLocaleString()}</p>
+      </header>
+      <section>
+        <h3>Agenda</h3>
+        <ol class="call-plan-agenda">
+          ${plan.agenda.map(block => `
+            <li>
+              <strong>${formatAgendaTime(block.start)}–${formatAgendaTime(block.start + block.minutes)} · ${block.title}</strong> (${block.minutes} min)
+              ${list(block.items)}
+            </li>`).join('')}
+        </ol>
+      </section>
+      <section>
+        <h3>About the ${plan.persona.title}</h3>
+        <p>${plan.persona.world}</p>
+        <p><strong>How UiPath helps:</strong> ${plan.persona.help}</p>
+      </section>
+      ${plan.objections.length ? `
+      <section>
+        <h3>Likely objections</h3>
+        <dl>${plan.objections.map(o => `<dt>${o.q}</dt><dd>${o.a || 'Raised on this deal. Prepare a tailored answer.'}</dd>`).join('')}</dl>
+      </section>` : ''}
+      ${plan.resources.length ? `
+      <section>
+        <h3>Resources to have ready</h3>
+        <ul>${plan.resources.map(r => `<li><a href="${r.link}">${r.name}</a>${r.overview ? `: ${r.overview}` : ''}</li>`).join('')}</ul>
+      </section>` : ''}
+    </article>`);
+}
+
+// Open the plan on its own page and bring up the print dialog
+function printCallPlan(plan) {
+  const win = window.open('', '_blank');
+  if (!win) {
+    showMessage('Allow pop-ups to print the call plan', 'error');
+    return;
+  }
+  win.document.write(`<!DOCTYPE html><html><head><title>Call plan: ${escapeHtml(plan.opportunityName)}</title>
+    <style>
+      body { font-family: Inter, Arial, sans-serif; color: #1E293B; max-width: 800px; margin: 2rem auto; line-height: 1.5; }
+      h2 { color: #FA4616; margin-bottom: 0.25rem; }
+      h3 { border-bottom: 1px solid #E2E8F0; padding-bottom: 0.25rem; margin-top: 1.5rem; }
+      .call-plan-meta { color: #64748B; margin-top: 0; }
+      dt { font-weight: 600; margin-top: 0.75rem; }
+      dd { margin-left: 1rem; }
+    </style></head><body>${callPlanHtml(plan)}</body></html>`);
+  win.document.close();
+  win.focus();
+  win.print();
+}
+
+function renderCallPlanQuestions() {
+  const stage = SALES_CYCLE_DATA.stages.find(s => s.id === $('#call-plan-stage').value);
+  const host = $('#call-plan-questions');
+  if (!stage || !host) return;
+
+  const options = callPlanQuestionOptions(stage, getActiveOpportunity().state);
+  const suggested = new Set(suggestCallPlanQuestions(options, parseInt($('#call-plan-length').value)));
+  const categories = [...new Set(options.map(q => q.category))];
+
+  host.innerHTML = categories.map(category => `
+    <div class="mb-3">
+      <p class="text-sm font-semibold text-gray-700 mb-1">${sanitizeHtml(category)}</p>
+      ${options.filter(q => q.category === category).map(q => `
+        <label class="flex items-start gap-2 text-sm text-gray-700 py-0.5">
+          <input type="checkbox" class="call-plan-question mt-1 rounded" value="${escapeHtml(q.id)}"${suggested.has(q.id) ? ' checked' : ''}>
+          <span>${sanitizeHtml(q.text)}${q.answered ? ' <span class="text-xs text-green-700">(notes captured)</span>' : ''}</span>
+        </label>`).join('')}
+    </div>`).join('');
+}
+
+function renderCallPlanPersonas() {
+  const industry = getActiveOpportunity().industry || SALES_CYCLE_DATA.industry;
+  $('#call-plan-persona').innerHTML = (SALES_CYCLE_DATA.personas[industry] || [])
+    .map(p => `<option value="${p.id}">${p.title}</option>`).join('');
+}
+
+function renderSavedCallPlans() {
+  const host = $('#call-plan-saved');
+  if (!host) return;
+  const plans = getCallPlans().slice().reverse();
+
+  host.innerHTML = plans.length ? `
+    <h4 class="text-sm font-semibold text-gray-700 uppercase mb-2">Saved plans for this opportunity</h4>
+    <ul class="space-y-2">${plans.map(plan => `
+      <li class="flex justify-between items-center bg-gray-50 p-2 rounded border text-sm" data-call-plan-id="${escapeHtml(plan.id)}">
+        <span>${new Date(plan.createdAt).toLocaleDateString()} · ${escapeHtml(plainText(plan.stageTitle))} · ${sanitizeHtml(plan.persona.title)} · ${escapeHtml(plan.minutes)} min</span>
+        <span class="flex gap-2">
+          <button type="button" class="call-plan-view-btn text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded hover:bg-gray-200">👁️ View</button>
+          <button type="button" class="call-plan-print-btn text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded hover:bg-gray-200">🖨️ Print</button>
+          <button type="button" class="call-plan-delete-btn text-xs bg-red-50 text-red-700 px-2 py-1 rounded hover:bg-red-100">🗑️</button>
+        </span>
+      </li>`).join('')}
+    </ul>` : '<p class="text-sm text-gray-500">No call plans saved for this opportunity yet.</p>';
+}
+
+let previewedCallPlan = null;
+
+function showCallPlanPreview(plan, saved) {
+  previewedCallPlan = plan;
+  $('#call-plan-form').classList.add('hidden');
+  $('#call-plan-preview').classList.remove('hidden');
+  $('#call-plan-preview-content').innerHTML = callPlanHtml(plan);
+  $('#call-plan-save').classList.toggle('hidden', saved);
+}
+
+function openCallPlanModal(stageId) {
+  const modal = $('#call-plan-modal');
+  if (!modal) return;
+
+  $('#call-plan-stage').innerHTML = SALES_CYCLE_DATA.stages
+    .map(s => `<option value="${s.id}"${s.id === stageId ? ' selected' : ''}>${plainText(s.title)}</option>`).join('');
+  renderCallPlanPersonas();
+  renderCallPlanQuestions();
+  renderSavedCallPlans();
+
+  $('#call-plan-form').classList.remove('hidden');
+  $('#call-plan-preview').classList.add('hidden');
+  modal.classList.remove('hidden');
+}
+
+function initCallPlans() {
+  const modal = $('#call-plan-modal');
+  const form = $('#call-plan-form');
+  if (!modal || !form) return;
+
+  const close = () => modal.classList.add('hidden');
+
+  $('#call-plan-length').innerHTML = MEETING_LENGTHS
+    .map(minutes => `<option value="${minutes}"${minutes === DEFAULT_MEETING_LENGTH ? ' selected' : ''}>${minutes} minutes</option>`).join('');
+
+  document.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-prepare-meeting]');
+    if (!button) return;
+    e.preventDefault();
+    e.stopPropagation();
+    openCallPlanModal(button.dataset.prepareMeeting);
+  });
+
+  $('#call-plan-stage').addEventListener('change', renderCallPlanQuestions);
+  $('#call-plan-length').addEventListener('change', renderCallPlanQuestions);
+  $('#call-plan-cancel').addEventListener('click', close);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) close();
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    try {
+      const plan = buildCallPlan({
+        stageId: $('#call-plan-stage').value,
+        personaId: $('#call-plan-persona').value,
+        minutes: parseInt($('#call-plan-length').value),
+        questionIds: $$('.call-plan-question:checked').map(box => box.value)
+      });
+      showCallPlanPreview(plan, false);
+    } catch (error) {
+      showMessage(error.message, 'error');
+    }
+  });
+
+  $('#call-plan-back').addEventListener('click', () => {
+    $('#call-plan-preview').classList.add('hidden');
+    form.classList.remove('hidden');
+  });
+
+  $('#call-plan-save').addEventListener('click', () => {
+    if (!previewedCallPlan) return;
+    saveCallPlan(previewedCallPlan);
+    $('#call-plan-save').classList.add('hidden');
+    renderSavedCallPlans();
+    showMessage('Call plan saved to the opportunity', 'success');
+  });
+
+  $('#call-plan-print').addEventListener('click', () => {
+    if (previewedCallPlan) printCallPlan(previewedCallPlan);
+  });
+
+  $('#call-plan-saved').addEventListener('click', (e) => {
+    const planId = e.target.closest('[data-call-plan-id]')?.dataset.callPlanId;
+    const plan = getCallPlans().find(p => p.id === planId);
+    if (!plan) return;
+
+    if (e.target.closest('.call-plan-view-btn')) {
+      showCallPlanPreview(plan, true);
+    } else if (e.target.closest('.call-plan-print-btn')) {
+      printCallPlan(plan);
+    } else if (e.target.closest('.call-plan-delete-btn')) {
+      if (!confirm('Delete this call plan?')) return;
+      deleteCallPlan(planId);
+      renderSavedCallPlans();
+    }
+  });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    personaTalkingPoints,
+    suggestCallPlanQuestions,
+    buildAgenda,
+    buildCallPlan,
+    callPlanHtml
+  };
+}
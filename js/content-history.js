@@ -0,0 +1,308 @@
+// Content Version History for UiPath Sales Cycle Guide
+// Logs every persisted content save with a structural diff, and supports preview and rollback
+
+const CONTENT_HISTORY_KEY = 'uipathSalesGuideContentHistory';
+const CONTENT_AUTHOR_KEY = 'uipathSalesGuideAuthor';
+const MAX_CONTENT_REVISIONS = 25;
+
+const REVISION_SOURCES = {
+  'edit-modal': 'Edit mode',
+  'bulk-admin': 'Bulk editor',
+  'json-import': 'JSON import',
+  'csv-import': 'CSV import',
+  'reset': 'Reset to default',
+  'rollback': 'Rollback'
+};
+
+function getContentAuthor() {
+  return localStorage.getItem(CONTENT_AUTHOR_KEY) || '';
+}
+
+function setContentAuthor(author) {
+  localStorage.setItem(CONTENT_AUTHOR_KEY, author.trim());
+}
+
+function loadContentHistory() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CONTENT_HISTORY_KEY));
+    if (Array.isArray(saved)) return saved;
+  } catch (e) {
+    console.error('Error reading content history:', e);
+  }
+  return [];
+}
+
+// Save history, dropping the oldest revisions if storage runs out of room
+function saveContentHistory(history) {
+  while (history.length) {
+    try {
+      localStorage.setItem(CONTENT_HISTORY_KEY, JSON.stringify(history));
+      return;
+    } catch (e) {
+      history.shift();
+    }
+  }
+  localStorage.removeItem(CONTENT_HISTORY_KEY);
+}
+
+// Build the full content (personas, stages and qualification frameworks) that an overlay produces on top of the defaults
+function contentFromOverlay(overlay) {
+  const content = JSON.parse(JSON.stringify({
+    industries: DEFAULT_CONTENT.industries,
+    personas: DEFAULT_CONTENT.personas,
+    stages: DEFAULT_CONTENT.stages,
+    qualificationFramework: DEFAULT_CONTENT.qualificationFramework,
+    qualificationFrameworks: DEFAULT_CONTENT.qualificationFrameworks
+  }));
+  Object.entries(overlay.sections || {}).forEach(([key, value]) => {
+    setContentSection(content, key, JSON.parse(JSON.stringify(value)));
+  });
+  return content;
+}
+
+// ---------- STRUCTURAL DIFF ----------
+const plainText = html => String(html || '').replace(/<[^>]*>/g, '').trim();
+
+// Compare two lists of items, matched by ID where both sides have it, else by `keyOf` (revisions
+// saved before content IDs hold plain strings); pushes added/removed/changed entries
+function diffItems(changes, section, before = [], after = [], keyOf, labelOf) {
+  const idsOf = items => new Set(items.map(item => item?.id).filter(Boolean));
+  const beforeIds = idsOf(before);
+  const afterIds = idsOf(after);
+  const keyFor = (item, otherIds) => item?.id && otherIds.has(item.id) ? `id:${item.id}` : `key:${keyOf(item)}`;
+  const beforeMap = new Map(before.map(item => [keyFor(item, afterIds), item]));
+  const afterMap = new Map(after.map(item => [keyFor(item, beforeIds), item]));
+  // A plain string and the { id, text } item it became are the same content
+  const comparable = item => JSON.stringify(typeof item === 'string' ? { text: item } : { ...item, id: undefined });
+
+  afterMap.forEach((item, key) => {
+    if (!beforeMap.has(key)) {
+      changes.push({ section, kind: 'added', item: labelOf(item) });
+    } else if (comparable(beforeMap.get(key)) !== comparable(item)) {
+      changes.push({ section, kind: 'changed', item: labelOf(item) });
+    }
+  });
+  beforeMap.forEach((item, key) => {
+    if (!afterMap.has(key)) {
+      changes.push({ section, kind: 'removed', item: labelOf(item) });
+    }
+  });
+}
+
+function flattenQuestions(questions = {}) {
+  return Object.entries(questions).flatMap(([category, qs]) => qs.map(q => ({ id: q?.id, category, question: contentItemText(q) })));
+}
+
+// Describe what changed between two content snapshots
+function diffContent(before, after) {
+  const changes = [];
+
+  diffItems(changes, 'Industries', before.industries, after.industries, ind => ind.id, ind => ind.label);
+
+  const industries = new Set([...Object.keys(before.personas || {}), ...Object.keys(after.personas || {})]);
+  industries.forEach(ind => {
+    diffItems(changes, `Personas (${ind})`, before.personas[ind], after.personas[ind], p => p.title, p => p.title);
+  });
+
+  const stageIds = new Set([...before.stages, ...after.stages].map(s => s.id));
+  stageIds.forEach(id => {
+    const b = before.stages.find(s => s.id === id) || {};
+    const a = after.stages.find(s => s.id === id) || {};
+    const stageName = plainText(a.title || b.title || id);
+
+    if (b.title !== a.title) {
+      changes.push({ section: stageName, kind: 'changed', item: `Stage title: ${plainText(a.title)}` });
+    }
+
+    // Outcomes are { id, text } (plain strings in revisions saved before content IDs)
+    const textKey = x => contentItemText(x);
+    diffItems(changes, `${stageName} › Outcomes`, b.outcomes, a.outcomes, textKey, x => plainText(contentItemText(x)));
+    diffItems(changes, `${stageName} › Initial Personas`, b.initialPersonas, a.initialPersonas, textKey, plainText);
+    diffItems(changes, `${stageName} › UiPath Team`, b.uipathTeam, a.uipathTeam, textKey, plainText);
+    diffItems(changes, `${stageName} › Questions`, flattenQuestions(b.questions), flattenQuestions(a.questions),
+      q => `${q.category}|${q.question}`, q => `${q.category}: ${plainText(q.question)}`);
+    diffItems(changes, `${stageName} › Objections`, b.objections, a.objections, o => o.q, o => plainText(o.q));
+
+    const resourceIndustries = new Set([...Object.keys(b.resources || {}), ...Object.keys(a.resources || {})]);
+    resourceIndustries.forEach(ind => {
+      diffItems(changes, `${stageName} › Resources (${ind})`, b.resources?.[ind], a.resources?.[ind], r => r.name, r => r.name);
+    });
+  });
+
+  if (before.qualificationFramework !== after.qualificationFramework) {
+    const teamFramework = after.qualificationFrameworks?.find(f => f.id === after.qualificationFramework);
+    changes.push({ section: 'Qualification Frameworks', kind: 'changed', item: `Team framework: ${plainText(teamFramework?.label || after.qualificationFramework)}` });
+  }
+  diffItems(changes, 'Qualification Frameworks', before.qualificationFrameworks, after.qualificationFrameworks, f => f.id, f => plainText(f.label));
+
+  return changes;
+}
+
+function summarizeChanges(changes) {
+  const count = kind => changes.filter(c => c.kind === kind).length;
+  return `+${count('added')} / −${count('removed')} / ~${count('changed')}`;
+}
+
+// ---------- RECORDING & ROLLBACK ----------
+// Log a revision for whatever differs between `previous` and the persisted content
+function recordContentRevision(source, previous, note = '') {
+  const overlay = loadContentOverlay();
+  const changes = diffContent(previous, contentFromOverlay(overlay));
+  if (!changes.length) return null;
+
+  const revision = {
+    id: `rev-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    timestamp: new Date().toISOString(),
+    author: getContentAuthor() || 'Unknown',
+    source,
+    note,
+    changes,
+    overlay: { sections: overlay.sections }
+  };
+
+  const history = loadContentHistory();
+  history.push(revision);
+  saveContentHistory(history.slice(-MAX_CONTENT_REVISIONS));
+  return revision;
+}
+
+// Persist edited sections and log a revision describing the change
+function commitContentEdit(source, keys) {
+  const previous = contentFromOverlay(loadContentOverlay());
+  persistContentSections(keys);
+  return recordContentRevision(source, previous);
+}
+
+// Reset sections to the shipped defaults and log it
+function resetContentWithHistory(keys = null) {
+  const previous = contentFromOverlay(loadContentOverlay());
+  if (keys) resetContentSections(keys);
+  else resetAllContent();
+  return recordContentRevision('reset', previous);
+}
+
+// Restore the content exactly as it was saved in a revision
+function rollbackToRevision(revisionId) {
+  const revision = loadContentHistory().find(r => r.id === revisionId);
+  if (!revision) throw new Error('Revision not found');
+
+  const previous = contentFromOverlay(loadContentOverlay());
+  resetContentSections(contentSectionKeys());
+  Object.entries(revision.overlay.sections).forEach(([key, value]) => {
+    setContentSection(SALES_CYCLE_DATA, key, JSON.parse(JSON.stringify(value)));
+  });
+  ensureContentIds(SALES_CYCLE_DATA, previous);
+  persistContentSections();
+
+  return recordContentRevision('rollback', previous, `Rolled back to revision from ${new Date(revision.timestamp).toLocaleString()}`);
+}
+
+// ---------- HISTORY VIEWER ----------
+const changeKindStyles = {
+  added: 'text-green-700',
+  removed: 'text-red-700',
+  changed: 'text-blue-700'
+};
+const changeKindSymbols = { added: '+', removed: '−', changed: '~' };
+
+function changesListHtml(changes) {
+  if (!changes.length) return '<p class="text-sm text-gray-500">No differences.</p>';
+  return `<ul class="space-y-1 text-sm">${changes.map(c => `
+    <li class="${changeKindStyles[c.kind]}"><span class="font-mono">${changeKindSymbols[c.kind]}</span> <span class="text-gray-500">${escapeHtml(c.section)}:</span> ${escapeHtml(c.item)}</li>`).join('')}
+  </ul>`;
+}
+
+function renderContentHistory() {
+  const list = $('#content-history-list');
+  const authorInput = $('#content-author');
+  if (authorInput) authorInput.value = getContentAuthor();
+  if (!list) return;
+
+  const history = loadContentHistory().slice().reverse();
+  if (!history.length) {
+    list.innerHTML = '<p class="text-sm text-gray-500">No content changes have been saved yet.</p>';
+    return;
+  }
+
+  list.innerHTML = history.map(rev => `
+    <div class="content-revision bg-white p-3 rounded-md border" data-revision-id="${escapeHtml(rev.id)}">
+      <div class="flex justify-between items-center">
+        <div>
+          <p class="text-sm font-semibold text-gray-800">${new Date(rev.timestamp).toLocaleString()} · ${escapeHtml(rev.author)}</p>
+          <p class="text-xs text-gray-500">${REVISION_SOURCES[rev.source] || escapeHtml(rev.source)} · ${summarizeChanges(rev.changes)}${rev.note ? ` · ${escapeHtml(rev.note)}` : ''}</p>
+        </div>
+        <div class="flex gap-2">
+          <button type="button" class="revision-preview-btn text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded hover:bg-gray-200">👁️ Preview</button>
+          <button type="button" class="revision-rollback-btn text-xs bg-orange-100 text-orange-700 px-2 py-1 rounded hover:bg-orange-200">↩️ Roll back</button>
+        </div>
+      </div>
+      <div class="revision-preview hidden mt-3 pt-3 border-t space-y-3"></div>
+    </div>`).join('');
+}
+
+function previewRevision(revisionId, container) {
+  const revision = loadContentHistory().find(r => r.id === revisionId);
+  if (!revision || !container) return;
+
+  const current = contentFromOverlay(loadContentOverlay());
+  const rollbackChanges = diffContent(current, contentFromOverlay(revision.overlay));
+
+  container.innerHTML = `
+    <div>
+      <p class="text-xs font-semibold text-gray-600 uppercase mb-1">Changes in this revision</p>
+      ${changesListHtml(revision.changes)}
+    </div>
+    <div>
+      <p class="text-xs font-semibold text-gray-600 uppercase mb-1">Rolling back would change</p>
+      ${changesListHtml(rollbackChanges)}
+    </div>`;
+}
+
+function initContentHistory() {
+  const list = $('#content-history-list');
+  const authorInput = $('#content-author');
+
+  authorInput?.addEventListener('change', () => {
+    setContentAuthor(authorInput.value);
+    showMessage('Author label saved', 'success');
+  });
+
+  list?.addEventListener('click', (e) => {
+    const revisionEl = e.target.closest('.content-revision');
+    if (!revisionEl) return;
+    const revisionId = revisionEl.dataset.revisionId;
+
+    if (e.target.closest('.revision-preview-btn')) {
+      const preview = revisionEl.querySelector('.revision-preview');
+      if (preview.classList.toggle('hidden')) return;
+      previewRevision(revisionId, preview);
+    } else if (e.target.closest('.revision-rollback-btn')) {
+      if (!confirm('Roll back all content to this revision? The rollback itself is recorded in the history.')) return;
+      try {
+        rollbackToRevision(revisionId);
+        loadAllContentToBulkEditor();
+        refreshRenderedContent();
+        renderContentHistory();
+        showMessage('Content rolled back successfully', 'success');
+      } catch (error) {
+        console.error('Rollback error:', error);
+        showMessage('Error rolling back: ' + error.message, 'error');
+      }
+    }
+  });
+
+  renderContentHistory();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    diffContent,
+    contentFromOverlay,
+    loadContentHistory,
+    recordContentRevision,
+    commitContentEdit,
+    resetContentWithHistory,
+    rollbackToRevision
+  };
+}
@@ -0,0 +1,234 @@
+// Content Overlay Store for UiPath Sales Cycle Guide
+// Persists admin edits as an overlay on top of the shipped js/data.js defaults
+
+const CONTENT_OVERLAY_KEY = 'uipathSalesGuideContentOverlay';
+
+// Snapshot of the shipped content, taken before any overlay is applied
+const DEFAULT_CONTENT = JSON.parse(JSON.stringify(SALES_CYCLE_DATA));
+
+// Stage fields that admins can edit and that are stored as overlay sections
+const STAGE_CONTENT_FIELDS = ['title', 'outcomes', 'initialPersonas', 'uipathTeam', 'questions', 'objections', 'resources'];
+
+// Top-level content that is stored as a single overlay section each
+const ROOT_CONTENT_SECTIONS = ['industries', 'qualificationFramework', 'qualificationFrameworks'];
+
+const cloneContent = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+// Section keys look like "industries", "qualificationFrameworks", "personas.banking" or "stages.discovery.outcomes"
+function contentSectionKeys(data = SALES_CYCLE_DATA) {
+  const industries = new Set([...Object.keys(DEFAULT_CONTENT.personas), ...Object.keys(data.personas || {})]);
+  const stageIds = new Set([...DEFAULT_CONTENT.stages, ...(data.stages || [])].map(s => s.id));
+
+  return [
+    ...ROOT_CONTENT_SECTIONS,
+    ...Array.from(industries).map(ind => `personas.${ind}`),
+    ...Array.from(stageIds).flatMap(id => STAGE_CONTENT_FIELDS.map(field => `stages.${id}.${field}`))
+  ];
+}
+
+function stageContentKeys(stageId) {
+  return STAGE_CONTENT_FIELDS.map(field => `stages.${stageId}.${field}`);
+}
+
+function getContentSection(data, key) {
+  const [root, id, field] = key.split('.');
+  if (ROOT_CONTENT_SECTIONS.includes(root)) return data[root];
+  if (root === 'personas') return data.personas?.[id];
+  if (root === 'stages') return data.stages?.find(s => s.id === id)?.[field];
+  return undefined;
+}
+
+function setContentSection(data, key, value) {
+  const [root, id, field] = key.split('.');
+  if (ROOT_CONTENT_SECTIONS.includes(root)) {
+    data[root] = value;
+  } else if (root === 'personas') {
+    if (value === undefined) delete data.personas[id];
+    else data.personas[id] = value;
+  } else if (root === 'stages') {
+    const stage = data.stages.find(s => s.id === id);
+    if (!stage) return;
+    if (value === undefined) delete stage[field];
+    else stage[field] = value;
+  }
+}
+
+function loadContentOverlay() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CONTENT_OVERLAY_KEY));
+    if (saved && saved.sections) return saved;
+  } catch (e) {
+    console.error('Error reading content overlay:', e);
+  }
+  return { version: 1, sections: {} };
+}
+
+function saveContentOverlay(overlay) {
+  overlay.updatedAt = new Date().toISOString();
+  localStorage.setItem(CONTENT_OVERLAY_KEY, JSON.stringify(overlay));
+}
+
+// ---------- CONTENT IDS ----------
+// Outcomes, questions, objections, resources and personas carry a persistent `id` so saved
+// checklist ticks, notes and AI responses stay attached when items are reordered or inserted.
+// Outcomes and questions are stored as { id, text }.
+
+function generateContentId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+const contentItemText = item => typeof item === 'string' ? item : (item?.text || '');
+
+// Give every item in a list an ID, reusing the ID of a reference item with the same text
+function assignListIds(items = [], prefix, reference = [], textOf = contentItemText, toItem = item => item) {
+  const known = new Map(reference.filter(ref => ref?.id).map(ref => [textOf(ref), ref.id]));
+  const used = new Set();
+  let changed = false;
+
+  const result = items.map(raw => {
+    const item = toItem(raw);
+    if (item !== raw) changed = true;
+    if (!item.id || used.has(item.id)) {
+      const knownId = known.get(textOf(item));
+      item.id = knownId && !used.has(knownId) ? knownId : generateContentId(prefix);
+      changed = true;
+    }
+    used.add(item.id);
+    return item;
+  });
+
+  return { items: result, changed };
+}
+
+const toTextItem = raw => typeof raw === 'string' ? { id: '', text: raw } : raw;
+
+// Make sure all content in `data` has IDs (legacy overlays and imports store plain strings).
+// Items without an ID take the ID of a reference item with the same text, else a new one.
+function ensureContentIds(data = SALES_CYCLE_DATA, reference = DEFAULT_CONTENT) {
+  let changed = false;
+  const apply = (result) => { changed = changed || result.changed; return result.items; };
+
+  Object.keys(data.personas || {}).forEach(ind => {
+    data.personas[ind] = apply(assignListIds(data.personas[ind], 'p', reference.personas?.[ind], p => p.title));
+  });
+
+  (data.stages || []).forEach(stage => {
+    const ref = reference.stages?.find(s => s.id === stage.id) || {};
+    if (stage.outcomes) {
+      stage.outcomes = apply(assignListIds(stage.outcomes, 'o', ref.outcomes, contentItemText, toTextItem));
+    }
+    if (stage.questions) {
+      const refQuestions = Object.values(ref.questions || {}).flat();
+      Object.keys(stage.questions).forEach(category => {
+        stage.questions[category] = apply(assignListIds(stage.questions[category], 'q', refQuestions, contentItemText, toTextItem));
+      });
+    }
+    if (stage.objections) {
+      stage.objections = apply(assignListIds(stage.objections, 'obj', ref.objections, o => o.q));
+    }
+    Object.keys(stage.resources || {}).forEach(ind => {
+      stage.resources[ind] = apply(assignListIds(stage.resources[ind], 'r', ref.resources?.[ind], r => r.name));
+    });
+  });
+
+  return changed;
+}
+
+// Turn edited lines back into { id, text } items, keeping the IDs (and any flags such as
+// `optional`) of unchanged lines and of lines edited in place
+function reconcileTextItems(previous = [], lines, prefix) {
+  const previousById = new Map(previous.filter(item => item?.id).map(item => [item.id, item]));
+  const remaining = new Map();
+  previous.forEach(item => {
+    const text = contentItemText(item);
+    if (!remaining.has(text)) remaining.set(text, item.id);
+  });
+  const matched = lines.map(line => {
+    const id = remaining.get(line);
+    if (id) remaining.delete(line);
+    return id;
+  });
+  const used = new Set(matched.filter(Boolean));
+
+  return lines.map((text, i) => {
+    let id = matched[i];
+    if (!id && previous[i]?.id && !used.has(previous[i].id)) id = previous[i].id;
+    if (!id) id = generateContentId(prefix);
+    used.add(id);
+    return { ...previousById.get(id), id, text };
+  });
+}
+
+// Reapply persisted edits to SALES_CYCLE_DATA (call before the first render).
+// Overlays are sanitized on the way in, since they may predate the sanitizer or be edited by hand.
+function applyContentOverlay() {
+  const overlay = loadContentOverlay();
+  Object.entries(overlay.sections).forEach(([key, value]) => {
+    setContentSection(SALES_CYCLE_DATA, key, sanitizeContent(value));
+  });
+
+  // Overlays saved before content IDs existed are upgraded once and re-saved
+  if (ensureContentIds()) persistContentSections(Object.keys(overlay.sections));
+  return loadContentOverlay();
+}
+
+// Store the current value of each section, dropping entries that match the defaults.
+// Every edit and import passes through here, so this is where content HTML is sanitized.
+function persistContentSections(keys = contentSectionKeys()) {
+  const overlay = loadContentOverlay();
+
+  keys.forEach(key => {
+    if (getContentSection(SALES_CYCLE_DATA, key) !== undefined) {
+      setContentSection(SALES_CYCLE_DATA, key, sanitizeContent(getContentSection(SALES_CYCLE_DATA, key)));
+    }
+    const current = getContentSection(SALES_CYCLE_DATA, key);
+    const original = getContentSection(DEFAULT_CONTENT, key);
+    if (JSON.stringify(current) === JSON.stringify(original)) {
+      delete overlay.sections[key];
+    } else {
+      overlay.sections[key] = cloneContent(current);
+    }
+  });
+
+  saveContentOverlay(overlay);
+  return overlay;
+}
+
+function isContentSectionCustomized(key) {
+  return Object.prototype.hasOwnProperty.call(loadContentOverlay().sections, key);
+}
+
+// Put the shipped defaults back for the given sections
+function resetContentSections(keys) {
+  const overlay = loadContentOverlay();
+  keys.forEach(key => {
+    setContentSection(SALES_CYCLE_DATA, key, cloneContent(getContentSection(DEFAULT_CONTENT, key)));
+    delete overlay.sections[key];
+  });
+  saveContentOverlay(overlay);
+}
+
+function resetAllContent() {
+  resetContentSections(contentSectionKeys());
+  localStorage.removeItem(CONTENT_OVERLAY_KEY);
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_CONTENT,
+    generateContentId,
+    ensureContentIds,
+    reconcileTextItems,
+    contentSectionKeys,
+    stageContentKeys,
+    getContentSection,
+    setContentSection,
+    loadContentOverlay,
+    applyContentOverlay,
+    persistContentSections,
+    isContentSectionCustomized,
+    resetContentSections,
+    resetAllContent
+  };
+}
@@ -5,64 +5,86 @@ const SALES_CYCLE_DATA = {
   // Current industry selection
   industry: 'banking',
   
+  // Qualification framework the team uses; opportunities can pick another from qualificationFrameworks
+  qualificationFramework: 'meddpicc',
+  
+  // Industry verticals; personas and stage resources are keyed by these IDs
+  industries: [
+    { id: 'banking', label: 'Banking' },
+    { id: 'insurance', label: 'Insurance' },
+    { id: 'healthcare', label: 'Healthcare' },
+    { id: 'public-sector', label: 'Public Sector' },
+    { id: 'manufacturing', label: 'Manufacturing' }
+  ],
+  
   // Buyer personas by industry
   personas: {
     banking: [
       {
+        id: 'banking-p1',
         title: 'Chief Operating Officer',
         world: 'Manages the bank\'s core engine. Oversees thousands of employees in operations, payments, and servicing, all while fighting fires and trying to drive digital transformation. Increasingly pressured to deliver AI-driven efficiency while maintaining operational risk controls.',
         cares: 'Reducing cost-to-serve, improving straight-through processing (STP) rates, ensuring business resilience, and meeting aggressive efficiency targets set by the board. Seeks measurable AI ROI while avoiding operational disruption.',
         help: 'Deploy agentic automation for complex, end-to-end processes like loan origination (reducing 5-day manual process to 1-day with AI decisioning), payment investigations with intelligent case routing, and KYC refreshes with automated adverse media screening and risk scoring.'
       },
       {
+        id: 'banking-p2',
         title: 'Chief Compliance Officer',
         world: 'Lives in a world of complex, ever-changing regulations (AML, KYC, etc.). Their primary role is to protect the bank from massive fines and reputational damage. Must balance AI innovation with regulatory explainability and model risk management.',
         cares: 'Minimizing false positives in transaction monitoring, clearing alert backlogs to avoid regulatory breaches, proving the bank has auditable, explainable controls, and ensuring AI models meet regulatory scrutiny (SR 11-7, OCC guidance).',
         help: 'Deploy governed agentic workflows for KYC/AML processes with full audit trails, automated adverse media screening with confidence scoring, intelligent transaction monitoring with explainable AI decisioning, and regulatory reporting automation with human oversight controls.'
       },
       {
+        id: 'banking-p3',
         title: 'Head of Contact Center',
         world: 'Runs a high-pressure environment focused on customer experience (CX). They constantly battle agent attrition, high training costs, and pressure to reduce call times. Exploring AI agents to handle routine inquiries while keeping complex cases human-assisted.',
         cares: 'Improving Net Promoter Score (NPS) and Customer Satisfaction (CSAT), reducing Average Handle Time (AHT), ensuring agents are compliant with scripts and procedures, and maximizing agent productivity through AI assistance.',
         help: 'Deploy intelligent agent assistants that provide real-time account insights, automate desktop workflows during calls, generate post-call summaries, suggest next-best actions, and escalate complex cases to human agents with full context and recommended solutions.'
       },
       {
+        id: 'banking-p4',
         title: 'CIO / CTO',
         world: 'Balances the need for innovation with the reality of maintaining complex, legacy core banking systems. They are under pressure to deliver value faster and more securely while establishing enterprise AI governance and ensuring regulatory compliance.',
         cares: 'Reducing total cost of ownership (TCO) for technology, standardizing on scalable enterprise platforms, mitigating vendor and security risks, avoiding integration debt, and building reusable AI/automation capabilities with proper model risk management.',
         help: 'Implement an enterprise-grade agentic automation platform with centralized governance, role-based access controls (RBAC), API-first integration, private AI deployment options, comprehensive audit logging, and pre-built connectors for core banking systems.'
       },
       {
+        id: 'banking-p5',
         title: 'Head of Payments Ops',
         world: 'Manages the high-stakes, time-sensitive flow of money. Their world is dictated by payment cutoffs, SWIFT messages, and the constant risk of failed transactions. Must achieve near-perfect STP rates while managing complex exception handling and regulatory reporting.',
         cares: 'Maximizing the Straight-Through Processing (STP) rate, minimizing financial write-offs from errors, meeting strict Service Level Agreements (SLAs) for payment execution, and reducing manual investigation time for payment exceptions.',
         help: 'Deploy agentic automation for the complete payment lifecycle: intelligent exception triage with AI-powered document parsing, automated investigation workflows with decision trees, real-time SWIFT message analysis, predictive failure detection, and auto-resolution for 80% of common payment issues with human escalation for complex cases.'
       },
       {
+        id: 'banking-p6',
         title: 'Line of Business GM',
         world: 'Owns the P&L for a specific product like mortgages or credit cards. They are deeply focused on market share, customer acquisition, and profitability. Needs AI solutions that demonstrably impact their business metrics and competitive position.',
         cares: 'Hitting revenue and margin targets, reducing customer churn, launching new products faster than the competition, improving customer acquisition cost (CAC), and maximizing customer lifetime value (CLV). They see technology as a means to a business end.',
         help: 'Deploy targeted agentic solutions with measurable P&L impact: accelerate loan origination from 5 days to 1 day with AI underwriting assistance, automate collections workflows with intelligent customer communication sequencing, provide personalized product recommendations through customer journey analysis, and enable real-time fraud prevention to reduce losses.'
       },
       {
+        id: 'banking-p7',
         title: 'Head of Lending',
         world: 'Manages the entire lending lifecycle from origination to servicing across consumer, commercial, and mortgage portfolios. Constantly balancing growth targets with credit risk management while ensuring regulatory compliance and operational efficiency.',
         cares: 'Improving loan approval speed and accuracy, reducing credit losses and charge-offs, meeting regulatory requirements (CECL, CCAR), optimizing loan pricing, and enhancing borrower experience to drive volume growth.',
         help: 'Implement intelligent lending automation: AI-powered credit decisioning with explainable models, automated document processing for loan applications, intelligent loan pricing optimization, automated compliance monitoring, and predictive analytics for early default identification.'
       },
       {
+        id: 'banking-p8',
         title: 'Head of AML',
         world: 'Leads the bank\'s fight against money laundering and financial crimes. Operates under intense regulatory scrutiny with severe penalties for compliance failures. Must balance thorough monitoring with operational efficiency and customer experience.',
         cares: 'Reducing false positive alert rates, ensuring comprehensive suspicious activity detection, maintaining audit-ready documentation, meeting regulatory examination requirements, and demonstrating effective AML program governance to regulators.',
         help: 'Deploy advanced AML automation: AI-enhanced transaction monitoring with behavioral analytics, automated case management and investigation workflows, intelligent entity resolution and network analysis, regulatory reporting automation, and explainable AI for audit and examination support.'
       },
       {
+        id: 'banking-p9',
         title: 'Head of Wealth Operations',
         world: 'Oversees the operational backbone of wealth management services, ensuring seamless client onboarding, account management, and portfolio operations. Manages complex workflows involving multiple systems, custodians, and regulatory requirements.',
         cares: 'Streamlining client onboarding processes, reducing operational errors in trade settlement, ensuring accurate fee calculations and billing, maintaining client data integrity, and supporting advisor productivity through efficient operations.',
         help: 'Automate wealth management operations: intelligent client onboarding with document processing, automated portfolio rebalancing and trade execution, AI-powered fee calculation and reconciliation, automated reporting generation for clients and regulators, and intelligent exception handling for operational issues.'
       },
       {
+        id: 'banking-p10',
         title: 'Head of Trading Operations',
         world: 'Manages post-trade operations including trade settlement, clearing, and reconciliation across multiple asset classes and markets. Operates in a high-pressure, time-sensitive environment where errors can result in significant financial losses.',
         cares: 'Minimizing trade settlement failures and breaks, ensuring accurate trade matching and confirmation, maintaining regulatory compliance for trade reporting, optimizing collateral management, and reducing operational risk exposure.',
@@ -72,41 +94,140 @@ const SALES_CYCLE_DATA = {
     
     insurance: [
       {
+        id: 'insurance-p1',
         title: 'Chief Claims Officer',
         world: 'Balances the critical dual mandate of claims: provide an amazing, empathetic customer experience while rigorously controlling costs and preventing fraud.',
         cares: 'Lowering the loss ratio, reducing the cycle time from First Notice of Loss (FNOL) to settlement, and controlling Loss Adjustment Expenses (LAE).',
         help: 'Use AI to automate FNOL intake from any channel, extract policy and coverage details, intelligently route claims to the right adjuster, and detect potential subrogation opportunities.'
       },
       {
+        id: 'insurance-p2',
         title: 'Head of Underwriting',
         world: 'Leads the team that decides which risks the company will take on. They are shifting from manual, experience-based decisions to a more data-driven, automated process.',
         cares: 'Improving the bind ratio (quotes to bound policies), increasing the hit ratio (submissions to quotes), and dramatically speeding up quote turnaround time to win more business.',
         help: 'Automate the entire submission process, from extracting data from broker emails and ACORD forms to triaging against underwriting appetite and flagging cases for review.'
       },
       {
+        id: 'insurance-p3',
         title: 'Chief Actuary',
         world: 'Responsible for the complex mathematical models that underpin the entire insurance business, from pricing policies to estimating future losses and ensuring solvency.',
         cares: 'Ensuring the quality and integrity of the data feeding their pricing models, understanding loss cost trends, and maintaining model explainability for regulators.',
         help: 'Use AI to capture structured data from unstructured documents, ensuring data lineage and providing a full audit trail to support actuarial models.'
       },
       {
+        id: 'insurance-p4',
         title: 'CIO / CTO',
         world: 'Tasked with modernizing creaking, monolithic core systems (policy admin, claims, billing) without disrupting the business. They seek agile, low-risk ways to innovate.',
         cares: 'Accelerating time-to-value for new digital initiatives, minimizing the effort and cost of integrating new technologies, and managing vendor and cybersecurity risk.',
         help: 'Provide pre-built connectors to common insurance systems, a central governance framework, and guardrails for the safe and compliant use of AI across the enterprise.'
       },
       {
+        id: 'insurance-p5',
         title: 'Head of Customer Service',
         world: 'Manages the front-line of customer interaction for everything that isn\'t a claim—policy questions, endorsements, billing inquiries, and more.',
         cares: 'Maintaining high Customer Satisfaction (CSAT) scores, reducing Average Handle Time (AHT) for inquiries, and ensuring agents are providing accurate, compliant information.',
         help: 'Deploy agent-assist bots to surface knowledge, automate desktop tasks, analyze call sentiment in real-time, and handle post-call automation and summarization.'
       },
       {
+        id: 'insurance-p6',
         title: 'Head of Billing',
         world: 'Oversees the complex flow of money, including premium collections from policyholders, commission payments to brokers, and processing refunds and dunning notices.',
         cares: 'Reducing Days Sales Outstanding (DSO), minimizing premium leakage and write-offs, and improving the efficiency of accounts receivable and payable processes.',
         help: 'Automate accounts receivable processes, use LLMs to summarize and help resolve billing disputes, and streamline the reconciliation of payments and commissions.'
       }
+    ],
+    
+    healthcare: [
+      {
+        id: 'healthcare-p1',
+        title: 'Chief Operating Officer (Health System)',
+        world: 'Runs hospital and clinic operations across multiple sites while facing staff shortages, thin margins and rising patient volumes. Under pressure to free clinicians from administrative work without disrupting care.',
+        cares: 'Reducing administrative cost per encounter, improving patient throughput and bed utilization, lowering staff burnout and overtime, and protecting margins as reimbursement tightens.',
+        help: 'Automate patient access workflows end-to-end: scheduling, registration, insurance eligibility checks and prior authorization intake, with AI agents handling routine cases and escalating exceptions to staff.'
+      },
+      {
+        id: 'healthcare-p2',
+        title: 'VP of Revenue Cycle',
+        world: 'Owns the path from patient registration to final payment. Battles payer rule changes, claim denials and a backlog of manual follow-up work queues.',
+        cares: 'Lowering denial rates, reducing days in accounts receivable, improving clean-claim rate and cutting the cost to collect.',
+        help: 'Deploy agentic automation for eligibility verification, claim status checks, denial triage with root-cause classification, appeal letter drafting and payment posting reconciliation.'
+      },
+      {
+        id: 'healthcare-p3',
+        title: 'Chief Medical Information Officer',
+        world: 'Bridges clinicians and IT. Responsible for EHR optimization and for making sure new technology actually reduces clinician burden instead of adding clicks.',
+        cares: 'Reducing documentation time, improving data quality in the EHR, clinician adoption, and safe, explainable use of AI in clinical workflows.',
+        help: 'Automate inbox and order management tasks around the EHR, use document understanding to file referrals and outside records, and keep humans in the loop for any clinical decision.'
+      },
+      {
+        id: 'healthcare-p4',
+        title: 'CIO / CISO',
+        world: 'Manages a sprawling application estate around the EHR with strict HIPAA obligations and frequent security threats.',
+        cares: 'Protecting PHI, integrating with the EHR without costly custom interfaces, vendor risk, and governing AI use across the organization.',
+        help: 'Provide a governed automation platform with role-based access, audit logs, on-premises or private-cloud deployment and pre-built connectors for common EHR and ERP systems.'
+      }
+    ],
+    
+    'public-sector': [
+      {
+        id: 'public-sector-p1',
+        title: 'Agency Chief Operating Officer',
+        world: 'Delivers citizen services with flat budgets, an aging workforce and growing case backlogs, all under public and legislative scrutiny.',
+        cares: 'Reducing backlogs and processing times, improving citizen satisfaction, and doing more with existing headcount while staying within appropriations.',
+        help: 'Automate high-volume case work such as benefits applications, permit processing and records requests, with AI agents triaging submissions and caseworkers handling exceptions.'
+      },
+      {
+        id: 'public-sector-p2',
+        title: 'Chief Information Officer',
+        world: 'Modernizing legacy mainframe and COTS systems through long procurement cycles while meeting strict security and accessibility mandates.',
+        cares: 'Meeting security authorizations (FedRAMP, StateRAMP), reducing technical debt, avoiding vendor lock-in and delivering modernization wins within the budget year.',
+        help: 'Use automation as a modernization bridge over legacy systems, deployed in authorized environments with centralized governance, audit trails and reusable components across agencies.'
+      },
+      {
+        id: 'public-sector-p3',
+        title: 'Program Director (Benefits & Services)',
+        world: 'Runs a specific program such as unemployment, SNAP or licensing. Judged on timeliness, accuracy and audit findings.',
+        cares: 'Meeting statutory processing deadlines, reducing improper payments, and passing program audits.',
+        help: 'Automate eligibility checks against multiple data sources, document intake and verification, and notices to applicants, with complete audit trails for every decision.'
+      },
+      {
+        id: 'public-sector-p4',
+        title: 'Chief Financial Officer / Comptroller',
+        world: 'Oversees budgeting, grants and financial reporting with manual reconciliations and year-end crunches.',
+        cares: 'Accurate and timely financial close, grant compliance, reducing improper payments and demonstrating return on technology spend to oversight bodies.',
+        help: 'Automate invoice processing, grant reporting, reconciliations and vendor onboarding, and provide dashboards that quantify hours returned to the mission.'
+      }
+    ],
+    
+    manufacturing: [
+      {
+        id: 'manufacturing-p1',
+        title: 'VP of Operations / Plant Operations',
+        world: 'Keeps plants running at target output while managing supply volatility, labor shortages and quality requirements across sites.',
+        cares: 'Improving OEE, on-time delivery, reducing scrap and rework, and lowering the administrative load on plant staff.',
+        help: 'Automate production reporting, maintenance work order creation, quality non-conformance workflows and shift handovers across MES, ERP and spreadsheets.'
+      },
+      {
+        id: 'manufacturing-p2',
+        title: 'Chief Supply Chain Officer',
+        world: 'Orchestrates suppliers, logistics and inventory in a world of disruptions, shortages and changing tariffs.',
+        cares: 'Reducing expediting costs, improving forecast accuracy and supplier on-time performance, and lowering working capital tied up in inventory.',
+        help: 'Deploy AI agents for purchase order confirmations, supplier communication, shipment exception handling and demand signal consolidation across ERP and supplier portals.'
+      },
+      {
+        id: 'manufacturing-p3',
+        title: 'CFO',
+        world: 'Drives margin improvement and cash flow while closing the books across multiple plants, entities and ERP instances.',
+        cares: 'Faster close, accurate cost accounting, reduced DSO and DPO leakage, and measurable ROI from digital investments.',
+        help: 'Automate order-to-cash and procure-to-pay, three-way match exceptions, intercompany reconciliations and cost variance analysis.'
+      },
+      {
+        id: 'manufacturing-p4',
+        title: 'CIO / Head of Digital Manufacturing',
+        world: 'Connects shop-floor OT systems with enterprise IT while rolling out Industry 4.0 initiatives on a patchwork of legacy applications.',
+        cares: 'Integrating ERP, MES and PLM without brittle point-to-point code, securing OT/IT boundaries and scaling digital pilots beyond a single plant.',
+        help: 'Provide an enterprise automation platform with API and UI integration across ERP, MES and PLM, centralized governance, and reusable automations that scale from one plant to many.'
+      }
     ]
   },
   
@@ -115,13 +236,14 @@ const SALES_CYCLE_DATA = {
     {
       id: 'discovery',
       title: '1. Discovery: Find Impact, Build Trust',
+      expectedDays: 14,
       outcomes: [
-        'Customer pain identified and business imperatives agreed',
-        'Champions & coaches confirmed',
-        'Competition understood',
-        'Timeline & budget identified',
-        '"Before scenarios" identified with value drivers',
-        'NDA executed (if needed)'
+        { id: 'discovery-o1', text: 'Customer pain identified and business imperatives agreed' },
+        { id: 'discovery-o2', text: 'Champions & coaches confirmed' },
+        { id: 'discovery-o3', text: 'Competition understood' },
+        { id: 'discovery-o4', text: 'Timeline & budget identified' },
+        { id: 'discovery-o5', text: '"Before scenarios" identified with value drivers' },
+        { id: 'discovery-o6', text: 'NDA executed (if needed)', optional: true }
       ],
       initialPersonas: [
         '<strong>Automation COE / IT Manager:</strong> First-line evaluator and technical guide.',
@@ -135,47 +257,49 @@ const SALES_CYCLE_DATA = {
       ],
       questions: {
         'Pain & Impact': [
-          'Walk me through how <em>X</em> happens today. Where are the delays or re-work?',
-          'If nothing changes in 6–12 months, what breaks or who is impacted most?',
-          'Can we quantify the impact in cost, revenue, risk, or CX terms?',
-          'What percentage of this work requires human judgment vs. following rules?'
+          { id: 'discovery-q1', text: 'Walk me through how <em>X</em> happens today. Where are the delays or re-work?' },
+          { id: 'discovery-q2', text: 'If nothing changes in 6–12 months, what breaks or who is impacted most?' },
+          { id: 'discovery-q3', text: 'Can we quantify the impact in cost, revenue, risk, or CX terms?' },
+          { id: 'discovery-q4', text: 'What percentage of this work requires human judgment vs. following rules?' }
         ],
         'Strategic Alignment': [
-          'Which executive initiative does improving this process support (e.g., efficiency, CX, risk)?',
-          'What would a successful quarter look like if we fixed this?',
-          'How does this align with your digital transformation or AI strategy?'
+          { id: 'discovery-q5', text: 'Which executive initiative does improving this process support (e.g., efficiency, CX, risk)?' },
+          { id: 'discovery-q6', text: 'What would a successful quarter look like if we fixed this?' },
+          { id: 'discovery-q7', text: 'How does this align with your digital transformation or AI strategy?' }
         ],
         'AI & Automation Maturity': [
-          'Agent, Bot, do you know what lang is? Where are you in your AI maturity journey?',
-          'Are you using any AI tools today? Copilots? How does the company approach AI?',
-          'What governance or risk controls do you have around AI and automation?',
-          'Have you tried RPA, workflow tools, or other automation before? What worked or didn\'t?'
+          { id: 'discovery-q8', text: 'Agent, Bot, do you know what lang is? Where are you in your AI maturity journey?' },
+          { id: 'discovery-q9', text: 'Are you using any AI tools today? Copilots? How does the company approach AI?' },
+          { id: 'discovery-q10', text: 'What governance or risk controls do you have around AI and automation?' },
+          { id: 'discovery-q11', text: 'Have you tried RPA, workflow tools, or other automation before? What worked or didn\'t?' }
         ],
         'People & Roles': [
-          'Who owns the process? Who needs to sign off?',
-          'Who benefits day-to-day and who could block it?',
-          'How comfortable are your teams with AI-assisted work?',
-          'What change management support would be needed?'
+          { id: 'discovery-q12', text: 'Who owns the process? Who needs to sign off?' },
+          { id: 'discovery-q13', text: 'Who benefits day-to-day and who could block it?' },
+          { id: 'discovery-q14', text: 'How comfortable are your teams with AI-assisted work?' },
+          { id: 'discovery-q15', text: 'What change management support would be needed?' }
         ],
         'Tech & Data': [
-          'Which systems are in the flow (core, CRM, email, spreadsheets)?',
-          'What documents or data inputs are involved and how are they validated today?',
-          'What\'s your appetite for cloud vs. on-premise AI models?',
-          'How do you handle sensitive data in automated processes today?'
+          { id: 'discovery-q16', text: 'Which systems are in the flow (core, CRM, email, spreadsheets)?' },
+          { id: 'discovery-q17', text: 'What documents or data inputs are involved and how are they validated today?' },
+          { id: 'discovery-q18', text: 'What\'s your appetite for cloud vs. on-premise AI models?' },
+          { id: 'discovery-q19', text: 'How do you handle sensitive data in automated processes today?' }
         ],
         'Process Deep-Dive': [
-          'What triggers this process? How often does it run?',
-          'Where do exceptions or edge cases get handled?',
-          'What would "straight-through processing" look like for this?',
-          'If an AI agent could handle 80% automatically, what would the 20% escalation look like?'
+          { id: 'discovery-q20', text: 'What triggers this process? How often does it run?' },
+          { id: 'discovery-q21', text: 'Where do exceptions or edge cases get handled?' },
+          { id: 'discovery-q22', text: 'What would "straight-through processing" look like for this?' },
+          { id: 'discovery-q23', text: 'If an AI agent could handle 80% automatically, what would the 20% escalation look like?' }
         ]
       },
       objections: [
         {
+          id: 'discovery-obj1',
           q: "We are focused on Copilot/another GenAI tool.",
           a: "Those are great for personal productivity. UiPath governs end‑to‑end processes with auditability, orchestration, and system integration—complementary, not overlapping."
         },
         {
+          id: 'discovery-obj2',
           q: "We tried RPA before and it didn't scale.",
           a: "Many programs stalled without central governance and discovery. We bake in guardrails, testing, and pipeline management to scale safely."
         }
@@ -183,54 +307,63 @@ const SALES_CYCLE_DATA = {
       resources: {
         banking: [
           {
+            id: 'discovery-banking-r1',
             name: 'Intelligent KYC / AML',
             link: '#',
             overview: 'Automate KYC refresh and adverse media screening.',
             why: 'Show CCO risk mitigation and OPEX reduction.'
           },
           {
+            id: 'discovery-banking-r2',
             name: 'Agentic Loan Origination',
             link: '#',
             overview: 'End-to-end loan processing with AI decisioning: application intake, document extraction, credit analysis, compliance checks, and approval routing.',
             why: 'Reduce 5-day manual process to 1-day automated with 80% straight-through processing.'
           },
           {
+            id: 'discovery-banking-r3',
             name: 'Intelligent Payment Operations',
             link: '#',
             overview: 'Automated payment exception handling: SWIFT message parsing, investigation workflows, and resolution routing.',
             why: 'Increase STP rates and reduce manual investigation time by 70%.'
           },
           {
+            id: 'discovery-banking-r4',
             name: 'AI-Powered Contact Center',
             link: '#',
             overview: 'Agent copilot with real-time account insights, desktop automation, and post-call summarization.',
             why: 'Improve AHT, CSAT, and agent productivity while ensuring compliance.'
           },
           {
+            id: 'discovery-banking-r5',
             name: 'Automated Regulatory Reporting',
             link: '#',
             overview: 'Intelligent data collection, validation, and regulatory report generation with audit trails.',
             why: 'Reduce compliance risk and manual reporting effort by 60%.'
           },
           {
+            id: 'discovery-banking-r6',
             name: 'Intelligent Lending Automation',
             link: '#',
             overview: 'End-to-end loan processing with AI credit decisioning, document processing, and pricing optimization.',
             why: 'Reduce loan approval time from days to hours with 95% automation rate.'
           },
           {
+            id: 'discovery-banking-r7',
             name: 'Advanced AML Transaction Monitoring',
             link: '#',
             overview: 'AI-enhanced suspicious activity detection with behavioral analytics and case management automation.',
             why: 'Reduce false positives by 80% while improving detection accuracy.'
           },
           {
+            id: 'discovery-banking-r8',
             name: 'Wealth Operations Automation',
             link: '#',
             overview: 'Client onboarding, portfolio management, and fee calculation automation with exception handling.',
             why: 'Streamline operations and reduce processing errors by 90%.'
           },
           {
+            id: 'discovery-banking-r9',
             name: 'Trading Operations Intelligence',
             link: '#',
             overview: 'Automated trade settlement, reconciliation, and regulatory reporting with risk analytics.',
@@ -239,48 +372,102 @@ const SALES_CYCLE_DATA = {
         ],
         insurance: [
           {
+            id: 'discovery-insurance-r1',
             name: 'AI-Powered Claims Intake',
             link: '#',
             overview: 'Extract FNOL, classify claims, route to adjuster.',
             why: 'Reduce cycle time and improve FNOL quality.'
           },
           {
+            id: 'discovery-insurance-r2',
             name: 'Intelligent Underwriting Automation',
             link: '#',
             overview: 'Automated submission processing: extract data from broker emails and ACORD forms, triage against appetite, and route for review.',
             why: 'Improve bind ratio and dramatically speed up quote turnaround time.'
           },
           {
+            id: 'discovery-insurance-r3',
             name: 'Automated Premium Audit',
             link: '#',
             overview: 'AI-powered audit processes: analyze payroll records, classify employees, and identify premium adjustments automatically.',
             why: 'Reduce audit cycle time by 60% and improve accuracy of premium calculations.'
           },
           {
+            id: 'discovery-insurance-r4',
             name: 'Claims Investigation Automation',
             link: '#',
             overview: 'Intelligent claims processing: fraud detection, medical record analysis, and automated settlement recommendations.',
             why: 'Lower loss adjustment expenses and improve claim settlement accuracy.'
           },
           {
+            id: 'discovery-insurance-r5',
             name: 'Policy Administration Automation',
             link: '#',
             overview: 'Streamline policy changes, renewals, and endorsements with AI-powered document processing and validation.',
             why: 'Reduce processing time by 70% and improve customer satisfaction scores.'
           }
+        ],
+        healthcare: [
+          {
+            id: 'discovery-healthcare-r1',
+            name: 'Patient Access Automation',
+            link: '#',
+            overview: 'Scheduling, registration, eligibility and prior authorization intake with AI triage.',
+            why: 'Shows COO and revenue cycle leaders where staff time goes today.'
+          },
+          {
+            id: 'discovery-healthcare-r2',
+            name: 'Revenue Cycle Denials Agent',
+            link: '#',
+            overview: 'Classify denials, find root causes and draft appeals automatically.',
+            why: 'Quantifies denial leakage early in discovery.'
+          }
+        ],
+        'public-sector': [
+          {
+            id: 'discovery-public-sector-r1',
+            name: 'Citizen Case Intake',
+            link: '#',
+            overview: 'Automated intake, document verification and routing for benefits and permits.',
+            why: 'Frames backlog reduction in terms program directors track.'
+          },
+          {
+            id: 'discovery-public-sector-r2',
+            name: 'Legacy System Bridge',
+            link: '#',
+            overview: 'Automation layer over mainframe and COTS applications.',
+            why: 'Gives the CIO a modernization path without rip-and-replace.'
+          }
+        ],
+        manufacturing: [
+          {
+            id: 'discovery-manufacturing-r1',
+            name: 'Order-to-Cash Automation',
+            link: '#',
+            overview: 'Order entry, credit checks, invoicing and cash application across ERP instances.',
+            why: 'Connects discovery pain to working capital.'
+          },
+          {
+            id: 'discovery-manufacturing-r2',
+            name: 'Supplier Communications Agent',
+            link: '#',
+            overview: 'PO confirmations, delivery updates and exception follow-up with suppliers.',
+            why: 'Shows supply chain leaders how expediting effort drops.'
+          }
         ]
       }
     },
     {
       id: 'business-qualification',
       title: '2. Business Qualification: Value, Sponsor, Compelling Event',
+      expectedDays: 21,
       outcomes: [
-        'Economic buyer confirmed with budget',
-        'Decision process understood and validated',
-        'Customer success metrics defined',
-        'Positive business outcomes defined',
-        'Required capabilities defined',
-        'ROI and financials modeled via assisted Outside-in'
+        { id: 'business-qualification-o1', text: 'Economic buyer confirmed with budget' },
+        { id: 'business-qualification-o2', text: 'Decision process understood and validated' },
+        { id: 'business-qualification-o3', text: 'Customer success metrics defined' },
+        { id: 'business-qualification-o4', text: 'Positive business outcomes defined' },
+        { id: 'business-qualification-o5', text: 'Required capabilities defined' },
+        { id: 'business-qualification-o6', text: 'ROI and financials modeled via assisted Outside-in' }
       ],
       initialPersonas: [
         '<strong>EVP/VP Operations:</strong> Owns savings targets.',
@@ -295,20 +482,22 @@ const SALES_CYCLE_DATA = {
       ],
       questions: {
         'Value & Outcomes': [
-          'What target KPIs would prove success (e.g., STP, AHT, leakage)?',
-          'What budget source funds this and when does it reset?'
+          { id: 'business-qualification-q1', text: 'What target KPIs would prove success (e.g., STP, AHT, leakage)?' },
+          { id: 'business-qualification-q2', text: 'What budget source funds this and when does it reset?' }
         ],
         'Decision & Process': [
-          'Who signs? What steps from now to signature?',
-          'Any security, privacy, or model risk approvals required?'
+          { id: 'business-qualification-q3', text: 'Who signs? What steps from now to signature?' },
+          { id: 'business-qualification-q4', text: 'Any security, privacy, or model risk approvals required?' }
         ]
       },
       objections: [
         {
+          id: 'business-qualification-obj1',
           q: 'No budget until next FY.',
           a: 'We can phase—start with a funded pilot tied to a fast payback and lock pricing for next FY.'
         },
         {
+          id: 'business-qualification-obj2',
           q: 'Hard to prove ROI.',
           a: 'We co-build a defendable model with baselines, sample data, and finance-approved assumptions.'
         }
@@ -316,6 +505,7 @@ const SALES_CYCLE_DATA = {
       resources: {
         banking: [
           {
+            id: 'business-qualification-banking-r1',
             name: 'ROI Template (Bank Ops)',
             link: '#',
             overview: 'Prebuilt value model for bank processes.',
@@ -324,35 +514,66 @@ const SALES_CYCLE_DATA = {
         ],
         insurance: [
           {
+            id: 'business-qualification-insurance-r1',
             name: 'Claims ROI Model',
             link: '#',
             overview: 'Cycle-time and leakage model.',
             why: 'Supports CCO decision.'
           },
           {
+            id: 'business-qualification-insurance-r2',
             name: 'Underwriting Value Calculator',
             link: '#',
             overview: 'ROI model for automated underwriting processes.',
             why: 'Quantifies bind ratio and turnaround improvements.'
           },
           {
+            id: 'business-qualification-insurance-r3',
             name: 'Premium Audit Business Case',
             link: '#',
             overview: 'Cost savings model for audit automation.',
             why: 'Shows CFO impact on audit expenses and accuracy.'
           }
+        ],
+        healthcare: [
+          {
+            id: 'business-qualification-healthcare-r1',
+            name: 'Revenue Cycle ROI Model',
+            link: '#',
+            overview: 'Denial rate, AR days and cost-to-collect value model.',
+            why: 'Supports the CFO and VP Revenue Cycle business case.'
+          }
+        ],
+        'public-sector': [
+          {
+            id: 'business-qualification-public-sector-r1',
+            name: 'Mission Value Calculator',
+            link: '#',
+            overview: 'Hours returned to the mission, backlog and timeliness model.',
+            why: 'Translates automation into budget and constituent impact.'
+          }
+        ],
+        manufacturing: [
+          {
+            id: 'business-qualification-manufacturing-r1',
+            name: 'Plant Operations Value Model',
+            link: '#',
+            overview: 'OEE, close-cycle and expediting cost model across plants.',
+            why: 'Gives the CFO a defendable multi-site business case.'
+          }
         ]
       }
     },
     {
       id: 'technical-qualification',
       title: '3. Technical Qualification: Feasibility, Risk, Architecture',
+      expectedDays: 30,
       outcomes: [
-        'Technical requirements understood',
-        'Required capabilities proven (e.g.: POV)',
-        'Products, solutions, configuration validated',
-        'Technical win confirmed',
-        'Rollout plan created'
+        { id: 'technical-qualification-o1', text: 'Technical requirements understood' },
+        { id: 'technical-qualification-o2', text: 'Required capabilities proven (e.g.: POV)' },
+        { id: 'technical-qualification-o3', text: 'Products, solutions, configuration validated' },
+        { id: 'technical-qualification-o4', text: 'Technical win confirmed' },
+        { id: 'technical-qualification-o5', text: 'Rollout plan created' }
       ],
       initialPersonas: [
         '<strong>Enterprise Architect:</strong> Integrations & standards.',
@@ -366,20 +587,22 @@ const SALES_CYCLE_DATA = {
       ],
       questions: {
         'Architecture & Integrations': [
-          'What integration patterns are preferred (APIs, queues, UI)?',
-          'Any constraints for on-prem vs. cloud vs. private AI?'
+          { id: 'technical-qualification-q1', text: 'What integration patterns are preferred (APIs, queues, UI)?' },
+          { id: 'technical-qualification-q2', text: 'Any constraints for on-prem vs. cloud vs. private AI?' }
         ],
         'Risk & Controls': [
-          'Which controls are mandatory (PII, SOC2, SOX, SR 11-7)?',
-          'How is model performance monitored and governed today?'
+          { id: 'technical-qualification-q3', text: 'Which controls are mandatory (PII, SOC2, SOX, SR 11-7)?' },
+          { id: 'technical-qualification-q4', text: 'How is model performance monitored and governed today?' }
         ]
       },
       objections: [
         {
+          id: 'technical-qualification-obj1',
           q: 'LLMs are not allowed with PII.',
           a: 'We support redaction, local models, and policy controls—with full audit trails.'
         },
         {
+          id: 'technical-qualification-obj2',
           q: 'Change risk to core systems.',
           a: 'We start read-only, use APIs where possible, and have rollback plans.'
         }
@@ -387,6 +610,7 @@ const SALES_CYCLE_DATA = {
       resources: {
         banking: [
           {
+            id: 'technical-qualification-banking-r1',
             name: 'Ref Architecture – Banking',
             link: '#',
             overview: 'Reference patterns for payments/KYC/ops.',
@@ -395,29 +619,59 @@ const SALES_CYCLE_DATA = {
         ],
         insurance: [
           {
+            id: 'technical-qualification-insurance-r1',
             name: 'Ref Architecture – Insurance',
             link: '#',
             overview: 'Patterns for claims/underwriting.',
             why: 'De-risks integration.'
           },
           {
+            id: 'technical-qualification-insurance-r2',
             name: 'Insurance Data Integration Guide',
             link: '#',
             overview: 'API patterns for policy admin, claims, and billing systems.',
             why: 'Accelerates technical validation and POV setup.'
           }
+        ],
+        healthcare: [
+          {
+            id: 'technical-qualification-healthcare-r1',
+            name: 'HIPAA Security & EHR Integration Brief',
+            link: '#',
+            overview: 'PHI handling, audit logging and EHR connectivity patterns.',
+            why: 'De-risks CISO and integration reviews.'
+          }
+        ],
+        'public-sector': [
+          {
+            id: 'technical-qualification-public-sector-r1',
+            name: 'Authorized Deployment Guide',
+            link: '#',
+            overview: 'FedRAMP / StateRAMP deployment options and security controls.',
+            why: 'Clears security authorization questions early.'
+          }
+        ],
+        manufacturing: [
+          {
+            id: 'technical-qualification-manufacturing-r1',
+            name: 'ERP / MES Integration Patterns',
+            link: '#',
+            overview: 'API and UI integration across ERP, MES and PLM with OT/IT boundaries.',
+            why: 'Addresses architecture and shop-floor security concerns.'
+          }
         ]
       }
     },
     {
       id: 'proposal',
       title: '4. Proposal & Negotiation: Commercials, Scope, Success Plan',
+      expectedDays: 21,
       outcomes: [
-        'Economic buyer & UiPath executive sponsor aligned',
-        'Compelling proposal w/ROI presented (with Global Value Engineering)',
-        'Primary quote accepted',
-        'Partner involvement correct (where applicable)',
-        'Close plan defined with customer to support close date'
+        { id: 'proposal-o1', text: 'Economic buyer & UiPath executive sponsor aligned' },
+        { id: 'proposal-o2', text: 'Compelling proposal w/ROI presented (with Global Value Engineering)' },
+        { id: 'proposal-o3', text: 'Primary quote accepted' },
+        { id: 'proposal-o4', text: 'Partner involvement correct (where applicable)' },
+        { id: 'proposal-o5', text: 'Close plan defined with customer to support close date' }
       ],
       initialPersonas: [
         '<strong>Procurement:</strong> Commercials & terms.',
@@ -432,20 +686,22 @@ const SALES_CYCLE_DATA = {
       ],
       questions: {
         'Commercials': [
-          'Which pricing model best fits usage and risk?',
-          'Any non-standard terms or MSAs we should align to?'
+          { id: 'proposal-q1', text: 'Which pricing model best fits usage and risk?' },
+          { id: 'proposal-q2', text: 'Any non-standard terms or MSAs we should align to?' }
         ],
         'Plan & Governance': [
-          'Confirm milestones, owners, and weekly cadence.',
-          'What does Day 30/60/90 success look like?'
+          { id: 'proposal-q3', text: 'Confirm milestones, owners, and weekly cadence.' },
+          { id: 'proposal-q4', text: 'What does Day 30/60/90 success look like?' }
         ]
       },
       objections: [
         {
+          id: 'proposal-obj1',
           q: 'Too expensive.',
           a: 'Let\'s align price to value—phase scope or tie to milestones while protecting outcomes.'
         },
         {
+          id: 'proposal-obj2',
           q: 'Term liability caps.',
           a: 'We can adjust with scope controls and shared responsibilities.'
         }
@@ -453,6 +709,7 @@ const SALES_CYCLE_DATA = {
       resources: {
         banking: [
           {
+            id: 'proposal-banking-r1',
             name: 'Banking Proposal Pack',
             link: '#',
             overview: 'Templates + success plan.',
@@ -461,23 +718,52 @@ const SALES_CYCLE_DATA = {
         ],
         insurance: [
           {
+            id: 'proposal-insurance-r1',
             name: 'Insurance Proposal Pack',
             link: '#',
             overview: 'Templates + success plan.',
             why: 'Aligns stakeholders.'
           }
+        ],
+        healthcare: [
+          {
+            id: 'proposal-healthcare-r1',
+            name: 'Health System Success Plan',
+            link: '#',
+            overview: 'Phased rollout across patient access and revenue cycle with KPIs.',
+            why: 'Aligns clinical and financial stakeholders on outcomes.'
+          }
+        ],
+        'public-sector': [
+          {
+            id: 'proposal-public-sector-r1',
+            name: 'Public Sector Procurement Guide',
+            link: '#',
+            overview: 'Contract vehicles, cooperative agreements and pricing structures.',
+            why: 'Shortens procurement and contracting cycles.'
+          }
+        ],
+        manufacturing: [
+          {
+            id: 'proposal-manufacturing-r1',
+            name: 'Multi-Plant Rollout Plan',
+            link: '#',
+            overview: 'Pilot plant, template and scale-out plan with success metrics.',
+            why: 'Gives operations leaders a low-risk path to scale.'
+          }
         ]
       }
     },
     {
       id: 'implement',
       title: '5. Implement & Expand: Deliver Value, Land & Expand',
+      expectedDays: 60,
       outcomes: [
-        'Order documents verified and received',
-        'SOW signed (if PS included)',
-        'Implementation plan confirmed',
-        'Initial internal handover meeting completed (AE/SE/CSD/CSM)',
-        'Close plan defined and validated with customer'
+        { id: 'implement-o1', text: 'Order documents verified and received' },
+        { id: 'implement-o2', text: 'SOW signed (if PS included)' },
+        { id: 'implement-o3', text: 'Implementation plan confirmed' },
+        { id: 'implement-o4', text: 'Initial internal handover meeting completed (AE/SE/CSD/CSM)' },
+        { id: 'implement-o5', text: 'Close plan defined and validated with customer' }
       ],
       initialPersonas: [
         '<strong>Program Lead:</strong> Drives cadence & unblockers.',
@@ -491,20 +777,22 @@ const SALES_CYCLE_DATA = {
       ],
       questions: {
         'Delivery & Change': [
-          'What change management is needed for agents/analysts?',
-          'Who signs off on acceptance and KPI validation?'
+          { id: 'implement-q1', text: 'What change management is needed for agents/analysts?' },
+          { id: 'implement-q2', text: 'Who signs off on acceptance and KPI validation?' }
         ],
         'Scale & Pipeline': [
-          'What\'s the 3–6 month pipeline after pilot?',
-          'Where can we reuse components to accelerate?'
+          { id: 'implement-q3', text: 'What\'s the 3–6 month pipeline after pilot?' },
+          { id: 'implement-q4', text: 'Where can we reuse components to accelerate?' }
         ]
       },
       objections: [
         {
+          id: 'implement-obj1',
           q: 'Users won\'t adopt.',
           a: 'We co-design with users, provide in-flow guidance, and measure adoption against KPIs.'
         },
         {
+          id: 'implement-obj2',
           q: 'No resources to expand.',
           a: 'We standardize assets and create a factory model with clear ownership.'
         }
@@ -512,6 +800,7 @@ const SALES_CYCLE_DATA = {
       resources: {
         banking: [
           {
+            id: 'implement-banking-r1',
             name: 'Adoption Toolkit',
             link: '#',
             overview: 'Comms, training, success metrics.',
@@ -520,14 +809,271 @@ const SALES_CYCLE_DATA = {
         ],
         insurance: [
           {
+            id: 'implement-insurance-r1',
             name: 'Claims Pilot Runbook',
             link: '#',
             overview: 'Roles, milestones, rollback.',
             why: 'Ensures safe go-live.'
           }
+        ],
+        healthcare: [
+          {
+            id: 'implement-healthcare-r1',
+            name: 'Clinical Adoption Playbook',
+            link: '#',
+            overview: 'Change management and training for clinical and front-office staff.',
+            why: 'Drives adoption without adding clinician burden.'
+          }
+        ],
+        'public-sector': [
+          {
+            id: 'implement-public-sector-r1',
+            name: 'Agency Center of Excellence Kit',
+            link: '#',
+            overview: 'Governance model, reuse catalog and reporting templates for agencies.',
+            why: 'Scales automation across programs and departments.'
+          }
+        ],
+        manufacturing: [
+          {
+            id: 'implement-manufacturing-r1',
+            name: 'Plant Automation Factory',
+            link: '#',
+            overview: 'Reusable components, intake and support model for new plants.',
+            why: 'Accelerates expansion from one plant to many.'
+          }
         ]
       }
     }
+  ],
+  
+  // Qualification frameworks. Each element links to the question and outcome IDs above that gather
+  // its evidence. Scoring: green/yellow/red are worth `points`, elements count by `weight`, and
+  // `healthyAt`/`atRiskAt` set the score bands; a deal with a required element that is not green is at
+  // best at risk.
+  qualificationFrameworks: [
+    {
+      id: 'meddpicc',
+      label: 'MEDDPICC',
+      description: 'Enterprise qualification: metrics, buyer, decision, paper process, pain, champion and competition',
+      scoring: { points: { green: 100, yellow: 50, red: 0 }, healthyAt: 75, atRiskAt: 50 },
+      elements: [
+        {
+          id: 'metrics',
+          label: 'Metrics',
+          description: 'The measurable gains the customer expects, such as cost, cycle time or error rates',
+          weight: 1,
+          questions: ['discovery-q3', 'discovery-q6', 'business-qualification-q1', 'proposal-q4'],
+          outcomes: ['discovery-o5', 'business-qualification-o3', 'business-qualification-o6']
+        },
+        {
+          id: 'economic-buyer',
+          label: 'Economic Buyer',
+          description: 'The person with the budget and the final say, and whether we have access to them',
+          weight: 1,
+          required: true,
+          questions: ['discovery-q12', 'business-qualification-q2', 'business-qualification-q3'],
+          outcomes: ['business-qualification-o1', 'proposal-o1']
+        },
+        {
+          id: 'decision-criteria',
+          label: 'Decision Criteria',
+          description: 'The technical, commercial and risk criteria the options will be judged on',
+          weight: 1,
+          questions: ['discovery-q10', 'discovery-q18', 'technical-qualification-q1', 'technical-qualification-q2', 'technical-qualification-q3'],
+          outcomes: ['business-qualification-o5', 'technical-qualification-o1', 'technical-qualification-o4']
+        },
+        {
+          id: 'decision-process',
+          label: 'Decision Process',
+          description: 'Who is involved in the decision, in what order and by when',
+          weight: 1,
+          questions: ['discovery-q12', 'business-qualification-q3', 'business-qualification-q4'],
+          outcomes: ['business-qualification-o2', 'proposal-o5']
+        },
+        {
+          id: 'paper-process',
+          label: 'Paper Process',
+          description: 'How the purchase gets approved and signed: legal, procurement, security and terms',
+          weight: 1,
+          questions: ['business-qualification-q4', 'proposal-q1', 'proposal-q2'],
+          outcomes: ['discovery-o6', 'proposal-o3', 'implement-o1', 'implement-o2']
+        },
+        {
+          id: 'identify-pain',
+          label: 'Identify Pain',
+          description: 'The business pain behind the project and what happens if nothing changes',
+          weight: 1,
+          questions: ['discovery-q1', 'discovery-q2', 'discovery-q5', 'discovery-q21'],
+          outcomes: ['discovery-o1']
+        },
+        {
+          id: 'champion',
+          label: 'Champion',
+          description: 'Someone with influence who is selling for us when we are not in the room',
+          weight: 1,
+          required: true,
+          questions: ['discovery-q13', 'discovery-q14'],
+          outcomes: ['discovery-o2']
+        },
+        {
+          id: 'competition',
+          label: 'Competition',
+          description: 'Other vendors, in-house builds or doing nothing, and how we compare',
+          weight: 1,
+          questions: ['discovery-q9', 'discovery-q11'],
+          outcomes: ['discovery-o3']
+        }
+      ]
+    },
+    {
+      id: 'meddic',
+      label: 'MEDDIC',
+      description: 'MEDDPICC without the paper process and competition, for simpler deals',
+      scoring: { points: { green: 100, yellow: 50, red: 0 }, healthyAt: 75, atRiskAt: 50 },
+      elements: [
+        {
+          id: 'metrics',
+          label: 'Metrics',
+          description: 'The measurable gains the customer expects, such as cost, cycle time or error rates',
+          weight: 1,
+          questions: ['discovery-q3', 'discovery-q6', 'business-qualification-q1', 'proposal-q4'],
+          outcomes: ['discovery-o5', 'business-qualification-o3', 'business-qualification-o6']
+        },
+        {
+          id: 'economic-buyer',
+          label: 'Economic Buyer',
+          description: 'The person with the budget and the final say, and whether we have access to them',
+          weight: 1,
+          required: true,
+          questions: ['discovery-q12', 'business-qualification-q2', 'business-qualification-q3'],
+          outcomes: ['business-qualification-o1', 'proposal-o1']
+        },
+        {
+          id: 'decision-criteria',
+          label: 'Decision Criteria',
+          description: 'The technical, commercial and risk criteria the options will be judged on',
+          weight: 1,
+          questions: ['discovery-q10', 'discovery-q18', 'technical-qualification-q1', 'technical-qualification-q2', 'technical-qualification-q3'],
+          outcomes: ['business-qualification-o5', 'technical-qualification-o1', 'technical-qualification-o4']
+        },
+        {
+          id: 'decision-process',
+          label: 'Decision Process',
+          description: 'Who is involved in the decision, in what order and by when',
+          weight: 1,
+          questions: ['discovery-q12', 'business-qualification-q3', 'business-qualification-q4'],
+          outcomes: ['business-qualification-o2', 'proposal-o5']
+        },
+        {
+          id: 'identify-pain',
+          label: 'Identify Pain',
+          description: 'The business pain behind the project and what happens if nothing changes',
+          weight: 1,
+          questions: ['discovery-q1', 'discovery-q2', 'discovery-q5', 'discovery-q21'],
+          outcomes: ['discovery-o1']
+        },
+        {
+          id: 'champion',
+          label: 'Champion',
+          description: 'Someone with influence who is selling for us when we are not in the room',
+          weight: 1,
+          required: true,
+          questions: ['discovery-q13', 'discovery-q14'],
+          outcomes: ['discovery-o2']
+        }
+      ]
+    },
+    {
+      id: 'bant',
+      label: 'BANT',
+      description: 'Budget, authority, need and timeline, for early and transactional deals',
+      scoring: { points: { green: 100, yellow: 50, red: 0 }, healthyAt: 75, atRiskAt: 40 },
+      elements: [
+        {
+          id: 'budget',
+          label: 'Budget',
+          description: 'Whether money is set aside for this, how much and from which budget',
+          weight: 2,
+          required: true,
+          questions: ['business-qualification-q2'],
+          outcomes: ['discovery-o4', 'business-qualification-o1']
+        },
+        {
+          id: 'authority',
+          label: 'Authority',
+          description: 'Who can approve the purchase and whether we are talking to them',
+          weight: 1,
+          questions: ['discovery-q12', 'business-qualification-q3'],
+          outcomes: ['business-qualification-o1', 'proposal-o1']
+        },
+        {
+          id: 'need',
+          label: 'Need',
+          description: 'The business problem and how much it matters to the customer',
+          weight: 1,
+          questions: ['discovery-q1', 'discovery-q2', 'discovery-q3'],
+          outcomes: ['discovery-o1', 'business-qualification-o4']
+        },
+        {
+          id: 'timeline',
+          label: 'Timeline',
+          description: 'When the customer needs a solution in place and what drives that date',
+          weight: 1,
+          questions: ['discovery-q2', 'proposal-q3'],
+          outcomes: ['discovery-o4', 'proposal-o5']
+        }
+      ]
+    },
+    {
+      id: 'spiced',
+      label: 'SPICED',
+      description: 'Situation, pain, impact, critical event and decision, centered on customer impact',
+      scoring: { points: { green: 100, yellow: 50, red: 0 }, healthyAt: 75, atRiskAt: 50 },
+      elements: [
+        {
+          id: 'situation',
+          label: 'Situation',
+          description: 'The current process, systems and automation maturity',
+          weight: 1,
+          questions: ['discovery-q8', 'discovery-q16', 'discovery-q17', 'discovery-q20'],
+          outcomes: []
+        },
+        {
+          id: 'pain',
+          label: 'Pain',
+          description: 'What is going wrong today and who feels it',
+          weight: 1,
+          questions: ['discovery-q1', 'discovery-q4', 'discovery-q21'],
+          outcomes: ['discovery-o1']
+        },
+        {
+          id: 'impact',
+          label: 'Impact',
+          description: 'What fixing the pain is worth, in numbers the customer agrees with',
+          weight: 2,
+          questions: ['discovery-q3', 'discovery-q6', 'business-qualification-q1'],
+          outcomes: ['discovery-o5', 'business-qualification-o3', 'business-qualification-o6']
+        },
+        {
+          id: 'critical-event',
+          label: 'Critical Event',
+          description: 'The date or event that forces a decision, and what happens if it is missed',
+          weight: 1,
+          required: true,
+          questions: ['discovery-q2', 'discovery-q5'],
+          outcomes: ['discovery-o4']
+        },
+        {
+          id: 'decision',
+          label: 'Decision',
+          description: 'How, by whom and by when the decision gets made and signed',
+          weight: 1,
+          questions: ['discovery-q12', 'business-qualification-q3', 'business-qualification-q4'],
+          outcomes: ['business-qualification-o2', 'proposal-o5']
+        }
+      ]
+    }
   ]
 };
 
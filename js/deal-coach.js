@@ -0,0 +1,371 @@
+// Deal Coach for UiPath Sales Cycle Guide
+// A docked chat that keeps a multi-turn conversation per opportunity, set up by a system prompt built
+// from the industry, stage, persona and the notes saved on the deal
+
+// Only the most recent messages are sent, so long conversations stay within the model's context
+const DEAL_COACH_HISTORY_SENT = 20;
+
+// The request in flight, if any: { opportunityId, controller, text }
+let dealCoachRequest = null;
+
+// ---------- STATE ----------
+function getDealCoach(opportunity = getActiveOpportunity()) {
+  return { messages: [], stageId: null, personaId: null, ...opportunity.state.coach };
+}
+
+// `changes` is an object, or a function of the current coach state returning one.
+// Replies can arrive after the rep has switched deals, so the opportunity may be named.
+function updateDealCoach(changes, opportunityId = null) {
+  const store = loadOpportunityStore();
+  const target = opportunityId ? store.opportunities.find(o => o.id === opportunityId) : getActiveOpportunity(store);
+  if (!target) return;
+  const coach = getDealCoach(target);
+  target.state.coach = { ...coach, ...(typeof changes === 'function' ? changes(coach) : changes) };
+  target.updatedAt = new Date().toISOString();
+  saveOpportunityStore(store);
+}
+
+const addDealCoachMessage = (message, opportunityId = null) =>
+  updateDealCoach(coach => ({ messages: [...coach.messages, { ...message, at: new Date().toISOString() }] }), opportunityId);
+
+const dealCoachStageId = (coach = getDealCoach()) => coach.stageId || activeStageId(getActiveOpportunity().state);
+const dealCoachIndustry = () => getActiveOpportunity().industry || SALES_CYCLE_DATA.industry;
+const dealCoachPersonas = () => SALES_CYCLE_DATA.personas[dealCoachIndustry()] || [];
+
+// ---------- PROMPT ----------
+// The recent history as the API expects it: role and content only, starting with the rep and
+// alternating. A question left without a reply (the request failed) is merged into the next one.
+function dealCoachRequestMessages(messages, limit = DEAL_COACH_HISTORY_SENT) {
+  const recent = [];
+  messages.slice(-limit).filter(({ content }) => String(content || '').trim()).forEach(({ role, content }) => {
+    const previous = recent[recent.length - 1];
+    if (previous?.role === role) previous.content += `\n\n${content}`;
+    else recent.push({ role, content });
+  });
+  while (recent.length && recent[0].role !== 'user') recent.shift();
+  return recent;
+}
+
+// Question and objection notes of every stage up to the coach's stage, as plain text
+function dealCoachNotes(stageId) {
+  return dealInsightsCustomerData(stageId).stages
+    .filter(stage => stage.notes.length || stage.objections.length)
+    .map(stage => [
+      `${stage.stage}:`,
+      ...stage.notes.map(n => `- ${n.question} — ${n.notes}`),
+      ...stage.objections.map(o => `- Objection "${o.objection}"${o.resolved ? ' (resolved)' : ''}: ${o.customerResponse || 'No notes'}`)
+    ].join('\n'))
+    .join('\n\n');
+}
+
+function dealCoachSystemPrompt(coach = getDealCoach()) {
+  const stage = SALES_CYCLE_DATA.stages.find(s => s.id === dealCoachStageId(coach));
+  const persona = dealCoachPersonas().find(p => p.id === coach.personaId);
+  return aiIntegration.buildCoachSystemPrompt(stage, {
+    // Without a chosen persona, the template falls back to the stage's key personas
+    ...(persona && { persona: `${plainText(persona.title)} (cares about: ${plainText(persona.cares)})` }),
+    notes: dealCoachNotes(stage.id)
+  });
+}
+
+// ---------- CONVERSATION ----------
+function sendDealCoachMessage(text) {
+  const content = String(text || '').trim();
+  if (!content) throw new Error('Please enter a message first');
+  if (dealCoachRequest) throw new Error('Wait for the current reply, or stop it');
+  addDealCoachMessage({ role: 'user', content });
+  requestDealCoachReply();
+}
+
+// Ask for a reply to the conversation so far (which ends with the rep's message)
+async function requestDealCoachReply() {
+  if (!aiIntegration) {
+    showMessage('AI integration not available', 'error');
+    return;
+  }
+
+  const opportunityId = getActiveOpportunity().id;
+  const coach = getDealCoach();
+  const stageId = dealCoachStageId(coach);
+  dealCoachRequest = { opportunityId, controller: new AbortController(), text: '' };
+  renderDealCoachMessages();
+
+  try {
+    const reply = await aiIntegration.generateChat(dealCoachRequestMessages(coach.messages), dealCoachSystemPrompt(coach), {
+      stage: stageId,
+      industry: dealCoachIndustry()
+    }, {
+      signal: dealCoachRequest.controller.signal,
+      onToken: (delta, textSoFar) => {
+        dealCoachRequest.text = textSoFar;
+        renderDealCoachStream();
+      }
+    });
+    if (!String(reply || '').trim()) throw new Error('The AI returned an empty reply. Try asking again.');
+    addDealCoachMessage({ role: 'assistant', content: reply, stageId }, opportunityId);
+    dealCoachRequest = null;
+  } catch (error) {
+    // A stopped reply keeps whatever arrived before the stop
+    const partial = dealCoachRequest.text.trim();
+    if (error.aborted && partial) addDealCoachMessage({ role: 'assistant', content: partial, stageId, stopped: true }, opportunityId);
+    dealCoachRequest = null;
+    if (!error.aborted) {
+      renderDealCoachMessages(opportunityId === getActiveOpportunity().id ? error.message : '');
+      return;
+    }
+  }
+  renderDealCoachMessages();
+}
+
+function stopDealCoachReply() {
+  dealCoachRequest?.controller.abort();
+}
+
+function clearDealCoach() {
+  stopDealCoachReply();
+  updateDealCoach({ messages: [] });
+  renderDealCoachMessages();
+}
+
+// Append a reply to a question's or an objection's notes in the coach's stage (target "note:<id>" or
+// "objection:<key>"), through the field's own input handler so it is saved like typed notes
+function insertDealCoachReply(index, target) {
+  const message = getDealCoach().messages[index];
+  const [kind, key] = String(target || '').split(/:(.*)/);
+  const stageId = dealCoachStageId();
+  const field = kind === 'note'
+    ? $(`#${stageId} .note-textarea[data-note-id="${key}"]`)
+    : $(`#${stageId} .objection-notes-textarea[data-objection-key="${key}"]`);
+  if (!message || !field) throw new Error('Choose a note field to insert into');
+
+  field.value = [field.value.trim(), message.content.trim()].filter(Boolean).join('\n\n');
+  field.dispatchEvent(new Event('input', { bubbles: true }));
+  const details = field.closest('details');
+  if (details) details.open = true;
+}
+
+// ---------- EXPORT ----------
+function dealCoachMarkdown(opportunity = getActiveOpportunity()) {
+  const { messages } = getDealCoach(opportunity);
+  const stageTitle = stageId => plainText(SALES_CYCLE_DATA.stages.find(s => s.id === stageId)?.title);
+  return [
+    `# Deal Coach: ${opportunity.name}`,
+    '',
+    `Industry: ${industryLabel(opportunity.industry)} · Exported ${new Date().toLocaleString()}`,
+    ...messages.flatMap(m => [
+      '',
+      `## ${m.role === 'user' ? 'You' : 'Deal Coach'} · ${new Date(m.at).toLocaleString()}${m.stageId ? ` · ${stageTitle(m.stageId)}` : ''}`,
+      '',
+      m.content + (m.stopped ? '\n\n_(stopped)_' : '')
+    ])
+  ].join('\n') + '\n';
+}
+
+function downloadDealCoach() {
+  const opportunity = getActiveOpportunity();
+  if (!getDealCoach(opportunity).messages.length) {
+    showMessage('There is no conversation to export yet', 'error');
+    return;
+  }
+
+  const blob = new Blob([dealCoachMarkdown(opportunity)], { type: 'text/markdown;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  const slug = opportunity.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'opportunity';
+  link.href = url;
+  link.download = `${slug}-deal-coach-${new Date().toISOString().split('T')[0]}.md`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+
+  showMessage('Conversation downloaded', 'success');
+}
+
+// ---------- RENDERING ----------
+function dealCoachMessageHtml(message, index) {
+  if (message.role === 'user') {
+    return `
+      <div class="ml-8 p-2 rounded-lg bg-orange-50 border border-orange-100 text-sm text-gray-800 whitespace-pre-wrap">${escapeHtml(message.content)}</div>`;
+  }
+  return `
+    <div class="mr-8 p-2 rounded-lg bg-blue-50 border border-blue-100 text-sm text-gray-800" data-coach-message="${index}">
+      <div class="prose prose-sm max-w-none">${renderMarkdown(message.content)}</div>
+      ${message.stopped ? '<p class="text-xs text-gray-500 italic mt-1">Stopped</p>' : ''}
+      <div class="flex gap-3 mt-2 text-xs">
+        <button type="button" class="text-blue-700 hover:underline" data-coach-insert title="Add this reply to the note field chosen below">↪ Insert into notes</button>
+        <button type="button" class="text-blue-700 hover:underline" data-coach-copy>📋 Copy</button>
+      </div>
+    </div>`;
+}
+
+function renderDealCoachMessages(error = '') {
+  const host = $('#deal-coach-messages');
+  if (!host) return;
+
+  const { messages } = getDealCoach();
+  const pending = dealCoachRequest?.opportunityId === getActiveOpportunity().id;
+  host.innerHTML = messages.length || pending
+    ? messages.map(dealCoachMessageHtml).join('')
+    : '<p class="text-sm text-gray-500">Ask for talking points, a reply to an objection or an email draft. Follow up with "shorter" or "now for the CFO".</p>';
+
+  if (pending) {
+    host.insertAdjacentHTML('beforeend', `
+      <div class="mr-8 p-2 rounded-lg bg-blue-50 border border-blue-100 text-sm text-gray-800">
+        <div class="deal-coach-stream whitespace-pre-wrap"><span class="text-gray-500 italic">⏳ Thinking...</span></div>
+      </div>`);
+    renderDealCoachStream();
+  }
+  if (error) {
+    host.insertAdjacentHTML('beforeend', `
+      <div class="text-sm text-red-600">
+        ❌ ${escapeHtml(error)}
+        <button type="button" class="underline hover:text-red-800" data-coach-retry>Try again</button>
+      </div>`);
+  }
+
+  const send = $('#deal-coach-send');
+  if (send) send.textContent = pending ? '■ Stop' : 'Send';
+  host.scrollTop = host.scrollHeight;
+}
+
+function renderDealCoachStream() {
+  const stream = $('#deal-coach-messages .deal-coach-stream');
+  if (stream && dealCoachRequest?.text) {
+    stream.textContent = dealCoachRequest.text;
+    $('#deal-coach-messages').scrollTop = $('#deal-coach-messages').scrollHeight;
+  }
+}
+
+// Stage, persona and insert-target pickers for the active opportunity
+function renderDealCoachControls() {
+  const coach = getDealCoach();
+  const stageId = dealCoachStageId(coach);
+  const stage = SALES_CYCLE_DATA.stages.find(s => s.id === stageId);
+
+  $('#deal-coach-stage').innerHTML = SALES_CYCLE_DATA.stages
+    .map(s => `<option value="${s.id}"${s.id === stageId ? ' selected' : ''}>${plainText(s.title)}</option>`).join('');
+  $('#deal-coach-persona').innerHTML = '<option value="">Key personas for the stage</option>' +
+    dealCoachPersonas()
+      .map(p => `<option value="${p.id}"${p.id === coach.personaId ? ' selected' : ''}>${plainText(p.title)}</option>`).join('');
+
+  const { state } = getActiveOpportunity();
+  const questions = [
+    ...questionEntries(stage.questions || {}).map(q => ({ id: q.noteId, text: q.question })),
+    ...(state.customQuestions[stageId] || [])
+  ];
+  const objections = [
+    ...(stage.objections || []).map(o => ({ id: o.id, text: o.q })),
+    ...(state.customObjections[stageId] || [])
+  ];
+  const target = $('#deal-coach-target');
+  const previous = target.value;
+  target.innerHTML = `
+    <optgroup label="Question notes">${questions.map(q => `<option value="note:${escapeHtml(q.id)}">${escapeHtml(plainText(q.text))}</option>`).join('')}</optgroup>
+    <optgroup label="Objection notes">${objections.map(o => `<option value="objection:${escapeHtml(o.id)}">${escapeHtml(plainText(o.text))}</option>`).join('')}</optgroup>`;
+  if ([...target.options].some(o => o.value === previous)) target.value = previous;
+}
+
+function renderDealCoach() {
+  if (!$('#deal-coach')) return;
+  renderDealCoachControls();
+  renderDealCoachMessages();
+}
+
+function toggleDealCoach(open) {
+  const panel = $('#deal-coach');
+  if (!panel) return;
+  const show = open ?? panel.classList.contains('hidden');
+  panel.classList.toggle('hidden', !show);
+  $('#deal-coach-toggle')?.setAttribute('aria-expanded', String(show));
+  if (show) {
+    renderDealCoach();
+    $('#deal-coach-input').focus();
+  }
+}
+
+function initDealCoach() {
+  const panel = $('#deal-coach');
+  if (!panel) return;
+
+  $('#deal-coach-toggle')?.addEventListener('click', () => toggleDealCoach());
+  $('#deal-coach-close')?.addEventListener('click', () => toggleDealCoach(false));
+  $('#deal-coach-export')?.addEventListener('click', downloadDealCoach);
+  $('#deal-coach-clear')?.addEventListener('click', () => {
+    if (getDealCoach().messages.length && confirm('Clear this opportunity\'s conversation with the deal coach?')) clearDealCoach();
+  });
+
+  $('#deal-coach-stage').addEventListener('change', (e) => {
+    updateDealCoach({ stageId: e.target.value });
+    renderDealCoachControls();
+  });
+  $('#deal-coach-persona').addEventListener('change', (e) => updateDealCoach({ personaId: e.target.value || null }));
+
+  // Typing in a note field makes it the place replies are inserted into
+  document.addEventListener('focusin', (e) => {
+    const field = e.target.closest('.note-textarea, .objection-notes-textarea');
+    if (!field || field.closest('.content-section')?.id !== dealCoachStageId()) return;
+    const value = field.matches('.note-textarea') ? `note:${field.dataset.noteId}` : `objection:${field.dataset.objectionKey}`;
+    if ([...$('#deal-coach-target').options].some(o => o.value === value)) $('#deal-coach-target').value = value;
+  });
+
+  $('#deal-coach-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (dealCoachRequest) {
+      stopDealCoachReply();
+      return;
+    }
+    const input = $('#deal-coach-input');
+    try {
+      sendDealCoachMessage(input.value);
+      input.value = '';
+    } catch (error) {
+      showMessage(error.message, 'error');
+    }
+  });
+  // Enter sends, Shift+Enter starts a new line
+  $('#deal-coach-input').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      $('#deal-coach-form').requestSubmit();
+    }
+  });
+
+  $('#deal-coach-messages').addEventListener('click', async (e) => {
+    if (e.target.closest('[data-coach-retry]')) {
+      requestDealCoachReply();
+      return;
+    }
+    const index = Number(e.target.closest('[data-coach-message]')?.dataset.coachMessage);
+    const message = getDealCoach().messages[index];
+    if (!message) return;
+
+    if (e.target.closest('[data-coach-insert]')) {
+      try {
+        insertDealCoachReply(index, $('#deal-coach-target').value);
+        showMessage('Added to your notes', 'success');
+      } catch (error) {
+        showMessage(error.message, 'error');
+      }
+    } else if (e.target.closest('[data-coach-copy]')) {
+      try {
+        await navigator.clipboard.writeText(message.content);
+        showMessage('Reply copied to clipboard', 'success');
+      } catch (error) {
+        showMessage('Could not copy the reply', 'error');
+      }
+    }
+  });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEAL_COACH_HISTORY_SENT,
+    dealCoachRequestMessages,
+    dealCoachNotes,
+    dealCoachMarkdown,
+    sendDealCoachMessage,
+    insertDealCoachReply
+  };
+}
@@ -0,0 +1,286 @@
+// Deal Summary Export for UiPath Sales Cycle Guide
+// Summarizes the active opportunity as Markdown, self-contained HTML or a print view for saving as PDF
+
+// Content is stored as sanitized HTML; the summary holds the text a reader sees ("ROI > 3x", not "ROI &gt; 3x")
+const exportText = html => decodeEntities(plainText(html));
+
+// Gather everything captured on an opportunity, stage by stage
+function buildDealSummary(opportunity = getActiveOpportunity(), stages = SALES_CYCLE_DATA.stages) {
+  const state = opportunity.state;
+  const health = computeDealHealth(opportunity, stages);
+  // AI responses are stored as plain text, so they are exported as written
+  const aiText = (stageId, key) => String(state.aiResponses[stageId]?.[key]?.text || '').trim();
+
+  return {
+    opportunity: {
+      name: opportunity.name,
+      industry: exportText(industryLabel(opportunity.industry)),
+      owner: opportunity.owner || '',
+      closeDate: opportunity.closeDate || ''
+    },
+    exportedAt: new Date().toISOString(),
+    health: { score: health.score, status: HEALTH_STATUSES[health.status].label },
+    activeStage: exportText(stages.find(s => s.id === health.activeStage)?.title),
+    qualification: qualificationSummary(opportunity),
+    stages: stages.map((stage, i) => {
+      const stageHealth = health.stages[i];
+      const questions = [
+        ...Object.entries(stage.questions || {}).flatMap(([category, qs]) => qs.map(q => ({ id: q.id, text: q.text, category }))),
+        ...(state.customQuestions[stage.id] || []).map(r => ({ id: r.id, text: r.text, category: 'Additional Questions' }))
+      ];
+      const objections = [
+        ...(stage.objections || []).map(o => ({ id: o.id, q: o.q })),
+        ...(state.customObjections[stage.id] || []).map(r => ({ id: r.id, q: r.text }))
+      ];
+
+      return {
+        id: stage.id,
+        title: exportText(stage.title),
+        health: {
+          score: stageHealth.score,
+          status: HEALTH_STATUSES[stageHealth.status].label
+        },
+        outcomes: (stage.outcomes || []).map(o => ({
+          text: exportText(o.text),
+          done: !!state.checklists[o.id],
+          optional: !!o.optional
+        })),
+        questions: questions
+          .map(q => ({
+            category: q.category,
+            text: exportText(q.text),
+            notes: (state.notes[q.id] || '').trim(),
+            aiResponse: aiText(stage.id, q.id)
+          }))
+          .filter(q => q.notes || q.aiResponse),
+        objections: objections
+          .map(o => ({
+            q: exportText(o.q),
+            notes: (state.objectionNotes[stage.id]?.[o.id] || '').trim(),
+            resolved: !!state.resolvedObjections[stage.id]?.[o.id],
+            aiResponse: aiText(stage.id, `objection-${o.id}`)
+          }))
+          .filter(o => o.notes || o.aiResponse || o.resolved),
+        followUps: state.followUps?.[stage.id]?.questions || []
+      };
+    })
+  };
+}
+
+// ---------- MARKDOWN ----------
+const quoteMarkdown = text => text.split('\n').map(line => `> ${line}`).join('\n');
+
+function stageSummaryMarkdown(stage) {
+  const lines = [`## ${stage.title}`, ''];
+  if (stage.health.score !== null) lines.push(`Health: **${stage.health.score}** (${stage.health.status})`, '');
+
+  lines.push('### Exit Criteria', '');
+  stage.outcomes.forEach(o => lines.push(`- [${o.done ? 'x' : ' '}] ${o.text}${o.optional ? ' _(optional)_' : ''}`));
+  lines.push('');
+
+  if (stage.questions.length) {
+    lines.push('### Discovery Question Notes', '');
+    stage.questions.forEach(q => {
+      lines.push(`**Q: ${q.text}** _(${q.category})_`, '');
+      if (q.notes) lines.push(q.notes, '');
+      if (q.aiResponse) lines.push('_AI response:_', '', quoteMarkdown(q.aiResponse), '');
+    });
+  }
+
+  if (stage.objections.length) {
+    lines.push('### Objections', '');
+    stage.objections.forEach(o => {
+      lines.push(`**${o.q}**${o.resolved ? ' ✅ Resolved' : ''}`, '');
+      if (o.notes) lines.push(`Customer: ${o.notes}`, '');
+      if (o.aiResponse) lines.push('_AI response:_', '', quoteMarkdown(o.aiResponse), '');
+    });
+  }
+
+  if (stage.followUps.length) {
+    lines.push('### AI Follow-up Questions', '');
+    stage.followUps.forEach(f => lines.push(`- ${f.question}${f.category ? ` _(${f.category})_` : ''}`));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function qualificationSummaryMarkdown(qualification) {
+  if (!qualification) return [];
+  return [
+    `## ${qualification.framework} Qualification`,
+    '',
+    `Score: **${qualification.score}%** (${qualification.status})`,
+    '',
+    ...qualification.elements.map(e => `- **${e.label}**${e.required ? ' (required)' : ''}: ${e.status}${e.evidence ? `. ${e.evidence.replace(/\n+/g, ' ')}` : ''}`),
+    ''
+  ];
+}
+
+function dealSummaryMarkdown(summary) {
+  const { opportunity } = summary;
+  return [
+    `# ${opportunity.name}: Deal Summary`,
+    '',
+    `- **Industry:** ${opportunity.industry}`,
+    opportunity.owner ? `- **Owner:** ${opportunity.owner}` : null,
+    opportunity.closeDate ? `- **Close date:** ${opportunity.closeDate}` : null,
+    `- **Current stage:** ${summary.activeStage}`,
+    `- **Deal health:** ${summary.health.score} (${summary.health.status})`,
+    `- **Exported:** ${new Date(summary.exportedAt).toLocaleString()}`,
+    '',
+    ...qualificationSummaryMarkdown(summary.qualification),
+    ...summary.stages.map(stageSummaryMarkdown)
+  ].filter(line => line !== null).join('\n');
+}
+
+// ---------- HTML ----------
+const multilineHtml = text => escapeHtml(text).replace(/\n/g, '<br>');
+
+const DEAL_SUMMARY_STYLES = `
+  .deal-summary { font-family: Inter, Arial, sans-serif; color: #1E293B; line-height: 1.5; max-width: 860px; margin: 0 auto; }
+  .deal-summary h1 { color: #FA4616; margin-bottom: 0.5rem; }
+  .deal-summary h2 { border-bottom: 2px solid #E2E8F0; padding-bottom: 0.25rem; margin-top: 2rem; }
+  .deal-summary h3 { font-size: 1rem; color: #475569; text-transform: uppercase; letter-spacing: 0.03em; }
+  .deal-summary .meta { list-style: none; padding: 0; display: grid; grid-template-columns: repeat(2, minmax(0, 1fr)); gap: 0.25rem 1.5rem; }
+  .deal-summary .outcomes { list-style: none; padding-left: 0; }
+  .deal-summary .done { color: #15803D; }
+  .deal-summary .open { color: #B91C1C; }
+  .deal-summary .pending { color: #B45309; }
+  .deal-summary .entry { margin-bottom: 1rem; break-inside: avoid; }
+  .deal-summary .muted { color: #64748B; font-size: 0.875rem; }
+  .deal-summary blockquote { margin: 0.5rem 0; padding: 0.5rem 0.75rem; border-left: 3px solid #3B82F6; background: #EFF6FF; }
+  @media print {
+    .deal-summary { max-width: none; }
+    .deal-summary section { break-before: page; }
+    .deal-summary section:first-of-type { break-before: auto; }
+  }`;
+
+function stageSummaryHtml(stage) {
+  return `
+    <section>
+      <h2>${escapeHtml(stage.title)}</h2>
+      ${stage.health.score !== null ? `<p class="muted">Health: <strong>${stage.health.score}</strong> (${stage.health.status})</p>` : ''}
+      <h3>Exit Criteria</h3>
+      <ul class="outcomes">${stage.outcomes.map(o => `
+        <li class="${o.done ? 'done' : 'open'}">${o.done ? '☑' : '☐'} ${escapeHtml(o.text)}${o.optional ? ' <span class="muted">(optional)</span>' : ''}</li>`).join('')}
+      </ul>
+      ${stage.questions.length ? `
+      <h3>Discovery Question Notes</h3>
+      ${stage.questions.map(q => `
+        <div class="entry">
+          <strong>${escapeHtml(q.text)}</strong> <span class="muted">${escapeHtml(q.category)}</span>
+          ${q.notes ? `<p>${multilineHtml(q.notes)}</p>` : ''}
+          ${q.aiResponse ? `<blockquote><span class="muted">AI response</span><br>${multilineHtml(q.aiResponse)}</blockquote>` : ''}
+        </div>`).join('')}` : ''}
+      ${stage.objections.length ? `
+      <h3>Objections</h3>
+      ${stage.objections.map(o => `
+        <div class="entry">
+          <strong>${escapeHtml(o.q)}</strong>${o.resolved ? ' <span class="done">✓ Resolved</span>' : ''}
+          ${o.notes ? `<p>Customer: ${multilineHtml(o.notes)}</p>` : ''}
+          ${o.aiResponse ? `<blockquote><span class="muted">AI response</span><br>${multilineHtml(o.aiResponse)}</blockquote>` : ''}
+        </div>`).join('')}` : ''}
+      ${stage.followUps.length ? `
+      <h3>AI Follow-up Questions</h3>
+      <ul>${stage.followUps.map(f => `<li>${escapeHtml(f.question)}${f.category ? ` <span class="muted">(${escapeHtml(f.category)})</span>` : ''}</li>`).join('')}</ul>` : ''}
+    </section>`;
+}
+
+const QUALIFICATION_EXPORT_CLASSES = { Green: 'done', Yellow: 'pending', Red: 'open' };
+
+function qualificationSummaryHtml(qualification) {
+  if (!qualification) return '';
+  return `
+    <section>
+      <h2>${escapeHtml(qualification.framework)} Qualification</h2>
+      <p class="muted">Score: <strong>${qualification.score}%</strong> (${qualification.status})</p>
+      <ul class="outcomes">${qualification.elements.map(e => `
+        <li class="entry"><strong>${escapeHtml(e.label)}</strong>${e.required ? ' <span class="muted">(required)</span>' : ''}: <span class="${QUALIFICATION_EXPORT_CLASSES[e.status] || 'muted'}">${e.status}</span>
+          ${e.evidence ? `<br>${multilineHtml(e.evidence)}` : ''}</li>`).join('')}
+      </ul>
+    </section>`;
+}
+
+function dealSummaryBodyHtml(summary) {
+  const { opportunity } = summary;
+  return `
+    <article class="deal-summary">
+      <h1>${escapeHtml(opportunity.name)}: Deal Summary</h1>
+      <ul class="meta">
+        <li><strong>Industry:</strong> ${escapeHtml(opportunity.industry)}</li>
+        ${opportunity.owner ? `<li><strong>Owner:</strong> ${escapeHtml(opportunity.owner)}</li>` : ''}
+        ${opportunity.closeDate ? `<li><strong>Close date:</strong> ${escapeHtml(opportunity.closeDate)}</li>` : ''}
+        <li><strong>Current stage:</strong> ${escapeHtml(summary.activeStage)}</li>
+        <li><strong>Deal health:</strong> ${summary.health.score} (${summary.health.status})</li>
+        <li><strong>Exported:</strong> ${new Date(summary.exportedAt).toLocaleString()}</li>
+      </ul>
+      ${qualificationSummaryHtml(summary.qualification)}
+      ${summary.stages.map(stageSummaryHtml).join('')}
+    </article>`;
+}
+
+// A standalone page with its styles inlined, so the file opens anywhere
+function dealSummaryHtml(summary) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(summary.opportunity.name)}: Deal Summary</title>
+<style>body { margin: 2rem; }${DEAL_SUMMARY_STYLES}</style>
+</head>
+<body>${dealSummaryBodyHtml(summary)}
+</body>
+</html>
+`;
+}
+
+// ---------- DOWNLOAD & PRINT ----------
+function dealSummaryFileName(summary, extension) {
+  const slug = summary.opportunity.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'opportunity';
+  return `${slug}-deal-summary-${summary.exportedAt.split('T')[0]}.${extension}`;
+}
+
+function downloadDealSummary(format) {
+  const summary = buildDealSummary();
+  const [content, type, extension] = format === 'html'
+    ? [dealSummaryHtml(summary), 'text/html;charset=utf-8', 'html']
+    : [dealSummaryMarkdown(summary), 'text/markdown;charset=utf-8', 'md'];
+
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = dealSummaryFileName(summary, extension);
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+
+  showMessage('Deal summary downloaded', 'success');
+}
+
+// Swap the page for the summary while the print dialog is open (see "Deal summary print view" in styles.css)
+function printDealSummary() {
+  const view = $('#deal-print-view');
+  if (!view) return;
+  view.innerHTML = `<style>${DEAL_SUMMARY_STYLES}</style>${dealSummaryBodyHtml(buildDealSummary())}`;
+  document.body.classList.add('printing-deal-summary');
+  window.addEventListener('afterprint', () => {
+    document.body.classList.remove('printing-deal-summary');
+    view.innerHTML = '';
+  }, { once: true });
+  window.print();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildDealSummary,
+    stageSummaryMarkdown,
+    dealSummaryMarkdown,
+    dealSummaryHtml,
+    downloadDealSummary,
+    printDealSummary
+  };
+}
@@ -0,0 +1,303 @@
+// Deal Health for UiPath Sales Cycle Guide
+// Scores each stage of the active opportunity and gates moving to a later stage on exit criteria
+
+const STRICT_STAGE_GATE_KEY = 'uipathSalesGuideStrictStageGate';
+
+// How much each signal contributes to a stage's health (sums to 1)
+const DEAL_HEALTH_WEIGHTS = {
+  outcomes: 0.4,
+  questions: 0.3,
+  objections: 0.15,
+  time: 0.15
+};
+
+// Share of a stage's questions that need notes for full coverage
+const QUESTION_COVERAGE_TARGET = 0.5;
+const DEFAULT_EXPECTED_STAGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HEALTH_STATUSES = {
+  healthy: { label: 'Healthy', min: 75 },
+  'at-risk': { label: 'At risk', min: 50 },
+  critical: { label: 'Critical', min: 0 },
+  upcoming: { label: 'Not started' }
+};
+
+function healthStatusForScore(score) {
+  if (score >= HEALTH_STATUSES.healthy.min) return 'healthy';
+  if (score >= HEALTH_STATUSES['at-risk'].min) return 'at-risk';
+  return 'critical';
+}
+
+function isStrictStageGate() {
+  return localStorage.getItem(STRICT_STAGE_GATE_KEY) === 'true';
+}
+
+function setStrictStageGate(strict) {
+  localStorage.setItem(STRICT_STAGE_GATE_KEY, String(!!strict));
+}
+
+// Outcomes are exit criteria unless flagged `optional` in the content
+function requiredOutcomes(stage) {
+  return (stage.outcomes || []).filter(o => !o.optional);
+}
+
+function missingExitCriteria(stage, state) {
+  return requiredOutcomes(stage).filter(o => !state.checklists[o.id]);
+}
+
+// The stage the rep has marked as current, defaulting to the first stage
+function activeStageId(state, stages = SALES_CYCLE_DATA.stages) {
+  return stages.some(s => s.id === state.activeStage) ? state.activeStage : stages[0]?.id;
+}
+
+// Score one stage from 0-100. Stages after the active one are "upcoming" and unscored.
+function computeStageHealth(stage, state, { active = false, upcoming = false, enteredAt = null, now = Date.now() } = {}) {
+  const outcomes = stage.outcomes || [];
+  const ticked = outcomes.filter(o => state.checklists[o.id]).length;
+  const missing = missingExitCriteria(stage, state);
+
+  const questions = [
+    ...Object.values(stage.questions || {}).flat().map(q => q.id),
+    ...(state.customQuestions[stage.id] || []).map(r => r.id)
+  ];
+  const covered = questions.filter(id => (state.notes[id] || '').trim()).length;
+
+  // An objection is raised once the customer's response is captured (or it was added on the call)
+  const objectionNotes = state.objectionNotes[stage.id] || {};
+  const resolved = state.resolvedObjections[stage.id] || {};
+  const raised = [
+    ...(stage.objections || []).map(o => o.id).filter(id => (objectionNotes[id] || '').trim()),
+    ...(state.customObjections[stage.id] || []).map(r => r.id)
+  ];
+  const unresolved = raised.filter(id => !resolved[id]);
+
+  const expectedDays = stage.expectedDays || DEFAULT_EXPECTED_STAGE_DAYS;
+  const daysInStage = active && enteredAt ? Math.max(0, Math.floor((now - new Date(enteredAt).getTime()) / DAY_MS)) : null;
+
+  const scores = {
+    outcomes: outcomes.length ? ticked / outcomes.length : 1,
+    questions: questions.length ? Math.min(1, covered / Math.ceil(questions.length * QUESTION_COVERAGE_TARGET)) : 1,
+    objections: raised.length ? 1 - unresolved.length / raised.length : 1,
+    time: daysInStage === null || daysInStage <= expectedDays ? 1 : Math.max(0, 1 - (daysInStage - expectedDays) / expectedDays)
+  };
+  const score = Math.round(100 * Object.entries(DEAL_HEALTH_WEIGHTS).reduce((sum, [key, weight]) => sum + weight * scores[key], 0));
+
+  return {
+    stageId: stage.id,
+    score: upcoming ? null : score,
+    status: upcoming ? 'upcoming' : healthStatusForScore(score),
+    active,
+    scores,
+    outcomes: { ticked, total: outcomes.length, missing },
+    questions: { covered, total: questions.length },
+    objections: { raised: raised.length, unresolved: unresolved.length },
+    time: { daysInStage, expectedDays }
+  };
+}
+
+// Health of every stage plus an overall score across the stages reached so far
+function computeDealHealth(opportunity = getActiveOpportunity(), stages = SALES_CYCLE_DATA.stages, now = Date.now()) {
+  const state = opportunity.state;
+  const currentId = activeStageId(state, stages);
+  const currentIndex = stages.findIndex(s => s.id === currentId);
+
+  const stageHealth = stages.map((stage, i) => computeStageHealth(stage, state, {
+    active: i === currentIndex,
+    upcoming: i > currentIndex,
+    enteredAt: state.stageEnteredAt[stage.id] || opportunity.createdAt,
+    now
+  }));
+
+  const reached = stageHealth.filter(h => h.score !== null);
+  const score = reached.length ? Math.round(reached.reduce((sum, h) => sum + h.score, 0) / reached.length) : 0;
+
+  return { activeStage: currentId, score, status: healthStatusForScore(score), stages: stageHealth };
+}
+
+// Required outcomes still open in the stages before `targetStageId`
+function exitCriteriaGaps(targetStageId, state, stages = SALES_CYCLE_DATA.stages) {
+  const targetIndex = stages.findIndex(s => s.id === targetStageId);
+  return stages.slice(0, Math.max(0, targetIndex))
+    .map(stage => ({ stage, missing: missingExitCriteria(stage, state) }))
+    .filter(gap => gap.missing.length);
+}
+
+// Mark a stage as current; moving forward past open exit criteria warns, or blocks in strict mode
+function requestStageChange(targetStageId) {
+  const opportunity = getActiveOpportunity();
+  const state = opportunity.state;
+  const stages = SALES_CYCLE_DATA.stages;
+  const currentIndex = stages.findIndex(s => s.id === activeStageId(state, stages));
+  const targetIndex = stages.findIndex(s => s.id === targetStageId);
+  if (targetIndex < 0 || targetIndex === currentIndex) return false;
+
+  if (targetIndex > currentIndex) {
+    const gaps = exitCriteriaGaps(targetStageId, state, stages);
+    if (gaps.length) {
+      const summary = gaps.map(({ stage, missing }) =>
+        `${plainText(stage.title)}:\n${missing.map(o => `  • ${plainText(o.text)}`).join('\n')}`
+      ).join('\n\n');
+
+      if (isStrictStageGate()) {
+        alert(`Complete the exit criteria before moving on:\n\n${summary}`);
+        return false;
+      }
+      if (!confirm(`These exit criteria are not met yet:\n\n${summary}\n\nMove to the new stage anyway?`)) {
+        return false;
+      }
+    }
+  }
+
+  state.activeStage = targetStageId;
+  state.stageEnteredAt[targetStageId] = new Date().toISOString();
+  saveActiveDealState(state);
+  return true;
+}
+
+function setObjectionResolved(stageId, objectionKey, resolved) {
+  const state = getActiveOpportunity().state;
+  state.resolvedObjections[stageId] = state.resolvedObjections[stageId] || {};
+  if (resolved) state.resolvedObjections[stageId][objectionKey] = true;
+  else delete state.resolvedObjections[stageId][objectionKey];
+  saveActiveDealState(state);
+}
+
+// ---------- RENDERING ----------
+function healthBadgeHtml(health) {
+  const text = health.score === null ? '–' : health.score;
+  return `<span class="stage-health-badge health-${health.status}" title="${HEALTH_STATUSES[health.status].label}${health.active ? ' · current stage' : ''}">${health.active ? '● ' : ''}${text}</span>`;
+}
+
+function renderNavHealthBadges(dealHealth) {
+  dealHealth.stages.forEach(health => {
+    $$(`.nav-link[href="#${health.stageId}"], #mobile-menu nav a[href="#${health.stageId}"]`).forEach(link => {
+      link.querySelector('.stage-health-badge')?.remove();
+      link.insertAdjacentHTML('beforeend', ` ${healthBadgeHtml(health)}`);
+    });
+  });
+}
+
+function renderStageGateControls(dealHealth) {
+  dealHealth.stages.forEach(health => {
+    const host = document.querySelector(`#${health.stageId} .stage-gate`);
+    if (!host) return;
+    host.innerHTML = health.active
+      ? `<span class="text-sm font-semibold text-green-700">● Current stage</span>`
+      : `<button type="button" class="text-sm text-gray-600 hover:text-orange-600 underline" data-set-active-stage="${health.stageId}">Mark as current stage</button>`;
+  });
+}
+
+function renderDealHealthPanel(dealHealth) {
+  const panel = $('#deal-health-summary');
+  if (!panel) return;
+
+  const stages = SALES_CYCLE_DATA.stages;
+  const rows = dealHealth.stages.map(health => {
+    const stage = stages.find(s => s.id === health.stageId);
+    const missing = health.outcomes.missing.length;
+    return `
+      <tr class="border-t${health.active ? ' bg-orange-50' : ''}">
+        <td class="py-2 pr-3 font-medium text-gray-800">${plainText(stage.title)}</td>
+        <td class="py-2 pr-3">${healthBadgeHtml(health)}</td>
+        <td class="py-2 pr-3">${health.outcomes.ticked}/${health.outcomes.total}${missing ? ` <span class="text-red-600">(${missing} required open)</span>` : ''}</td>
+        <td class="py-2 pr-3">${health.questions.covered}/${health.questions.total}</td>
+        <td class="py-2 pr-3">${health.objections.unresolved ? `<span class="text-red-600">${health.objections.unresolved} of ${health.objections.raised}</span>` : health.objections.raised ? 'All resolved' : '–'}</td>
+        <td class="py-2">${health.time.daysInStage === null ? '–' : `${health.time.daysInStage}d / ${health.time.expectedDays}d`}</td>
+      </tr>`;
+  }).join('');
+
+  panel.innerHTML = `
+    <div class="flex flex-wrap justify-between items-center gap-4 mb-4">
+      <div class="flex items-center gap-3">
+        <h2 class="text-2xl font-bold text-gray-800">Deal Health</h2>
+        <span class="deal-health-score health-${dealHealth.status}">${dealHealth.score} · ${HEALTH_STATUSES[dealHealth.status].label}</span>
+      </div>
+      <div class="flex flex-wrap items-center gap-4 text-sm">
+        <label class="flex items-center gap-2">
+          <span class="font-medium text-gray-700">Current stage</span>
+          <select id="deal-stage-select" class="p-1.5 border rounded-md">
+            ${stages.map(s => `<option value="${s.id}"${s.id === dealHealth.activeStage ? ' selected' : ''}>${plainText(s.title)}</option>`).join('')}
+          </select>
+        </label>
+        <label class="flex items-center gap-2 text-gray-600">
+          <input type="checkbox" id="strict-stage-gate" class="rounded"${isStrictStageGate() ? ' checked' : ''}>
+          Block moving on until exit criteria are met
+        </label>
+      </div>
+    </div>
+    <div class="overflow-x-auto">
+      <table class="w-full text-sm text-left">
+        <thead class="text-xs uppercase text-gray-500">
+          <tr><th class="py-2 pr-3">Stage</th><th class="py-2 pr-3">Health</th><th class="py-2 pr-3">Exit criteria</th><th class="py-2 pr-3">Questions with notes</th><th class="py-2 pr-3">Unresolved objections</th><th class="py-2">Time in stage</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+}
+
+function renderDealHealth() {
+  const dealHealth = computeDealHealth();
+  renderNavHealthBadges(dealHealth);
+  renderStageGateControls(dealHealth);
+  renderDealHealthPanel(dealHealth);
+
+  // Objection "resolved" ticks live on the cards, which are re-rendered with content
+  const resolved = getActiveOpportunity().state.resolvedObjections;
+  $$('.objection-resolved-checkbox').forEach(box => {
+    const stageId = box.closest('.content-section')?.id;
+    box.checked = !!resolved[stageId]?.[box.dataset.objectionKey];
+  });
+  return dealHealth;
+}
+
+function initDealHealth() {
+  const changeStage = (stageId) => {
+    if (requestStageChange(stageId)) showMessage('Current stage updated', 'success');
+    renderDealHealth();
+  };
+
+  document.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-set-active-stage]');
+    if (!button) return;
+    e.preventDefault();
+    e.stopPropagation();
+    changeStage(button.dataset.setActiveStage);
+  });
+
+  document.addEventListener('change', (e) => {
+    if (e.target.id === 'deal-stage-select') {
+      changeStage(e.target.value);
+    } else if (e.target.id === 'strict-stage-gate') {
+      setStrictStageGate(e.target.checked);
+    } else if (e.target.matches('.objection-resolved-checkbox')) {
+      const stageId = e.target.closest('.content-section')?.id;
+      if (!stageId) return;
+      setObjectionResolved(stageId, e.target.dataset.objectionKey, e.target.checked);
+      renderDealHealth();
+    }
+  });
+
+  // Notes are typed continuously; checklist ticks are re-scored straight away
+  const renderSoon = debounce(renderDealHealth, 400);
+  document.addEventListener('input', (e) => {
+    if (e.target.matches('.note-textarea, .objection-notes-textarea')) renderSoon();
+  });
+  document.addEventListener('change', (e) => {
+    if (e.target.matches('.content-section input[type="checkbox"][data-id]')) renderDealHealth();
+  });
+
+  renderDealHealth();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEAL_HEALTH_WEIGHTS,
+    computeStageHealth,
+    computeDealHealth,
+    missingExitCriteria,
+    exitCriteriaGaps,
+    requestStageChange
+  };
+}
@@ -0,0 +1,349 @@
+// Deal Insights for UiPath Sales Cycle Guide
+// Per-stage AI deal strategy from everything captured on the opportunity, shown as editable cards
+// whose items can be pinned to the opportunity's action list
+
+// ---------- CUSTOMER DATA ----------
+// The personas of the opportunity's industry that the rep has marked as involved in the deal
+function selectedDealPersonas(opportunity = getActiveOpportunity()) {
+  const industry = opportunity.industry || SALES_CYCLE_DATA.industry;
+  const selected = opportunity.state.personas || [];
+  return (SALES_CYCLE_DATA.personas[industry] || []).filter(p => selected.includes(p.id));
+}
+
+// What the AI is told about the deal: the opportunity, selected personas and, for each stage up to the
+// one asked about, its checklist, question notes and objection notes
+function dealInsightsCustomerData(stageId, opportunity = getActiveOpportunity(), stages = SALES_CYCLE_DATA.stages) {
+  const { state } = opportunity;
+  const upTo = stages.findIndex(s => s.id === stageId);
+
+  return {
+    opportunity: {
+      name: opportunity.name,
+      industry: industryLabel(opportunity.industry),
+      closeDate: opportunity.closeDate || 'Not set',
+      currentStage: plainText(stages.find(s => s.id === activeStageId(state, stages))?.title)
+    },
+    personas: selectedDealPersonas(opportunity).map(p => ({ title: plainText(p.title), caresAbout: plainText(p.cares) })),
+    stages: stages.slice(0, upTo + 1).map(stage => {
+      const questions = [
+        ...Object.values(stage.questions || {}).flat(),
+        ...(state.customQuestions[stage.id] || [])
+      ];
+      // Objections added on a call were raised even without notes
+      const objections = [
+        ...(stage.objections || []).map(o => ({ id: o.id, text: o.q })),
+        ...(state.customObjections[stage.id] || []).map(r => ({ ...r, custom: true }))
+      ];
+      const objectionNotes = state.objectionNotes[stage.id] || {};
+      const resolved = state.resolvedObjections[stage.id] || {};
+
+      return {
+        stage: plainText(stage.title),
+        checklist: (stage.outcomes || []).map(o => ({ outcome: plainText(o.text), done: !!state.checklists[o.id] })),
+        notes: questions
+          .filter(q => (state.notes[q.id] || '').trim())
+          .map(q => ({ question: plainText(q.text), notes: state.notes[q.id].trim() })),
+        objections: objections
+          .filter(o => o.custom || (objectionNotes[o.id] || '').trim())
+          .map(o => ({ objection: plainText(o.text), customerResponse: (objectionNotes[o.id] || '').trim(), resolved: !!resolved[o.id] }))
+      };
+    })
+  };
+}
+
+// ---------- STATE ----------
+const DEAL_INSIGHT_SECTIONS = AI_OUTPUT_SECTIONS.customer_insights;
+
+function getDealInsights(stageId) {
+  return getActiveOpportunity().state.insights?.[stageId] || null;
+}
+
+// Keep the latest insights for a stage. Queued requests can finish after the rep has switched deals,
+// so the opportunity may be named.
+function saveDealInsights(stageId, sections, opportunityId = null, cachedAt = null) {
+  const store = loadOpportunityStore();
+  const target = opportunityId ? store.opportunities.find(o => o.id === opportunityId) : getActiveOpportunity(store);
+  if (!target) return;
+  const kept = Object.fromEntries(DEAL_INSIGHT_SECTIONS.map(([key]) => [key, (sections[key] || []).map(String)]));
+  target.state.insights = { ...target.state.insights, [stageId]: { sections: kept, ...(cachedAt && { cachedAt }), generatedAt: new Date().toISOString() } };
+  target.updatedAt = new Date().toISOString();
+  saveOpportunityStore(store);
+}
+
+// Apply an edit to one stage's insight sections
+function updateDealInsights(stageId, update) {
+  const state = getActiveOpportunity().state;
+  const insights = state.insights?.[stageId];
+  if (!insights) return;
+  update(insights.sections);
+  saveActiveDealState(state);
+}
+
+function toggleDealPersona(personaId, selected) {
+  const state = getActiveOpportunity().state;
+  const personas = new Set(state.personas || []);
+  if (selected) personas.add(personaId);
+  else personas.delete(personaId);
+  state.personas = [...personas];
+  saveActiveDealState(state);
+}
+
+// ---------- ACTION LIST ----------
+function getDealActions() {
+  return getActiveOpportunity().state.actionItems || [];
+}
+
+function addDealAction(text, { stageId = null, section = null } = {}) {
+  const value = String(text || '').trim();
+  if (!value) throw new Error('Please enter an action first');
+  const state = getActiveOpportunity().state;
+  const action = {
+    id: `action-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    text: value,
+    stageId,
+    section,
+    done: false,
+    createdAt: new Date().toISOString()
+  };
+  state.actionItems = [...(state.actionItems || []), action];
+  saveActiveDealState(state);
+  return action;
+}
+
+function updateDealAction(actionId, changes) {
+  const state = getActiveOpportunity().state;
+  state.actionItems = (state.actionItems || []).map(a => a.id === actionId ? { ...a, ...changes } : a);
+  saveActiveDealState(state);
+}
+
+function removeDealAction(actionId) {
+  const state = getActiveOpportunity().state;
+  state.actionItems = (state.actionItems || []).filter(a => a.id !== actionId);
+  saveActiveDealState(state);
+}
+
+const isPinnedInsight = (stageId, text) => getDealActions().some(a => a.stageId === stageId && a.text === text.trim());
+
+// ---------- RENDERING ----------
+function dealInsightCardHtml(stageId, [section, label], items) {
+  return `
+    <div class="bg-white border rounded-lg p-3" data-insight-section="${section}">
+      <h5 class="font-semibold text-gray-800 mb-2">${label}</h5>
+      <ul class="space-y-2">
+        ${items.map((item, index) => {
+          const pinned = item.trim() && isPinnedInsight(stageId, item);
+          return `
+        <li class="flex items-start gap-2" data-insight-index="${index}">
+          <textarea rows="2" class="deal-insight-item flex-1 p-1.5 border rounded text-sm" aria-label="${label} item ${index + 1}">${escapeHtml(item)}</textarea>
+          <div class="flex flex-col gap-1">
+            <button type="button" class="text-xs px-1.5 py-0.5 rounded ${pinned ? 'bg-orange-100 text-orange-700' : 'hover:bg-gray-100'}" data-insight-pin${pinned ? ' disabled' : ''} title="${pinned ? 'Pinned to the action list' : 'Pin to the action list'}">📌</button>
+            <button type="button" class="text-xs px-1.5 py-0.5 rounded text-gray-500 hover:bg-gray-100" data-insight-remove title="Remove">✕</button>
+          </div>
+        </li>`;
+        }).join('')}
+      </ul>
+      <button type="button" class="mt-2 text-xs text-blue-700 hover:underline" data-insight-add>➕ Add</button>
+    </div>`;
+}
+
+function dealInsightsResultHtml(stageId, insights) {
+  return `
+    <div class="grid md:grid-cols-2 lg:grid-cols-3 gap-3">
+      ${DEAL_INSIGHT_SECTIONS.map(entry => dealInsightCardHtml(stageId, entry, insights.sections[entry[0]] || [])).join('')}
+    </div>
+    ${aiResponseMetaHtml(insights.cachedAt)}`;
+}
+
+function dealInsightsPanelHtml(stageId) {
+  const opportunity = getActiveOpportunity();
+  const industry = opportunity.industry || SALES_CYCLE_DATA.industry;
+  const selected = opportunity.state.personas || [];
+  const personaOptions = getIndustries().map(ind => `
+    <span data-industry="${escapeHtml(ind.id)}" class="flex flex-wrap gap-x-4 gap-y-1${ind.id === industry ? '' : ' hidden'}">
+      ${(SALES_CYCLE_DATA.personas[ind.id] || []).map(p => `
+      <label class="flex items-center gap-1.5 text-sm text-gray-700 cursor-pointer">
+        <input type="checkbox" class="rounded" data-insight-persona="${escapeHtml(p.id)}"${selected.includes(p.id) ? ' checked' : ''}>
+        ${escapeHtml(p.title)}
+      </label>`).join('')}
+    </span>`).join('');
+
+  return `
+    <p class="text-sm text-gray-600 mb-3">Strategy for this stage from the opportunity's checklists, notes, objections and the personas involved.</p>
+    <div class="mb-3">
+      <p class="text-sm font-medium text-gray-700 mb-1">Personas in this deal</p>
+      ${personaOptions}
+    </div>
+    <button type="button" class="px-4 py-2 bg-blue-100 text-blue-700 rounded-md font-semibold hover:bg-blue-200" data-generate-insights="${stageId}">${aiSlotButtonLabels.insights}</button>
+    <div id="${stageId}-insights-result" class="mt-4"></div>`;
+}
+
+// Render each stage's insights panel with the active opportunity's saved insights
+function renderDealInsights() {
+  SALES_CYCLE_DATA.stages.forEach(stage => {
+    const panel = $(`#${stage.id}-insights .deal-insights-panel`);
+    if (!panel) return;
+    panel.innerHTML = dealInsightsPanelHtml(stage.id);
+    renderDealInsightsResult(stage.id);
+  });
+}
+
+function renderDealInsightsResult(stageId) {
+  const result = $(`#${stageId}-insights-result`);
+  const insights = getDealInsights(stageId);
+  if (result) result.innerHTML = insights ? dealInsightsResultHtml(stageId, insights) : '';
+}
+
+function renderDealActions() {
+  const panel = $('#deal-action-list');
+  if (!panel) return;
+
+  const actions = getDealActions();
+  const open = actions.filter(a => !a.done).length;
+  const stageTitle = stageId => plainText(SALES_CYCLE_DATA.stages.find(s => s.id === stageId)?.title);
+  const sectionLabel = section => DEAL_INSIGHT_SECTIONS.find(([key]) => key === section)?.[1];
+
+  panel.innerHTML = `
+    <div class="flex justify-between items-center mb-3">
+      <h2 class="text-2xl font-bold text-gray-800">📌 Action List</h2>
+      <span class="text-sm text-gray-500">${open} open${actions.length > open ? ` · ${actions.length - open} done` : ''}</span>
+    </div>
+    ${actions.length ? `
+    <ul>
+      ${actions.map(a => `
+      <li class="flex items-start gap-3 py-2 border-t" data-action-id="${escapeHtml(a.id)}">
+        <input type="checkbox" class="deal-action-done mt-1 rounded" aria-label="Done"${a.done ? ' checked' : ''}>
+        <div class="flex-1">
+          <p class="text-gray-800${a.done ? ' line-through text-gray-400' : ''}">${escapeHtml(a.text)}</p>
+          <p class="text-xs text-gray-500">${[a.stageId && escapeHtml(stageTitle(a.stageId)), a.section && sectionLabel(a.section), new Date(a.createdAt).toLocaleDateString()].filter(Boolean).join(' · ')}</p>
+        </div>
+        <button type="button" class="deal-action-remove text-sm text-gray-400 hover:text-red-600" title="Remove">✕</button>
+      </li>`).join('')}
+    </ul>` : '<p class="text-sm text-gray-500">Pin risks, next steps and other items from a stage\'s 🧭 Deal Insights, or add your own.</p>'}
+    <form id="deal-action-form" class="flex gap-2 mt-3">
+      <input type="text" id="deal-action-text" class="flex-1 p-2 border rounded-md text-sm" placeholder="Add an action..." aria-label="New action">
+      <button type="submit" class="px-3 py-2 bg-gray-600 text-white rounded-md text-sm hover:bg-gray-700">➕ Add</button>
+    </form>`;
+}
+
+// ---------- AI REQUEST ----------
+// With `regenerate`, the request skips the response cache
+function generateDealInsights(stageId, { regenerate = false } = {}) {
+  if (!aiIntegration || !aiQueue) {
+    showMessage('AI integration not available', 'error');
+    return;
+  }
+
+  const stage = SALES_CYCLE_DATA.stages.find(s => s.id === stageId);
+  if (!stage) return;
+
+  queueAiRequest({
+    kind: 'insights',
+    stageId,
+    responseKey: 'insights',
+    label: `Deal insights: ${plainText(stage.title)}`,
+    regenerate,
+    prompt: aiIntegration.buildInsightsPrompt(dealInsightsCustomerData(stageId), stage),
+    context: {
+      type: 'customer_insights',
+      stage: stageId,
+      industry: getActiveOpportunity().industry || SALES_CYCLE_DATA.industry
+    }
+  });
+}
+
+function initDealInsights() {
+  document.addEventListener('click', (e) => {
+    const generate = e.target.closest('[data-generate-insights]');
+    if (generate) {
+      e.preventDefault();
+      generateDealInsights(generate.dataset.generateInsights);
+      return;
+    }
+
+    const item = e.target.closest('[data-insight-index]');
+    const card = e.target.closest('[data-insight-section]');
+    const stageId = e.target.closest('.content-section')?.id;
+    if (!card || !stageId) return;
+    const section = card.dataset.insightSection;
+    const index = Number(item?.dataset.insightIndex);
+
+    if (e.target.closest('[data-insight-pin]')) {
+      const text = item.querySelector('.deal-insight-item').value;
+      try {
+        addDealAction(text, { stageId, section });
+      } catch (error) {
+        showMessage(error.message, 'error');
+        return;
+      }
+      renderDealInsightsResult(stageId);
+      renderDealActions();
+      showMessage('Pinned to the action list 📌', 'success');
+    } else if (e.target.closest('[data-insight-remove]')) {
+      updateDealInsights(stageId, sections => sections[section].splice(index, 1));
+      renderDealInsightsResult(stageId);
+    } else if (e.target.closest('[data-insight-add]')) {
+      updateDealInsights(stageId, sections => sections[section].push(''));
+      renderDealInsightsResult(stageId);
+      $$(`#${stageId}-insights-result [data-insight-section="${section}"] .deal-insight-item`).pop()?.focus();
+    }
+  });
+
+  document.addEventListener('change', (e) => {
+    if (e.target.matches('[data-insight-persona]')) {
+      toggleDealPersona(e.target.dataset.insightPersona, e.target.checked);
+      $$(`[data-insight-persona="${e.target.dataset.insightPersona}"]`).forEach(box => { box.checked = e.target.checked; });
+      return;
+    }
+    if (e.target.matches('.deal-insight-item')) {
+      const stageId = e.target.closest('.content-section')?.id;
+      const section = e.target.closest('[data-insight-section]').dataset.insightSection;
+      const index = Number(e.target.closest('[data-insight-index]').dataset.insightIndex);
+      updateDealInsights(stageId, sections => { sections[section][index] = e.target.value.trim(); });
+      return;
+    }
+    if (e.target.matches('.deal-action-done')) {
+      updateDealAction(e.target.closest('[data-action-id]').dataset.actionId, { done: e.target.checked });
+      renderDealActions();
+    }
+  });
+
+  const actions = $('#deal-action-list');
+  actions?.addEventListener('click', (e) => {
+    const remove = e.target.closest('.deal-action-remove');
+    if (!remove) return;
+    const actionId = remove.closest('[data-action-id]').dataset.actionId;
+    const { stageId } = getDealActions().find(a => a.id === actionId) || {};
+    removeDealAction(actionId);
+    renderDealActions();
+    // Its insight can be pinned again
+    if (stageId) {
+      renderDealInsightsResult(stageId);
+      renderQueuedAiJobs();
+    }
+  });
+  actions?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    try {
+      addDealAction($('#deal-action-text').value);
+    } catch (error) {
+      showMessage(error.message, 'error');
+      return;
+    }
+    renderDealActions();
+    $('#deal-action-text').focus();
+  });
+
+  renderDealActions();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    dealInsightsCustomerData,
+    selectedDealPersonas,
+    saveDealInsights,
+    addDealAction,
+    updateDealAction,
+    removeDealAction
+  };
+}
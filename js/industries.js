@@ -0,0 +1,67 @@
+// Industry Verticals for UiPath Sales Cycle Guide
+// Industries are defined as data in SALES_CYCLE_DATA.industries; personas and
+// per-stage resources are keyed by each industry's ID
+
+function getIndustries() {
+  return SALES_CYCLE_DATA.industries || [];
+}
+
+function getIndustry(id) {
+  return getIndustries().find(ind => ind.id === id) || null;
+}
+
+function industryLabel(id) {
+  return getIndustry(id)?.label || id;
+}
+
+// Resolve an industry from an ID or label, as found in import files
+function findIndustry(idOrLabel) {
+  const needle = String(idOrLabel || '').trim().toLowerCase();
+  return getIndustries().find(ind => ind.id === needle || ind.label.toLowerCase() === needle) || null;
+}
+
+function industryIdFromLabel(label) {
+  return String(label).trim().toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Add an industry (if new) and make sure it has persona and resource slots
+function registerIndustry({ id, label }) {
+  const industryId = id || industryIdFromLabel(label);
+  if (!industryId) throw new Error('Industry needs a name');
+
+  let industry = getIndustry(industryId);
+  if (!industry) {
+    industry = { id: industryId, label: (label || industryId).trim() };
+    SALES_CYCLE_DATA.industries = [...getIndustries(), industry];
+  }
+
+  SALES_CYCLE_DATA.personas[industryId] = SALES_CYCLE_DATA.personas[industryId] || [];
+  SALES_CYCLE_DATA.stages.forEach(stage => {
+    stage.resources = stage.resources || {};
+    stage.resources[industryId] = stage.resources[industryId] || [];
+  });
+
+  return industry;
+}
+
+// Find or register an industry named in an import file. Industry IDs end up in element IDs and
+// selectors, so new ones get the same IDs as industries added in the editor. Null when it has no name.
+function importIndustry({ id, label }) {
+  const existing = findIndustry(id) || findIndustry(label);
+  if (existing) return registerIndustry(existing);
+  const industryId = industryIdFromLabel(id || label || '');
+  return industryId ? registerIndustry({ id: industryId, label: String(label || id) }) : null;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getIndustries,
+    getIndustry,
+    industryLabel,
+    findIndustry,
+    industryIdFromLabel,
+    registerIndustry,
+    importIndustry
+  };
+}
@@ -0,0 +1,350 @@
+// Encrypted API Key Vault for UiPath Sales Cycle Guide
+// API keys are encrypted at rest with AES-GCM, using a non-extractable key derived (PBKDF2) from a
+// passphrase. The key lives in memory only, so the passphrase is asked for again after a reload, and the
+// vault locks itself after a period of inactivity.
+
+const KEY_VAULT_KEY = 'uipathSalesGuideKeyVault';
+const KEY_VAULT_ITERATIONS = 310000;
+const KEY_VAULT_IDLE_MINUTES = 15;
+const KEY_VAULT_IDLE_OPTIONS = [5, 15, 30, 60];
+const KEY_VAULT_CHECK_TEXT = 'uipath-sales-guide-key-vault';
+
+// Keys saved by earlier versions: base64 in `<provider>_api_key`, or the raw key
+const LEGACY_API_KEY_PROVIDERS = ['claude', 'openai'];
+
+// While unlocked: the derived AES key, the decrypted API keys and the last activity, in memory only
+let keyVaultCryptoKey = null;
+let unlockedApiKeys = {};
+let keyVaultLastActive = 0;
+const keyVaultListeners = [];
+
+const bytesToBase64 = bytes => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const base64ToBytes = text => Uint8Array.from(atob(text), ch => ch.charCodeAt(0));
+
+function keyVaultError(message, props = {}) {
+  return Object.assign(new Error(message), props);
+}
+
+function loadKeyVault() {
+  try {
+    const vault = JSON.parse(localStorage.getItem(KEY_VAULT_KEY));
+    if (vault && vault.salt && vault.check) return { keys: {}, ...vault };
+  } catch (e) {
+    console.error('Error reading key vault:', e);
+  }
+  return null;
+}
+
+function saveKeyVault(vault) {
+  localStorage.setItem(KEY_VAULT_KEY, JSON.stringify(vault));
+}
+
+const hasKeyVault = () => loadKeyVault() !== null;
+const isKeyVaultUnlocked = () => keyVaultCryptoKey !== null;
+
+function legacyApiKey(provider) {
+  const stored = localStorage.getItem(`${provider}_api_key`);
+  if (!stored) return null;
+  try {
+    const decoded = atob(stored);
+    if (/^[\x21-\x7e]+$/.test(decoded)) return decoded;
+  } catch (e) {
+    // Not base64: stored raw
+  }
+  return stored;
+}
+
+// Whether a key is saved for the provider, even while the vault is locked
+function hasStoredApiKey(provider = 'claude') {
+  return Boolean(loadKeyVault()?.keys[provider] || localStorage.getItem(`${provider}_api_key`));
+}
+
+// The decrypted key, or null while the vault is locked
+function getUnlockedApiKey(provider = 'claude') {
+  return unlockedApiKeys[provider] || null;
+}
+
+function onKeyVaultChange(listener) {
+  keyVaultListeners.push(listener);
+}
+
+function notifyKeyVault() {
+  keyVaultListeners.forEach(listener => {
+    try {
+      listener({ unlocked: isKeyVaultUnlocked(), apiKeys: { ...unlockedApiKeys } });
+    } catch (e) {
+      console.error('Key vault listener error:', e);
+    }
+  });
+}
+
+// ---------- CRYPTO ----------
+function assertWebCrypto() {
+  if (!globalThis.crypto?.subtle) {
+    throw keyVaultError('Encrypted key storage needs a secure context (https:// or localhost).');
+  }
+}
+
+async function deriveVaultKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  // Not extractable: page scripts can use the key while unlocked but never read it out
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptText(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return { iv: bytesToBase64(iv), data: bytesToBase64(data) };
+}
+
+async function decryptText(key, { iv, data }) {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(data));
+  return new TextDecoder().decode(plain);
+}
+
+// Decrypt every stored key; fails (AES-GCM authentication) when the passphrase is wrong
+async function openVault(vault, key) {
+  try {
+    if (await decryptText(key, vault.check) !== KEY_VAULT_CHECK_TEXT) throw new Error('check mismatch');
+  } catch (e) {
+    throw keyVaultError('Incorrect passphrase', { wrongPassphrase: true });
+  }
+  const apiKeys = {};
+  for (const [provider, entry] of Object.entries(vault.keys)) {
+    apiKeys[provider] = await decryptText(key, entry);
+  }
+  return apiKeys;
+}
+
+// Encrypt keys saved by earlier versions into the vault and remove the readable copies
+async function migrateLegacyApiKeys(vault, key) {
+  const migrated = [];
+  for (const provider of LEGACY_API_KEY_PROVIDERS) {
+    const apiKey = legacyApiKey(provider);
+    if (!apiKey) continue;
+    if (!vault.keys[provider]) {
+      vault.keys[provider] = await encryptText(key, apiKey);
+      unlockedApiKeys[provider] = apiKey;
+    }
+    migrated.push(provider);
+  }
+  if (migrated.length) {
+    saveKeyVault(vault);
+    migrated.forEach(provider => localStorage.removeItem(`${provider}_api_key`));
+  }
+  return migrated;
+}
+
+// ---------- LOCK / UNLOCK ----------
+// Create the vault with a new passphrase (moving any legacy keys into it)
+async function createKeyVault(passphrase) {
+  assertWebCrypto();
+  if (passphrase.length < 8) throw keyVaultError('Use a passphrase of at least 8 characters');
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveVaultKey(passphrase, salt, KEY_VAULT_ITERATIONS);
+  const vault = {
+    version: 1,
+    salt: bytesToBase64(salt),
+    iterations: KEY_VAULT_ITERATIONS,
+    idleMinutes: loadKeyVault()?.idleMinutes || KEY_VAULT_IDLE_MINUTES,
+    check: await encryptText(key, KEY_VAULT_CHECK_TEXT),
+    keys: {}
+  };
+  saveKeyVault(vault);
+
+  keyVaultCryptoKey = key;
+  unlockedApiKeys = {};
+  await migrateLegacyApiKeys(vault, key);
+  keyVaultLastActive = Date.now();
+  notifyKeyVault();
+}
+
+async function unlockKeyVault(passphrase) {
+  assertWebCrypto();
+  const vault = loadKeyVault();
+  if (!vault) throw keyVaultError('No saved keys to unlock');
+
+  const key = await deriveVaultKey(passphrase, base64ToBytes(vault.salt), vault.iterations);
+  unlockedApiKeys = await openVault(vault, key);
+  keyVaultCryptoKey = key;
+  await migrateLegacyApiKeys(vault, key);
+  keyVaultLastActive = Date.now();
+  notifyKeyVault();
+}
+
+function lockKeyVault() {
+  const wasUnlocked = isKeyVaultUnlocked();
+  keyVaultCryptoKey = null;
+  unlockedApiKeys = {};
+  if (wasUnlocked) notifyKeyVault();
+}
+
+// Forget the passphrase and every saved key (the only way out of a forgotten passphrase)
+function resetKeyVault() {
+  localStorage.removeItem(KEY_VAULT_KEY);
+  LEGACY_API_KEY_PROVIDERS.forEach(provider => localStorage.removeItem(`${provider}_api_key`));
+  keyVaultCryptoKey = null;
+  unlockedApiKeys = {};
+  notifyKeyVault();
+}
+
+async function storeApiKey(provider, apiKey) {
+  const vault = loadKeyVault();
+  if (!vault || !isKeyVaultUnlocked()) throw keyVaultError('Unlock your saved keys first');
+  vault.keys[provider] = await encryptText(keyVaultCryptoKey, apiKey);
+  saveKeyVault(vault);
+  unlockedApiKeys[provider] = apiKey;
+  notifyKeyVault();
+}
+
+function removeApiKey(provider) {
+  const vault = loadKeyVault();
+  if (vault) {
+    delete vault.keys[provider];
+    saveKeyVault(vault);
+  }
+  localStorage.removeItem(`${provider}_api_key`);
+  delete unlockedApiKeys[provider];
+  notifyKeyVault();
+}
+
+// ---------- AUTO-LOCK ----------
+const keyVaultIdleMinutes = () => loadKeyVault()?.idleMinutes || KEY_VAULT_IDLE_MINUTES;
+
+function setKeyVaultIdleMinutes(minutes) {
+  const vault = loadKeyVault();
+  if (!vault) return;
+  vault.idleMinutes = minutes;
+  saveKeyVault(vault);
+}
+
+const isKeyVaultIdle = () => Date.now() - keyVaultLastActive > keyVaultIdleMinutes() * 60000;
+
+// Activity keeps the vault open; a check every 30 seconds locks an idle vault
+function touchKeyVault() {
+  if (isKeyVaultUnlocked()) keyVaultLastActive = Date.now();
+}
+
+function checkKeyVaultIdle() {
+  if (isKeyVaultUnlocked() && isKeyVaultIdle()) {
+    lockKeyVault();
+    if (typeof showMessage === 'function') showMessage('Saved API keys locked after inactivity 🔒', 'success');
+  }
+}
+
+// ---------- PASSPHRASE DIALOG ----------
+let pendingUnlock = null;
+
+// Ask for the passphrase (or for a new one when there is no vault yet). Resolves once unlocked;
+// concurrent callers share one dialog. Rejects if the dialog is cancelled.
+function requestKeyVaultUnlock(reason = '') {
+  if (isKeyVaultUnlocked()) return Promise.resolve();
+  if (pendingUnlock) return pendingUnlock.promise;
+
+  const modal = $('#key-vault-modal');
+  if (!modal) return Promise.reject(keyVaultError('Saved API keys are locked'));
+
+  pendingUnlock = {};
+  pendingUnlock.promise = new Promise((resolve, reject) => Object.assign(pendingUnlock, { resolve, reject }));
+
+  const creating = !hasKeyVault();
+  modal.dataset.mode = creating ? 'create' : 'unlock';
+  $('#key-vault-title').textContent = creating ? '🔐 Protect your API keys' : '🔐 Unlock saved API keys';
+  $('#key-vault-message').textContent = [
+    reason,
+    creating
+      ? 'Choose a passphrase to encrypt API keys saved in this browser. You will be asked for it each time the app is opened.'
+      : 'Enter your passphrase to use the API keys saved in this browser.'
+  ].filter(Boolean).join(' ');
+  $('#key-vault-confirm-field').classList.toggle('hidden', !creating);
+  $('#key-vault-forget').classList.toggle('hidden', creating);
+  $('#key-vault-submit').textContent = creating ? 'Save passphrase' : 'Unlock';
+  $('#key-vault-passphrase').value = '';
+  $('#key-vault-confirm').value = '';
+  $('#key-vault-passphrase').autocomplete = creating ? 'new-password' : 'current-password';
+  $('#key-vault-error').classList.add('hidden');
+  modal.classList.remove('hidden');
+  $('#key-vault-passphrase').focus();
+
+  return pendingUnlock.promise;
+}
+
+function closeKeyVaultDialog(error = null) {
+  $('#key-vault-modal')?.classList.add('hidden');
+  const pending = pendingUnlock;
+  pendingUnlock = null;
+  if (!pending) return;
+  if (error) pending.reject(error);
+  else pending.resolve();
+}
+
+function showKeyVaultError(message) {
+  const error = $('#key-vault-error');
+  error.textContent = message;
+  error.classList.remove('hidden');
+}
+
+async function submitKeyVaultDialog() {
+  const passphrase = $('#key-vault-passphrase').value;
+  const submit = $('#key-vault-submit');
+  if (submit.disabled) return; // key derivation is deliberately slow; ignore a second submit
+  try {
+    submit.disabled = true;
+    if ($('#key-vault-modal').dataset.mode === 'create') {
+      if (passphrase !== $('#key-vault-confirm').value) throw keyVaultError('The passphrases do not match');
+      await createKeyVault(passphrase);
+    } else {
+      await unlockKeyVault(passphrase);
+    }
+    closeKeyVaultDialog();
+  } catch (e) {
+    showKeyVaultError(e.message);
+    $('#key-vault-passphrase').select();
+  } finally {
+    submit.disabled = false;
+  }
+}
+
+function initKeyVault() {
+  $('#key-vault-form')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitKeyVaultDialog();
+  });
+  $('#key-vault-cancel')?.addEventListener('click', () => {
+    closeKeyVaultDialog(keyVaultError('Saved API keys are locked', { retryable: false }));
+  });
+  $('#key-vault-forget')?.addEventListener('click', () => {
+    if (!confirm('Clear all saved API keys? You will need to enter them again.')) return;
+    resetKeyVault();
+    closeKeyVaultDialog(keyVaultError('Saved API keys were cleared', { retryable: false }));
+    showMessage('Saved API keys cleared', 'success');
+  });
+
+  ['pointerdown', 'keydown'].forEach(type => document.addEventListener(type, touchKeyVault, { passive: true }));
+  setInterval(checkKeyVaultIdle, 30000);
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    hasKeyVault,
+    isKeyVaultUnlocked,
+    hasStoredApiKey,
+    getUnlockedApiKey,
+    createKeyVault,
+    unlockKeyVault,
+    lockKeyVault,
+    resetKeyVault,
+    storeApiKey,
+    removeApiKey,
+    requestKeyVaultUnlock,
+    initKeyVault
+  };
+}
@@ -0,0 +1,331 @@
+// Opportunity Workspaces for UiPath Sales Cycle Guide
+// Each named opportunity carries its own checklists, notes, custom questions/objections and AI responses
+
+const OPPORTUNITY_STORE_KEY = 'uipathSalesGuideOpportunities';
+const LEGACY_STATE_KEY = 'uipathSalesGuideState';
+
+// Version 2 keys per-deal state by content ID instead of list position
+const OPPORTUNITY_STORE_VERSION = 2;
+
+// Empty per-deal state; every opportunity owns one of these.
+// customQuestions, customObjections, aiResponses and resolvedObjections are keyed by stage ID;
+// activeStage is the stage the rep has marked as current and stageEnteredAt records when.
+// insights are AI deal insights by stage; personas are the persona IDs involved in the deal and
+// actionItems the opportunity's action list. coach holds the deal coach conversation and the stage
+// and persona it was last set to. qualification holds the status and evidence of the qualification
+// framework's elements by element ID, and qualificationFramework the framework picked for the deal
+// (null uses the team's).
+function createEmptyDealState() {
+  return {
+    checklists: {},
+    notes: {},
+    objectionNotes: {},
+    customQuestions: {},
+    customObjections: {},
+    aiResponses: {},
+    followUps: {},
+    activeStage: null,
+    stageEnteredAt: {},
+    resolvedObjections: {},
+    callPlans: [],
+    insights: {},
+    personas: [],
+    actionItems: [],
+    coach: { messages: [], stageId: null, personaId: null },
+    qualification: {},
+    qualificationFramework: null
+  };
+}
+
+function generateOpportunityId() {
+  return `opp-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+function buildOpportunity(details = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: generateOpportunityId(),
+    name: (details.name || '').trim() || 'Untitled Opportunity',
+    industry: details.industry || SALES_CYCLE_DATA.industry,
+    owner: (details.owner || '').trim(),
+    closeDate: details.closeDate || '',
+    archived: false,
+    createdAt: now,
+    updatedAt: now,
+    state: details.state || createEmptyDealState()
+  };
+}
+
+// Load the opportunity store, migrating the legacy single-deal state on first run
+function loadOpportunityStore() {
+  let store = null;
+  try {
+    store = JSON.parse(localStorage.getItem(OPPORTUNITY_STORE_KEY));
+  } catch (e) {
+    console.error('Error reading opportunity store:', e);
+  }
+
+  let created = false;
+  if (!store || !Array.isArray(store.opportunities)) {
+    store = { version: OPPORTUNITY_STORE_VERSION, activeId: null, opportunities: [] };
+    created = true;
+
+    const legacyState = localStorage.getItem(LEGACY_STATE_KEY);
+    if (legacyState) {
+      try {
+        const parsed = JSON.parse(legacyState);
+        store.opportunities.push(buildOpportunity({
+          name: 'My Opportunity',
+          state: { ...createEmptyDealState(), ...parsed }
+        }));
+        // The legacy state is index-based, like a version 1 store
+        store.version = 1;
+      } catch (e) {
+        console.error('Error migrating legacy state:', e);
+      }
+    }
+  }
+
+  // Always keep at least one open opportunity to work in
+  if (!store.opportunities.some(o => !o.archived)) {
+    store.opportunities.push(buildOpportunity({ name: 'My Opportunity' }));
+    created = true;
+  }
+
+  const active = store.opportunities.find(o => o.id === store.activeId && !o.archived);
+  if (!active) {
+    store.activeId = store.opportunities.find(o => !o.archived).id;
+  }
+
+  store.opportunities.forEach(o => {
+    o.state = { ...createEmptyDealState(), ...(o.state || {}) };
+  });
+
+  // One-time move from index-based keys to content IDs
+  if ((store.version || 1) < OPPORTUNITY_STORE_VERSION) {
+    store.opportunities.forEach(o => {
+      o.state = migrateIndexBasedState(o.state);
+    });
+    store.version = OPPORTUNITY_STORE_VERSION;
+    created = true;
+  }
+
+  // Persist new or migrated opportunities so their IDs stay stable across loads
+  if (created) saveOpportunityStore(store);
+
+  return store;
+}
+
+// Map version 1 state onto content IDs. Checklists were keyed "<stageId>-<index>", question
+// notes "discovery-q-<Category>-<index>" (the same prefix in every stage), objection notes
+// and AI responses by position within the stage. Call-added records already use their own IDs.
+function migrateIndexBasedState(state, stages = SALES_CYCLE_DATA.stages) {
+  const isRecordKey = key => key.startsWith('custom-') || key.startsWith('objection-custom-');
+  const keepRecords = (map = {}) => Object.fromEntries(Object.entries(map).filter(([key]) => isRecordKey(key)));
+  const migrated = {
+    ...state,
+    checklists: {},
+    notes: keepRecords(state.notes),
+    objectionNotes: {},
+    aiResponses: {}
+  };
+
+  stages.forEach(stage => {
+    const oldObjectionNotes = state.objectionNotes?.[stage.id] || {};
+    const oldResponses = state.aiResponses?.[stage.id] || {};
+    const objectionNotes = keepRecords(oldObjectionNotes);
+    const responses = keepRecords(oldResponses);
+
+    (stage.outcomes || []).forEach((outcome, i) => {
+      const ticked = state.checklists?.[`${stage.id}-${i}`];
+      if (ticked !== undefined) migrated.checklists[outcome.id] = ticked;
+    });
+
+    let questionIndex = 0;
+    Object.entries(stage.questions || {}).forEach(([category, questions]) => {
+      questions.forEach(question => {
+        const oldKey = `discovery-q-${category.replace(/\s+/g, '-')}-${questionIndex++}`;
+        if (state.notes?.[oldKey] !== undefined) migrated.notes[question.id] = state.notes[oldKey];
+        if (oldResponses[oldKey]) responses[question.id] = oldResponses[oldKey];
+      });
+    });
+
+    (stage.objections || []).forEach((objection, i) => {
+      if (oldObjectionNotes[i] !== undefined) objectionNotes[objection.id] = oldObjectionNotes[i];
+      if (oldResponses[`objection-${i}`]) responses[`objection-${objection.id}`] = oldResponses[`objection-${i}`];
+    });
+
+    if (Object.keys(objectionNotes).length) migrated.objectionNotes[stage.id] = objectionNotes;
+    if (Object.keys(responses).length) migrated.aiResponses[stage.id] = responses;
+  });
+
+  return migrated;
+}
+
+function saveOpportunityStore(store) {
+  localStorage.setItem(OPPORTUNITY_STORE_KEY, JSON.stringify(store));
+  // The legacy key is fully superseded once the store has been written
+  localStorage.removeItem(LEGACY_STATE_KEY);
+}
+
+function getActiveOpportunity(store = loadOpportunityStore()) {
+  return store.opportunities.find(o => o.id === store.activeId);
+}
+
+function setActiveOpportunity(id) {
+  const store = loadOpportunityStore();
+  const target = store.opportunities.find(o => o.id === id);
+  if (!target) return null;
+  target.archived = false;
+  store.activeId = id;
+  saveOpportunityStore(store);
+  return target;
+}
+
+function createOpportunity(details) {
+  const store = loadOpportunityStore();
+  const opportunity = buildOpportunity(details);
+  store.opportunities.push(opportunity);
+  store.activeId = opportunity.id;
+  saveOpportunityStore(store);
+  return opportunity;
+}
+
+// Update opportunity details (name, industry, owner, close date)
+function updateOpportunity(id, changes) {
+  const store = loadOpportunityStore();
+  const target = store.opportunities.find(o => o.id === id);
+  if (!target) return null;
+
+  ['name', 'industry', 'owner', 'closeDate'].forEach(field => {
+    if (changes[field] !== undefined) {
+      target[field] = typeof changes[field] === 'string' ? changes[field].trim() : changes[field];
+    }
+  });
+  if (!target.name) target.name = 'Untitled Opportunity';
+  target.updatedAt = new Date().toISOString();
+
+  saveOpportunityStore(store);
+  return target;
+}
+
+// Write the per-deal state of the active opportunity
+function saveActiveDealState(state) {
+  const store = loadOpportunityStore();
+  const active = getActiveOpportunity(store);
+  active.state = state;
+  active.updatedAt = new Date().toISOString();
+  saveOpportunityStore(store);
+}
+
+// ---------- CALL RECORDS ----------
+// Questions and objections a rep adds during a call, stored on the active opportunity
+function addCustomRecord(kind, stageId, text) {
+  const store = loadOpportunityStore();
+  const active = getActiveOpportunity(store);
+  const prefix = kind === 'customQuestions' ? 'custom-q' : 'custom-o';
+  const record = {
+    id: `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    text: text.trim(),
+    createdAt: new Date().toISOString()
+  };
+
+  active.state[kind][stageId] = [...(active.state[kind][stageId] || []), record];
+  active.updatedAt = record.createdAt;
+  saveOpportunityStore(store);
+  return record;
+}
+
+function addCustomQuestion(stageId, question) {
+  return addCustomRecord('customQuestions', stageId, question);
+}
+
+function addCustomObjection(stageId, objection) {
+  return addCustomRecord('customObjections', stageId, objection);
+}
+
+// Remove a custom question/objection together with its notes and AI response
+function removeCustomRecord(kind, stageId, recordId) {
+  const store = loadOpportunityStore();
+  const state = getActiveOpportunity(store).state;
+
+  state[kind][stageId] = (state[kind][stageId] || []).filter(r => r.id !== recordId);
+  delete state.notes[recordId];
+  if (state.objectionNotes[stageId]) delete state.objectionNotes[stageId][recordId];
+  if (state.resolvedObjections[stageId]) delete state.resolvedObjections[stageId][recordId];
+  if (state.aiResponses[stageId]) {
+    delete state.aiResponses[stageId][recordId];
+    delete state.aiResponses[stageId][`objection-${recordId}`];
+  }
+  saveOpportunityStore(store);
+}
+
+// Keep the latest AI response for a question or objection card
+// Queued AI requests can finish after the rep has switched deals, so callers may name the opportunity
+// `response` is { text, data } for structured responses (text is the plain-text rendering), or a string;
+// `cachedAt` is set when the answer came from the AI response cache
+function saveAiResponse(stageId, responseKey, response, opportunityId = null) {
+  const store = loadOpportunityStore();
+  const active = opportunityId ? store.opportunities.find(o => o.id === opportunityId) : getActiveOpportunity(store);
+  if (!active) return;
+  active.state.aiResponses[stageId] = active.state.aiResponses[stageId] || {};
+  const { text, data, cachedAt } = typeof response === 'string' ? { text: response } : response;
+  active.state.aiResponses[stageId][responseKey] = { text, ...(data && { data }), ...(cachedAt && { cachedAt }), generatedAt: new Date().toISOString() };
+  active.updatedAt = new Date().toISOString();
+  saveOpportunityStore(store);
+}
+
+function saveFollowUps(stageId, questions, opportunityId = null, cachedAt = null) {
+  const store = loadOpportunityStore();
+  const active = opportunityId ? store.opportunities.find(o => o.id === opportunityId) : getActiveOpportunity(store);
+  if (!active) return;
+  active.state.followUps[stageId] = { questions, ...(cachedAt && { cachedAt }), generatedAt: new Date().toISOString() };
+  active.updatedAt = new Date().toISOString();
+  saveOpportunityStore(store);
+}
+
+function archiveOpportunity(id, archived = true) {
+  const store = loadOpportunityStore();
+  const target = store.opportunities.find(o => o.id === id);
+  if (!target) return null;
+
+  target.archived = archived;
+  target.updatedAt = new Date().toISOString();
+  saveOpportunityStore(store);
+
+  // Re-load so the active opportunity moves off an archived one
+  const normalized = loadOpportunityStore();
+  saveOpportunityStore(normalized);
+  return target;
+}
+
+function deleteOpportunity(id) {
+  const store = loadOpportunityStore();
+  store.opportunities = store.opportunities.filter(o => o.id !== id);
+  saveOpportunityStore(store);
+
+  const normalized = loadOpportunityStore();
+  saveOpportunityStore(normalized);
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    loadOpportunityStore,
+    saveOpportunityStore,
+    getActiveOpportunity,
+    setActiveOpportunity,
+    createOpportunity,
+    updateOpportunity,
+    saveActiveDealState,
+    archiveOpportunity,
+    deleteOpportunity,
+    createEmptyDealState,
+    migrateIndexBasedState,
+    addCustomQuestion,
+    addCustomObjection,
+    removeCustomRecord,
+    saveAiResponse,
+    saveFollowUps
+  };
+}
@@ -0,0 +1,483 @@
+// Prompt Template Registry for UiPath Sales Cycle Guide
+// Named, versioned AI prompt templates with {{variable}} substitution, editable in the bulk admin modal
+
+const PROMPT_TEMPLATES_KEY = 'uipathSalesGuidePromptTemplates';
+const MAX_PROMPT_VERSIONS = 10;
+
+// Variables every template may use. `{{name|fallback}}` uses the fallback when the value is empty.
+const PROMPT_VARIABLES = {
+  industry: 'Selected industry',
+  stage: 'Current sales stage',
+  persona: 'Key personas for the stage, or the persona picked in the deal coach',
+  notes: 'Customer notes captured for the question, objection or stage',
+  question: 'Discovery question being answered',
+  objection: 'Customer objection being handled',
+  existingQuestions: 'The stage\'s discovery questions, by category',
+  customerData: 'Customer data as JSON',
+  stageItems: 'The stage\'s questions, objections and open exit criteria, with their IDs',
+  transcript: 'Call transcript or meeting notes being imported',
+  framework: 'Qualification framework of the opportunity (e.g. MEDDPICC, BANT)',
+  qualificationGaps: 'Elements of the opportunity\'s qualification framework that are not green, with their evidence'
+};
+
+const DEFAULT_PROMPT_TEMPLATES = {
+  question_response: {
+    name: 'Discovery question response',
+    description: 'The ✨ AI Response button under each discovery question.',
+    template: `You are an expert enterprise software sales consultant specializing in UiPath automation solutions. You are currently in the {{stage}} stage of the sales cycle.
+
+CONTEXT:
+- This is an enterprise software sales call for UiPath (business process automation/RPA)
+- Industry: {{industry}}
+- Sales Stage: {{stage}}
+- Key Personas: {{persona|Not specified}}
+- Discovery Question Asked: "{{question}}"
+- Customer Response/Notes: "{{notes|No specific response captured yet}}"
+
+{{framework|Qualification}} gaps on this opportunity:
+{{qualificationGaps|None recorded}}
+
+Based on this context, provide a strategic response that:
+1. Acknowledges what the customer shared
+2. Provides helpful insights about UiPath's capabilities in this area
+3. Suggests 2-3 strategic follow-up questions to deepen the conversation
+4. Positions UiPath as the optimal solution for their {{industry}} automation needs
+
+Keep the response conversational, consultative, and focused on their specific business outcomes. Maximum 3-4 sentences.`
+  },
+
+  objection_response: {
+    name: 'Objection response',
+    description: 'The ✨ AI Response button on each objection.',
+    template: `You are an expert enterprise software sales consultant specializing in UiPath automation solutions. You are handling a customer objection during the {{stage|current}} stage.
+
+CONTEXT:
+- This is an enterprise software sales call for UiPath (business process automation/RPA)
+- Industry: {{industry}}
+- Sales Stage: {{stage|Not specified}}
+- Key Personas: {{persona|Not specified}}
+- Customer Objection: "{{objection}}"
+- Customer's Specific Response/Context: "{{notes|Standard objection, no additional context provided}}"
+
+{{framework|Qualification}} gaps on this opportunity:
+{{qualificationGaps|None recorded}}
+
+Provide a compelling, tailored response that:
+1. Acknowledges and empathizes with their concern
+2. Addresses the specific objection with UiPath's unique value proposition
+3. Provides relevant {{industry}} industry examples or case studies
+4. Suggests a logical next step to move the conversation forward
+5. Maintains a consultative, non-pushy tone
+
+Keep the response professional, confident, and solution-focused. Maximum 4-5 sentences.`
+  },
+
+  followup_questions: {
+    name: 'Follow-up questions',
+    description: '✨ AI: Generate Follow-up Questions on each stage.',
+    template: `You are an expert UiPath sales consultant. Generate 3-5 insightful follow-up questions for the {{stage}} stage.
+
+Current stage context:
+{{stage}}
+
+Existing questions in this category:
+{{existingQuestions}}
+
+Customer notes/context:
+{{notes|No additional context provided}}
+
+{{framework|Qualification}} gaps on this opportunity:
+{{qualificationGaps|None recorded}}
+
+Industry: {{industry}}
+
+Generate follow-up questions that:
+1. Are specific to {{industry}} industry
+2. Build on the existing questions without repeating them
+3. Help uncover deeper insights about the customer's situation, especially the {{framework|qualification}} gaps
+4. Are practical and actionable for a sales conversation
+5. Focus on UiPath's automation capabilities
+
+For each question, give its category and why it helps in the sales process.`
+  },
+
+  customer_insights: {
+    name: 'Customer insights',
+    description: 'The ✨ AI: Generate Deal Insights button in each stage\'s Deal Insights panel.',
+    template: `You are an expert UiPath sales consultant. Analyze this customer data and provide strategic insights for the {{stage}} stage.
+
+Customer Data:
+{{customerData}}
+
+{{framework|Qualification}} gaps on this opportunity:
+{{qualificationGaps|None recorded}}
+
+Current Stage: {{stage}}
+Industry: {{industry}}
+
+Provide insights on:
+1. Key opportunities based on their current situation
+2. Potential risks or challenges to address
+3. Recommended next steps for this stage
+4. Specific UiPath solutions that align with their needs
+5. Stakeholders who should be engaged
+6. How to close the {{framework|qualification}} gaps
+
+Format as clear, actionable bullet points.`
+  },
+
+  deal_coach: {
+    name: 'Deal coach',
+    description: 'The system prompt of the 💬 Deal Coach chat, rebuilt from the chosen stage and persona and the saved notes on every message.',
+    template: `You are a deal coach for a UiPath account executive. You help the rep prepare for and follow up on customer conversations about UiPath automation solutions.
+
+CONTEXT:
+- Industry: {{industry}}
+- Sales Stage: {{stage}}
+- Talking To: {{persona|Not specified}}
+
+Notes captured on this opportunity so far:
+{{notes|No notes captured yet}}
+
+{{framework|Qualification}} gaps on this opportunity:
+{{qualificationGaps|None recorded}}
+
+This is a conversation: follow-up requests such as "shorter" or "now for the CFO" refer to your previous answer. Give practical, specific advice and wording the rep can use with the customer, tailored to the persona and {{industry}}. Be concise and use Markdown bullet points where they help. When the notes do not cover something, say so instead of inventing details.`
+  },
+
+  call_notes_import: {
+    name: 'Call notes import',
+    description: '📥 Import call notes on each stage: maps a transcript to the stage\'s questions, objections and exit criteria.',
+    template: `You are an expert UiPath sales consultant reviewing a {{stage}} call with a {{industry}} customer.
+
+The stage's discovery questions, objections and open exit criteria, each with its ID in brackets:
+{{stageItems}}
+
+Call transcript or notes:
+"""
+{{transcript}}
+"""
+
+From the call:
+1. For each question the customer answered, write their answer as notes the rep can keep, in the customer's own terms. Skip questions the call did not cover.
+2. List the objections or concerns the customer raised and what they said. Use the ID of the matching objection above, or leave the ID out for a new one.
+3. List the exit criteria the call shows are now met, with the evidence from the call.
+
+Use only what is in the transcript and do not guess; an empty list is fine.`
+  }
+};
+
+const PROMPT_VARIABLE_RE = /\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g;
+
+function renderPromptTemplate(template, variables = {}) {
+  return template.replace(PROMPT_VARIABLE_RE, (match, name, fallback) => {
+    const value = variables[name];
+    return value === undefined || value === null || value === '' ? (fallback ?? '') : String(value);
+  });
+}
+
+// Variable names a template uses that the registry does not know (usually typos)
+function unknownPromptVariables(template) {
+  const names = [...template.matchAll(PROMPT_VARIABLE_RE)].map(m => m[1]);
+  return [...new Set(names.filter(name => !Object.prototype.hasOwnProperty.call(PROMPT_VARIABLES, name)))];
+}
+
+// ---------- STORAGE ----------
+// Saved edits: { [templateId]: { version, template, updatedAt, author, history: [older versions] } }.
+// The shipped template is version 1.
+
+function loadPromptOverrides() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROMPT_TEMPLATES_KEY));
+    if (saved && typeof saved === 'object') return saved;
+  } catch (e) {
+    console.error('Error reading prompt templates:', e);
+  }
+  return {};
+}
+
+function savePromptOverrides(overrides) {
+  localStorage.setItem(PROMPT_TEMPLATES_KEY, JSON.stringify(overrides));
+}
+
+function getPromptTemplate(id) {
+  const shipped = DEFAULT_PROMPT_TEMPLATES[id];
+  if (!shipped) return null;
+  const saved = loadPromptOverrides()[id];
+  return {
+    id,
+    name: shipped.name,
+    description: shipped.description,
+    version: saved?.version || 1,
+    template: saved?.template ?? shipped.template,
+    updatedAt: saved?.updatedAt || null,
+    author: saved?.author || '',
+    history: saved?.history || [],
+    customized: !!saved && saved.template !== shipped.template
+  };
+}
+
+function listPromptTemplates() {
+  return Object.keys(DEFAULT_PROMPT_TEMPLATES).map(getPromptTemplate);
+}
+
+function renderPrompt(id, variables) {
+  const entry = getPromptTemplate(id);
+  if (!entry) throw new Error(`Unknown prompt template: ${id}`);
+  return renderPromptTemplate(entry.template, variables);
+}
+
+// Save a new version of a template; the previous one is kept in its history
+function savePromptTemplate(id, template) {
+  const current = getPromptTemplate(id);
+  if (!current) throw new Error(`Unknown prompt template: ${id}`);
+  if (!template.trim()) throw new Error('The template cannot be empty');
+  const unknown = unknownPromptVariables(template);
+  if (unknown.length) {
+    throw new Error(`Unknown variable${unknown.length === 1 ? '' : 's'}: ${unknown.map(name => `{{${name}}}`).join(', ')}`);
+  }
+  if (template === current.template) return current;
+
+  const overrides = loadPromptOverrides();
+  const previous = { version: current.version, template: current.template, updatedAt: current.updatedAt, author: current.author };
+  overrides[id] = {
+    version: current.version + 1,
+    template,
+    updatedAt: new Date().toISOString(),
+    author: typeof getContentAuthor === 'function' ? getContentAuthor() || 'Anonymous' : 'Anonymous',
+    history: [...current.history, previous].slice(-MAX_PROMPT_VERSIONS)
+  };
+  savePromptOverrides(overrides);
+  return getPromptTemplate(id);
+}
+
+// Resetting and restoring also create a new version, so they can be undone
+function resetPromptTemplate(id) {
+  return savePromptTemplate(id, DEFAULT_PROMPT_TEMPLATES[id].template);
+}
+
+function restorePromptVersion(id, version) {
+  const old = getPromptTemplate(id)?.history.find(v => v.version === version);
+  if (!old) throw new Error(`Version ${version} not found`);
+  return savePromptTemplate(id, old.template);
+}
+
+// ---------- VARIABLES ----------
+const formatExistingQuestions = (questions = {}) => Object.entries(questions)
+  .map(([category, qs]) => `${category}:\n${qs.map(q => `- ${plainText(contentItemText(q))}`).join('\n')}`)
+  .join('\n\n');
+
+// Standard variables for a stage of the active opportunity; `values` adds or overrides the rest (notes, question, ...)
+function promptVariables(stage, values = {}) {
+  const opportunity = getActiveOpportunity();
+  const framework = qualificationFrameworkFor(opportunity);
+  return {
+    industry: industryLabel(opportunity?.industry || APP_STATE.industry),
+    stage: stage ? plainText(stage.title) : '',
+    persona: (stage?.initialPersonas || []).map(p => plainText(contentItemText(p))).join(', '),
+    framework: plainText(framework?.label),
+    qualificationGaps: qualificationGapsText(opportunity, framework),
+    ...values
+  };
+}
+
+// Sample values for the admin preview, taken from the stage's own content
+function promptPreviewVariables(stage) {
+  const firstQuestion = Object.values(stage.questions || {}).flat()[0];
+  return promptVariables(stage, {
+    notes: 'They run invoice matching by hand across three ERPs; month-end close takes 9 days.',
+    question: plainText(contentItemText(firstQuestion)) || 'What does this process cost you today?',
+    objection: plainText(stage.objections?.[0]?.q) || 'We already have an automation tool.',
+    existingQuestions: formatExistingQuestions(stage.questions),
+    customerData: JSON.stringify({ notes: 'Invoice matching is manual', volume: '12,000 invoices a month' }, null, 2),
+    stageItems: callImportStageItems(stage, createEmptyDealState()),
+    transcript: 'Rep: How does invoice matching work today?\nCustomer: By hand, across three ERPs. Close takes nine days.'
+  });
+}
+
+// ---------- IMPORT / EXPORT ----------
+function exportPromptTemplates() {
+  return {
+    type: 'uipath-sales-guide-prompt-templates',
+    exportedAt: new Date().toISOString(),
+    templates: Object.fromEntries(listPromptTemplates().map(t => [t.id, { name: t.name, version: t.version, template: t.template }]))
+  };
+}
+
+// Each changed template in the file becomes a new version. Returns the IDs that changed.
+function importPromptTemplates(data) {
+  const templates = data?.templates;
+  if (!templates || typeof templates !== 'object') throw new Error('No prompt templates found in this file');
+
+  const entries = Object.entries(templates).filter(([id, t]) => DEFAULT_PROMPT_TEMPLATES[id] && typeof t?.template === 'string');
+  if (!entries.length) throw new Error('No known prompt templates found in this file');
+
+  // Check everything before saving anything
+  entries.forEach(([id, t]) => {
+    const unknown = unknownPromptVariables(t.template);
+    if (unknown.length) throw new Error(`${DEFAULT_PROMPT_TEMPLATES[id].name}: unknown variables ${unknown.join(', ')}`);
+  });
+
+  return entries
+    .filter(([id, t]) => t.template !== getPromptTemplate(id).template)
+    .map(([id, t]) => {
+      savePromptTemplate(id, t.template);
+      return id;
+    });
+}
+
+// ---------- ADMIN EDITOR ----------
+const selectedPromptTemplateId = () => $('#prompt-template-select')?.value || Object.keys(DEFAULT_PROMPT_TEMPLATES)[0];
+
+function renderPromptPreview() {
+  const editor = $('#prompt-template-editor');
+  const preview = $('#prompt-template-preview');
+  if (!editor || !preview) return;
+
+  const stage = SALES_CYCLE_DATA.stages.find(s => s.id === $('#prompt-preview-stage')?.value) || SALES_CYCLE_DATA.stages[0];
+  const unknown = unknownPromptVariables(editor.value);
+  preview.textContent = renderPromptTemplate(editor.value, promptPreviewVariables(stage));
+  preview.classList.toggle('border-red-400', unknown.length > 0);
+  preview.title = unknown.length ? `Unknown variables: ${unknown.join(', ')}` : '';
+}
+
+function renderPromptTemplateEditor(templateId = selectedPromptTemplateId()) {
+  const select = $('#prompt-template-select');
+  const stageSelect = $('#prompt-preview-stage');
+  if (!select) return;
+
+  select.innerHTML = listPromptTemplates().map(t =>
+    `<option value="${t.id}">${t.name} (v${t.version}${t.customized ? ', customized' : ''})</option>`).join('');
+  select.value = templateId;
+
+  const previewStage = stageSelect.value;
+  stageSelect.innerHTML = SALES_CYCLE_DATA.stages.map(s => `<option value="${s.id}">${plainText(s.title)}</option>`).join('');
+  if (previewStage) stageSelect.value = previewStage;
+
+  const entry = getPromptTemplate(templateId);
+  $('#prompt-template-description').textContent = entry.description;
+  $('#prompt-template-editor').value = entry.template;
+  $('#prompt-template-variables').innerHTML = Object.entries(PROMPT_VARIABLES).map(([name, label]) => `
+    <button type="button" class="text-xs font-mono bg-white border border-purple-200 text-purple-700 px-2 py-0.5 rounded hover:bg-purple-100" data-prompt-variable="${name}" title="${label}">{{${name}}}</button>`).join('');
+
+  const versions = [
+    { version: entry.version, updatedAt: entry.updatedAt, author: entry.author, current: true },
+    ...entry.history.slice().reverse()
+  ];
+  $('#prompt-template-versions').innerHTML = versions.map(v => `
+    <div class="flex justify-between items-center bg-white p-2 rounded-md border text-sm">
+      <span>
+        <span class="font-semibold">v${v.version}</span>
+        <span class="text-gray-500">· ${v.updatedAt ? `${new Date(v.updatedAt).toLocaleString()} · ${escapeHtml(v.author)}` : 'Shipped default'}</span>
+      </span>
+      ${v.current ? '<span class="text-xs text-green-700">Current</span>' : `
+      <button type="button" class="text-xs bg-orange-100 text-orange-700 px-2 py-1 rounded hover:bg-orange-200" data-prompt-restore="${v.version}">↩️ Restore</button>`}
+    </div>`).join('');
+
+  renderPromptPreview();
+}
+
+// Insert a variable at the cursor
+function insertPromptVariable(name) {
+  const editor = $('#prompt-template-editor');
+  const token = `{{${name}}}`;
+  const { selectionStart: start, selectionEnd: end, value } = editor;
+  editor.value = value.slice(0, start) + token + value.slice(end);
+  editor.focus();
+  editor.setSelectionRange(start + token.length, start + token.length);
+  renderPromptPreview();
+}
+
+function downloadPromptTemplates() {
+  const blob = new Blob([JSON.stringify(exportPromptTemplates(), null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `uipath-prompt-templates-${new Date().toISOString().split('T')[0]}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+function initPromptTemplates() {
+  const select = $('#prompt-template-select');
+  const editor = $('#prompt-template-editor');
+  if (!select || !editor) return;
+
+  select.addEventListener('change', () => renderPromptTemplateEditor(select.value));
+  $('#prompt-preview-stage').addEventListener('change', renderPromptPreview);
+  editor.addEventListener('input', debounce(renderPromptPreview, 200));
+
+  $('#prompt-template-variables').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-prompt-variable]');
+    if (button) insertPromptVariable(button.dataset.promptVariable);
+  });
+
+  $('#prompt-template-save').addEventListener('click', () => {
+    try {
+      const before = getPromptTemplate(select.value).version;
+      const saved = savePromptTemplate(select.value, editor.value);
+      renderPromptTemplateEditor(select.value);
+      showMessage(saved.version === before ? 'No changes to save' : `Saved ${saved.name} v${saved.version}`, 'success');
+    } catch (error) {
+      showMessage(error.message, 'error');
+    }
+  });
+
+  $('#prompt-template-reset').addEventListener('click', () => {
+    if (!confirm('Reset this template to the shipped default? This is saved as a new version.')) return;
+    resetPromptTemplate(select.value);
+    renderPromptTemplateEditor(select.value);
+    showMessage('Template reset to default', 'success');
+  });
+
+  $('#prompt-template-versions').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-prompt-restore]');
+    if (!button) return;
+    const saved = restorePromptVersion(select.value, Number(button.dataset.promptRestore));
+    renderPromptTemplateEditor(select.value);
+    showMessage(`Restored as v${saved.version}`, 'success');
+  });
+
+  $('#prompt-templates-export').addEventListener('click', () => {
+    downloadPromptTemplates();
+    showMessage('Prompt templates exported', 'success');
+  });
+
+  const importInput = $('#prompt-templates-import');
+  $('#prompt-templates-import-btn').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    try {
+      const changed = importPromptTemplates(JSON.parse(await file.text()));
+      renderPromptTemplateEditor(select.value);
+      showMessage(changed.length ? `Imported ${changed.length} changed template${changed.length === 1 ? '' : 's'}` : 'Templates already up to date', 'success');
+    } catch (error) {
+      showMessage('Error importing prompt templates: ' + error.message, 'error');
+    }
+  });
+
+  renderPromptTemplateEditor();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PROMPT_VARIABLES,
+    DEFAULT_PROMPT_TEMPLATES,
+    renderPromptTemplate,
+    unknownPromptVariables,
+    getPromptTemplate,
+    listPromptTemplates,
+    renderPrompt,
+    savePromptTemplate,
+    resetPromptTemplate,
+    restorePromptVersion,
+    promptVariables,
+    exportPromptTemplates,
+    importPromptTemplates
+  };
+}
@@ -0,0 +1,445 @@
+// Qualification Scorecard for UiPath Sales Cycle Guide
+// Tracks each element of the opportunity's qualification framework (MEDDPICC, MEDDIC, BANT, SPICED or one
+// the team defines) with a red/yellow/green status and its evidence, linked to the stage questions and
+// exit criteria that gather that evidence. Elements that are not green are gaps, and the gaps are given to
+// the AI prompts as context.
+
+// Elements not assessed yet count as gaps and score 0; the points for the others come from the framework
+const QUALIFICATION_STATUSES = {
+  green: { label: 'Green', icon: '🟢', className: 'health-healthy' },
+  yellow: { label: 'Yellow', icon: '🟡', className: 'health-at-risk' },
+  red: { label: 'Red', icon: '🔴', className: 'health-critical' }
+};
+
+// ---------- FRAMEWORKS ----------
+// Frameworks are content (SALES_CYCLE_DATA.qualificationFrameworks), edited in Bulk Admin. An opportunity
+// uses the framework it picked, else the team's, else the first one.
+function qualificationFrameworkFor(opportunity = getActiveOpportunity(), data = SALES_CYCLE_DATA) {
+  const frameworks = data.qualificationFrameworks || [];
+  return frameworks.find(f => f.id === opportunity?.state.qualificationFramework)
+    || frameworks.find(f => f.id === data.qualificationFramework)
+    || frameworks[0]
+    || null;
+}
+
+function setOpportunityFramework(frameworkId) {
+  const state = getActiveOpportunity().state;
+  state.qualificationFramework = frameworkId;
+  saveActiveDealState(state);
+}
+
+// ---------- STATE ----------
+// { [elementId]: { status, evidence, updatedAt } } on the opportunity. Frameworks that share an element ID
+// (MEDDIC and MEDDPICC) share its status and evidence, so switching framework keeps them.
+function getQualification(opportunity = getActiveOpportunity()) {
+  return opportunity.state.qualification || {};
+}
+
+function updateQualificationElement(elementId, changes) {
+  const state = getActiveOpportunity().state;
+  state.qualification = {
+    ...state.qualification,
+    [elementId]: { ...state.qualification?.[elementId], ...changes, updatedAt: new Date().toISOString() }
+  };
+  saveActiveDealState(state);
+}
+
+// ---------- SCORING ----------
+// The questions and exit criteria behind an element, with the deal's notes and ticks.
+// IDs that are no longer in the content are skipped.
+function qualificationSources(element, state, stages = SALES_CYCLE_DATA.stages) {
+  const questions = (element.questions || []).flatMap(id => stages.flatMap(stage => Object.values(stage.questions || {}).flat()
+    .filter(q => q.id === id)
+    .map(q => ({ id, stageId: stage.id, text: plainText(q.text), notes: (state.notes[id] || '').trim() }))));
+  const outcomes = (element.outcomes || []).flatMap(id => stages.flatMap(stage => (stage.outcomes || [])
+    .filter(o => o.id === id)
+    .map(o => ({ id, stageId: stage.id, text: plainText(o.text), done: !!state.checklists[id] }))));
+  const stageIds = new Set([...questions, ...outcomes].map(source => source.stageId));
+  return { questions, outcomes, stages: stages.filter(s => stageIds.has(s.id)) };
+}
+
+// Weighted average of the element points, banded by the framework's scoring rules into a deal health
+// status; a required element that is not green keeps the deal from counting as healthy
+function qualificationScore(state, framework) {
+  const { points = {}, healthyAt = HEALTH_STATUSES.healthy.min, atRiskAt = HEALTH_STATUSES['at-risk'].min } = framework.scoring || {};
+  const counts = { green: 0, yellow: 0, red: 0, unassessed: 0 };
+  let earned = 0;
+  let possible = 0;
+  framework.elements.forEach(element => {
+    const status = state.qualification?.[element.id]?.status;
+    const weight = element.weight ?? 1;
+    if (QUALIFICATION_STATUSES[status]) {
+      counts[status] += 1;
+      earned += weight * (points[status] ?? 0);
+    } else {
+      counts.unassessed += 1;
+    }
+    possible += weight * (points.green ?? 100);
+  });
+
+  const score = possible ? Math.round(earned / possible * 100) : 0;
+  const requiredOpen = framework.elements.filter(e => e.required && state.qualification?.[e.id]?.status !== 'green');
+  let status = score >= healthyAt ? 'healthy' : score >= atRiskAt ? 'at-risk' : 'critical';
+  if (status === 'healthy' && requiredOpen.length) status = 'at-risk';
+  return { score, status, counts, requiredOpen: requiredOpen.map(e => e.id) };
+}
+
+// Elements that are not green, for the AI prompts' {{qualificationGaps}}
+function qualificationGapsText(opportunity = getActiveOpportunity(), framework = qualificationFrameworkFor(opportunity)) {
+  if (!framework) return '';
+  const qualification = getQualification(opportunity);
+  return framework.elements
+    .filter(element => qualification[element.id]?.status !== 'green')
+    .map(element => {
+      const { status, evidence } = qualification[element.id] || {};
+      const label = `${QUALIFICATION_STATUSES[status]?.label || 'Not assessed'}${element.required ? ', required' : ''}`;
+      const description = plainText(element.description);
+      return `- ${plainText(element.label)} (${label}): ${evidence?.trim() ? `evidence so far: ${evidence.trim()}` : `no evidence yet${description ? `; ${description.charAt(0).toLowerCase()}${description.slice(1)}` : ''}`}`;
+    })
+    .join('\n');
+}
+
+// The scorecard as plain data, for the deal summary export
+function qualificationSummary(opportunity = getActiveOpportunity()) {
+  const framework = qualificationFrameworkFor(opportunity);
+  if (!framework) return null;
+  const qualification = getQualification(opportunity);
+  const { score, status } = qualificationScore(opportunity.state, framework);
+  return {
+    framework: decodeEntities(plainText(framework.label)),
+    score,
+    status: HEALTH_STATUSES[status].label,
+    elements: framework.elements.map(element => ({
+      label: decodeEntities(plainText(element.label)),
+      required: !!element.required,
+      status: QUALIFICATION_STATUSES[qualification[element.id]?.status]?.label || 'Not assessed',
+      evidence: (qualification[element.id]?.evidence || '').trim()
+    }))
+  };
+}
+
+// ---------- RENDERING ----------
+function qualificationSourcesHtml(sources) {
+  const answered = sources.questions.filter(q => q.notes).length;
+  return `
+    <details class="mt-2 text-sm">
+      <summary class="cursor-pointer text-gray-600">Gathered in ${sources.stages.map(s => escapeHtml(plainText(s.title))).join(', ') || 'no stage'} · ${answered} of ${sources.questions.length} questions answered</summary>
+      <ul class="mt-2 space-y-1">
+        ${sources.questions.map(q => `
+        <li class="flex gap-2">
+          <span aria-label="${q.notes ? 'Answered' : 'Not answered'}">${q.notes ? '✅' : '⬜'}</span>
+          <span><a href="#${q.stageId}" class="text-gray-800 hover:underline">${escapeHtml(q.text)}</a>${q.notes ? `<span class="block text-xs text-gray-500">${escapeHtml(q.notes.length > 140 ? `${q.notes.slice(0, 140)}…` : q.notes)}</span>` : ''}</span>
+        </li>`).join('')}
+        ${sources.outcomes.map(o => `
+        <li class="flex gap-2 text-gray-600">
+          <span aria-label="${o.done ? 'Met' : 'Open'}">${o.done ? '☑️' : '☐'}</span>
+          <span>Exit criterion: ${escapeHtml(o.text)}</span>
+        </li>`).join('')}
+      </ul>
+    </details>`;
+}
+
+function qualificationElementHtml(element, entry, state) {
+  const status = QUALIFICATION_STATUSES[entry.status];
+  const label = escapeHtml(plainText(element.label));
+  return `
+    <div class="border rounded-lg p-4${status ? '' : ' bg-gray-50'}" data-qualification-element="${element.id}">
+      <div class="flex justify-between items-start gap-3">
+        <div>
+          <h3 class="font-semibold text-gray-800">${label}${element.required ? ' <span class="text-xs font-normal text-red-600">required</span>' : ''}</h3>
+          <p class="text-xs text-gray-500">${escapeHtml(plainText(element.description))}</p>
+        </div>
+        <select class="qualification-status deal-health-score ${status?.className || 'health-upcoming'} border-0" aria-label="${label} status">
+          <option value="">Not assessed</option>
+          ${Object.entries(QUALIFICATION_STATUSES).map(([key, s]) => `<option value="${key}"${key === entry.status ? ' selected' : ''}>${s.icon} ${s.label}</option>`).join('')}
+        </select>
+      </div>
+      <textarea class="qualification-evidence w-full mt-2 p-2 border rounded-md text-sm" rows="2" placeholder="Evidence: who confirmed what, and when" aria-label="${label} evidence">${escapeHtml(entry.evidence || '')}</textarea>
+      ${qualificationSourcesHtml(qualificationSources(element, state))}
+    </div>`;
+}
+
+function renderQualificationScorecard() {
+  const panel = $('#qualification-scorecard-panel');
+  if (!panel) return;
+
+  const opportunity = getActiveOpportunity();
+  const framework = qualificationFrameworkFor(opportunity);
+  if (!framework) {
+    panel.innerHTML = '<p class="text-sm text-gray-500">No qualification framework is set up. Add one in Bulk Admin → 🎯 Qualification.</p>';
+    return;
+  }
+
+  const { state } = opportunity;
+  const { score, status, counts, requiredOpen } = qualificationScore(state, framework);
+  const teamFramework = SALES_CYCLE_DATA.qualificationFramework;
+  panel.innerHTML = `
+    <div class="flex flex-wrap justify-between items-center gap-4 mb-2">
+      <div class="flex items-center gap-3">
+        <h2 class="text-2xl font-bold text-gray-800">🎯 ${escapeHtml(plainText(framework.label))} Qualification</h2>
+        <span class="deal-health-score health-${status}" title="${HEALTH_STATUSES[status].label}">${score}% qualified</span>
+      </div>
+      <label class="text-sm text-gray-600 flex items-center gap-2">Framework
+        <select id="qualification-framework-select" class="p-1 border rounded-md text-sm">
+          ${SALES_CYCLE_DATA.qualificationFrameworks.map(f => `<option value="${f.id}"${f.id === framework.id ? ' selected' : ''}>${escapeHtml(plainText(f.label))}${f.id === teamFramework ? ' (team default)' : ''}</option>`).join('')}
+        </select>
+      </label>
+    </div>
+    <p class="text-sm text-gray-600 mb-4">${escapeHtml(plainText(framework.description))}${framework.description ? ' · ' : ''}${Object.entries(QUALIFICATION_STATUSES).map(([key, s]) => `${counts[key]} ${s.icon}`).join(' · ')} · ${counts.unassessed} not assessed${requiredOpen.length ? ` · <span class="text-red-600">${requiredOpen.length} required not green</span>` : ''}</p>
+    <div class="grid md:grid-cols-2 gap-4">
+      ${framework.elements.map(element => qualificationElementHtml(element, state.qualification?.[element.id] || {}, state)).join('')}
+    </div>`;
+}
+
+// Tag each stage question with the elements it gathers evidence for
+function renderQualificationTags() {
+  $$('.qualification-tags').forEach(tags => tags.remove());
+  const framework = qualificationFrameworkFor();
+  if (!framework) return;
+  framework.elements.forEach(element => (element.questions || []).forEach(id => {
+    const summary = document.querySelector(`.note-textarea[data-note-id="${id}"]`)?.closest('details')?.querySelector('summary');
+    if (!summary) return;
+    let tags = summary.querySelector('.qualification-tags');
+    if (!tags) {
+      tags = document.createElement('span');
+      tags.className = 'qualification-tags ml-2 inline-flex flex-wrap gap-1 align-middle';
+      summary.appendChild(tags);
+    }
+    tags.insertAdjacentHTML('beforeend', `<span class="text-xs font-normal bg-indigo-50 text-indigo-700 px-1.5 py-0.5 rounded" title="${escapeHtml(`${plainText(framework.label)}: ${plainText(element.description)}`)}">${escapeHtml(plainText(element.label))}</span>`);
+  }));
+}
+
+function renderQualification() {
+  renderQualificationScorecard();
+  renderQualificationTags();
+}
+
+// ---------- BULK ADMIN ----------
+// One editor per framework in the 🎯 Qualification tab; saved with the rest of the bulk editor
+function qualificationLinkOptionsHtml(element) {
+  const linked = new Set([...(element.questions || []), ...(element.outcomes || [])]);
+  const option = (id, text) => `<option value="${id}"${linked.has(id) ? ' selected' : ''}>${escapeHtml(text)}</option>`;
+  return SALES_CYCLE_DATA.stages.map(stage => `
+    <optgroup label="${escapeHtml(plainText(stage.title))}">
+      ${Object.values(stage.questions || {}).flat().map(q => option(q.id, `Q: ${plainText(contentItemText(q))}`)).join('')}
+      ${(stage.outcomes || []).map(o => option(o.id, `Exit: ${plainText(contentItemText(o))}`)).join('')}
+    </optgroup>`).join('');
+}
+
+function addQualificationElementEditor(container, element = {}) {
+  container.insertAdjacentHTML('beforeend', `
+    <div class="qualification-element-editor bg-gray-50 p-3 rounded-md border" data-qualification-editor data-item-id="${element.id || ''}">
+      <div class="grid md:grid-cols-2 gap-3">
+        <div class="space-y-2">
+          <div class="flex gap-2 items-center">
+            <input type="text" placeholder="Element name" value="${escapeHtml(element.label || '')}" class="qualification-element-label flex-1 p-2 border rounded text-sm">
+            <button type="button" onclick="removeQualificationEditor(this)" class="text-red-600 hover:text-red-800 text-sm" title="Remove element">🗑️</button>
+          </div>
+          <textarea placeholder="What evidence this element needs..." class="qualification-element-description w-full p-2 border rounded text-sm h-16">${escapeHtml(element.description || '')}</textarea>
+          <div class="flex gap-4 items-center text-xs text-gray-600">
+            <label class="flex items-center gap-1">Weight <input type="number" min="0" step="0.5" value="${element.weight ?? 1}" class="qualification-element-weight w-16 p-1 border rounded"></label>
+            <label class="flex items-center gap-1"><input type="checkbox" class="qualification-element-required"${element.required ? ' checked' : ''}> Required (must be green to count as healthy)</label>
+          </div>
+        </div>
+        <label class="block text-xs text-gray-600">Gathered by (Ctrl/⌘-click to pick several)
+          <select multiple size="6" class="qualification-element-links w-full mt-1 p-1 border rounded text-xs">${qualificationLinkOptionsHtml(element)}</select>
+        </label>
+      </div>
+    </div>`);
+}
+
+function addQualificationFrameworkEditor(framework = null) {
+  const editors = $('#qualification-frameworks-editor');
+  if (!editors) return;
+
+  const data = framework || { label: '', description: '', scoring: { points: { green: 100, yellow: 50, red: 0 }, healthyAt: 75, atRiskAt: 50 }, elements: [] };
+  const { points = {}, healthyAt = 75, atRiskAt = 50 } = data.scoring || {};
+  const numberInput = (className, value) => `<input type="number" min="0" max="100" value="${value}" class="${className} w-16 p-1 border rounded">`;
+  editors.insertAdjacentHTML('beforeend', `
+    <div class="qualification-framework-editor bg-white p-4 rounded-md border" data-qualification-editor data-item-id="${data.id || generateContentId('qf')}">
+      <div class="flex gap-2 items-center mb-2">
+        <input type="text" placeholder="Framework name (e.g. BANT)" value="${escapeHtml(data.label)}" class="qualification-framework-label flex-1 p-2 border rounded text-sm font-semibold">
+        <button type="button" onclick="removeQualificationEditor(this)" class="text-red-600 hover:text-red-800 text-sm">🗑️ Remove framework</button>
+      </div>
+      <textarea placeholder="When the team should use this framework..." class="qualification-framework-description w-full p-2 border rounded text-sm h-12 mb-2">${escapeHtml(data.description || '')}</textarea>
+      <div class="flex flex-wrap gap-4 items-center text-xs text-gray-600 mb-3">
+        <span class="font-semibold">Scoring</span>
+        <label class="flex items-center gap-1">🟢 ${numberInput('qualification-points-green', points.green ?? 100)}</label>
+        <label class="flex items-center gap-1">🟡 ${numberInput('qualification-points-yellow', points.yellow ?? 50)}</label>
+        <label class="flex items-center gap-1">🔴 ${numberInput('qualification-points-red', points.red ?? 0)}</label>
+        <label class="flex items-center gap-1">Healthy at ${numberInput('qualification-healthy-at', healthyAt)}%</label>
+        <label class="flex items-center gap-1">At risk at ${numberInput('qualification-at-risk-at', atRiskAt)}%</label>
+      </div>
+      <div class="qualification-elements-editor space-y-2"></div>
+      <button type="button" class="mt-2 text-xs bg-indigo-100 text-indigo-700 px-2 py-1 rounded hover:bg-indigo-200" onclick="addQualificationElement(this)">+ Add Element</button>
+    </div>`);
+
+  const elements = editors.lastElementChild.querySelector('.qualification-elements-editor');
+  (data.elements.length ? data.elements : [{}]).forEach(element => addQualificationElementEditor(elements, element));
+  renderQualificationDefaultOptions();
+}
+
+// Add element function (called by onclick)
+function addQualificationElement(button) {
+  addQualificationElementEditor(button.closest('.qualification-framework-editor').querySelector('.qualification-elements-editor'));
+}
+
+function removeQualificationEditor(button) {
+  button.closest('[data-qualification-editor]')?.remove();
+  renderQualificationDefaultOptions();
+}
+
+// The team default picker lists the frameworks as they are in the editor
+function renderQualificationDefaultOptions() {
+  const select = $('#qualification-default-framework');
+  if (!select) return;
+  const selected = select.dataset.selected || SALES_CYCLE_DATA.qualificationFramework;
+  select.innerHTML = $$('#qualification-frameworks-editor .qualification-framework-editor')
+    .map(editor => `<option value="${editor.dataset.itemId}"${editor.dataset.itemId === selected ? ' selected' : ''}>${escapeHtml(editor.querySelector('.qualification-framework-label').value.trim() || 'Untitled framework')}</option>`)
+    .join('');
+}
+
+function loadQualificationFrameworksToBulkEditor() {
+  const editors = $('#qualification-frameworks-editor');
+  if (!editors) return;
+
+  editors.innerHTML = '';
+  const select = $('#qualification-default-framework');
+  if (select) delete select.dataset.selected;
+  (SALES_CYCLE_DATA.qualificationFrameworks || []).forEach(framework => addQualificationFrameworkEditor(framework));
+}
+
+// Read the frameworks back from the editor; throws when one is incomplete so nothing is saved
+function qualificationFrameworksFromBulkEditor() {
+  if (!$('#qualification-frameworks-editor')) return null;
+
+  const outcomeIds = new Set(SALES_CYCLE_DATA.stages.flatMap(stage => (stage.outcomes || []).map(o => o.id)));
+  const defaultId = $('#qualification-default-framework')?.value;
+
+  const frameworks = $$('#qualification-frameworks-editor .qualification-framework-editor').map(editor => {
+    const number = (selector, fallback, root = editor) => {
+      const value = parseFloat(root.querySelector(selector).value);
+      return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+    const label = editor.querySelector('.qualification-framework-label').value.trim();
+    const elements = $$('.qualification-element-editor', editor).map(elementEditor => {
+      const elementLabel = elementEditor.querySelector('.qualification-element-label').value.trim();
+      if (!elementLabel) return null;
+      const linked = Array.from(elementEditor.querySelector('.qualification-element-links').selectedOptions, option => option.value);
+      return {
+        id: elementEditor.dataset.itemId || generateContentId('qe'),
+        label: elementLabel,
+        description: elementEditor.querySelector('.qualification-element-description').value.trim(),
+        weight: number('.qualification-element-weight', 1, elementEditor),
+        ...(elementEditor.querySelector('.qualification-element-required').checked && { required: true }),
+        questions: linked.filter(id => !outcomeIds.has(id)),
+        outcomes: linked.filter(id => outcomeIds.has(id))
+      };
+    }).filter(Boolean);
+
+    if (!label && !elements.length) return null;
+    return {
+      id: editor.dataset.itemId,
+      label,
+      description: editor.querySelector('.qualification-framework-description').value.trim(),
+      scoring: {
+        points: {
+          green: number('.qualification-points-green', 100),
+          yellow: number('.qualification-points-yellow', 50),
+          red: number('.qualification-points-red', 0)
+        },
+        healthyAt: number('.qualification-healthy-at', 75),
+        atRiskAt: number('.qualification-at-risk-at', 50)
+      },
+      elements
+    };
+  }).filter(Boolean);
+
+  return validateQualificationFrameworks(frameworks, defaultId);
+}
+
+// Check frameworks from the bulk editor or a JSON import before they are saved, since the scorecard
+// needs elements and scoring on every load. Fills in missing IDs and scoring; throws when one is incomplete.
+function validateQualificationFrameworks(frameworks, defaultId) {
+  if (!Array.isArray(frameworks) || !frameworks.length) throw new Error('Keep at least one qualification framework');
+  const score = (value, fallback) => Number.isFinite(value) && value >= 0 ? value : fallback;
+  const ids = list => Array.isArray(list) ? list.filter(id => typeof id === 'string') : [];
+
+  const checked = frameworks.map(framework => {
+    const label = typeof framework?.label === 'string' ? framework.label.trim() : '';
+    if (!label) throw new Error('Every qualification framework needs a name');
+    const elements = (Array.isArray(framework.elements) ? framework.elements : [])
+      .filter(element => typeof element?.label === 'string' && element.label.trim())
+      .map(element => ({
+        ...element,
+        id: typeof element.id === 'string' && element.id ? element.id : generateContentId('qe'),
+        weight: score(element.weight, 1),
+        questions: ids(element.questions),
+        outcomes: ids(element.outcomes)
+      }));
+    if (!elements.length) throw new Error(`${label} needs at least one named element`);
+
+    const { points = {}, healthyAt, atRiskAt } = framework.scoring || {};
+    return {
+      ...framework,
+      id: typeof framework.id === 'string' && framework.id ? framework.id : generateContentId('qf'),
+      label,
+      scoring: {
+        points: { green: score(points.green, 100), yellow: score(points.yellow, 50), red: score(points.red, 0) },
+        healthyAt: score(healthyAt, 75),
+        atRiskAt: score(atRiskAt, 50)
+      },
+      elements
+    };
+  });
+
+  return { frameworks: checked, defaultId: checked.some(f => f.id === defaultId) ? defaultId : checked[0].id };
+}
+
+function initQualification() {
+  const panel = $('#qualification-scorecard-panel');
+  if (!panel) return;
+
+  panel.addEventListener('change', (e) => {
+    if (e.target.matches('#qualification-framework-select')) {
+      setOpportunityFramework(e.target.value);
+      renderQualification();
+      return;
+    }
+    const elementId = e.target.closest('[data-qualification-element]')?.dataset.qualificationElement;
+    if (!elementId || !e.target.matches('.qualification-status')) return;
+    updateQualificationElement(elementId, { status: e.target.value || null });
+    renderQualificationScorecard();
+  });
+  panel.addEventListener('input', (e) => {
+    const elementId = e.target.closest('[data-qualification-element]')?.dataset.qualificationElement;
+    if (elementId && e.target.matches('.qualification-evidence')) updateQualificationElement(elementId, { evidence: e.target.value });
+  });
+
+  // Notes and ticked exit criteria are the evidence behind each element
+  document.addEventListener('change', (e) => {
+    if (e.target.closest('.content-section') && e.target.matches('.note-textarea, input[type="checkbox"][data-id]')) {
+      renderQualificationScorecard();
+    }
+  });
+
+  $('#qualification-frameworks-editor')?.addEventListener('input', (e) => {
+    if (e.target.matches('.qualification-framework-label')) renderQualificationDefaultOptions();
+  });
+  $('#qualification-default-framework')?.addEventListener('change', (e) => {
+    e.target.dataset.selected = e.target.value;
+  });
+
+  renderQualification();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    QUALIFICATION_STATUSES,
+    qualificationFrameworkFor,
+    qualificationSources,
+    qualificationScore,
+    qualificationGapsText
+  };
+}
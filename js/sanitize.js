@@ -0,0 +1,222 @@
+// HTML Sanitizer for UiPath Sales Cycle Guide
+// Whitelist-based cleaning for HTML that comes from admin edits, imports, saved opportunities and AI responses.
+// Works on strings (no DOM needed), so the same code runs in the browser and in the Node smoke tests.
+
+// Tags kept as is; anything else is unwrapped to its text
+const SANITIZE_ALLOWED_TAGS = new Set([
+  'a', 'b', 'strong', 'i', 'em', 'u', 's', 'small', 'mark', 'sub', 'sup', 'code', 'span',
+  'br', 'hr', 'p', 'div', 'pre', 'blockquote', 'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'article', 'header', 'section'
+]);
+const SANITIZE_VOID_TAGS = new Set(['br', 'hr']);
+
+// Tags dropped together with everything inside them
+const SANITIZE_DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'svg', 'math',
+  'template', 'noscript', 'noembed', 'noframes', 'textarea', 'title', 'xmp', 'select', 'head', 'link', 'meta', 'base'
+]);
+
+// Attributes allowed per tag ('*' applies to every allowed tag)
+const SANITIZE_ALLOWED_ATTRIBUTES = {
+  '*': ['class', 'title'],
+  a: ['href']
+};
+
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+const escapeHtml = text => String(text ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+// Text only needs its angle brackets escaped; a bare "&" cannot start markup
+const escapeText = text => text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', colon: ':', tab: '\t', newline: '\n' };
+
+function decodeEntities(text) {
+  return String(text ?? '').replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));?/gi, (match, dec, hex, name) => {
+    if (dec || hex) {
+      const code = parseInt(dec || hex, dec ? 10 : 16);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+// A link target with a safe scheme (or a relative URL), else ''. Entities and control characters
+// are resolved first so "jav&#x61;script:" and "java\tscript:" are caught too.
+function safeUrl(url) {
+  const value = decodeEntities(url).trim();
+  const scheme = value.replace(/[\u0000- \u007f-\u009f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  if (scheme && !SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase())) return '';
+  return value;
+}
+
+const SANITIZE_TOKEN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|</gi;
+const SANITIZE_ATTRIBUTE = /([^\s"'=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+function sanitizeAttributes(tag, source) {
+  const allowed = [...SANITIZE_ALLOWED_ATTRIBUTES['*'], ...(SANITIZE_ALLOWED_ATTRIBUTES[tag] || [])];
+  const attributes = [];
+  for (const [, rawName, dq, sq, bare] of source.matchAll(SANITIZE_ATTRIBUTE)) {
+    const name = rawName.toLowerCase();
+    if (!allowed.includes(name) || attributes.some(([n]) => n === name)) continue;
+    let value = decodeEntities(dq ?? sq ?? bare ?? '');
+    if (name === 'href') {
+      value = safeUrl(value);
+      if (!value) continue;
+    }
+    attributes.push([name, value]);
+  }
+
+  // Links to other sites open in a new tab without access to this page
+  const href = attributes.find(([name]) => name === 'href')?.[1];
+  if (href && /^https?:/i.test(href)) attributes.push(['target', '_blank'], ['rel', 'noopener noreferrer']);
+  return attributes.map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('');
+}
+
+// Keep whitelisted tags and attributes, escape stray angle brackets and close anything left open,
+// so the result can never break out of the element it is rendered into
+function sanitizeHtml(html) {
+  const source = String(html ?? '');
+  const open = [];
+  let output = '';
+  let last = 0;
+  let match;
+
+  SANITIZE_TOKEN.lastIndex = 0;
+  while ((match = SANITIZE_TOKEN.exec(source))) {
+    output += escapeText(source.slice(last, match.index));
+    last = SANITIZE_TOKEN.lastIndex;
+
+    const [token, closing, rawTag, attributes = ''] = match;
+    if (token === '<') {
+      output += '&lt;';
+      continue;
+    }
+    if (!rawTag) continue; // comment
+
+    const tag = rawTag.toLowerCase();
+    if (SANITIZE_DROPPED_TAGS.has(tag)) {
+      if (!closing && !/\/\s*$/.test(attributes)) {
+        const end = new RegExp(`</${tag}\\s*>`, 'i').exec(source.slice(last));
+        last = end ? last + end.index + end[0].length : source.length;
+        SANITIZE_TOKEN.lastIndex = last;
+      }
+      continue;
+    }
+    if (!SANITIZE_ALLOWED_TAGS.has(tag)) continue;
+
+    if (closing) {
+      const index = open.lastIndexOf(tag);
+      if (index === -1) continue;
+      output += open.splice(index).reverse().map(t => `</${t}>`).join('');
+    } else {
+      output += `<${tag}${sanitizeAttributes(tag, attributes)}>`;
+      if (!SANITIZE_VOID_TAGS.has(tag)) open.push(tag);
+    }
+  }
+
+  output += escapeText(source.slice(last));
+  return output + open.reverse().map(t => `</${t}>`).join('');
+}
+
+// Sanitize every string in a content value (a stage section, persona list or industry list).
+// IDs are reduced to safe characters since they are also used in attributes and selectors.
+function sanitizeContent(value, key = '') {
+  if (typeof value === 'string') {
+    if (key === 'id') return value.replace(/[^\w-]/g, '');
+    if (key === 'link') return safeUrl(value);
+    return sanitizeHtml(value);
+  }
+  if (Array.isArray(value)) return value.map(item => sanitizeContent(item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [sanitizeHtml(k), sanitizeContent(v, k)]));
+  }
+  return value;
+}
+
+// ---------- MARKDOWN ----------
+// Inline Markdown on text whose HTML has not been sanitized yet (that happens once, on the whole result)
+function markdownInline(text) {
+  return text
+    .replace(/`([^`]+)`/g, (m, code) => `<code>${escapeText(code)}</code>`)
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, url) => `<a href="${escapeHtml(url)}">${label}</a>`)
+    .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, (m, a, b) => `<strong>${a ?? b}</strong>`)
+    .replace(/(^|[^*\w])\*([^*\s][^*]*)\*(?!\*)|(^|\W)_([^_\s][^_]*)_(?!\w)/g, (m, p1, a, p2, b) => `${p1 ?? p2}<em>${a ?? b}</em>`);
+}
+
+// Render AI text as safe HTML: headings, lists, code blocks, emphasis and links. Text that is
+// already HTML (responses saved by older versions) is only sanitized.
+function renderMarkdown(text) {
+  const source = String(text ?? '');
+  if (/<(br|p|ul|ol|div|h[1-6])\b/i.test(source)) return sanitizeHtml(source);
+
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+  let code = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push(`<p>${paragraph.map(markdownInline).join('<br>')}</p>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${markdownInline(item)}</li>`).join('')}</${list.tag}>`);
+    list = null;
+  };
+
+  source.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    if (code) {
+      if (/^\s*```/.test(line)) {
+        blocks.push(`<pre><code>${escapeText(code.join('\n'))}</code></pre>`);
+        code = null;
+      } else {
+        code.push(line);
+      }
+      return;
+    }
+
+    const heading = line.match(/^\s*(#{1,6})\s+(.*)$/);
+    const bullet = line.match(/^\s*[-*•]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+    if (/^\s*```/.test(line)) {
+      flushParagraph();
+      flushList();
+      code = [];
+    } else if (!line.trim()) {
+      flushParagraph();
+      flushList();
+    } else if (heading) {
+      flushParagraph();
+      flushList();
+      const level = Math.min(6, heading[1].length + 2);
+      blocks.push(`<h${level}>${markdownInline(heading[2])}</h${level}>`);
+    } else if (bullet || numbered) {
+      flushParagraph();
+      const tag = bullet ? 'ul' : 'ol';
+      if (list?.tag !== tag) {
+        flushList();
+        list = { tag, items: [] };
+      }
+      list.items.push((bullet || numbered)[1]);
+    } else {
+      flushList();
+      paragraph.push(line.trim());
+    }
+  });
+  if (code) blocks.push(`<pre><code>${escapeText(code.join('\n'))}</code></pre>`);
+  flushParagraph();
+  flushList();
+
+  return sanitizeHtml(blocks.join(''));
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    escapeHtml,
+    safeUrl,
+    sanitizeHtml,
+    sanitizeContent,
+    renderMarkdown
+  };
+}
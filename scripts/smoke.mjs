@@ -1,12 +1,15 @@
 #!/usr/bin/env node
 // Zero-dep smoke test for the UiPath Sales Cycle Guide static site.
-// Verifies index.html structure, local asset refs, and JS syntax.
+// Verifies index.html structure, local asset refs, JS syntax, and module behavior.
 
 import { readFile, access } from 'node:fs/promises';
-import { execFile } from 'node:child_process';
+import { createRequire } from 'node:module';
+import { execFile, spawn } from 'node:child_process';
 import { promisify } from 'node:util';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import zlib from 'node:zlib';
 
 const exec = promisify(execFile);
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -37,8 +40,22 @@ const structuralChecks = [
   [/id="lob-use-cases"/, 'lob-use-cases section'],
   [/role="main"/, 'main landmark'],
   [/role="navigation"/, 'navigation landmark'],
-  [/id="banking"/, 'banking industry button'],
-  [/id="insurance"/, 'insurance industry button'],
+  [/id="industry-selector"/, 'industry selector'],
+  [/id="persona-grids"/, 'persona grids container'],
+  [/id="deal-health-summary"/, 'deal health panel'],
+  [/id="call-plan-modal"/, 'call plan modal'],
+  [/id="deal-print-view"/, 'deal summary print view'],
+  [/id="ai-queue-indicator"/, 'AI queue indicator'],
+  [/id="ai-provider"/, 'AI provider picker'],
+  [/id="ai-mock-fields"/, 'mock AI provider settings'],
+  [/id="prompt-template-editor"/, 'prompt template editor'],
+  [/id="key-vault-modal"/, 'API key vault passphrase dialog'],
+  [/id="ai-usage-panel"/, 'AI usage and cost panel'],
+  [/id="deal-action-list"/, 'deal action list'],
+  [/id="deal-coach"/, 'deal coach chat panel'],
+  [/id="call-import-modal"/, 'call notes import dialog'],
+  [/id="qualification-scorecard"/, 'qualification scorecard'],
+  [/id="qualification-frameworks-editor"/, 'qualification framework editor'],
 ];
 for (const [re, label] of structuralChecks) {
   if (re.test(html)) pass(label);
@@ -78,10 +95,29 @@ for (const asset of localAssets) {
 // ---------------------------------------------------------------------------
 const jsFiles = [
   'js/data.js',
+  'js/industries.js',
   'js/performance.js',
+  'js/sanitize.js',
+  'js/key-vault.js',
+  'js/content-store.js',
+  'js/content-history.js',
+  'js/opportunities.js',
+  'js/deal-health.js',
+  'js/qualification.js',
+  'js/call-plan.js',
+  'js/deal-export.js',
+  'js/prompt-templates.js',
+  'js/ai-output.js',
+  'js/ai-usage.js',
+  'js/ai-cache.js',
   'js/ai-integration.js',
+  'js/ai-queue.js',
+  'js/deal-insights.js',
+  'js/deal-coach.js',
+  'js/call-import.js',
   'js/app.js',
   'sw.js',
+  'server/ai-proxy.mjs',
 ];
 for (const js of jsFiles) {
   try {
@@ -92,5 +128,824 @@ for (const js of jsFiles) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Content overlay: edits are stored per section on top of the shipped defaults
+// ---------------------------------------------------------------------------
+const require = createRequire(import.meta.url);
+const SALES_CYCLE_DATA = require(path.join(root, 'js/data.js'));
+
+// Scripts that use each other's globals are loaded together into a sandbox, as the page loads them;
+// the returned function evaluates code in it
+async function loadScripts(files, globals = {}) {
+  const sandbox = vm.createContext({ console, ...globals });
+  for (const file of files) vm.runInContext(await readFile(path.join(root, file), 'utf-8'), sandbox, { filename: file });
+  return code => vm.runInContext(code, sandbox);
+}
+const memoryStorage = () => {
+  const items = new Map();
+  return { getItem: key => items.get(key) ?? null, setItem: (key, value) => items.set(key, String(value)), removeItem: key => items.delete(key) };
+};
+
+const contentScripts = [
+  'js/data.js',
+  'js/sanitize.js',
+  'js/content-store.js',
+];
+const overlayStorage = memoryStorage();
+const editRun = await loadScripts(contentScripts, { localStorage: overlayStorage });
+editRun(`
+  SALES_CYCLE_DATA.stages[0].title = 'Discovery call';
+  persistContentSections(['stages.discovery.title', 'stages.discovery.outcomes']);
+`);
+const storedOverlay = JSON.parse(overlayStorage.getItem('uipathSalesGuideContentOverlay'));
+if (Object.keys(storedOverlay.sections).join() === 'stages.discovery.title' && storedOverlay.sections['stages.discovery.title'] === 'Discovery call') {
+  pass('content overlay stores only the sections that differ from the defaults');
+} else {
+  fail(`content overlay stores only the sections that differ from the defaults: got ${JSON.stringify(storedOverlay.sections)}`);
+}
+
+// The next page load starts from data.js again and applies the stored overlay
+const reloadRun = await loadScripts(contentScripts, { localStorage: overlayStorage });
+reloadRun('applyContentOverlay()');
+if (reloadRun('SALES_CYCLE_DATA.stages[0].title') === 'Discovery call' && reloadRun(`isContentSectionCustomized('stages.discovery.title')`)) {
+  pass('content overlay is applied on the next load');
+} else {
+  fail('content overlay is applied on the next load');
+}
+reloadRun(`resetContentSections(['stages.discovery.title'])`);
+if (reloadRun('SALES_CYCLE_DATA.stages[0].title') === SALES_CYCLE_DATA.stages[0].title && !reloadRun(`isContentSectionCustomized('stages.discovery.title')`)) {
+  pass('resetting a section restores the shipped content');
+} else {
+  fail(`resetting a section restores the shipped content: got ${reloadRun('SALES_CYCLE_DATA.stages[0].title')}`);
+}
+reloadRun(`
+  SALES_CYCLE_DATA.stages[1].title = 'Qualification';
+  persistContentSections();
+  resetAllContent();
+`);
+if (overlayStorage.getItem('uipathSalesGuideContentOverlay') === null && reloadRun('SALES_CYCLE_DATA.stages[1].title') === SALES_CYCLE_DATA.stages[1].title) {
+  pass('resetting all content clears the overlay');
+} else {
+  fail('resetting all content clears the overlay');
+}
+
+// ---------------------------------------------------------------------------
+// Content history: saves are logged with what changed, and can be rolled back
+// ---------------------------------------------------------------------------
+const historyRun = await loadScripts([...contentScripts, 'js/content-history.js'], { localStorage: memoryStorage() });
+const titleRevision = historyRun(`
+  SALES_CYCLE_DATA.stages[0].title = 'Discovery call';
+  commitContentEdit('bulk-admin', ['stages.discovery.title'])
+`);
+const outcomeRevision = historyRun(`
+  SALES_CYCLE_DATA.stages[0].outcomes.push({ id: 'discovery-o-security', text: 'Security review booked' });
+  commitContentEdit('bulk-admin', ['stages.discovery.outcomes'])
+`);
+const changeList = revision => JSON.stringify(revision?.changes.map(c => `${c.kind} ${c.section}: ${c.item}`));
+if (changeList(titleRevision) === JSON.stringify(['changed Discovery call: Stage title: Discovery call'])
+  && changeList(outcomeRevision) === JSON.stringify(['added Discovery call › Outcomes: Security review booked'])) {
+  pass('content revisions list what each save changed');
+} else {
+  fail(`content revisions list what each save changed: got ${changeList(titleRevision)}, ${changeList(outcomeRevision)}`);
+}
+if (historyRun(`commitContentEdit('bulk-admin', ['stages.discovery.outcomes'])`) === null) pass('saving unchanged content logs no revision');
+else fail('saving unchanged content logs no revision');
+
+const rollback = historyRun(`rollbackToRevision(${JSON.stringify(titleRevision.id)})`);
+const shippedOutcomes = SALES_CYCLE_DATA.stages[0].outcomes.length;
+if (historyRun('SALES_CYCLE_DATA.stages[0].outcomes.length') === shippedOutcomes && historyRun('SALES_CYCLE_DATA.stages[0].title') === 'Discovery call'
+  && rollback.source === 'rollback' && changeList(rollback) === JSON.stringify(['removed Discovery call › Outcomes: Security review booked'])
+  && historyRun('loadContentHistory().length') === 3) {
+  pass('rolling back restores a revision and logs the rollback');
+} else {
+  fail(`rolling back restores a revision and logs the rollback: got ${changeList(rollback)}`);
+}
+
+// Reworded items keep their ID, so they show as changed rather than removed and added
+const reworded = historyRun(`
+  SALES_CYCLE_DATA.stages[0].outcomes[0].text = 'Customer pain quantified';
+  commitContentEdit('bulk-admin', ['stages.discovery.outcomes'])
+`);
+if (changeList(reworded) === JSON.stringify(['changed Discovery call › Outcomes: Customer pain quantified'])) pass('reworded content shows as changed');
+else fail(`reworded content shows as changed: got ${changeList(reworded)}`);
+const legacyChanges = historyRun(`(() => {
+  const current = contentFromOverlay(loadContentOverlay());
+  const legacy = JSON.parse(JSON.stringify(current));
+  legacy.stages[1].outcomes = legacy.stages[1].outcomes.map(outcome => outcome.text);
+  return diffContent(legacy, current);
+})()`);
+if (legacyChanges.length === 0) pass('revisions saved before content IDs are matched by text');
+else fail(`revisions saved before content IDs are matched by text: got ${JSON.stringify(legacyChanges)}`);
+
+// ---------------------------------------------------------------------------
+// Industries: imported ones get the same IDs as industries added in the editor
+// ---------------------------------------------------------------------------
+const industryRun = await loadScripts(['js/data.js', 'js/industries.js']);
+const importedIndustry = industryRun(`importIndustry({ id: 'LifeSciences', label: 'Life Sciences' })`);
+const reimported = industryRun(`importIndustry({ id: 'Life Sciences' })`);
+if (importedIndustry.id === 'lifesciences' && reimported.id === 'lifesciences' && industryRun(`Array.isArray(SALES_CYCLE_DATA.personas.lifesciences)`)) {
+  pass('imported industries get editor-style IDs and are found again by name');
+} else {
+  fail(`imported industries get editor-style IDs and are found again by name: got ${importedIndustry.id}, ${reimported.id}`);
+}
+
+// ---------------------------------------------------------------------------
+// Deal state migration: version 1 state keyed by position moves onto content IDs
+// ---------------------------------------------------------------------------
+const { migrateIndexBasedState } = require(path.join(root, 'js/opportunities.js'));
+const v1State = {
+  checklists: { 'discovery-0': true, 'discovery-5': false, 'business-qualification-2': true, 'discovery-99': true },
+  notes: {
+    'discovery-q-Pain-&-Impact-0': 'Manual matching',
+    'discovery-q-Strategic-Alignment-4': 'Cost program',
+    'discovery-q-Value-&-Outcomes-0': 'STP to 80%',
+    'discovery-q-Decision-&-Process-3': 'Model risk review',
+    'discovery-q-Pain-&-Impact-99': 'lost',
+    'custom-abc': 'Call-added question',
+  },
+  objectionNotes: {
+    discovery: { 0: 'Tried RPA before', 1: 'Budget is frozen', 99: 'lost' },
+    'business-qualification': { 1: 'Needs CFO', 'objection-custom-xyz': 'kept' },
+  },
+  aiResponses: {
+    discovery: {
+      'discovery-q-Pain-&-Impact-0': { text: 'Question answer' },
+      'objection-1': { text: 'Objection answer' },
+      'objection-99': { text: 'lost' },
+      'custom-abc': { text: 'Call-added answer' },
+    },
+  },
+  activeStage: 'discovery',
+};
+const migrated = migrateIndexBasedState(v1State, SALES_CYCLE_DATA.stages);
+const migrationExpected = {
+  checklists: { 'discovery-o1': true, 'discovery-o6': false, 'business-qualification-o3': true },
+  notes: {
+    'custom-abc': 'Call-added question',
+    'discovery-q1': 'Manual matching',
+    'discovery-q5': 'Cost program',
+    'business-qualification-q1': 'STP to 80%',
+    'business-qualification-q4': 'Model risk review',
+  },
+  objectionNotes: {
+    discovery: { 'discovery-obj1': 'Tried RPA before', 'discovery-obj2': 'Budget is frozen' },
+    'business-qualification': { 'objection-custom-xyz': 'kept', 'business-qualification-obj2': 'Needs CFO' },
+  },
+  aiResponses: {
+    discovery: {
+      'custom-abc': { text: 'Call-added answer' },
+      'discovery-q1': { text: 'Question answer' },
+      'objection-discovery-obj2': { text: 'Objection answer' },
+    },
+  },
+};
+for (const field of Object.keys(migrationExpected)) {
+  if (JSON.stringify(migrated[field]) === JSON.stringify(migrationExpected[field])) pass(`v1 ${field} move onto content IDs`);
+  else fail(`v1 ${field} move onto content IDs: got ${JSON.stringify(migrated[field])}`);
+}
+if (migrated.activeStage === 'discovery') pass('v1 migration keeps the rest of the state');
+else fail('v1 migration keeps the rest of the state');
+
+// ---------------------------------------------------------------------------
+// Deal health: stage scores from exit criteria, notes, objections and time in stage
+// ---------------------------------------------------------------------------
+const { computeStageHealth, exitCriteriaGaps } = require(path.join(root, 'js/deal-health.js'));
+const { createEmptyDealState } = require(path.join(root, 'js/opportunities.js'));
+const [discoveryStage, nextStage] = SALES_CYCLE_DATA.stages;
+const healthState = createEmptyDealState();
+['discovery-o1', 'discovery-o2', 'discovery-o3', 'discovery-o4', 'discovery-o5'].forEach(id => { healthState.checklists[id] = true; });
+const discoveryQuestionIds = Object.values(discoveryStage.questions).flat().map(q => q.id);
+discoveryQuestionIds.slice(0, Math.ceil(discoveryQuestionIds.length / 2)).forEach(id => { healthState.notes[id] = 'Covered on the call'; });
+healthState.objectionNotes.discovery = { [discoveryStage.objections[0].id]: 'Budget is frozen' };
+const healthNow = Date.parse('2025-03-01T00:00:00Z');
+const healthTiming = { active: true, enteredAt: new Date(healthNow - 21 * 24 * 60 * 60 * 1000).toISOString(), now: healthNow };
+
+// 5 of 6 outcomes, full question coverage, the only raised objection open, 21 of 14 days: 40·5/6 + 30 + 0 + 15·0.5
+const openHealth = computeStageHealth(discoveryStage, healthState, healthTiming);
+healthState.resolvedObjections.discovery = { [discoveryStage.objections[0].id]: true };
+const resolvedHealth = computeStageHealth(discoveryStage, healthState, healthTiming);
+if (openHealth.score === 71 && openHealth.status === 'at-risk' && openHealth.time.daysInStage === 21 && resolvedHealth.score === 86 && resolvedHealth.status === 'healthy') {
+  pass('stage health weighs exit criteria, question coverage, open objections and time in stage');
+} else {
+  fail(`stage health weighs exit criteria, question coverage, open objections and time in stage: got ${openHealth.score}, then ${resolvedHealth.score}`);
+}
+if (computeStageHealth(nextStage, healthState, { upcoming: true }).score === null) pass('stages after the current one are not scored');
+else fail('stages after the current one are not scored');
+
+// The NDA outcome is optional, so it never holds up the next stage
+const noGaps = exitCriteriaGaps(nextStage.id, healthState, SALES_CYCLE_DATA.stages);
+delete healthState.checklists['discovery-o5'];
+const gaps = exitCriteriaGaps(nextStage.id, healthState, SALES_CYCLE_DATA.stages);
+if (noGaps.length === 0 && gaps.length === 1 && gaps[0].stage.id === 'discovery' && gaps[0].missing.map(o => o.id).join() === 'discovery-o5') {
+  pass('exit criteria gaps list required outcomes still open before the target stage');
+} else {
+  fail(`exit criteria gaps list required outcomes still open before the target stage: got ${JSON.stringify(gaps.map(gap => gap.missing.map(o => o.id)))}`);
+}
+
+// ---------------------------------------------------------------------------
+// Deal summary export: content is written as the text a reader sees
+// ---------------------------------------------------------------------------
+const exportRun = await loadScripts([
+  'js/data.js', 'js/industries.js', 'js/sanitize.js', 'js/content-store.js', 'js/content-history.js',
+  'js/opportunities.js', 'js/deal-health.js', 'js/qualification.js', 'js/deal-export.js'
+], { localStorage: memoryStorage() });
+const [summaryMarkdown, summaryHtml] = exportRun(`
+  SALES_CYCLE_DATA.stages[0].outcomes[0].text = 'ROI &gt; 3x agreed with <strong>Finance</strong>';
+  const summary = buildDealSummary();
+  [dealSummaryMarkdown(summary), dealSummaryHtml(summary)]
+`);
+if (summaryMarkdown.includes('] ROI > 3x agreed with Finance') && summaryHtml.includes('ROI &gt; 3x agreed with Finance') && !summaryHtml.includes('&amp;gt;')) {
+  pass('deal summaries decode entities in content before writing Markdown or HTML');
+} else {
+  fail(`deal summaries decode entities in content before writing Markdown or HTML: got ${JSON.stringify(summaryMarkdown.match(/.*ROI.*/)?.[0])}`);
+}
+
+// ---------------------------------------------------------------------------
+// AI request queue: concurrency, backoff and which errors are retried
+// ---------------------------------------------------------------------------
+const { AIRequestQueue, aiRetryDelay } = require(path.join(root, 'js/ai-queue.js'));
+const settled = queue => new Promise(resolve => queue.subscribe((event, job) => {
+  if (event === 'failed' || (event === 'update' && job.status === 'pending' && job.nextAttemptAt > 0)) resolve(job);
+}));
+
+const firstDelay = aiRetryDelay(1);
+const thirdDelay = aiRetryDelay(3);
+if (firstDelay >= 2000 && firstDelay <= 2400 && thirdDelay >= 8000 && thirdDelay <= 9600 && aiRetryDelay(20) <= 72000) pass('AI retries back off exponentially up to a cap');
+else fail(`AI retries back off exponentially up to a cap: got ${firstDelay}, ${thirdDelay}, ${aiRetryDelay(20)}`);
+if (aiRetryDelay(1, 30000) === 30000) pass('AI retries wait at least as long as Retry-After');
+else fail(`AI retries wait at least as long as Retry-After: got ${aiRetryDelay(1, 30000)}`);
+
+let inFlight = 0;
+let mostInFlight = 0;
+const concurrentQueue = new AIRequestQueue({
+  storage: memoryStorage(),
+  execute: async job => {
+    inFlight += 1;
+    mostInFlight = Math.max(mostInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    inFlight -= 1;
+    return job.slot;
+  }
+});
+const completed = [];
+const allCompleted = new Promise(resolve => concurrentQueue.subscribe((event, job) => {
+  if (event === 'complete' && completed.push(job.slot) === 5) resolve();
+}));
+['a', 'b', 'c', 'd', 'e'].forEach(slot => concurrentQueue.enqueue({ slot }));
+await allCompleted;
+if (mostInFlight === 2 && concurrentQueue.jobs.length === 0) pass('AI queue runs at most two requests at a time and drains');
+else fail(`AI queue runs at most two requests at a time and drains: ${mostInFlight} at once, ${concurrentQueue.jobs.length} left`);
+
+const rateLimited = Object.assign(new Error('Rate limited'), { status: 429, retryable: true, retryAfter: 45000 });
+const retryQueue = new AIRequestQueue({ storage: memoryStorage(), maxAttempts: 2, execute: async () => { throw rateLimited; } });
+const backingOff = settled(retryQueue);
+const retried = retryQueue.enqueue({ slot: 'retry' });
+await backingOff;
+const waited = retried.nextAttemptAt - Date.now();
+const exhausted = settled(retryQueue);
+retried.nextAttemptAt = 0;
+retryQueue.pump();
+await exhausted;
+clearTimeout(retryQueue.timer);
+if (waited > 40000 && waited <= 45000 && retried.status === 'failed' && retried.attempts === 2) pass('AI queue honors Retry-After and gives up after the last attempt');
+else fail(`AI queue honors Retry-After and gives up after the last attempt: waited ${waited}ms, ${retried.status} after ${retried.attempts} attempts`);
+
+const badKeyQueue = new AIRequestQueue({ storage: memoryStorage(), execute: async () => { throw Object.assign(new Error('Invalid API key'), { status: 401 }); } });
+const rejected = settled(badKeyQueue);
+const badKeyJob = badKeyQueue.enqueue({ slot: 'bad-key' });
+await rejected;
+if (badKeyJob.status === 'failed' && badKeyJob.attempts === 1 && badKeyJob.error === 'Invalid API key') pass('AI queue does not retry client errors');
+else fail(`AI queue does not retry client errors: ${badKeyJob.status} after ${badKeyJob.attempts} attempts`);
+
+// ---------------------------------------------------------------------------
+// Local AI proxy: only the app's own files are served, and AI requests are rate limited per user
+// ---------------------------------------------------------------------------
+const proxy = spawn(process.execPath, [path.join(root, 'server/ai-proxy.mjs'), '--mock'], {
+  env: { ...process.env, PORT: '0', AI_PROXY_RATE_LIMIT: '2', AI_PROXY_USAGE_LOG: '' },
+  stdio: ['ignore', 'pipe', 'inherit']
+});
+try {
+  const proxyUrl = await new Promise((resolve, reject) => {
+    let output = '';
+    proxy.stdout.on('data', chunk => {
+      output += chunk;
+      const match = output.match(/ on (http:\/\/\S+)/);
+      if (match) resolve(match[1]);
+    });
+    proxy.on('exit', code => reject(new Error(`proxy exited with code ${code}`)));
+  });
+
+  const staticCases = [
+    ['/', 200],
+    ['/js/app.js', 200],
+    ['/css/styles.css', 200],
+    ['/server/ai-proxy.mjs', 404],
+    ['/js/..%2fserver%2fai-proxy.mjs', 404],
+    ['/.git/config', 404],
+    ['/js', 404],
+  ];
+  for (const [urlPath, expected] of staticCases) {
+    const { status } = await fetch(`${proxyUrl}${urlPath}`);
+    if (status === expected) pass(`proxy answers ${urlPath} with ${expected}`);
+    else fail(`proxy answers ${urlPath} with ${expected}: got ${status}`);
+  }
+
+  const askProxy = (user, headers = {}) => fetch(`${proxyUrl}/api/ai/messages`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-guide-user': user, ...headers },
+    body: JSON.stringify({ model: 'claude-3-haiku-20240307', messages: [{ role: 'user', content: 'Hi' }] })
+  });
+  const formPost = await askProxy('guide-rep-c', { 'content-type': 'text/plain' });
+  const otherSite = await askProxy('guide-rep-c', { origin: 'https://attacker.example' });
+  const sameSite = await askProxy('guide-rep-c', { origin: proxyUrl });
+  if (formPost.status === 415 && otherSite.status === 403 && sameSite.status === 200) pass('proxy only accepts JSON AI requests from its own pages');
+  else fail(`proxy only accepts JSON AI requests from its own pages: got ${formPost.status}, ${otherSite.status}, ${sameSite.status}`);
+
+  const statuses = [];
+  for (let i = 0; i < 3; i++) statuses.push((await askProxy('guide-rep-a')).status);
+  const limited = await askProxy('guide-rep-a');
+  const otherUser = await askProxy('guide-rep-b');
+  if (statuses.join() === '200,200,429' && Number(limited.headers.get('retry-after')) > 0 && otherUser.status === 200) {
+    pass('proxy rate limits AI requests per user and says when to retry');
+  } else {
+    fail(`proxy rate limits AI requests per user and says when to retry: got ${statuses.join()}, ${otherUser.status} for another user`);
+  }
+} catch (e) {
+  fail(`local AI proxy: ${e.message}`);
+} finally {
+  proxy.kill();
+}
+
+// ---------------------------------------------------------------------------
+// Mock AI provider: canned answers by request type, and injected errors and latency take effect
+// ---------------------------------------------------------------------------
+const aiRun = await loadScripts([
+  'js/data.js',
+  'js/industries.js',
+  'js/ai-output.js',
+  'js/ai-integration.js',
+], { setTimeout, clearTimeout });
+const MockProvider = aiRun('MockProvider');
+const MOCK_AI_RESPONSES = aiRun('MOCK_AI_RESPONSES');
+const mockContext = { stage: 'discovery', industry: SALES_CYCLE_DATA.industries[0].id, question: 'How is work done today?', objection: 'We are too busy', customerNotes: 'Close takes 9 days' };
+const mockAnswers = {};
+for (const type of Object.keys(MOCK_AI_RESPONSES)) {
+  mockAnswers[type] = await new MockProvider().generate({ context: { ...mockContext, type }, messages: [{ role: 'user', content: 'Hi' }], mock: { latency: 0 } });
+}
+const unansweredTypes = Object.keys(mockAnswers).filter(type => typeof mockAnswers[type] !== 'string' || !mockAnswers[type].trim());
+if (unansweredTypes.length === 0) pass('mock provider answers every request type');
+else fail(`mock provider answers every request type: no answer for ${unansweredTypes.join(', ')}`);
+
+const flakyMock = new MockProvider();
+const injected = { latency: 0, error: '429', failures: 1 };
+const firstTry = await flakyMock.generate({ context: { ...mockContext, type: 'question_response' }, mock: injected }).catch(error => error);
+const secondTry = await flakyMock.generate({ context: { ...mockContext, type: 'question_response' }, mock: injected }).catch(error => error);
+if (firstTry?.status === 429 && firstTry.retryable && firstTry.retryAfter === 1000 && typeof secondTry === 'string') {
+  pass('mock provider raises the injected error, then recovers after the configured failures');
+} else {
+  fail(`mock provider raises the injected error, then recovers after the configured failures: got ${firstTry?.message || firstTry}, then ${secondTry?.message || 'a response'}`);
+}
+const unauthorized = await new MockProvider().generate({ context: { type: 'question_response' }, mock: { latency: 0, error: '401' } }).catch(error => error);
+if (unauthorized?.status === 401 && unauthorized.retryable === false) pass('mock provider raises injected errors as non-retryable where the real one would');
+else fail(`mock provider raises injected errors as non-retryable where the real one would: got ${unauthorized?.message || unauthorized}`);
+
+const startedAt = Date.now();
+await new MockProvider().generate({ context: {}, mock: { latency: 50 } });
+const mockAbort = new AbortController();
+const stopped = new MockProvider().generate({ context: {}, mock: { latency: 5000 }, signal: mockAbort.signal }).catch(error => error);
+mockAbort.abort();
+const stoppedError = await stopped;
+if (Date.now() - startedAt >= 50 && stoppedError?.aborted) pass('mock provider waits for the injected latency and stops when aborted');
+else fail(`mock provider waits for the injected latency and stops when aborted: got ${stoppedError?.message || stoppedError}`);
+
+// ---------------------------------------------------------------------------
+// Prompt templates: variables describe the active opportunity
+// ---------------------------------------------------------------------------
+const promptRun = await loadScripts([
+  'js/data.js', 'js/industries.js', 'js/sanitize.js', 'js/content-store.js', 'js/content-history.js',
+  'js/opportunities.js', 'js/qualification.js', 'js/prompt-templates.js'
+], { localStorage: memoryStorage() });
+const insurancePrompt = promptRun(`
+  createOpportunity({ name: 'Claims automation', industry: 'insurance' });
+  renderPrompt('question_response', promptVariables(SALES_CYCLE_DATA.stages[0], { question: 'How are claims triaged?', notes: '' }))
+`);
+if (insurancePrompt.includes('Industry: Insurance') && !insurancePrompt.includes('Banking')) pass('prompts use the active opportunity\'s industry');
+else fail(`prompts use the active opportunity's industry: got ${JSON.stringify(insurancePrompt.slice(0, 300))}`);
+
+// ---------------------------------------------------------------------------
+// Structured AI output: extraction, validation and the one-shot repair request
+// ---------------------------------------------------------------------------
+const { AI_OUTPUT_SCHEMAS, parseStructuredOutput, extractJson, validateAgainstSchema } = aiRun(
+  '({ AI_OUTPUT_SCHEMAS, parseStructuredOutput, extractJson, validateAgainstSchema })'
+);
+for (const type of Object.keys(mockAnswers).filter(type => AI_OUTPUT_SCHEMAS[type])) {
+  const { errors } = parseStructuredOutput(type, mockAnswers[type]);
+  if (errors.length === 0) pass(`mock ${type} answer matches its schema`);
+  else fail(`mock ${type} answer matches its schema: ${errors.join('; ')}`);
+}
+const invalidOutput = await new MockProvider().generate({ context: { ...mockContext, type: 'question_response' }, mock: { latency: 0, error: 'invalid' } });
+if (parseStructuredOutput('question_response', invalidOutput).errors.length > 0) pass('mock provider can answer with output that fails validation');
+else fail('mock provider can answer with output that fails validation');
+
+const extractionCases = [
+  ['Sure [note]: {"acknowledge": "Yes"}', { acknowledge: 'Yes' }],
+  ['Here you go:\n```json\n{"insight": "Uses ] and } inside"}\n```\nLet me know [if] that helps.', { insight: 'Uses ] and } inside' }],
+  ['{not json} but then [{"question": "Why?"}] and more', [{ question: 'Why?' }]],
+];
+for (const [text, expected] of extractionCases) {
+  let got;
+  try {
+    got = extractJson(text);
+  } catch (e) {
+    got = e.message;
+  }
+  if (JSON.stringify(got) === JSON.stringify(expected)) pass(`extracts JSON from ${JSON.stringify(text.slice(0, 30))}…`);
+  else fail(`extracts JSON from ${JSON.stringify(text.slice(0, 30))}…: got ${JSON.stringify(got)}`);
+}
+try {
+  extractJson('{"acknowledge": "cut off');
+  fail('reports a response whose JSON is cut off');
+} catch (e) {
+  pass('reports a response whose JSON is cut off');
+}
+
+const questionSchema = AI_OUTPUT_SCHEMAS.followup_questions;
+const schemaErrors = validateAgainstSchema([{ category: 'Pain', question: '  ', purpose: 7 }], questionSchema);
+const expectedSchemaErrors = ['response[0].question should not be empty', 'response[0].purpose should be a string'];
+if (expectedSchemaErrors.every(error => schemaErrors.includes(error)) && validateAgainstSchema({}, questionSchema).join() === 'response should be an array') {
+  pass('schema validation names each problem with its path');
+} else {
+  fail(`schema validation names each problem with its path: got ${JSON.stringify(schemaErrors)}`);
+}
+const missingField = validateAgainstSchema({ acknowledge: 'Yes', insight: 'Robots' }, AI_OUTPUT_SCHEMAS.question_response);
+if (missingField.some(error => error.includes('followUpQuestions'))) pass('schema validation reports missing required fields');
+else fail(`schema validation reports missing required fields: got ${JSON.stringify(missingField)}`);
+
+// generateStructured only needs generateResponse, so it runs against scripted answers
+const generateStructured = aiRun('AIIntegration.prototype.generateStructured');
+const validAnswer = JSON.stringify(MOCK_AI_RESPONSES.question_response(mockContext));
+const scriptedAI = answers => ({
+  requests: [],
+  async generateResponse(prompt, context) {
+    this.requests.push({ prompt, context });
+    return answers[this.requests.length - 1];
+  }
+});
+const consoleWarn = console.warn;
+console.warn = () => {};
+const repairable = scriptedAI(['Not JSON, sorry', validAnswer]);
+const repairedData = await generateStructured.call(repairable, 'Respond to the question', { type: 'question_response' });
+if (repairedData.acknowledge && repairable.requests.length === 2 && repairable.requests[1].context.repair && repairable.requests[1].prompt.includes('Not JSON, sorry')) {
+  pass('invalid AI output gets one repair request with the previous response');
+} else {
+  fail(`invalid AI output gets one repair request with the previous response: ${repairable.requests.length} requests`);
+}
+const unrepairable = scriptedAI(['Not JSON, sorry', '{"acknowledge": "Still missing fields"}', validAnswer]);
+const repairFailure = await generateStructured.call(unrepairable, 'Respond to the question', { type: 'question_response' }).catch(error => error);
+if (repairFailure?.retryable === false && unrepairable.requests.length === 2) pass('AI output that is still invalid after the repair fails without retrying');
+else fail(`AI output that is still invalid after the repair fails without retrying: ${unrepairable.requests.length} requests`);
+console.warn = consoleWarn;
+
+// ---------------------------------------------------------------------------
+// Sanitizer: known XSS payloads must come out inert
+// ---------------------------------------------------------------------------
+const { sanitizeHtml, sanitizeContent, renderMarkdown, safeUrl } = require(path.join(root, 'js/sanitize.js'));
+
+// Nothing that can run script may survive: script-capable tags, event handlers or script URLs
+// (escaped text inside a quoted attribute value is inert, so values are only checked for URLs)
+const dangerousTag = /<(script|style|iframe|object|embed|svg|math|img|form|input|base|link|meta|details|body)\b/i;
+const isUnsafe = html => dangerousTag.test(html) ||
+  /\son\w+\s*=/i.test(html.replace(/"[^"]*"/g, '""')) ||
+  /href="\s*(javascript|vbscript|data):/i.test(html);
+const xssPayloads = [
+  '<script>alert(1)</script>',
+  '<img src=x onerror=alert(1)>',
+  '<svg onload=alert(1)>',
+  '<svg><script>alert(1)</script></svg>',
+  '<iframe src="javascript:alert(1)"></iframe>',
+  '<a href="javascript:alert(1)">x</a>',
+  '<a href="JaVaScRiPt:alert(1)">x</a>',
+  '<a href="jav&#x61;script:alert(1)">x</a>',
+  '<a href="jav&#97;script&colon;alert(1)">x</a>',
+  '<a href=" java\tscript:alert(1)">x</a>',
+  '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+  '<a href="vbscript:msgbox(1)">x</a>',
+  '<strong onclick="alert(1)">x</strong>',
+  '<p onmouseover=alert(1)>x</p>',
+  '<div style="background:url(javascript:alert(1))">x</div>',
+  '<body onload=alert(1)>',
+  '<scr<script>ipt>alert(1)</script>',
+  '<<script>script>alert(1)</script>',
+  '<!--<img src=x onerror=alert(1)>-->',
+  '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+  '<form action="javascript:alert(1)"><input type=submit></form>',
+  '<details open ontoggle=alert(1)>',
+  '<object data="javascript:alert(1)"></object>',
+  '<embed src="javascript:alert(1)">',
+  '<base href="javascript:alert(1)//">',
+  '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+  '<a href="#" title=\'x" onmouseover="alert(1)\'>x</a>',
+  '"><img src=x onerror=alert(1)>',
+  '</textarea><img src=x onerror=alert(1)>',
+];
+for (const payload of xssPayloads) {
+  const clean = sanitizeHtml(payload);
+  if (isUnsafe(clean)) fail(`sanitizeHtml left a live payload: ${payload} -> ${clean}`);
+  else pass(`sanitizeHtml neutralizes: ${payload}`);
+
+  const markdown = renderMarkdown(`Intro\n\n- ${payload}\n\n[link](${payload})`);
+  if (isUnsafe(markdown)) fail(`renderMarkdown left a live payload: ${payload} -> ${markdown}`);
+}
+
+for (const url of ['javascript:alert(1)', 'jav&#x61;script:alert(1)', ' JAVASCRIPT:alert(1)', 'data:text/html,<script>alert(1)</script>']) {
+  if (safeUrl(url)) fail(`safeUrl allowed ${url}`);
+}
+for (const url of ['https://www.uipath.com/', 'mailto:sales@example.com', '#', '/docs/guide.pdf']) {
+  if (safeUrl(url) !== url) fail(`safeUrl rejected ${url}`);
+}
+
+const sanitizerCases = [
+  ['<strong>Bold</strong> and <em>em</em>', '<strong>Bold</strong> and <em>em</em>', 'keeps formatting tags'],
+  ['</div></ul><p>text', '<p>text</p>', 'drops unmatched closing tags and closes open ones'],
+  ['Pain & Impact, 2 < 3', 'Pain & Impact, 2 &lt; 3', 'escapes stray angle brackets'],
+  ['<a href="https://uipath.com">UiPath</a>', '<a href="https://uipath.com" target="_blank" rel="noopener noreferrer">UiPath</a>', 'opens external links safely'],
+];
+for (const [input, expected, label] of sanitizerCases) {
+  if (sanitizeHtml(input) === expected) pass(`sanitizeHtml ${label}`);
+  else fail(`sanitizeHtml ${label}: got ${sanitizeHtml(input)}`);
+}
+
+if (renderMarkdown('## Next steps\n- **Book** a demo\n- Send `ROI` model').includes('<h4>Next steps</h4><ul><li><strong>Book</strong> a demo</li><li>Send <code>ROI</code> model</li></ul>')) {
+  pass('renderMarkdown renders headings, lists and emphasis');
+} else {
+  fail('renderMarkdown renders headings, lists and emphasis');
+}
+
+// The shipped content must pass through unchanged, or every section would look customized
+const shipped = JSON.stringify(SALES_CYCLE_DATA);
+if (JSON.stringify(sanitizeContent(JSON.parse(shipped))) === shipped) pass('shipped content is unchanged by the sanitizer');
+else fail('shipped content is changed by the sanitizer');
+
+// ---------------------------------------------------------------------------
+// AI usage: cost estimates and per-feature totals
+// ---------------------------------------------------------------------------
+const { DEFAULT_AI_PRICES, aiUsageCost, summarizeAIUsage, pruneAIUsage, aiUsageDay } = require(path.join(root, 'js/ai-usage.js'));
+const usageEntries = [
+  { at: '2026-10-01T09:00:00.000Z', type: 'question_response', provider: 'claude', model: 'claude-3-5-sonnet-20241022', inputTokens: 1000000, outputTokens: 100000, success: true },
+  { at: '2026-10-01T10:00:00.000Z', type: 'question_response', provider: 'openai', model: 'in-house-model', inputTokens: 500, outputTokens: 50, success: false },
+  { at: '2026-10-02T09:00:00.000Z', type: 'followup_questions', provider: 'ollama', model: 'llama3.1', inputTokens: 800, outputTokens: 400, success: true },
+];
+if (aiUsageCost(usageEntries[0], DEFAULT_AI_PRICES) === 4.5) pass('AI usage cost from the price table');
+else fail(`AI usage cost from the price table: got ${aiUsageCost(usageEntries[0], DEFAULT_AI_PRICES)}`);
+if (aiUsageCost(usageEntries[1], DEFAULT_AI_PRICES) === null && aiUsageCost(usageEntries[2], DEFAULT_AI_PRICES) === 0) {
+  pass('AI usage cost is unknown for unpriced models and free for local ones');
+} else {
+  fail('AI usage cost is unknown for unpriced models and free for local ones');
+}
+const [questionTotals] = summarizeAIUsage(usageEntries, entry => entry.type, DEFAULT_AI_PRICES).filter(t => t.key === 'question_response');
+if (questionTotals.calls === 2 && questionTotals.failures === 1 && questionTotals.unpriced === 1 && questionTotals.cost === 4.5) pass('AI usage totals per feature');
+else fail(`AI usage totals per feature: got ${JSON.stringify(questionTotals)}`);
+if (aiUsageDay({ at: new Date(2026, 9, 1, 0, 30).toISOString() }) === '2026-10-01' && aiUsageDay({ at: new Date(2026, 9, 31, 23, 30).toISOString() }) === '2026-10-31') {
+  pass('AI usage days follow the local calendar');
+} else {
+  fail('AI usage days follow the local calendar');
+}
+const usageAt = (month, i) => ({ at: new Date(2026, month, 1 + (i % 28), 12).toISOString(), inputTokens: 1, outputTokens: 1, success: true });
+const pruned = pruneAIUsage([
+  ...Array.from({ length: 1500 }, (_, i) => usageAt(8, i)),
+  ...Array.from({ length: 2100 }, (_, i) => usageAt(9, i)),
+], '2026-10');
+if (pruned.length === 2100 && pruned.every(entry => aiUsageDay(entry).startsWith('2026-10'))) pass('AI usage pruning keeps the whole current month');
+else fail(`AI usage pruning keeps the whole current month: kept ${pruned.length}`);
+const prunedOlder = pruneAIUsage([...Array.from({ length: 1500 }, (_, i) => usageAt(8, i)), ...Array.from({ length: 600 }, (_, i) => usageAt(9, i))], '2026-10');
+if (prunedOlder.length === 2000 && prunedOlder.filter(entry => aiUsageDay(entry).startsWith('2026-10')).length === 600) pass('AI usage pruning drops the oldest months first');
+else fail(`AI usage pruning drops the oldest months first: kept ${prunedOlder.length}`);
+
+// ---------------------------------------------------------------------------
+// AI response cache: keys cover everything that changes the answer, and old entries expire
+// ---------------------------------------------------------------------------
+// Just enough of IndexedDB for single get and delete requests on one store
+const memoryIndexedDB = entries => ({
+  open() {
+    const store = { get: key => ({ result: entries.get(key) }), delete: key => ({ result: entries.delete(key) }) };
+    const db = {
+      transaction() {
+        const transaction = { objectStore: () => store };
+        setTimeout(() => transaction.oncomplete());
+        return transaction;
+      }
+    };
+    const request = { result: db };
+    setTimeout(() => request.onsuccess());
+    return request;
+  }
+});
+const cachedEntries = new Map();
+const cacheRun = await loadScripts(['js/ai-cache.js'], { crypto, TextEncoder, setTimeout, indexedDB: memoryIndexedDB(cachedEntries) });
+const aiCacheKey = cacheRun('aiCacheKey');
+const cacheRequest = { provider: 'claude', model: 'claude-3-haiku-20240307', temperature: 0.7, prompt: 'Suggest follow-up questions' };
+const [sameKey, sameKeyAgain, otherTemperatureKey, otherPromptKey] = await Promise.all([
+  aiCacheKey(cacheRequest),
+  aiCacheKey({ ...cacheRequest }),
+  aiCacheKey({ ...cacheRequest, temperature: 0 }),
+  aiCacheKey({ ...cacheRequest, prompt: 'Suggest follow-up questions.' }),
+]);
+if (/^[0-9a-f]{64}$/.test(sameKey) && sameKey === sameKeyAgain && new Set([sameKey, otherTemperatureKey, otherPromptKey]).size === 3) {
+  pass('AI cache keys match only identical requests');
+} else {
+  fail(`AI cache keys match only identical requests: got ${sameKey}, ${sameKeyAgain}, ${otherTemperatureKey}, ${otherPromptKey}`);
+}
+
+const cacheDay = 24 * 60 * 60 * 1000;
+cachedEntries.set('fresh', { key: 'fresh', response: 'Cached answer', createdAt: Date.now() - 6 * cacheDay });
+cachedEntries.set('stale', { key: 'stale', response: 'Old answer', createdAt: Date.now() - 8 * cacheDay });
+const freshEntry = await cacheRun(`getCachedAIResponse('fresh')`);
+const staleEntry = await cacheRun(`getCachedAIResponse('stale')`);
+if (freshEntry?.response === 'Cached answer' && staleEntry === null && !cachedEntries.has('stale')) pass('AI cache entries expire after a week and are removed when read');
+else fail(`AI cache entries expire after a week and are removed when read: got ${freshEntry?.response}, ${staleEntry?.response}`);
+
+// ---------------------------------------------------------------------------
+// Deal coach: the history sent with each message
+// ---------------------------------------------------------------------------
+const { dealCoachRequestMessages } = require(path.join(root, 'js/deal-coach.js'));
+const conversation = Array.from({ length: 25 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `message ${i}`, at: '2026-10-19T09:00:00.000Z' }));
+const sent = dealCoachRequestMessages(conversation);
+if (sent.length === 19 && sent[0].role === 'user' && sent[0].content === 'message 6' && sent.at(-1).content === 'message 24' && !('at' in sent[0])) {
+  pass('deal coach sends the recent history, starting with the rep');
+} else {
+  fail(`deal coach sends the recent history, starting with the rep: got ${JSON.stringify(sent.slice(0, 2))}`);
+}
+const unanswered = dealCoachRequestMessages([
+  { role: 'user', content: 'First question' },
+  { role: 'assistant', content: 'First answer' },
+  { role: 'user', content: 'Question whose reply failed' },
+  { role: 'user', content: 'Asked again' },
+  { role: 'assistant', content: '  ' },
+  { role: 'user', content: 'After an empty reply' },
+]);
+if (unanswered.map(m => m.role).join() === 'user,assistant,user' && unanswered[2].content === 'Question whose reply failed\n\nAsked again\n\nAfter an empty reply') {
+  pass('deal coach merges questions left without a reply, so turns alternate');
+} else {
+  fail(`deal coach merges questions left without a reply, so turns alternate: got ${JSON.stringify(unanswered)}`);
+}
+
+// ---------------------------------------------------------------------------
+// Call notes import: transcript files and mapping the AI's answer onto the stage
+// ---------------------------------------------------------------------------
+const importRun = await loadScripts(['js/data.js', 'js/sanitize.js', 'js/content-store.js', 'js/content-history.js', 'js/call-import.js'], {
+  localStorage: memoryStorage(), Blob, Response, DecompressionStream, TextDecoder
+});
+const { vttToText, docxToText, callImportSuggestions } = importRun('({ vttToText, docxToText, callImportSuggestions })');
+
+const vtt = [
+  'WEBVTT - Discovery call',
+  '',
+  'NOTE recorded by the meeting app',
+  '',
+  '1',
+  '00:00:01.000 --> 00:00:04.500 align:start',
+  '<v.loud Dana Lee>Month-end close takes <b>9 days</b>.</v>',
+  '',
+  '00:00:05.000 --> 00:00:07.000',
+  '<v Sam>Invoices &amp; receipts are matched',
+  'by hand.',
+].join('\r\n');
+const vttText = vttToText(vtt);
+if (vttText === 'Dana Lee: Month-end close takes 9 days.\nSam: Invoices & receipts are matched by hand.') pass('VTT captions become one line per cue with speakers');
+else fail(`VTT captions become one line per cue with speakers: got ${JSON.stringify(vttText)}`);
+
+// A minimal .docx: a stored content types entry and a deflated word/document.xml
+function zipArchive(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, text, deflate] of files) {
+    const nameBytes = Buffer.from(name);
+    const raw = Buffer.from(text);
+    const data = deflate ? zlib.deflateRawSync(raw) : raw;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, data);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  const zip = Buffer.concat([...locals, directory, end]);
+  return zip.buffer.slice(zip.byteOffset, zip.byteOffset + zip.length);
+}
+const documentXml = '<w:document><w:body><w:p><w:r><w:t>Pain: close takes 9 days</w:t></w:r></w:p>'
+  + '<w:p><w:r><w:t>Owner:</w:t><w:tab/><w:t>CFO &amp; controller</w:t></w:r></w:p></w:body></w:document>';
+const docxText = await docxToText(zipArchive([['[Content_Types].xml', '<Types/>', false], ['word/document.xml', documentXml, true]])).catch(error => error.message);
+if (docxText === 'Pain: close takes 9 days\nOwner:\tCFO & controller') pass('DOCX files are read through their zip directory');
+else fail(`DOCX files are read through their zip directory: got ${JSON.stringify(docxText)}`);
+
+const importStage = SALES_CYCLE_DATA.stages.find(stage => stage.id === 'discovery');
+const importState = createEmptyDealState();
+importState.notes['discovery-q1'] = 'Existing note';
+const mapped = callImportSuggestions({
+  answers: [
+    { questionId: 'discovery-q1', notes: ' Close takes 9 days ' },
+    { questionId: 'discovery-q1', notes: 'Three ERPs' },
+    { questionId: 'unknown-q', notes: 'Dropped' },
+  ],
+  objections: [
+    { objectionId: 'discovery-obj1', objection: 'Reworded by the AI', customerResponse: 'Busy until Q3' },
+    { objectionId: 'made-up', objection: 'Security review', customerResponse: 'Where do robots run?' },
+  ],
+  outcomes: [{ outcomeId: 'discovery-o1', evidence: 'CFO agreed' }, { outcomeId: 'unknown-o', evidence: 'Dropped' }],
+}, importStage, importState);
+const [mappedAnswer] = mapped.answers;
+if (mapped.answers.length === 1 && mappedAnswer.notes === 'Close takes 9 days\nThree ERPs' && mappedAnswer.current === 'Existing note'
+  && mapped.objections[0].objectionId === 'discovery-obj1' && mapped.objections[0].objection !== 'Reworded by the AI'
+  && mapped.objections[1].objectionId === null && mapped.objections[1].objection === 'Security review'
+  && mapped.outcomes.length === 1 && mapped.outcomes[0].outcomeId === 'discovery-o1') {
+  pass('call import maps answers, objections and exit criteria onto the stage');
+} else {
+  fail(`call import maps answers, objections and exit criteria onto the stage: got ${JSON.stringify(mapped)}`);
+}
+let malformed;
+try {
+  malformed = callImportSuggestions({
+    answers: [null, { questionId: 'discovery-q1' }, { questionId: 'discovery-q1', notes: 42 }],
+    objections: 'none',
+    outcomes: [{ outcomeId: 'discovery-o1', evidence: '  ' }],
+  }, importStage, importState);
+} catch (e) {
+  malformed = e.message;
+}
+if (malformed?.answers?.length === 0 && malformed.objections.length === 0 && malformed.outcomes.length === 0) pass('call import drops malformed entries from the AI');
+else fail(`call import drops malformed entries from the AI: got ${JSON.stringify(malformed)}`);
+
+// ---------------------------------------------------------------------------
+// Qualification frameworks: elements link to shipped content, and scoring follows each framework's rules
+// ---------------------------------------------------------------------------
+const { qualificationFrameworkFor, qualificationScore } = require(path.join(root, 'js/qualification.js'));
+const contentIds = new Set(SALES_CYCLE_DATA.stages.flatMap(stage => [
+  ...Object.values(stage.questions || {}).flat().map(q => q.id),
+  ...(stage.outcomes || []).map(o => o.id),
+]));
+for (const framework of SALES_CYCLE_DATA.qualificationFrameworks) {
+  const unlinked = framework.elements.flatMap(element => [...element.questions, ...element.outcomes]).filter(id => !contentIds.has(id));
+  if (unlinked.length === 0) pass(`${framework.label} elements link to shipped questions and exit criteria`);
+  else fail(`${framework.label} elements link to unknown content: ${unlinked.join(', ')}`);
+}
+const frameworkOf = id => qualificationFrameworkFor({ state: { qualificationFramework: id } }, SALES_CYCLE_DATA);
+if (frameworkOf('bant').id === 'bant' && frameworkOf(null).id === SALES_CYCLE_DATA.qualificationFramework && frameworkOf('removed').id === SALES_CYCLE_DATA.qualificationFramework) {
+  pass('opportunities use their own framework, else the team framework');
+} else {
+  fail('opportunities use their own framework, else the team framework');
+}
+const qualified = qualificationScore({ qualification: { metrics: { status: 'green' }, champion: { status: 'yellow' }, competition: { status: 'red' } } }, frameworkOf('meddpicc'));
+if (qualified.score === 19 && qualified.status === 'critical' && qualified.counts.green === 1 && qualified.counts.unassessed === 5) {
+  pass('qualification score counts unassessed elements as gaps');
+} else {
+  fail(`qualification score counts unassessed elements as gaps: got ${JSON.stringify(qualified)}`);
+}
+const bantScore = qualificationScore({ qualification: { budget: { status: 'yellow' }, authority: { status: 'green' }, need: { status: 'green' }, timeline: { status: 'green' } } }, frameworkOf('bant'));
+if (bantScore.score === 80 && bantScore.status === 'at-risk' && bantScore.requiredOpen.join() === 'budget') {
+  pass('qualification score weighs elements and holds back deals with required gaps');
+} else {
+  fail(`qualification score weighs elements and holds back deals with required gaps: got ${JSON.stringify(bantScore)}`);
+}
+
+// Imported frameworks are checked like the bulk editor's, so a broken one never reaches the saved content
+const validateQualificationFrameworks = (await loadScripts(['js/data.js', 'js/content-store.js', 'js/qualification.js'], {
+  localStorage: memoryStorage()
+}))('validateQualificationFrameworks');
+const rejectedFrameworks = [[], [{ label: 'No elements' }], [{ label: 'Unnamed elements', elements: [{ weight: 2 }] }], [{ elements: [{ label: 'Pain' }] }]]
+  .map(frameworks => {
+    try {
+      validateQualificationFrameworks(frameworks, null);
+      return 'accepted';
+    } catch (e) {
+      return e.message;
+    }
+  });
+const imported = validateQualificationFrameworks([{ id: 'spiced', label: 'SPICED', elements: [{ label: 'Situation', weight: 'heavy' }] }], 'missing');
+const [importedFramework] = imported.frameworks;
+if (!rejectedFrameworks.includes('accepted') && imported.defaultId === 'spiced' && importedFramework.scoring.healthyAt === 75
+  && importedFramework.elements[0].id && importedFramework.elements[0].weight === 1 && importedFramework.elements[0].questions.length === 0) {
+  pass('imported frameworks need named elements, and get default scoring and a team framework that exists');
+} else {
+  fail(`imported frameworks need named elements, and get default scoring and a team framework that exists: got ${JSON.stringify(rejectedFrameworks)}, ${JSON.stringify(imported)}`);
+}
+
 console.log(`\n${failures === 0 ? 'OK' : 'FAILED'} — ${failures} failure${failures === 1 ? '' : 's'}`);
 process.exit(failures === 0 ? 0 : 1);
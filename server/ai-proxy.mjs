@@ -0,0 +1,403 @@
+#!/usr/bin/env node
+// Optional local server for the UiPath Sales Cycle Guide.
+// Serves the static app and forwards AI requests to Anthropic with an API key held on the server,
+// so the key never reaches the browser. Zero dependencies.
+//
+//   ANTHROPIC_API_KEY=sk-ant-... node server/ai-proxy.mjs
+//   node server/ai-proxy.mjs --mock      # canned responses from a mock upstream, no key needed
+//
+// Environment:
+//   PORT (8080; 0 picks a free port), HOST (127.0.0.1)
+//   ANTHROPIC_API_KEY          required unless running with --mock
+//   ANTHROPIC_BASE_URL         upstream API (https://api.anthropic.com)
+//   AI_PROXY_MOCK=1            same as --mock
+//   AI_PROXY_MOCK_FAIL_RATE    share of mock requests (0-1) answered with 529 Overloaded, to exercise retries
+//   AI_PROXY_RATE_LIMIT        AI requests per user per minute (20)
+//   AI_PROXY_MAX_TOKENS        cap on max_tokens per request (4096)
+//   AI_PROXY_USAGE_LOG         also append usage records (JSON lines) to this file
+
+import http from 'node:http';
+import { readFile, appendFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const root = path.resolve(__dirname, '..');
+
+const config = {
+  port: Number(process.env.PORT ?? 8080),
+  host: process.env.HOST || '127.0.0.1',
+  apiKey: process.env.ANTHROPIC_API_KEY || '',
+  upstream: (process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/+$/, ''),
+  mock: process.argv.includes('--mock') || process.env.AI_PROXY_MOCK === '1',
+  mockFailRate: Number(process.env.AI_PROXY_MOCK_FAIL_RATE) || 0,
+  rateLimit: Number(process.env.AI_PROXY_RATE_LIMIT) || 20,
+  maxTokens: Number(process.env.AI_PROXY_MAX_TOKENS) || 4096,
+  usageLog: process.env.AI_PROXY_USAGE_LOG || ''
+};
+
+const MAX_BODY_BYTES = 256 * 1024;
+const RATE_WINDOW_MS = 60_000;
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Only these Messages API fields are forwarded
+const FORWARDED_FIELDS = ['model', 'messages', 'system', 'max_tokens', 'temperature', 'top_p', 'top_k', 'stop_sequences', 'stream'];
+
+// ---------------------------------------------------------------------------
+// Static files: only the app itself (index.html, sw.js, css/, js/) is served
+// ---------------------------------------------------------------------------
+const STATIC_FILES = ['index.html', 'sw.js'];
+const STATIC_DIRS = ['css', 'js'];
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+function staticFilePath(urlPath) {
+  let relative;
+  try {
+    relative = path.posix.normalize(decodeURIComponent(urlPath)).replace(/^\/+/, '') || 'index.html';
+  } catch {
+    return null;
+  }
+  if (relative.split('/').some(part => part === '..' || part.startsWith('.'))) return null;
+  const [top] = relative.split('/');
+  if (STATIC_FILES.includes(relative) || (STATIC_DIRS.includes(top) && relative !== top)) {
+    return path.join(root, relative);
+  }
+  return null;
+}
+
+async function serveStatic(req, res, urlPath) {
+  const file = staticFilePath(urlPath);
+  if (!file) return sendText(res, 404, 'Not found');
+  try {
+    const body = await readFile(file);
+    res.writeHead(200, {
+      'content-type': MIME_TYPES[path.extname(file)] || 'application/octet-stream',
+      'cache-control': 'no-cache'
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  } catch {
+    sendText(res, 404, 'Not found');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function sendText(res, status, text) {
+  res.writeHead(status, { 'content-type': 'text/plain; charset=utf-8' });
+  res.end(text);
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'content-type': 'application/json', 'cache-control': 'no-store', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Errors use the Messages API shape so the browser reads them like upstream errors
+function sendApiError(res, status, type, message, headers = {}) {
+  sendJson(res, status, { type: 'error', error: { type, message } }, headers);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// The app sends a random per-browser ID; requests without one are grouped by address.
+// This shares capacity fairly between reps; it is not authentication.
+function userIdFor(req) {
+  const header = String(req.headers['x-guide-user'] || '');
+  return /^[\w-]{1,64}$/.test(header) ? header : `ip:${req.socket.remoteAddress}`;
+}
+
+// Browsers send Origin on cross-site requests; only pages served by this server may spend its key
+function isForeignOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return false;
+  try {
+    return new URL(origin).host !== req.headers.host;
+  } catch {
+    return true;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Rate limiting: sliding one-minute window per user
+// ---------------------------------------------------------------------------
+const recentRequests = new Map();
+
+// Returns 0 when the request may go ahead, otherwise the milliseconds until it may
+function rateLimitDelay(user, now = Date.now()) {
+  const recent = (recentRequests.get(user) || []).filter(time => now - time < RATE_WINDOW_MS);
+  if (recent.length >= config.rateLimit) {
+    recentRequests.set(user, recent);
+    return RATE_WINDOW_MS - (now - recent[0]);
+  }
+  recent.push(now);
+  recentRequests.set(user, recent);
+  return 0;
+}
+
+// ---------------------------------------------------------------------------
+// Usage log: one JSON line per AI request on stdout (and in AI_PROXY_USAGE_LOG)
+// ---------------------------------------------------------------------------
+async function logUsage(entry) {
+  const line = JSON.stringify({ time: new Date().toISOString(), ...entry });
+  console.log(line);
+  if (config.usageLog) {
+    await appendFile(config.usageLog, `${line}\n`).catch(e => console.error('Usage log write failed:', e.message));
+  }
+}
+
+// Pull token counts out of a streamed response as it passes through
+function createUsageTap(usage) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  return chunk => {
+    buffer += decoder.decode(chunk, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(block => {
+      const data = block.split(/\r?\n/).filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('');
+      if (!data) return;
+      try {
+        const event = JSON.parse(data);
+        if (event.type === 'message_start') usage.inputTokens = event.message?.usage?.input_tokens || 0;
+        if (event.type === 'message_delta') usage.outputTokens = event.usage?.output_tokens || usage.outputTokens;
+      } catch {
+        // Not JSON; nothing to count
+      }
+    });
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Mock upstream: answers like the Messages API without calling it
+// ---------------------------------------------------------------------------
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const estimateTokens = text => Math.max(1, Math.ceil(String(text).length / 4));
+
+function mockReplyText(payload) {
+  const last = payload.messages?.at(-1)?.content;
+  const prompt = typeof last === 'string' ? last : (last || []).map(part => part.text || '').join('\n');
+
+  // Structured prompts (js/ai-output.js) end with an example of the expected JSON; echo it back
+  const example = prompt.lastIndexOf('Example response');
+  if (example !== -1) {
+    try {
+      return JSON.stringify(JSON.parse(prompt.slice(prompt.indexOf('\n', example) + 1)), null, 2);
+    } catch {
+      // Not a structured prompt after all
+    }
+  }
+
+  if (/JSON array/i.test(prompt)) {
+    return JSON.stringify([
+      { category: 'Pain & Impact', question: 'Which step in this process causes the most rework today?', purpose: 'Mock response: locates the costliest manual step' },
+      { category: 'Value', question: 'How would you measure success six months after go-live?', purpose: 'Mock response: ties automation to a metric' },
+      { category: 'Process', question: 'Who else needs to sign off before a pilot can start?', purpose: 'Mock response: maps the decision process' }
+    ], null, 2);
+  }
+
+  const gist = prompt.replace(/\s+/g, ' ').trim().slice(0, 140);
+  return `This is a mock response from the local AI proxy, so no provider was called. It would answer: "${gist}…". Use it to try the streaming, queue and error handling without an API key.`;
+}
+
+function mockUpstream(payload) {
+  if (Math.random() < config.mockFailRate) {
+    return new Response(JSON.stringify({ type: 'error', error: { type: 'overloaded_error', message: 'Mock upstream is overloaded' } }), {
+      status: 529,
+      headers: { 'content-type': 'application/json' }
+    });
+  }
+
+  const text = mockReplyText(payload);
+  const model = payload.model || 'mock-model';
+  const inputTokens = estimateTokens(JSON.stringify(payload.messages || []));
+  const outputTokens = estimateTokens(text);
+
+  if (!payload.stream) {
+    return new Response(JSON.stringify({
+      id: `msg_mock_${Date.now()}`,
+      type: 'message',
+      role: 'assistant',
+      model,
+      content: [{ type: 'text', text }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: inputTokens, output_tokens: outputTokens }
+    }), { status: 200, headers: { 'content-type': 'application/json' } });
+  }
+
+  const encoder = new TextEncoder();
+  const sse = (type, data) => encoder.encode(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+  const body = new ReadableStream({
+    async start(controller) {
+      controller.enqueue(sse('message_start', { message: { id: `msg_mock_${Date.now()}`, model, usage: { input_tokens: inputTokens, output_tokens: 0 } } }));
+      controller.enqueue(sse('content_block_start', { index: 0, content_block: { type: 'text', text: '' } }));
+      for (const piece of text.match(/\S+\s*/g) || []) {
+        await sleep(25);
+        controller.enqueue(sse('content_block_delta', { index: 0, delta: { type: 'text_delta', text: piece } }));
+      }
+      controller.enqueue(sse('content_block_stop', { index: 0 }));
+      controller.enqueue(sse('message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: outputTokens } }));
+      controller.enqueue(sse('message_stop', {}));
+      controller.close();
+    }
+  });
+  return new Response(body, { status: 200, headers: { 'content-type': 'text/event-stream' } });
+}
+
+// ---------------------------------------------------------------------------
+// POST /api/ai/messages
+// ---------------------------------------------------------------------------
+async function handleMessages(req, res) {
+  // A JSON content type also means other sites cannot post here without a CORS preflight, which is never answered
+  if (isForeignOrigin(req)) {
+    return sendApiError(res, 403, 'permission_error', 'AI requests are only accepted from the app served by this proxy');
+  }
+  if (!/^application\/json\s*(;|$)/i.test(req.headers['content-type'] || '')) {
+    return sendApiError(res, 415, 'invalid_request_error', 'Content-Type must be application/json');
+  }
+
+  const user = userIdFor(req);
+  const wait = rateLimitDelay(user);
+  if (wait) {
+    const seconds = Math.ceil(wait / 1000);
+    await logUsage({ user, status: 429, rateLimited: true });
+    return sendApiError(res, 429, 'rate_limit_error', `Rate limit reached: ${config.rateLimit} AI requests per minute. Try again in ${seconds}s.`, { 'retry-after': String(seconds) });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch (error) {
+    return sendApiError(res, error.status || 400, 'invalid_request_error', error.status ? error.message : 'Request body must be JSON');
+  }
+  if (!Array.isArray(body?.messages) || !body.messages.length) {
+    return sendApiError(res, 400, 'invalid_request_error', 'messages is required');
+  }
+
+  const payload = Object.fromEntries(FORWARDED_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+  payload.max_tokens = Math.min(Number(payload.max_tokens) || 1000, config.maxTokens);
+
+  const started = Date.now();
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  const record = extra => logUsage({
+    user,
+    model: payload.model,
+    stream: !!payload.stream,
+    mock: config.mock,
+    durationMs: Date.now() - started,
+    ...usage,
+    ...extra
+  });
+
+  // Stop the upstream request if the browser goes away (e.g. the rep pressed Stop)
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  let upstream;
+  try {
+    upstream = config.mock
+      ? mockUpstream(payload)
+      : await fetch(`${config.upstream}/v1/messages`, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'x-api-key': config.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION
+        },
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      });
+  } catch (error) {
+    await record({ status: 502, error: error.message });
+    return sendApiError(res, 502, 'api_error', `Could not reach the AI provider: ${error.message}`);
+  }
+
+  const headers = { 'content-type': upstream.headers.get('content-type') || 'application/json', 'cache-control': 'no-store' };
+  const retryAfter = upstream.headers.get('retry-after');
+  if (retryAfter) headers['retry-after'] = retryAfter;
+  res.writeHead(upstream.status, headers);
+
+  try {
+    if (payload.stream && upstream.ok && upstream.body) {
+      const tap = createUsageTap(usage);
+      for await (const chunk of upstream.body) {
+        if (controller.signal.aborted) break;
+        tap(chunk);
+        res.write(chunk);
+      }
+      res.end();
+    } else {
+      const text = await upstream.text();
+      res.end(text);
+      try {
+        const data = JSON.parse(text);
+        usage.inputTokens = data.usage?.input_tokens || 0;
+        usage.outputTokens = data.usage?.output_tokens || 0;
+      } catch {
+        // Error bodies are not always JSON
+      }
+    }
+    await record({ status: upstream.status, aborted: controller.signal.aborted || undefined });
+  } catch (error) {
+    await record({ status: upstream.status, aborted: controller.signal.aborted || undefined, error: error.message });
+    res.destroy();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+if (!config.mock && !config.apiKey) {
+  console.error('ANTHROPIC_API_KEY is not set. Set it, or run with --mock for canned responses.');
+  process.exit(1);
+}
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  try {
+    if (pathname === '/api/ai/health') {
+      return sendJson(res, 200, { ok: true, provider: 'anthropic', mock: config.mock, rateLimitPerMinute: config.rateLimit });
+    }
+    if (pathname === '/api/ai/messages') {
+      if (req.method !== 'POST') return sendApiError(res, 405, 'invalid_request_error', 'Use POST');
+      return await handleMessages(req, res);
+    }
+    if (pathname.startsWith('/api/')) return sendApiError(res, 404, 'not_found_error', 'Unknown API route');
+    if (req.method !== 'GET' && req.method !== 'HEAD') return sendText(res, 405, 'Method not allowed');
+    return await serveStatic(req, res, pathname);
+  } catch (error) {
+    console.error('Request failed:', error);
+    if (!res.headersSent) sendApiError(res, 500, 'api_error', 'Internal proxy error');
+    else res.destroy();
+  }
+});
+
+server.listen(config.port, config.host, () => {
+  console.log(`UiPath Sales Cycle Guide on http://${config.host}:${server.address().port}${config.mock ? ' (mock AI upstream)' : ''}`);
+});
@@ -1,15 +1,33 @@
 // Service Worker for UiPath Sales Cycle Guide
 // Provides offline functionality and caching
 
-const CACHE_NAME = 'uipath-sales-guide-v2';
+const CACHE_NAME = 'uipath-sales-guide-v24';
 const urlsToCache = [
   '/',
   '/index.html',
   '/css/styles.css',
   '/js/app.js',
   '/js/data.js',
+  '/js/industries.js',
+  '/js/content-store.js',
+  '/js/content-history.js',
+  '/js/opportunities.js',
+  '/js/deal-health.js',
+  '/js/qualification.js',
+  '/js/call-plan.js',
+  '/js/deal-export.js',
+  '/js/prompt-templates.js',
+  '/js/ai-output.js',
+  '/js/ai-usage.js',
+  '/js/ai-cache.js',
   '/js/ai-integration.js',
+  '/js/ai-queue.js',
+  '/js/deal-insights.js',
+  '/js/deal-coach.js',
+  '/js/call-import.js',
   '/js/performance.js',
+  '/js/sanitize.js',
+  '/js/key-vault.js',
   'https://fonts.googleapis.com/css2?family=Poppins:wght@600;700&family=Inter:wght@400;500;600;700&display=swap',
   'https://cdn.tailwindcss.com'
 ];
@@ -26,6 +44,9 @@ self.addEventListener('install', event => {
 
 // Fetch event
 self.addEventListener('fetch', event => {
+  // AI proxy calls always go to the network (and may stream)
+  if (new URL(event.request.url).pathname.startsWith('/api/')) return;
+
   event.respondWith(
     caches.match(event.request)
       .then(response => {